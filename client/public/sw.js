@@ -0,0 +1,129 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * Service worker
+ *
+ * Keeps the collector app usable without a signal: the app shell is cached so the app
+ * still opens, and route data (GET /api/routes/collector/:id) is served from the cache
+ * when the network is unreachable. Status updates made offline are queued by the page in
+ * IndexedDB (see src/utils/offlineQueue.js); when connectivity returns, the Background
+ * Sync event asks open pages to replay them, since only the page holds the session.
+ */
+
+const SHELL_CACHE = 'waste-shell-v1';
+// Also cleared by the page on logout, so keep in step with src/utils/networkOptimization.js
+const DATA_CACHE = 'waste-route-data';
+const SYNC_TAG = 'route-status-sync';
+
+const SHELL_URLS = ['/', '/index.html', '/favicon.ico', '/assets/system-logo.png'];
+
+// Collector route responses, cached as they are fetched
+const isRouteData = (url) => /\/api\/routes\/collector\/[^/]+$/.test(url.pathname);
+
+// The build's asset manifest lists every bundle and lazy chunk, so precache them all
+const getBuildAssets = async () => {
+  try {
+    const response = await fetch('/asset-manifest.json', { cache: 'no-store' });
+    if (!response.ok) {
+      return [];
+    }
+    const manifest = await response.json();
+    return Object.values(manifest.files || {}).filter((file) => !file.endsWith('.map'));
+  } catch (error) {
+    return [];
+  }
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    const urls = [...new Set([...SHELL_URLS, ...(await getBuildAssets())])];
+    // One missing file shouldn't stop the rest from being cached
+    await Promise.all(urls.map((url) => cache.add(url).catch(() => undefined)));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter((name) => name.startsWith('waste-shell-') && name !== SHELL_CACHE)
+      .map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// Network first, falling back to the last copy; the copy is marked so the page can say so
+const routeDataFromNetwork = async (request) => {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const body = await response.clone().json();
+      await cache.put(request.url, new Response(
+        JSON.stringify({ ...body, cachedAt: new Date().toISOString() }),
+        { headers: { 'Content-Type': 'application/json' } }
+      ));
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request.url);
+    if (!cached) {
+      throw error;
+    }
+    const body = await cached.json();
+    return new Response(JSON.stringify({ ...body, fromCache: true }), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+};
+
+// Pages always come from the network when it answers, else from the cached shell
+const pageFromNetwork = async (request) => {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cache = await caches.open(SHELL_CACHE);
+    return (await cache.match('/index.html')) || (await cache.match('/')) || Response.error();
+  }
+};
+
+// Build files have hashed names, so a cached copy stays valid
+const assetFromCache = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) {
+    return cached;
+  }
+  const response = await fetch(request);
+  if (response.ok) {
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') {
+    return;
+  }
+
+  const url = new URL(request.url);
+  if (isRouteData(url)) {
+    event.respondWith(routeDataFromNetwork(request));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(pageFromNetwork(request));
+  } else if (url.origin === self.location.origin && !url.pathname.startsWith('/api/')) {
+    event.respondWith(assetFromCache(request));
+  }
+});
+
+// Connectivity is back: ask the open pages to replay their queued status updates
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil((async () => {
+      const clients = await self.clients.matchAll({ type: 'window' });
+      clients.forEach((client) => client.postMessage({ type: 'replay-route-updates' }));
+    })());
+  }
+});
@@ -1,6 +1,7 @@
 import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider, useAuth } from './context/AuthContext';
+import { LiveUpdatesProvider } from './context/LiveUpdatesContext';
 import { ToastProvider, ErrorBoundary, LoadingSpinner } from './components/ui';
 import { AppLayout } from './components/layout';
 import './App.css';
@@ -9,13 +10,22 @@ import './App.css';
 import HomePage from './components/HomePage';
 import LoginForm from './components/auth/LoginForm';
 import SignupForm from './components/auth/SignupForm';
+import ForgotPasswordForm from './components/auth/ForgotPasswordForm';
+import ResetPasswordForm from './components/auth/ResetPasswordForm';
+import VerifyEmailPage from './components/auth/VerifyEmailPage';
+import AcceptInvitationPage from './components/auth/AcceptInvitationPage';
 import SimplePage from './components/pages/SimplePage';
 
 // Lazy load dashboard and other components
 const Dashboard = React.lazy(() => import('./components/Dashboard'));
 const CollectionsPage = React.lazy(() => import('./components/pages/CollectionsPage'));
+const CollectionDetailPage = React.lazy(() => import('./components/pages/CollectionDetailPage'));
 const ProfilePage = React.lazy(() => import('./components/pages/ProfilePage'));
 const HelpPage = React.lazy(() => import('./components/pages/HelpPage'));
+const InvitationsPage = React.lazy(() => import('./components/pages/InvitationsPage'));
+const UsersPage = React.lazy(() => import('./components/pages/UsersPage'));
+const ReportsPage = React.lazy(() => import('./components/pages/ReportsPage'));
+const MyRoutePage = React.lazy(() => import('./components/pages/MyRoutePage'));
 
 // Loading fallback component
 const PageLoadingFallback = () => (
@@ -31,14 +41,19 @@ const PageLoadingFallback = () => (
   </AppLayout>
 );
 
-const ProtectedRoute = ({ children }) => {
-  const { isAuthenticated, loading } = useAuth();
+// Pages that need a permission (any one of those listed) send other users to their dashboard
+const ProtectedRoute = ({ children, permissions }) => {
+  const { isAuthenticated, loading, hasPermission } = useAuth();
   
   if (loading) {
     return <PageLoadingFallback />;
   }
   
-  return isAuthenticated ? children : <Navigate to="/login" />;
+  if (!isAuthenticated) {
+    return <Navigate to="/login" />;
+  }
+  
+  return !permissions || hasPermission(...permissions) ? children : <Navigate to="/dashboard" />;
 };
 
 const PublicRoute = ({ children }) => {
@@ -104,6 +119,44 @@ function AppContent() {
           </PublicRoute>
         } 
       />
+      <Route 
+        path="/forgot-password" 
+        element={
+          <PublicRoute>
+            <AppLayout.Auth>
+              <ForgotPasswordForm />
+            </AppLayout.Auth>
+          </PublicRoute>
+        } 
+      />
+      <Route 
+        path="/reset-password" 
+        element={
+          <PublicRoute>
+            <AppLayout.Auth>
+              <ResetPasswordForm />
+            </AppLayout.Auth>
+          </PublicRoute>
+        } 
+      />
+      <Route 
+        path="/accept-invitation" 
+        element={
+          <PublicRoute>
+            <AppLayout.Auth>
+              <AcceptInvitationPage />
+            </AppLayout.Auth>
+          </PublicRoute>
+        } 
+      />
+      <Route 
+        path="/verify-email" 
+        element={
+          <AppLayout.Auth>
+            <VerifyEmailPage />
+          </AppLayout.Auth>
+        } 
+      />
       <Route 
         path="/dashboard" 
         element={
@@ -128,6 +181,19 @@ function AppContent() {
           </ProtectedRoute>
         } 
       />
+      <Route path="/routes" element={<Navigate to="/routes/my" replace />} />
+      <Route 
+        path="/routes/my" 
+        element={
+          <ProtectedRoute permissions={['collections:collect']}>
+            <AppLayout>
+              <React.Suspense fallback={<PageLoadingFallback />}>
+                <MyRoutePage />
+              </React.Suspense>
+            </AppLayout>
+          </ProtectedRoute>
+        } 
+      />
       <Route 
         path="/profile" 
         element={
@@ -140,6 +206,30 @@ function AppContent() {
           </ProtectedRoute>
         } 
       />
+      <Route 
+        path="/admin/invitations" 
+        element={
+          <ProtectedRoute permissions={['users:invite']}>
+            <AppLayout>
+              <React.Suspense fallback={<PageLoadingFallback />}>
+                <InvitationsPage />
+              </React.Suspense>
+            </AppLayout>
+          </ProtectedRoute>
+        } 
+      />
+      <Route 
+        path="/admin/users" 
+        element={
+          <ProtectedRoute permissions={['users:view']}>
+            <AppLayout>
+              <React.Suspense fallback={<PageLoadingFallback />}>
+                <UsersPage />
+              </React.Suspense>
+            </AppLayout>
+          </ProtectedRoute>
+        } 
+      />
       <Route 
         path="/help" 
         element={
@@ -164,6 +254,18 @@ function AppContent() {
           </ProtectedRoute>
         } 
       />
+      <Route 
+        path="/collections/:id" 
+        element={
+          <ProtectedRoute>
+            <AppLayout>
+              <React.Suspense fallback={<PageLoadingFallback />}>
+                <CollectionDetailPage />
+              </React.Suspense>
+            </AppLayout>
+          </ProtectedRoute>
+        } 
+      />
       <Route 
         path="/settings" 
         element={
@@ -179,19 +281,18 @@ function AppContent() {
         } 
       />
       <Route 
-        path="/reports" 
+        path="/admin/reports" 
         element={
-          <ProtectedRoute>
+          <ProtectedRoute permissions={['reports:view']}>
             <AppLayout>
-              <SimplePage
-                title="Reports"
-                description="View collection reports and analytics"
-                icon="📊"
-              />
+              <React.Suspense fallback={<PageLoadingFallback />}>
+                <ReportsPage />
+              </React.Suspense>
             </AppLayout>
           </ProtectedRoute>
         } 
       />
+      <Route path="/reports" element={<Navigate to="/admin/reports" replace />} />
       <Route 
         path="/contact" 
         element={
@@ -263,9 +364,11 @@ function App() {
     <ErrorBoundary fullScreen={true}>
       <ToastProvider>
         <AuthProvider>
-          <Router>
-            <AppContent />
-          </Router>
+          <LiveUpdatesProvider>
+            <Router>
+              <AppContent />
+            </Router>
+          </LiveUpdatesProvider>
         </AuthProvider>
       </ToastProvider>
     </ErrorBoundary>
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { useToast } from './ui/Toast';
@@ -8,21 +8,47 @@ import QuickAccessMenu from './dashboard/QuickAccessMenu';
 import StatsGrid from './dashboard/StatsGrid';
 import CollectionsList from './dashboard/CollectionsList';
 import WelcomeHeader from './dashboard/WelcomeHeader';
+import { useLiveUpdates, applyCollectionEvent } from '../hooks/useLiveUpdates';
 import { theme } from '../theme';
 
 const Dashboard = () => {
-  const { user, isAdmin, isCollector, isResident } = useAuth();
+  const { user, permissions, isAdmin, isCollector, isResident } = useAuth();
   const { toast } = useToast();
   const navigate = useNavigate();
   const [collections, setCollections] = useState([]);
   const [loading, setLoading] = useState(true);
   const [dashboardData, setDashboardData] = useState(null);
   const [refreshing, setRefreshing] = useState(false);
+  const [lastUpdated, setLastUpdated] = useState(new Date());
+  const statsRefreshTimer = useRef(null);
 
   useEffect(() => {
     loadDashboardData();
   }, [user]); // eslint-disable-line react-hooks/exhaustive-deps
 
+  useEffect(() => () => clearTimeout(statsRefreshTimer.current), []);
+
+  // Stats are aggregates, so re-fetch them (debounced) instead of patching locally
+  const refreshStats = async () => {
+    try {
+      const dashboardRes = await adminAPI.getDashboard();
+      setDashboardData(dashboardRes.data.dashboard);
+      setLastUpdated(new Date());
+    } catch (error) {
+      console.error('Error refreshing dashboard stats:', error);
+    }
+  };
+
+  const { connected } = useLiveUpdates((event) => {
+    setCollections((prev) => applyCollectionEvent(prev, event, user, permissions));
+    setLastUpdated(new Date());
+
+    if (isAdmin) {
+      clearTimeout(statsRefreshTimer.current);
+      statsRefreshTimer.current = setTimeout(refreshStats, 1000);
+    }
+  }, ['collection.', 'route.']);
+
   const loadDashboardData = async (showRefreshToast = false) => {
     try {
       setLoading(!showRefreshToast);
@@ -39,6 +65,7 @@ const Dashboard = () => {
         const collectionsRes = await collectionsAPI.getAll({ limit: 10 });
         setCollections(collectionsRes.data.requests);
       }
+      setLastUpdated(new Date());
 
       if (showRefreshToast) {
         toast.success('Dashboard data refreshed');
@@ -70,7 +97,7 @@ const Dashboard = () => {
         navigate('/collections');
         break;
       case 'view-routes':
-        navigate('/routes');
+        navigate('/routes/my');
         break;
       case 'manage-users':
         navigate('/admin/users');
@@ -149,6 +176,8 @@ const Dashboard = () => {
         <StatsGrid 
           data={dashboardData}
           loading={refreshing}
+          lastUpdated={lastUpdated}
+          live={connected}
         />
       )}
 
@@ -228,7 +257,7 @@ const Dashboard = () => {
               </h3>
               <Button
                 variant="outline"
-                onClick={() => navigate('/routes')}
+                onClick={() => navigate('/routes/my')}
               >
                 View Full Route
               </Button>
@@ -282,6 +311,15 @@ const Dashboard = () => {
                 Manage Users
               </Button>
               
+              <Button
+                variant="outline"
+                onClick={() => navigate('/admin/invitations')}
+                style={{ justifyContent: 'flex-start', gap: theme.spacing[3] }}
+              >
+                <span style={{ fontSize: theme.typography.fontSize.lg }}>✉️</span>
+                Invitations
+              </Button>
+              
               <Button
                 variant="outline"
                 onClick={() => navigate('/admin/routes')}
@@ -201,7 +201,7 @@ const Footer = () => {
               style={linkStyles}
               onClick={(e) => {
                 e.preventDefault();
-                handleLinkClick('/routes');
+                handleLinkClick('/routes/my');
               }}
               onMouseEnter={(e) => e.target.style.color = theme.colors.text.inverse}
               onMouseLeave={(e) => e.target.style.color = theme.colors.gray[300]}
@@ -2,10 +2,11 @@ import React, { useState } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { Button } from './ui';
+import NotificationBell from './NotificationBell';
 import { theme } from '../theme';
 
 const Header = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, hasPermission } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   const [showMobileMenu, setShowMobileMenu] = useState(false);
@@ -33,32 +34,26 @@ const Header = () => {
     setShowUserMenu(!showUserMenu);
   };
 
-  // Role-based navigation items
+  // Navigation items, each shown to users with any of its permissions
   const getNavigationItems = () => {
     if (!user) return [];
 
-    const baseItems = [
-      { label: 'Dashboard', path: '/dashboard', roles: ['resident', 'collector', 'admin'] },
+    const onlyOwnRequests = !hasPermission('collections:view-all', 'collections:view-assigned');
+    const items = [
+      { label: 'Dashboard', path: '/dashboard' },
+      { label: 'My Routes', path: '/routes/my', permissions: ['collections:collect'] },
+      {
+        label: onlyOwnRequests ? 'My Requests' : 'Collections',
+        path: '/collections',
+        permissions: ['collections:view-own', 'collections:view-assigned', 'collections:view-all'],
+      },
+      { label: 'New Request', path: '/collections/new', permissions: ['collections:create'] },
+      { label: 'Users', path: '/admin/users', permissions: ['users:view'] },
+      { label: 'Routes', path: '/admin/routes', permissions: ['routes:view-all'] },
+      { label: 'Reports', path: '/admin/reports', permissions: ['reports:view'] },
     ];
 
-    const roleSpecificItems = {
-      resident: [
-        { label: 'My Requests', path: '/collections', roles: ['resident'] },
-        { label: 'New Request', path: '/collections/new', roles: ['resident'] },
-      ],
-      collector: [
-        { label: 'My Routes', path: '/routes', roles: ['collector'] },
-        { label: 'Collections', path: '/collections', roles: ['collector'] },
-      ],
-      admin: [
-        { label: 'Users', path: '/admin/users', roles: ['admin'] },
-        { label: 'Collections', path: '/collections', roles: ['admin'] },
-        { label: 'Routes', path: '/admin/routes', roles: ['admin'] },
-        { label: 'Reports', path: '/admin/reports', roles: ['admin'] },
-      ],
-    };
-
-    return [...baseItems, ...(roleSpecificItems[user.role] || [])];
+    return items.filter((item) => !item.permissions || hasPermission(...item.permissions));
   };
 
   const navigationItems = getNavigationItems();
@@ -288,6 +283,8 @@ const Header = () => {
               </span>
             </div>
 
+            <NotificationBell />
+
             {/* User Avatar */}
             <div
               style={avatarStyles}
@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { notificationsAPI } from '../services/api';
+import { useLiveUpdates } from '../hooks/useLiveUpdates';
+import { useLiveUpdatesContext } from '../context/LiveUpdatesContext';
+import { theme } from '../theme';
+
+const NotificationBell = () => {
+  const { unreadCount, setUnreadCount } = useLiveUpdatesContext();
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // Show new notifications straight away while the panel is open
+  useLiveUpdates((event) => {
+    setNotifications((prev) => [event.data.notification, ...prev].slice(0, 5));
+  }, ['notification.created']);
+
+  const loadNotifications = async () => {
+    try {
+      setLoading(true);
+      const response = await notificationsAPI.getAll({ limit: 5 });
+      setNotifications(response.data.notifications || []);
+      setUnreadCount(response.data.unreadCount || 0);
+    } catch (error) {
+      console.error('Error loading notifications:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const togglePanel = () => {
+    if (!open) {
+      loadNotifications();
+    }
+    setOpen(!open);
+  };
+
+  const handleMarkAllAsRead = async () => {
+    try {
+      await notificationsAPI.markAllAsRead();
+      setNotifications((prev) => prev.map((notification) => ({ ...notification, read: true })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+    }
+  };
+
+  const buttonStyles = {
+    position: 'relative',
+    width: '2.5rem',
+    height: '2.5rem',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    border: 'none',
+    borderRadius: theme.borderRadius.full,
+    backgroundColor: 'transparent',
+    fontSize: theme.typography.fontSize.xl,
+    cursor: 'pointer',
+  };
+
+  const badgeStyles = {
+    position: 'absolute',
+    top: 0,
+    right: 0,
+    minWidth: '1.25rem',
+    height: '1.25rem',
+    padding: `0 ${theme.spacing[1]}`,
+    borderRadius: theme.borderRadius.full,
+    backgroundColor: theme.colors.status.error,
+    color: theme.colors.text.inverse,
+    fontSize: theme.typography.fontSize.xs,
+    fontWeight: theme.typography.fontWeight.semibold,
+    lineHeight: '1.25rem',
+    textAlign: 'center',
+  };
+
+  const panelStyles = {
+    position: 'absolute',
+    top: '100%',
+    right: 0,
+    marginTop: theme.spacing[2],
+    width: '320px',
+    backgroundColor: theme.colors.surface.primary,
+    border: `1px solid ${theme.colors.gray[200]}`,
+    borderRadius: theme.borderRadius.lg,
+    boxShadow: theme.shadows.lg,
+    zIndex: theme.zIndex.dropdown,
+  };
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button
+        style={buttonStyles}
+        onClick={togglePanel}
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+        aria-expanded={open}
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span style={badgeStyles}>{unreadCount > 99 ? '99+' : unreadCount}</span>
+        )}
+      </button>
+
+      {open && (
+        <div style={panelStyles}>
+          <div style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            padding: theme.spacing[3],
+            borderBottom: `1px solid ${theme.colors.gray[200]}`,
+          }}>
+            <strong style={{ fontSize: theme.typography.fontSize.sm }}>Notifications</strong>
+            {unreadCount > 0 && (
+              <button
+                onClick={handleMarkAllAsRead}
+                style={{
+                  border: 'none',
+                  backgroundColor: 'transparent',
+                  color: theme.colors.primary[600],
+                  fontSize: theme.typography.fontSize.xs,
+                  cursor: 'pointer',
+                }}
+              >
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          {loading && notifications.length === 0 ? (
+            <div style={{ padding: theme.spacing[4], fontSize: theme.typography.fontSize.sm, color: theme.colors.text.secondary }}>
+              Loading...
+            </div>
+          ) : notifications.length === 0 ? (
+            <div style={{ padding: theme.spacing[4], fontSize: theme.typography.fontSize.sm, color: theme.colors.text.secondary }}>
+              No notifications yet
+            </div>
+          ) : (
+            notifications.map((notification) => (
+              <div
+                key={notification._id}
+                style={{
+                  padding: theme.spacing[3],
+                  borderBottom: `1px solid ${theme.colors.gray[100]}`,
+                  backgroundColor: notification.read ? 'transparent' : theme.colors.primary[50],
+                  fontSize: theme.typography.fontSize.sm,
+                }}
+              >
+                <div style={{ color: theme.colors.text.primary }}>{notification.message}</div>
+                <div style={{ fontSize: theme.typography.fontSize.xs, color: theme.colors.text.secondary, marginTop: theme.spacing[1] }}>
+                  {new Date(notification.createdAt).toLocaleString()}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
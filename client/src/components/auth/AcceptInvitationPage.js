@@ -0,0 +1,219 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { authAPI } from '../../services/api';
+import { useToast } from '../ui/Toast';
+import { LoadingSpinner } from '../ui';
+
+const ROLE_LABELS = {
+  resident: '🏠 Resident',
+  collector: '🚛 Waste Collector',
+  admin: '👑 Administrator'
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '12px',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  fontSize: '16px',
+  boxSizing: 'border-box'
+};
+
+const labelStyle = { display: 'block', marginBottom: '0.5rem', fontWeight: 'bold' };
+
+const AcceptInvitationPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [invitation, setInvitation] = useState(null);
+  const [loadError, setLoadError] = useState(token ? '' : 'This invitation link is incomplete.');
+  const [form, setForm] = useState({
+    username: '',
+    password: '',
+    confirmPassword: '',
+    firstName: '',
+    lastName: '',
+    phone: ''
+  });
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const { acceptInvitation } = useAuth();
+  const { toast } = useToast();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    if (!token) {
+      return;
+    }
+
+    authAPI.getInvitation(token)
+      .then((response) => setInvitation(response.data.invitation))
+      .catch((err) => setLoadError(err.response?.data?.message || 'Could not load this invitation.'));
+  }, [token]);
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (form.username.trim().length < 3) {
+      setError('Username must be at least 3 characters long');
+      return;
+    }
+
+    if (form.password.length < 6) {
+      setError('Password must be at least 6 characters long');
+      return;
+    }
+
+    if (form.password !== form.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setError('');
+    setLoading(true);
+
+    const result = await acceptInvitation({
+      token,
+      username: form.username.trim(),
+      password: form.password,
+      profile: {
+        firstName: form.firstName.trim(),
+        lastName: form.lastName.trim(),
+        phone: form.phone.trim()
+      }
+    });
+
+    setLoading(false);
+
+    if (result.success) {
+      toast.success(`Welcome to the system, ${result.user.username}! 🎉`);
+      navigate('/dashboard');
+    } else {
+      setError(result.message);
+      toast.error(result.message);
+    }
+  };
+
+  return (
+    <div style={{
+      maxWidth: '450px',
+      margin: '2rem auto',
+      padding: '2rem',
+      border: '1px solid #ddd',
+      borderRadius: '8px',
+      backgroundColor: '#fff',
+      boxShadow: '0 2px 10px rgba(0,0,0,0.1)'
+    }}>
+      <h2 style={{ textAlign: 'center', marginBottom: '1.5rem' }}>Accept Invitation</h2>
+
+      {loadError && (
+        <>
+          <p style={{ color: '#dc3545' }}>{loadError}</p>
+          <p>Ask the administrator who invited you to send a new invitation.</p>
+        </>
+      )}
+
+      {!loadError && !invitation && <LoadingSpinner size="md" text="Loading invitation..." />}
+
+      {invitation && (
+        <>
+          <div style={{
+            marginBottom: '1.5rem',
+            padding: '1rem',
+            backgroundColor: '#f8f9fa',
+            borderRadius: '4px'
+          }}>
+            <p style={{ margin: '0 0 0.5rem 0' }}>
+              {invitation.invitedBy || 'An administrator'} has invited <strong>{invitation.email}</strong> to join as{' '}
+              <strong>{ROLE_LABELS[invitation.role] || invitation.role}</strong>.
+            </p>
+            {invitation.message && <p style={{ margin: 0, fontStyle: 'italic' }}>"{invitation.message}"</p>}
+          </div>
+
+          {error && (
+            <div style={{
+              color: 'red',
+              margin: '10px 0',
+              padding: '10px',
+              backgroundColor: '#ffe6e6',
+              border: '1px solid #ff0000',
+              borderRadius: '4px'
+            }}>
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit}>
+            <div style={{ marginBottom: '1rem' }}>
+              <label style={labelStyle}>Username *</label>
+              <input name="username" value={form.username} onChange={handleChange} style={inputStyle} required />
+            </div>
+
+            <div style={{ display: 'flex', gap: '1rem', marginBottom: '1rem' }}>
+              <div style={{ flex: 1 }}>
+                <label style={labelStyle}>First name</label>
+                <input name="firstName" value={form.firstName} onChange={handleChange} style={inputStyle} />
+              </div>
+              <div style={{ flex: 1 }}>
+                <label style={labelStyle}>Last name</label>
+                <input name="lastName" value={form.lastName} onChange={handleChange} style={inputStyle} />
+              </div>
+            </div>
+
+            <div style={{ marginBottom: '1rem' }}>
+              <label style={labelStyle}>Phone</label>
+              <input name="phone" type="tel" value={form.phone} onChange={handleChange} style={inputStyle} />
+            </div>
+
+            <div style={{ marginBottom: '1rem' }}>
+              <label style={labelStyle}>Password *</label>
+              <input name="password" type="password" value={form.password} onChange={handleChange} style={inputStyle} required />
+            </div>
+
+            <div style={{ marginBottom: '1rem' }}>
+              <label style={labelStyle}>Confirm password *</label>
+              <input
+                name="confirmPassword"
+                type="password"
+                value={form.confirmPassword}
+                onChange={handleChange}
+                style={inputStyle}
+                required
+              />
+            </div>
+
+            <button
+              type="submit"
+              style={{
+                width: '100%',
+                padding: '12px',
+                margin: '8px 0',
+                backgroundColor: '#007bff',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                fontSize: '16px',
+                cursor: 'pointer'
+              }}
+              disabled={loading}
+            >
+              {loading ? 'Creating account...' : 'Create Account'}
+            </button>
+          </form>
+        </>
+      )}
+
+      <div style={{ textAlign: 'center', marginTop: '1rem' }}>
+        <Link to="/login">Already have an account? Sign in</Link>
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvitationPage;
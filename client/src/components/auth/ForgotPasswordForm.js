@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authAPI } from '../../services/api';
+import { useToast } from '../ui/Toast';
+
+const inputStyle = {
+  width: '100%',
+  padding: '12px',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  fontSize: '16px',
+  boxSizing: 'border-box'
+};
+
+const ForgotPasswordForm = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [sentMessage, setSentMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const { toast } = useToast();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      const errorMsg = 'Please enter a valid email address';
+      setError(errorMsg);
+      toast.error(errorMsg);
+      return;
+    }
+
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await authAPI.forgotPassword(email.trim().toLowerCase());
+      setSentMessage(response.data.message);
+    } catch (err) {
+      const errorMsg = err.response?.data?.message || 'Could not request a password reset. Please try again.';
+      setError(errorMsg);
+      toast.error(errorMsg);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div style={{
+      maxWidth: '400px',
+      margin: '2rem auto',
+      padding: '2rem',
+      border: '1px solid #ddd',
+      borderRadius: '8px',
+      backgroundColor: '#fff',
+      boxShadow: '0 2px 10px rgba(0,0,0,0.1)'
+    }}>
+      <h2 style={{ textAlign: 'center', marginBottom: '1rem' }}>Forgot Password</h2>
+
+      {sentMessage ? (
+        <div style={{
+          margin: '10px 0',
+          padding: '10px',
+          backgroundColor: '#e6f7ec',
+          border: '1px solid #28a745',
+          borderRadius: '4px'
+        }}>
+          {sentMessage}. Check your inbox and follow the link to choose a new password.
+        </div>
+      ) : (
+        <>
+          <p style={{ color: '#6b7280', marginBottom: '1.5rem' }}>
+            Enter the email address you signed up with and we'll send you a link to choose a new password.
+          </p>
+
+          {error && (
+            <div style={{
+              color: 'red',
+              margin: '10px 0',
+              padding: '10px',
+              backgroundColor: '#ffe6e6',
+              border: '1px solid #ff0000',
+              borderRadius: '4px'
+            }}>
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit}>
+            <div style={{ marginBottom: '1rem' }}>
+              <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold' }}>
+                Email:
+              </label>
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                style={inputStyle}
+                placeholder="Enter your email"
+                required
+              />
+            </div>
+
+            <button
+              type="submit"
+              style={{
+                width: '100%',
+                padding: '12px',
+                margin: '8px 0',
+                backgroundColor: '#007bff',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                fontSize: '16px',
+                cursor: 'pointer'
+              }}
+              disabled={loading}
+            >
+              {loading ? 'Sending...' : 'Send Reset Link'}
+            </button>
+          </form>
+        </>
+      )}
+
+      <div style={{ textAlign: 'center', marginTop: '1rem' }}>
+        <Link to="/login">Back to login</Link>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPasswordForm;
@@ -8,15 +8,17 @@ const LoginForm = () => {
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  // Set once the password is accepted for an account with two-factor on
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
   
-  const { login } = useAuth();
+  const { login, completeTwoFactorLogin } = useAuth();
   const { toast } = useToast();
   const navigate = useNavigate();
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    console.log('🔍 LOGIN DEBUG: Form submitted!', { email, password });
-    
+
     // Client-side validation with toast messages
     if (!email || !password) {
       const errorMsg = 'Please fill in all fields';
@@ -39,28 +41,28 @@ const LoginForm = () => {
     toast.info('Signing you in...');
 
     try {
-      console.log('🔍 LOGIN DEBUG: Calling login API...');
       const loginData = {
         email: email.trim().toLowerCase(),
         password
       };
       
-      console.log('🔍 LOGIN DEBUG: Login data:', loginData);
       const result = await login(loginData);
-      console.log('🔍 LOGIN DEBUG: Login result:', result);
       
-      if (result && result.success) {
-        console.log('🔍 LOGIN DEBUG: Login successful, navigating to dashboard');
+      if (result && result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+        toast.info('Enter the code from your authenticator app');
+      } else if (result && result.success && result.twoFactorSetupRequired) {
+        toast.warning('Your account requires two-factor authentication. Please set it up to continue.');
+        navigate('/profile');
+      } else if (result && result.success) {
         toast.success(`Welcome back, ${result.user.username}! 🎉`);
         navigate('/dashboard');
       } else {
-        console.log('🔍 LOGIN DEBUG: Login failed:', result?.message);
         const errorMsg = result?.message || 'Login failed';
         setError(errorMsg);
         toast.error(errorMsg);
       }
     } catch (err) {
-      console.error('🔍 LOGIN DEBUG: Login error:', err);
       let errorMsg = 'An unexpected error occurred';
       
       if (err.response) {
@@ -91,6 +93,59 @@ const LoginForm = () => {
     }
   };
 
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!code.trim()) {
+      setError('Please enter your authentication code');
+      return;
+    }
+
+    setError('');
+    setLoading(true);
+
+    const result = await completeTwoFactorLogin(challengeToken, code.trim());
+
+    setLoading(false);
+
+    if (result.success) {
+      if (result.recoveryCodesRemaining !== undefined) {
+        toast.warning(`Recovery code used. ${result.recoveryCodesRemaining} left.`);
+      }
+      toast.success(`Welcome back, ${result.user.username}! 🎉`);
+      navigate('/dashboard');
+    } else {
+      // A locked account has to start again from the password step
+      if (result.status === 423) {
+        setChallengeToken(null);
+        setCode('');
+      }
+      setError(result.message);
+      toast.error(result.message);
+    }
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '12px',
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+    fontSize: '16px',
+    boxSizing: 'border-box'
+  };
+
+  const submitStyle = {
+    width: '100%',
+    padding: '12px',
+    margin: '8px 0',
+    backgroundColor: '#007bff',
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    fontSize: '16px',
+    cursor: 'pointer'
+  };
+
   return (
     <div style={{
       maxWidth: '400px',
@@ -116,6 +171,46 @@ const LoginForm = () => {
         </div>
       )}
       
+      {challengeToken ? (
+        <form onSubmit={handleCodeSubmit}>
+          <div style={{ marginBottom: '1rem' }}>
+            <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold' }}>
+              Authentication code:
+            </label>
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              style={inputStyle}
+              placeholder="6-digit code or recovery code"
+              autoFocus
+              required
+            />
+            <p style={{ fontSize: '14px', color: '#666', margin: '0.5rem 0 0 0' }}>
+              Lost your device? Enter one of your recovery codes instead.
+            </p>
+          </div>
+
+          <button type="submit" style={submitStyle} disabled={loading}>
+            {loading ? 'Verifying...' : 'Verify'}
+          </button>
+
+          <button
+            type="button"
+            className="btn btn-secondary"
+            style={{ width: '100%' }}
+            onClick={() => {
+              setChallengeToken(null);
+              setCode('');
+              setError('');
+            }}
+          >
+            Back to login
+          </button>
+        </form>
+      ) : (
       <form onSubmit={handleSubmit}>
         <div style={{ marginBottom: '1rem' }}>
           <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold' }}>
@@ -124,10 +219,7 @@ const LoginForm = () => {
           <input
             type="email"
             value={email}
-            onChange={(e) => {
-              setEmail(e.target.value);
-              console.log('🔍 LOGIN DEBUG: Email changed:', e.target.value);
-            }}
+            onChange={(e) => setEmail(e.target.value)}
             style={{
               width: '100%',
               padding: '12px',
@@ -148,10 +240,7 @@ const LoginForm = () => {
           <input
             type="password"
             value={password}
-            onChange={(e) => {
-              setPassword(e.target.value);
-              console.log('🔍 LOGIN DEBUG: Password changed');
-            }}
+            onChange={(e) => setPassword(e.target.value)}
             style={{
               width: '100%',
               padding: '12px',
@@ -183,8 +272,13 @@ const LoginForm = () => {
           {loading ? 'Logging in...' : 'Login'}
         </button>
       </form>
+      )}
       
       <div style={{ textAlign: 'center', marginTop: '1rem' }}>
+        <Link to="/forgot-password">Forgot your password?</Link>
+      </div>
+
+      <div style={{ textAlign: 'center', marginTop: '0.5rem' }}>
         <Link to="/register">Don't have an account? Sign up</Link>
       </div>
       
@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../../services/api';
+import { useToast } from '../ui/Toast';
+
+const inputStyle = {
+  width: '100%',
+  padding: '12px',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  fontSize: '16px',
+  boxSizing: 'border-box'
+};
+
+const ResetPasswordForm = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const { toast } = useToast();
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (password.length < 6) {
+      setError('Password must be at least 6 characters long');
+      return;
+    }
+
+    if (!/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(password)) {
+      setError('Password must contain at least one lowercase letter, one uppercase letter, and one number');
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await authAPI.resetPassword(token, password);
+      toast.success(response.data.message);
+      navigate('/login');
+    } catch (err) {
+      const errorMsg = err.response?.data?.errors?.[0]?.message ||
+        err.response?.data?.message ||
+        'Could not reset your password. Please try again.';
+      setError(errorMsg);
+      toast.error(errorMsg);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div style={{
+      maxWidth: '400px',
+      margin: '2rem auto',
+      padding: '2rem',
+      border: '1px solid #ddd',
+      borderRadius: '8px',
+      backgroundColor: '#fff',
+      boxShadow: '0 2px 10px rgba(0,0,0,0.1)'
+    }}>
+      <h2 style={{ textAlign: 'center', marginBottom: '2rem' }}>Choose a New Password</h2>
+
+      {!token ? (
+        <p>
+          This reset link is incomplete. Please open the link from your email again, or{' '}
+          <Link to="/forgot-password">request a new one</Link>.
+        </p>
+      ) : (
+        <>
+          {error && (
+            <div style={{
+              color: 'red',
+              margin: '10px 0',
+              padding: '10px',
+              backgroundColor: '#ffe6e6',
+              border: '1px solid #ff0000',
+              borderRadius: '4px'
+            }}>
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit}>
+            <div style={{ marginBottom: '1rem' }}>
+              <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold' }}>
+                New password:
+              </label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                style={inputStyle}
+                placeholder="Enter a new password"
+                required
+              />
+            </div>
+
+            <div style={{ marginBottom: '1rem' }}>
+              <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold' }}>
+                Confirm password:
+              </label>
+              <input
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                style={inputStyle}
+                placeholder="Enter the password again"
+                required
+              />
+            </div>
+
+            <button
+              type="submit"
+              style={{
+                width: '100%',
+                padding: '12px',
+                margin: '8px 0',
+                backgroundColor: '#007bff',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                fontSize: '16px',
+                cursor: 'pointer'
+              }}
+              disabled={loading}
+            >
+              {loading ? 'Saving...' : 'Reset Password'}
+            </button>
+          </form>
+
+          <p style={{ color: '#6b7280', fontSize: '0.875rem' }}>
+            You'll be signed out on every device and can then log in with the new password.
+          </p>
+        </>
+      )}
+
+      <div style={{ textAlign: 'center', marginTop: '1rem' }}>
+        <Link to="/forgot-password">Need a new link?</Link>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPasswordForm;
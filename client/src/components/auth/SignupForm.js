@@ -1,18 +1,20 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useAuth } from '../../context/AuthContext';
 import { useNavigate, Link } from 'react-router-dom';
 import { useToast } from '../ui/Toast';
+import { organizationsAPI } from '../../services/api';
 
 const SignupForm = () => {
   const [username, setUsername] = useState('');
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
-  const [role, setRole] = useState('resident');
   const [firstName, setFirstName] = useState('');
   const [lastName, setLastName] = useState('');
   const [phone, setPhone] = useState('');
   const [address, setAddress] = useState('');
+  const [organization, setOrganization] = useState('');
+  const [organizations, setOrganizations] = useState([]);
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const [step, setStep] = useState(1);
@@ -21,9 +23,14 @@ const SignupForm = () => {
   const { toast } = useToast();
   const navigate = useNavigate();
 
+  // Deployments serving several towns let residents pick theirs
+  useEffect(() => {
+    organizationsAPI.getPublic()
+      .then(response => setOrganizations(response.data.organizations || []))
+      .catch(() => setOrganizations([]));
+  }, []);
+
   const handleNextStep = () => {
-    console.log('🔍 REGISTER DEBUG: Moving to step 2');
-    
     // Validate step 1
     if (!username || !email || !password || !confirmPassword) {
       const errorMsg = 'Please fill in all required fields';
@@ -68,19 +75,16 @@ const SignupForm = () => {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    console.log('🔍 REGISTER DEBUG: Form submitted!', { username, email, password, role, firstName, lastName, phone, address });
-    
     setError('');
     setLoading(true);
     toast.info('Creating your account...');
 
     try {
-      console.log('🔍 REGISTER DEBUG: Calling register API...');
       const registrationData = {
         username: username.trim(),
         email: email.trim().toLowerCase(),
         password,
-        role,
+        ...(organization && { organization }),
         profile: {
           firstName: firstName.trim(),
           lastName: lastName.trim(),
@@ -89,22 +93,20 @@ const SignupForm = () => {
         }
       };
       
-      console.log('🔍 REGISTER DEBUG: Registration data:', registrationData);
       const result = await register(registrationData);
-      console.log('🔍 REGISTER DEBUG: Register result:', result);
       
       if (result && result.success) {
-        console.log('🔍 REGISTER DEBUG: Registration successful, navigating to dashboard');
         toast.success(`Welcome to the system, ${result.user.username}! 🎉`);
+        if (result.verificationEmailSent) {
+          toast.info(`We've sent a link to ${result.user.email} to confirm your email address.`);
+        }
         navigate('/dashboard');
       } else {
-        console.log('🔍 REGISTER DEBUG: Registration failed:', result?.message);
         const errorMsg = result?.message || 'Registration failed';
         setError(errorMsg);
         toast.error(errorMsg);
       }
     } catch (err) {
-      console.error('🔍 REGISTER DEBUG: Registration error:', err);
       let errorMsg = 'An unexpected error occurred';
       
       if (err.response) {
@@ -113,8 +115,6 @@ const SignupForm = () => {
         const serverData = err.response.data;
         const serverMessage = serverData?.message || serverData?.error;
         
-        console.log('🔍 REGISTER DEBUG: Server response data:', serverData);
-        
         if (status === 400) {
           // Show specific validation errors if available
           if (serverData?.errors && Array.isArray(serverData.errors)) {
@@ -219,10 +219,7 @@ const SignupForm = () => {
               <input
                 type="text"
                 value={username}
-                onChange={(e) => {
-                  setUsername(e.target.value);
-                  console.log('🔍 REGISTER DEBUG: Username changed:', e.target.value);
-                }}
+                onChange={(e) => setUsername(e.target.value)}
                 style={{
                   width: '100%',
                   padding: '12px',
@@ -243,10 +240,7 @@ const SignupForm = () => {
               <input
                 type="email"
                 value={email}
-                onChange={(e) => {
-                  setEmail(e.target.value);
-                  console.log('🔍 REGISTER DEBUG: Email changed:', e.target.value);
-                }}
+                onChange={(e) => setEmail(e.target.value)}
                 style={{
                   width: '100%',
                   padding: '12px',
@@ -267,10 +261,7 @@ const SignupForm = () => {
               <input
                 type="password"
                 value={password}
-                onChange={(e) => {
-                  setPassword(e.target.value);
-                  console.log('🔍 REGISTER DEBUG: Password changed');
-                }}
+                onChange={(e) => setPassword(e.target.value)}
                 style={{
                   width: '100%',
                   padding: '12px',
@@ -291,10 +282,7 @@ const SignupForm = () => {
               <input
                 type="password"
                 value={confirmPassword}
-                onChange={(e) => {
-                  setConfirmPassword(e.target.value);
-                  console.log('🔍 REGISTER DEBUG: Confirm password changed');
-                }}
+                onChange={(e) => setConfirmPassword(e.target.value)}
                 style={{
                   width: '100%',
                   padding: '12px',
@@ -309,38 +297,15 @@ const SignupForm = () => {
             </div>
             
             <div style={{ marginBottom: '1rem' }}>
-              <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold' }}>
-                Account Type *
-              </label>
-              <select
-                value={role}
-                onChange={(e) => {
-                  setRole(e.target.value);
-                  console.log('🔍 REGISTER DEBUG: Role changed:', e.target.value);
-                }}
-                style={{
-                  width: '100%',
-                  padding: '12px',
-                  border: '1px solid #ddd',
-                  borderRadius: '4px',
-                  fontSize: '16px',
-                  boxSizing: 'border-box',
-                  cursor: 'pointer'
-                }}
-                required
-              >
-                <option value="resident">🏠 Resident</option>
-                <option value="collector">🚛 Waste Collector</option>
-              </select>
               <div style={{
                 fontSize: '14px',
                 color: '#666',
-                marginTop: '5px'
+                padding: '10px',
+                backgroundColor: '#f8f9fa',
+                borderRadius: '4px'
               }}>
-                {role === 'resident' 
-                  ? '🏠 Request waste collection services and track pickup status'
-                  : '🚛 Manage collection routes and update pickup status'
-                }
+                🏠 You are signing up as a resident to request waste collection and track pickups.
+                Collectors and administrators join through an invitation from an administrator.
               </div>
             </div>
             
@@ -448,6 +413,31 @@ const SignupForm = () => {
                 rows="3"
               />
             </div>
+
+            {organizations.length > 0 && (
+              <div style={{ marginBottom: '1rem' }}>
+                <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold' }}>
+                  Service Provider
+                </label>
+                <select
+                  value={organization}
+                  onChange={(e) => setOrganization(e.target.value)}
+                  style={{
+                    width: '100%',
+                    padding: '12px',
+                    border: '1px solid #ddd',
+                    borderRadius: '4px',
+                    fontSize: '16px',
+                    boxSizing: 'border-box'
+                  }}
+                >
+                  <option value="">Select your town or provider</option>
+                  {organizations.map(item => (
+                    <option key={item.slug} value={item.slug}>{item.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
             
             <div style={{ display: 'flex', gap: '1rem' }}>
               <button 
@@ -0,0 +1,103 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { authAPI } from '../../services/api';
+import { LoadingSpinner } from '../ui';
+
+const VerifyEmailPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+  const [resending, setResending] = useState(false);
+  // Links are single-use, so the token must only be sent once
+  const requestedRef = useRef(false);
+
+  const { user, isAuthenticated, updateUser } = useAuth();
+
+  useEffect(() => {
+    if (!token || requestedRef.current) {
+      return;
+    }
+    requestedRef.current = true;
+
+    authAPI.verifyEmail(token)
+      .then((response) => {
+        setStatus('verified');
+        setMessage(response.data.message);
+        if (user && response.data.user._id === user._id) {
+          updateUser(response.data.user);
+        }
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.response?.data?.message || 'Could not verify your email address.');
+      });
+  }, [token, user, updateUser]);
+
+  const handleResend = async () => {
+    setResending(true);
+    try {
+      const response = await authAPI.resendVerification();
+      setMessage(response.data.message);
+    } catch (err) {
+      setMessage(err.response?.data?.message || 'Could not send a new verification email.');
+    } finally {
+      setResending(false);
+    }
+  };
+
+  return (
+    <div style={{
+      maxWidth: '400px',
+      margin: '2rem auto',
+      padding: '2rem',
+      border: '1px solid #ddd',
+      borderRadius: '8px',
+      backgroundColor: '#fff',
+      boxShadow: '0 2px 10px rgba(0,0,0,0.1)',
+      textAlign: 'center'
+    }}>
+      <h2 style={{ marginBottom: '1.5rem' }}>Email Verification</h2>
+
+      {status === 'verifying' && <LoadingSpinner size="md" text="Verifying your email address..." />}
+
+      {status === 'verified' && (
+        <>
+          <p style={{ color: '#28a745', fontWeight: 'bold' }}>✅ {message}</p>
+          <Link to={isAuthenticated ? '/dashboard' : '/login'}>
+            {isAuthenticated ? 'Go to your dashboard' : 'Log in'}
+          </Link>
+        </>
+      )}
+
+      {status === 'error' && (
+        <>
+          <p style={{ color: '#dc3545' }}>{message}</p>
+          {isAuthenticated && !user?.emailVerified ? (
+            <button
+              type="button"
+              onClick={handleResend}
+              disabled={resending}
+              style={{
+                padding: '10px 16px',
+                backgroundColor: '#007bff',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer'
+              }}
+            >
+              {resending ? 'Sending...' : 'Send a new link'}
+            </button>
+          ) : (
+            <Link to="/login">Log in to request a new link</Link>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
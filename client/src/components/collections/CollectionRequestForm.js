@@ -1,7 +1,23 @@
 import React, { useState } from 'react';
-import { collectionsAPI } from '../../services/api';
+import { addressesAPI, authAPI, collectionsAPI, schedulesAPI } from '../../services/api';
 
-const CollectionRequestForm = ({ onSuccess }) => {
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const tomorrow = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  return date.toISOString().slice(0, 10);
+};
+
+const initialSchedule = () => ({
+  frequency: 'weekly',
+  dayOfWeek: String(new Date().getDay()),
+  dayOfMonth: '1',
+  startDate: tomorrow(),
+  endDate: ''
+});
+
+const CollectionRequestForm = ({ onSuccess, onScheduleCreated }) => {
   const [formData, setFormData] = useState({
     wasteCategory: 'general',
     pickupLocation: {
@@ -14,12 +30,53 @@ const CollectionRequestForm = ({ onSuccess }) => {
     },
     notes: ''
   });
+  const [requestType, setRequestType] = useState('one-off');
+  const [schedule, setSchedule] = useState(initialSchedule);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  // Set when the server refuses requests until the resident verifies their email
+  const [needsVerification, setNeedsVerification] = useState(false);
+  // Result of looking the typed address up, shown under the address field
+  const [addressLookup, setAddressLookup] = useState(null);
+
+  const handleResendVerification = async () => {
+    try {
+      const response = await authAPI.resendVerification();
+      setError(response.data.message);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to send verification email');
+    }
+  };
+
+  const handleAddressBlur = async () => {
+    const address = formData.pickupLocation.address.trim();
+    if (address.length < 5) {
+      setAddressLookup(null);
+      return;
+    }
+    try {
+      const response = await addressesAPI.geocode(address);
+      setAddressLookup(response.data);
+    } catch (error) {
+      setAddressLookup(null);
+    }
+  };
+
+  const handleScheduleChange = (e) => {
+    const { name, value } = e.target;
+    setSchedule({
+      ...schedule,
+      [name]: value
+    });
+  };
 
   const handleChange = (e) => {
     const { name, value } = e.target;
     
+    if (name === 'pickupLocation.address') {
+      setAddressLookup(null);
+    }
+
     if (name.startsWith('pickupLocation.')) {
       const field = name.split('.')[1];
       if (field === 'lat' || field === 'lng') {
@@ -53,6 +110,7 @@ const CollectionRequestForm = ({ onSuccess }) => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setNeedsVerification(false);
     setLoading(true);
 
     try {
@@ -65,6 +123,25 @@ const CollectionRequestForm = ({ onSuccess }) => {
         requestData.pickupLocation.coordinates.lng = parseFloat(requestData.pickupLocation.coordinates.lng);
       }
 
+      if (requestType === 'recurring') {
+        const response = await schedulesAPI.create({
+          ...requestData,
+          frequency: schedule.frequency,
+          dayOfWeek: schedule.frequency === 'monthly' ? undefined : parseInt(schedule.dayOfWeek),
+          dayOfMonth: schedule.frequency === 'monthly' ? parseInt(schedule.dayOfMonth) : undefined,
+          startDate: schedule.startDate,
+          endDate: schedule.endDate || undefined
+        });
+
+        if (response.data.success) {
+          setSchedule(initialSchedule());
+          if (onScheduleCreated) {
+            onScheduleCreated(response.data.schedule, response.data.generated);
+          }
+        }
+        return;
+      }
+
       const response = await collectionsAPI.create(requestData);
       
       if (response.data.success) {
@@ -78,13 +155,18 @@ const CollectionRequestForm = ({ onSuccess }) => {
           },
           notes: ''
         });
+        setAddressLookup(null);
         
         if (onSuccess) {
           onSuccess(response.data.request);
         }
       }
     } catch (error) {
-      setError(error.response?.data?.message || 'Failed to create collection request');
+      const fallback = requestType === 'recurring'
+        ? 'Failed to create recurring schedule'
+        : 'Failed to create collection request';
+      setError(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || fallback);
+      setNeedsVerification(error.response?.data?.emailVerified === false);
     } finally {
       setLoading(false);
     }
@@ -95,6 +177,115 @@ const CollectionRequestForm = ({ onSuccess }) => {
       <h3>Request Waste Collection</h3>
       
       {error && <div className="error">{error}</div>}
+      {needsVerification && (
+        <button type="button" className="btn btn-secondary" onClick={handleResendVerification}>
+          Resend verification email
+        </button>
+      )}
+
+      <fieldset className="form-group">
+        <legend>Request Type</legend>
+        <label>
+          <input
+            type="radio"
+            name="requestType"
+            value="one-off"
+            checked={requestType === 'one-off'}
+            onChange={(e) => setRequestType(e.target.value)}
+          />
+          One-off collection
+        </label>
+        <label>
+          <input
+            type="radio"
+            name="requestType"
+            value="recurring"
+            checked={requestType === 'recurring'}
+            onChange={(e) => setRequestType(e.target.value)}
+          />
+          Recurring collection
+        </label>
+      </fieldset>
+
+      {requestType === 'recurring' && (
+        <>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="frequency">Frequency</label>
+              <select
+                id="frequency"
+                name="frequency"
+                value={schedule.frequency}
+                onChange={handleScheduleChange}
+                required
+              >
+                <option value="weekly">Every week</option>
+                <option value="biweekly">Every two weeks</option>
+                <option value="monthly">Every month</option>
+              </select>
+            </div>
+
+            {schedule.frequency === 'monthly' ? (
+              <div className="form-group">
+                <label htmlFor="dayOfMonth">Day of Month</label>
+                <select
+                  id="dayOfMonth"
+                  name="dayOfMonth"
+                  value={schedule.dayOfMonth}
+                  onChange={handleScheduleChange}
+                  required
+                >
+                  {Array.from({ length: 28 }, (_, i) => (
+                    <option key={i + 1} value={i + 1}>{i + 1}</option>
+                  ))}
+                </select>
+              </div>
+            ) : (
+              <div className="form-group">
+                <label htmlFor="dayOfWeek">Collection Day</label>
+                <select
+                  id="dayOfWeek"
+                  name="dayOfWeek"
+                  value={schedule.dayOfWeek}
+                  onChange={handleScheduleChange}
+                  required
+                >
+                  {WEEKDAYS.map((day, index) => (
+                    <option key={day} value={index}>{day}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="startDate">Starting From</label>
+              <input
+                type="date"
+                id="startDate"
+                name="startDate"
+                value={schedule.startDate}
+                onChange={handleScheduleChange}
+                min={new Date().toISOString().slice(0, 10)}
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="endDate">Until (Optional)</label>
+              <input
+                type="date"
+                id="endDate"
+                name="endDate"
+                value={schedule.endDate}
+                onChange={handleScheduleChange}
+                min={schedule.startDate}
+              />
+            </div>
+          </div>
+        </>
+      )}
       
       <div className="form-group">
         <label htmlFor="wasteCategory">Waste Category</label>
@@ -119,10 +310,18 @@ const CollectionRequestForm = ({ onSuccess }) => {
           name="pickupLocation.address"
           value={formData.pickupLocation.address}
           onChange={handleChange}
+          onBlur={handleAddressBlur}
           required
           rows="3"
           placeholder="Enter the full pickup address"
         />
+        {addressLookup && (
+          <div className={addressLookup.found ? 'success' : 'error'}>
+            {addressLookup.found
+              ? `Address found: ${addressLookup.match.address}`
+              : "We couldn't find this address, so our team will place it on the map. Add the coordinates below to skip the wait."}
+          </div>
+        )}
       </div>
 
       <div className="form-row">
@@ -184,7 +383,7 @@ const CollectionRequestForm = ({ onSuccess }) => {
         className="btn btn-primary"
         disabled={loading}
       >
-        {loading ? 'Submitting...' : 'Submit Request'}
+        {loading ? 'Submitting...' : requestType === 'recurring' ? 'Start Recurring Collection' : 'Submit Request'}
       </button>
     </form>
   );
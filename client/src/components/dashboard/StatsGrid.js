@@ -2,7 +2,7 @@ import React from 'react';
 import { Card } from '../ui';
 import { theme } from '../../theme';
 
-const StatsGrid = ({ data, loading = false }) => {
+const StatsGrid = ({ data, loading = false, lastUpdated, live = false }) => {
   const gridStyles = {
     display: 'grid',
     gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))',
@@ -136,10 +136,24 @@ const StatsGrid = ({ data, loading = false }) => {
           System Overview
         </h2>
         <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: theme.spacing[2],
           fontSize: theme.typography.fontSize.sm,
           color: theme.colors.text.secondary,
         }}>
-          Last updated: {new Date().toLocaleTimeString()}
+          {live && (
+            <span
+              title="Receiving live updates"
+              style={{
+                width: '0.5rem',
+                height: '0.5rem',
+                borderRadius: '50%',
+                backgroundColor: theme.colors.secondary[500],
+              }}
+            />
+          )}
+          Last updated: {(lastUpdated || new Date()).toLocaleTimeString()}
         </div>
       </div>
 
@@ -0,0 +1,298 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useToast } from '../ui/Toast';
+import { collectionsAPI, notificationsAPI } from '../../services/api';
+import { Button, Card, LoadingSpinner } from '../ui';
+import { useLiveUpdates } from '../../hooks/useLiveUpdates';
+import { theme } from '../../theme';
+
+const getStatusColor = (status) => {
+  const colors = {
+    pending: theme.colors.status.warning,
+    assigned: theme.colors.status.info,
+    'in-progress': theme.colors.primary[600],
+    completed: theme.colors.status.success,
+    cancelled: theme.colors.status.error,
+  };
+  return colors[status] || theme.colors.gray[500];
+};
+
+// Assignment needs a collector, so it is done from the assignment screens rather than here
+const STATUS_ACTIONS = {
+  'in-progress': { label: '🚛 Start Collection', variant: 'primary' },
+  completed: { label: '✅ Mark Completed', variant: 'primary' },
+  cancelled: { label: 'Cancel Request', variant: 'danger' },
+  pending: { label: '↩️ Reopen', variant: 'outline', needsReason: true },
+};
+
+const CollectionDetailPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const [collection, setCollection] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [allowedTransitions, setAllowedTransitions] = useState([]);
+  const [reason, setReason] = useState('');
+  const [updating, setUpdating] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadHistory = useCallback(async (showLoading = true) => {
+    try {
+      setLoading(showLoading);
+      const [response, detailResponse] = await Promise.all([
+        notificationsAPI.getHistory(id),
+        collectionsAPI.getById(id),
+      ]);
+      setCollection(response.data.collection);
+      setHistory(response.data.statusHistory || []);
+      setAllowedTransitions(detailResponse.data.allowedTransitions || []);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading collection history:', err);
+      const message = err.response?.data?.message || 'Failed to load collection request';
+      setError(message);
+      if (showLoading) {
+        toast.error(message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [id, toast]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  // Re-fetch the timeline when this request changes elsewhere
+  useLiveUpdates((event) => {
+    if (event.data?.collection?._id === id) {
+      loadHistory(false);
+    }
+  }, ['collection.']);
+
+  const handleStatusChange = async (status) => {
+    try {
+      setUpdating(true);
+      await collectionsAPI.update(id, { status, reason: reason.trim() || undefined });
+      setReason('');
+      toast.success('Collection status updated');
+      await loadHistory(false);
+    } catch (err) {
+      console.error('Error updating collection status:', err);
+      toast.error(err.response?.data?.message || 'Failed to update collection status');
+      // The request may have moved on in the meantime, so refresh what is allowed
+      if (err.response?.status === 409) {
+        setAllowedTransitions(err.response.data.allowedTransitions || []);
+      }
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const actions = allowedTransitions.filter((status) => STATUS_ACTIONS[status]);
+  const reasonRequired = actions.some((status) => STATUS_ACTIONS[status].needsReason);
+
+  const titleStyles = {
+    fontSize: theme.typography.fontSize['2xl'],
+    fontWeight: theme.typography.fontWeight.bold,
+    color: theme.colors.text.primary,
+    margin: 0,
+  };
+
+  const sectionTitleStyles = {
+    fontSize: theme.typography.fontSize.lg,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+    margin: 0,
+    marginBottom: theme.spacing[4],
+  };
+
+  const detailRowStyles = {
+    display: 'flex',
+    gap: theme.spacing[2],
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+    marginBottom: theme.spacing[2],
+  };
+
+  const statusBadgeStyles = (status) => ({
+    display: 'inline-flex',
+    padding: `${theme.spacing[1]} ${theme.spacing[2]}`,
+    backgroundColor: `${getStatusColor(status)}20`,
+    color: getStatusColor(status),
+    borderRadius: theme.borderRadius.full,
+    fontSize: theme.typography.fontSize.xs,
+    fontWeight: theme.typography.fontWeight.semibold,
+    textTransform: 'uppercase',
+    letterSpacing: '0.05em',
+  });
+
+  const timelineItemStyles = {
+    position: 'relative',
+    paddingLeft: theme.spacing[6],
+    paddingBottom: theme.spacing[4],
+    borderLeft: `2px solid ${theme.colors.gray[200]}`,
+  };
+
+  const timelineDotStyles = (status) => ({
+    position: 'absolute',
+    left: '-7px',
+    top: '2px',
+    width: '12px',
+    height: '12px',
+    borderRadius: theme.borderRadius.full,
+    backgroundColor: getStatusColor(status),
+  });
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error && !collection) {
+    return (
+      <Card variant="outlined" padding="lg">
+        <p style={{ color: theme.colors.text.secondary, marginTop: 0 }}>{error}</p>
+        <Button variant="outline" onClick={() => navigate('/collections')}>
+          ← Back to Collections
+        </Button>
+      </Card>
+    );
+  }
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: theme.spacing[6] }}>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        flexWrap: 'wrap',
+        gap: theme.spacing[4],
+      }}>
+        <h1 style={titleStyles}>Collection Request</h1>
+        <Button variant="outline" onClick={() => navigate('/collections')}>
+          ← Back to Collections
+        </Button>
+      </div>
+
+      <Card variant="elevated" padding="lg">
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: theme.spacing[4] }}>
+          <h2 style={{ ...sectionTitleStyles, marginBottom: 0, textTransform: 'capitalize' }}>
+            {collection.wasteCategory} waste
+          </h2>
+          <span style={statusBadgeStyles(collection.status)}>{collection.status}</span>
+        </div>
+
+        <div style={detailRowStyles}>
+          <span>📍</span>
+          <span>{collection.pickupLocation?.address}</span>
+        </div>
+        {collection.requesterId?.username && (
+          <div style={detailRowStyles}>
+            <span>👤</span>
+            <span>Requested by {collection.requesterId.username}</span>
+          </div>
+        )}
+        {collection.assignedCollector?.username && (
+          <div style={detailRowStyles}>
+            <span>🚛</span>
+            <span>Collector: {collection.assignedCollector.username}</span>
+          </div>
+        )}
+        {collection.scheduledDate && (
+          <div style={detailRowStyles}>
+            <span>📅</span>
+            <span>Scheduled for {new Date(collection.scheduledDate).toLocaleDateString()}</span>
+          </div>
+        )}
+        {collection.notes && (
+          <div style={detailRowStyles}>
+            <span>📝</span>
+            <span>{collection.notes}</span>
+          </div>
+        )}
+
+        {actions.length > 0 && (
+          <div style={{
+            marginTop: theme.spacing[4],
+            paddingTop: theme.spacing[4],
+            borderTop: `1px solid ${theme.colors.gray[200]}`,
+          }}>
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder={reasonRequired ? 'Reason (required to reopen)' : 'Reason (optional)'}
+              maxLength={500}
+              aria-label="Reason for status change"
+              style={{
+                width: '100%',
+                boxSizing: 'border-box',
+                padding: `${theme.spacing[2]} ${theme.spacing[3]}`,
+                border: `1px solid ${theme.colors.gray[300]}`,
+                borderRadius: theme.borderRadius.md,
+                fontSize: theme.typography.fontSize.sm,
+                marginBottom: theme.spacing[3],
+              }}
+            />
+            <div style={{ display: 'flex', gap: theme.spacing[3], flexWrap: 'wrap' }}>
+              {actions.map((status) => (
+                <Button
+                  key={status}
+                  variant={STATUS_ACTIONS[status].variant}
+                  onClick={() => handleStatusChange(status)}
+                  disabled={updating || (STATUS_ACTIONS[status].needsReason && !reason.trim())}
+                >
+                  {STATUS_ACTIONS[status].label}
+                </Button>
+              ))}
+            </div>
+          </div>
+        )}
+      </Card>
+
+      <Card variant="elevated" padding="lg">
+        <h2 style={sectionTitleStyles}>Status History</h2>
+
+        <ol style={{ listStyle: 'none', margin: 0, padding: 0, marginLeft: theme.spacing[2] }}>
+          {history.map((entry, index) => (
+            <li
+              key={`${entry.timestamp}-${index}`}
+              style={{
+                ...timelineItemStyles,
+                ...(index === history.length - 1 && { borderLeftColor: 'transparent' }),
+              }}
+            >
+              <span style={timelineDotStyles(entry.status)} />
+              <div style={{
+                fontSize: theme.typography.fontSize.sm,
+                fontWeight: theme.typography.fontWeight.medium,
+                color: theme.colors.text.primary,
+              }}>
+                {entry.description}
+              </div>
+              <div style={{ fontSize: theme.typography.fontSize.xs, color: theme.colors.text.secondary, marginTop: theme.spacing[1] }}>
+                {entry.timestamp ? new Date(entry.timestamp).toLocaleString() : 'Date unknown'}
+                {entry.actor?.username && ` · by ${entry.actor.username}`}
+                {entry.role && ` (${entry.role})`}
+                {entry.inferred && ' · estimated'}
+              </div>
+              {entry.reason && (
+                <div style={{
+                  fontSize: theme.typography.fontSize.sm,
+                  color: theme.colors.text.secondary,
+                  marginTop: theme.spacing[1],
+                  fontStyle: 'italic',
+                }}>
+                  "{entry.reason}"
+                </div>
+              )}
+            </li>
+          ))}
+        </ol>
+      </Card>
+    </div>
+  );
+};
+
+export default CollectionDetailPage;
@@ -5,10 +5,11 @@ import { useToast } from '../ui/Toast';
 import { collectionsAPI } from '../../services/api';
 import { Button, Card } from '../ui';
 import CollectionsList from '../dashboard/CollectionsList';
+import { useLiveUpdates, applyCollectionEvent } from '../../hooks/useLiveUpdates';
 import { theme } from '../../theme';
 
 const CollectionsPage = () => {
-  const { user } = useAuth();
+  const { user, permissions } = useAuth();
   const { toast } = useToast();
   const navigate = useNavigate();
   const [collections, setCollections] = useState([]);
@@ -24,6 +25,15 @@ const CollectionsPage = () => {
     loadCollections();
   }, [filters]);
 
+  // Keep the list current as collections change elsewhere
+  useLiveUpdates((event) => {
+    const matchesFilters = (collection) =>
+      (!filters.status || collection.status === filters.status) &&
+      (!filters.wasteCategory || collection.wasteCategory === filters.wasteCategory);
+
+    setCollections((prev) => applyCollectionEvent(prev, event, user, permissions, matchesFilters));
+  }, ['collection.']);
+
   const loadCollections = async () => {
     try {
       setLoading(true);
@@ -109,7 +119,8 @@ const CollectionsPage = () => {
   };
 
   return (
-    <div style={headerStyles}>
+    <div>
+      <div style={headerStyles}>
         <h1 style={titleStyles}>{getPageTitle()}</h1>
         <div style={{ display: 'flex', gap: theme.spacing[3] }}>
           {user?.role === 'resident' && (
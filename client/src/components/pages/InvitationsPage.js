@@ -0,0 +1,272 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useToast } from '../ui/Toast';
+import { adminAPI } from '../../services/api';
+import { Button, Card, LoadingSpinner } from '../ui';
+import { theme } from '../../theme';
+
+const STATUS_COLORS = {
+  pending: theme.colors.status.warning,
+  accepted: theme.colors.status.success,
+  revoked: theme.colors.status.error,
+  expired: theme.colors.gray[500],
+};
+
+const EMPTY_FORM = { email: '', role: 'collector', message: '' };
+
+const InvitationsPage = () => {
+  const { toast } = useToast();
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState('pending');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [sending, setSending] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [customRoles, setCustomRoles] = useState([]);
+
+  const loadInvitations = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await adminAPI.getInvitations({ status: status || undefined, limit: 50 });
+      setInvitations(response.data.invitations || []);
+    } catch (error) {
+      console.error('Error loading invitations:', error);
+      toast.error(error.response?.data?.message || 'Failed to load invitations');
+    } finally {
+      setLoading(false);
+    }
+  }, [status, toast]);
+
+  useEffect(() => {
+    loadInvitations();
+  }, [loadInvitations]);
+
+  useEffect(() => {
+    adminAPI.getRoles()
+      .then(response => setCustomRoles((response.data.roles || []).filter(role => !role.builtIn)))
+      .catch(error => console.error('Error loading roles:', error));
+  }, []);
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSending(true);
+      const response = await adminAPI.createInvitation({
+        email: form.email.trim(),
+        role: form.role,
+        message: form.message.trim() || undefined,
+      });
+
+      if (response.data.emailSent) {
+        toast.success(response.data.message);
+      } else {
+        toast.warning(response.data.message);
+      }
+      setForm(EMPTY_FORM);
+      loadInvitations();
+    } catch (error) {
+      const errors = error.response?.data?.errors;
+      toast.error(errors?.[0]?.message || error.response?.data?.message || 'Failed to send invitation');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleAction = async (invitation, action) => {
+    try {
+      setBusyId(invitation._id);
+      const response = action === 'resend'
+        ? await adminAPI.resendInvitation(invitation._id)
+        : await adminAPI.revokeInvitation(invitation._id);
+      toast.success(response.data.message);
+      loadInvitations();
+    } catch (error) {
+      toast.error(error.response?.data?.message || `Failed to ${action} invitation`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const labelStyles = {
+    display: 'block',
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.text.primary,
+    marginBottom: theme.spacing[1],
+  };
+
+  const inputStyles = {
+    width: '100%',
+    padding: `${theme.spacing[2]} ${theme.spacing[3]}`,
+    border: `1px solid ${theme.colors.gray[300]}`,
+    borderRadius: theme.borderRadius.md,
+    fontSize: theme.typography.fontSize.sm,
+    backgroundColor: theme.colors.surface.primary,
+    color: theme.colors.text.primary,
+    boxSizing: 'border-box',
+  };
+
+  const badgeStyles = (value) => ({
+    display: 'inline-block',
+    padding: `${theme.spacing[1]} ${theme.spacing[2]}`,
+    borderRadius: theme.borderRadius.full,
+    fontSize: theme.typography.fontSize.xs,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.text.inverse,
+    backgroundColor: STATUS_COLORS[value] || theme.colors.gray[500],
+    textTransform: 'capitalize',
+  });
+
+  return (
+    <div>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: theme.spacing[6],
+        flexWrap: 'wrap',
+        gap: theme.spacing[4],
+      }}>
+        <h1 style={{
+          fontSize: theme.typography.fontSize['2xl'],
+          fontWeight: theme.typography.fontWeight.bold,
+          color: theme.colors.text.primary,
+          margin: 0,
+        }}>
+          Invitations
+        </h1>
+        <Button variant="outline" onClick={loadInvitations} disabled={loading}>
+          🔄 Refresh
+        </Button>
+      </div>
+
+      {/* Invite form */}
+      <Card variant="outlined" padding="md" style={{ marginBottom: theme.spacing[6] }}>
+        <form onSubmit={handleInvite}>
+          <div style={{ display: 'flex', gap: theme.spacing[4], flexWrap: 'wrap', marginBottom: theme.spacing[4] }}>
+            <div style={{ flex: '2 1 240px' }}>
+              <label style={labelStyles} htmlFor="invite-email">Email</label>
+              <input
+                id="invite-email"
+                name="email"
+                type="email"
+                value={form.email}
+                onChange={handleChange}
+                style={inputStyles}
+                required
+              />
+            </div>
+            <div style={{ flex: '1 1 160px' }}>
+              <label style={labelStyles} htmlFor="invite-role">Role</label>
+              <select id="invite-role" name="role" value={form.role} onChange={handleChange} style={inputStyles}>
+                <option value="collector">Waste Collector</option>
+                <option value="admin">Administrator</option>
+                <option value="resident">Resident</option>
+                {customRoles.map(role => (
+                  <option key={role.name} value={role.name}>{role.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div style={{ marginBottom: theme.spacing[4] }}>
+            <label style={labelStyles} htmlFor="invite-message">Message (optional)</label>
+            <textarea
+              id="invite-message"
+              name="message"
+              value={form.message}
+              onChange={handleChange}
+              maxLength={500}
+              rows={2}
+              style={inputStyles}
+            />
+          </div>
+          <Button type="submit" variant="primary" loading={sending} disabled={sending}>
+            ✉️ Send Invitation
+          </Button>
+        </form>
+      </Card>
+
+      {/* Filter */}
+      <div style={{ marginBottom: theme.spacing[4] }}>
+        <label style={labelStyles} htmlFor="invite-status">Status</label>
+        <select
+          id="invite-status"
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          style={{ ...inputStyles, width: 'auto', minWidth: '150px' }}
+        >
+          <option value="">All Statuses</option>
+          <option value="pending">Pending</option>
+          <option value="accepted">Accepted</option>
+          <option value="revoked">Revoked</option>
+          <option value="expired">Expired</option>
+        </select>
+      </div>
+
+      {/* Invitations list */}
+      {loading ? (
+        <LoadingSpinner size="md" text="Loading invitations..." />
+      ) : invitations.length === 0 ? (
+        <Card variant="outlined" padding="lg">
+          <p style={{ margin: 0, textAlign: 'center', color: theme.colors.text.secondary }}>
+            No invitations found.
+          </p>
+        </Card>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: theme.spacing[3] }}>
+          {invitations.map((invitation) => (
+            <Card key={invitation._id} variant="outlined" padding="md">
+              <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                flexWrap: 'wrap',
+                gap: theme.spacing[3],
+              }}>
+                <div>
+                  <div style={{ fontWeight: theme.typography.fontWeight.semibold }}>
+                    {invitation.email}{' '}
+                    <span style={badgeStyles(invitation.status)}>{invitation.status}</span>
+                  </div>
+                  <div style={{ fontSize: theme.typography.fontSize.sm, color: theme.colors.text.secondary }}>
+                    Role: {invitation.role}
+                    {invitation.invitedBy && ` • Invited by ${invitation.invitedBy.username}`}
+                    {invitation.status === 'accepted' && invitation.acceptedBy
+                      ? ` • Accepted by ${invitation.acceptedBy.username}`
+                      : ` • Expires ${new Date(invitation.expiresAt).toLocaleString()}`}
+                  </div>
+                </div>
+                {invitation.status === 'pending' && (
+                  <div style={{ display: 'flex', gap: theme.spacing[2] }}>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      disabled={busyId === invitation._id}
+                      onClick={() => handleAction(invitation, 'resend')}
+                    >
+                      Resend
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="danger"
+                      disabled={busyId === invitation._id}
+                      onClick={() => handleAction(invitation, 'revoke')}
+                    >
+                      Revoke
+                    </Button>
+                  </div>
+                )}
+              </div>
+            </Card>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InvitationsPage;
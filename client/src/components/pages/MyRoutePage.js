@@ -0,0 +1,580 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useToast } from '../ui/Toast';
+import { useAuth } from '../../context/AuthContext';
+import { routesAPI } from '../../services/api';
+import { Button, Card, LoadingSpinner } from '../ui';
+import { useLiveUpdates } from '../../hooks/useLiveUpdates';
+import { useRouteSyncQueue } from '../../hooks/useRouteSyncQueue';
+import { applyQueuedRouteUpdates, isOfflineQueueSupported } from '../../utils/offlineQueue';
+import { theme } from '../../theme';
+
+const getStatusColor = (status) => {
+  const colors = {
+    pending: theme.colors.status.warning,
+    assigned: theme.colors.status.info,
+    'in-progress': theme.colors.primary[600],
+    completed: theme.colors.status.success,
+    cancelled: theme.colors.status.error,
+  };
+  return colors[status] || theme.colors.gray[500];
+};
+
+// Next move for a stop on the route, by its current status
+const STOP_ACTIONS = {
+  assigned: { status: 'in-progress', label: '🚛 Start Collection' },
+  'in-progress': { status: 'completed', label: '✅ Mark Completed' },
+};
+
+const DONE_STATUSES = ['completed', 'cancelled'];
+
+// YYYY-MM-DD of a date in local time, as used by date inputs
+const toDateInput = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const shiftDate = (value, days) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return toDateInput(new Date(year, month - 1, day + days));
+};
+
+const MyRoutePage = () => {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const { user } = useAuth();
+  const [date, setDate] = useState(toDateInput(new Date()));
+  const [route, setRoute] = useState(null);
+  const [serverStops, setServerStops] = useState([]);
+  const [cachedAt, setCachedAt] = useState(null);
+  const [updating, setUpdating] = useState(null);
+  const [problemStop, setProblemStop] = useState(null);
+  const [problem, setProblem] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadRoute = useCallback(async (showLoading = true) => {
+    if (!user?._id) {
+      return;
+    }
+    try {
+      setLoading(showLoading);
+      const response = await routesAPI.getCollectorRoute(user._id, date);
+      setRoute(response.data.route);
+      // Stops whose request has since been deleted come back empty
+      setServerStops((response.data.collections || []).filter(Boolean));
+      // Set by the service worker when it answered from its copy
+      setCachedAt(response.data.fromCache ? response.data.cachedAt : null);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading route:', err);
+      const message = err.response?.data?.message ||
+        (err.response ? 'Failed to load route' : "You're offline and this route isn't saved on this device yet");
+      setError(message);
+      if (showLoading) {
+        setRoute(null);
+        toast.error(message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [date, user?._id, toast]);
+
+  // Updates made offline are replayed by the queue; reload to show what the server made of them
+  const { isOnline, updates, queued, conflicts, syncing, lastSyncedAt, enqueue, discard } = useRouteSyncQueue(
+    ({ synced, conflicts: newConflicts }) => {
+      if (synced.length > 0) {
+        toast.success(`Synced ${synced.length} offline update${synced.length === 1 ? '' : 's'}`);
+      }
+      if (newConflicts.length > 0) {
+        toast.warning(`${newConflicts.length} offline update${newConflicts.length === 1 ? '' : 's'} couldn't be applied`);
+      }
+      loadRoute(false);
+    }
+  );
+
+  // Show the route as the collector left it, including updates still waiting to sync
+  const stops = applyQueuedRouteUpdates(serverStops, updates);
+
+  useEffect(() => {
+    loadRoute();
+  }, [loadRoute]);
+
+  // Re-fetch when the route or one of its stops changes elsewhere, e.g. an admin adds a stop
+  useLiveUpdates((event) => {
+    const changedRoute = event.data?.route;
+    const changedCollection = event.data?.collection;
+    if ((changedRoute && (changedRoute._id === route?._id || !route)) ||
+        (changedCollection && stops.some((stop) => stop._id === changedCollection._id))) {
+      loadRoute(false);
+    }
+  }, ['route.', 'collection.']);
+
+  // Without a connection the update waits on this device and is replayed later
+  const queueStop = async (stop, status, problemText) => {
+    await enqueue({
+      routeId: route._id,
+      collectionId: stop._id,
+      status,
+      problem: problemText,
+      fromStatus: stop.status,
+      address: stop.pickupLocation?.address,
+    });
+    if (status === 'in-progress' && route.status === 'planned') {
+      setRoute((current) => ({ ...current, status: 'active' }));
+    }
+    toast.info("Saved on this device. It will sync when you're back online.");
+    return true;
+  };
+
+  const updateStop = async (stop, status, problemText) => {
+    const canQueue = isOfflineQueueSupported();
+    try {
+      setUpdating(stop._id);
+      if (!isOnline && canQueue) {
+        return await queueStop(stop, status, problemText);
+      }
+      const response = await routesAPI.updateStatus(route._id, stop._id, status, problemText);
+      const updated = response.data.collection;
+      setServerStops((current) => current.map((item) => (item._id === updated._id ? { ...item, ...updated } : item)));
+      setRoute((current) => ({ ...current, status: response.data.routeStatus || current.status }));
+      if (response.data.routeCompleted) {
+        toast.success('Route completed. Great work!');
+      } else if (problemText !== undefined) {
+        toast.success(problemText ? 'Problem flagged' : 'Problem cleared');
+      } else {
+        toast.success('Stop updated');
+      }
+      return true;
+    } catch (err) {
+      // No response: the signal dropped before the browser noticed
+      if (!err.response && canQueue) {
+        return queueStop(stop, status, problemText);
+      }
+      console.error('Error updating stop:', err);
+      toast.error(err.response?.data?.message || 'Failed to update stop');
+      // The stop may have moved on in the meantime, so show where it is now
+      if (err.response?.status === 409) {
+        loadRoute(false);
+      }
+      return false;
+    } finally {
+      setUpdating(null);
+    }
+  };
+
+  const handleFlagProblem = async (stop) => {
+    if (await updateStop(stop, stop.status, problem.trim())) {
+      setProblemStop(null);
+      setProblem('');
+    }
+  };
+
+  const openProblem = (stop) => {
+    setProblemStop(problemStop === stop._id ? null : stop._id);
+    setProblem(stop.problem?.description || '');
+  };
+
+  const doneCount = stops.filter((stop) => DONE_STATUSES.includes(stop.status)).length;
+  const completedCount = stops.filter((stop) => stop.status === 'completed').length;
+  const progress = stops.length > 0 ? Math.round((doneCount / stops.length) * 100) : 0;
+  const nextStop = stops.find((stop) => !DONE_STATUSES.includes(stop.status));
+  const routeFinished = route && (route.status === 'completed' || (stops.length > 0 && !nextStop));
+  const isToday = date === toDateInput(new Date());
+
+  const titleStyles = {
+    fontSize: theme.typography.fontSize['2xl'],
+    fontWeight: theme.typography.fontWeight.bold,
+    color: theme.colors.text.primary,
+    margin: 0,
+  };
+
+  const sectionTitleStyles = {
+    fontSize: theme.typography.fontSize.lg,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+    margin: 0,
+  };
+
+  const detailRowStyles = {
+    display: 'flex',
+    gap: theme.spacing[2],
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+    marginBottom: theme.spacing[2],
+  };
+
+  const statusBadgeStyles = (status) => ({
+    display: 'inline-flex',
+    padding: `${theme.spacing[1]} ${theme.spacing[2]}`,
+    backgroundColor: `${getStatusColor(status)}20`,
+    color: getStatusColor(status),
+    borderRadius: theme.borderRadius.full,
+    fontSize: theme.typography.fontSize.xs,
+    fontWeight: theme.typography.fontWeight.semibold,
+    textTransform: 'uppercase',
+    letterSpacing: '0.05em',
+  });
+
+  const stopNumberStyles = (stop) => ({
+    display: 'inline-flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    flexShrink: 0,
+    width: '2rem',
+    height: '2rem',
+    borderRadius: theme.borderRadius.full,
+    backgroundColor: DONE_STATUSES.includes(stop.status) ? getStatusColor(stop.status) : theme.colors.gray[100],
+    color: DONE_STATUSES.includes(stop.status) ? theme.colors.text.inverse : theme.colors.text.primary,
+    fontWeight: theme.typography.fontWeight.bold,
+  });
+
+  const syncBannerStyles = {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: theme.spacing[1],
+    padding: `${theme.spacing[3]} ${theme.spacing[4]}`,
+    backgroundColor: `${theme.colors.status.info}15`,
+    border: `1px solid ${theme.colors.status.info}`,
+    borderRadius: theme.borderRadius.md,
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.primary,
+  };
+
+  const inputStyles = {
+    boxSizing: 'border-box',
+    padding: `${theme.spacing[2]} ${theme.spacing[3]}`,
+    border: `1px solid ${theme.colors.gray[300]}`,
+    borderRadius: theme.borderRadius.md,
+    fontSize: theme.typography.fontSize.sm,
+  };
+
+  const renderStop = (stop, index) => {
+    const action = STOP_ACTIONS[stop.status];
+    const isNext = nextStop?._id === stop._id;
+    const busy = updating === stop._id;
+
+    return (
+      <Card
+        key={stop._id}
+        variant={isNext ? 'elevated' : 'outlined'}
+        padding="lg"
+      >
+        <div style={{ display: 'flex', gap: theme.spacing[4], alignItems: 'flex-start' }}>
+          <span style={stopNumberStyles(stop)} aria-label={`Stop ${index + 1}`}>
+            {stop.status === 'completed' ? '✓' : index + 1}
+          </span>
+
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center',
+              flexWrap: 'wrap',
+              gap: theme.spacing[2],
+              marginBottom: theme.spacing[3],
+            }}>
+              <h3 style={{ ...sectionTitleStyles, fontSize: theme.typography.fontSize.base }}>
+                {stop.pickupLocation?.address}
+              </h3>
+              <div style={{ display: 'flex', gap: theme.spacing[2], alignItems: 'center' }}>
+                {stop.pendingSync && (
+                  <span style={{
+                    fontSize: theme.typography.fontSize.xs,
+                    fontWeight: theme.typography.fontWeight.semibold,
+                    color: theme.colors.status.warning,
+                  }} title="Saved on this device, waiting for a connection">
+                    ⏳ NOT SYNCED
+                  </span>
+                )}
+                {isNext && (
+                  <span style={{
+                    fontSize: theme.typography.fontSize.xs,
+                    fontWeight: theme.typography.fontWeight.semibold,
+                    color: theme.colors.primary[600],
+                  }}>
+                    NEXT STOP
+                  </span>
+                )}
+                <span style={statusBadgeStyles(stop.status)}>{stop.status}</span>
+              </div>
+            </div>
+
+            <div style={detailRowStyles}>
+              <span>🗑️</span>
+              <span style={{ textTransform: 'capitalize' }}>{stop.wasteCategory} waste</span>
+            </div>
+            {stop.requesterId?.username && (
+              <div style={detailRowStyles}>
+                <span>👤</span>
+                <span>{stop.requesterId.username}</span>
+              </div>
+            )}
+            {stop.notes && (
+              <div style={detailRowStyles}>
+                <span>📝</span>
+                <span>{stop.notes}</span>
+              </div>
+            )}
+            {stop.problem?.description && (
+              <div style={{ ...detailRowStyles, color: theme.colors.status.error }} role="status">
+                <span>⚠️</span>
+                <span>
+                  {stop.problem.description}
+                  {stop.problem.reportedAt && ` · flagged ${new Date(stop.problem.reportedAt).toLocaleTimeString()}`}
+                </span>
+              </div>
+            )}
+
+            {!DONE_STATUSES.includes(stop.status) && (
+              <div style={{ display: 'flex', gap: theme.spacing[3], flexWrap: 'wrap', marginTop: theme.spacing[4] }}>
+                {action && (
+                  <Button
+                    variant="primary"
+                    onClick={() => updateStop(stop, action.status)}
+                    disabled={busy}
+                  >
+                    {action.label}
+                  </Button>
+                )}
+                <Button variant="outline" onClick={() => openProblem(stop)} disabled={busy}>
+                  ⚠️ {stop.problem?.description ? 'Edit Problem' : 'Flag Problem'}
+                </Button>
+                {stop.problem?.description && (
+                  <Button variant="ghost" onClick={() => updateStop(stop, stop.status, '')} disabled={busy}>
+                    Clear Problem
+                  </Button>
+                )}
+                <Button variant="ghost" onClick={() => navigate(`/collections/${stop._id}`)}>
+                  Details
+                </Button>
+              </div>
+            )}
+
+            {problemStop === stop._id && (
+              <div style={{ display: 'flex', gap: theme.spacing[3], flexWrap: 'wrap', marginTop: theme.spacing[3] }}>
+                <input
+                  type="text"
+                  value={problem}
+                  onChange={(e) => setProblem(e.target.value)}
+                  placeholder="What's wrong? e.g. gate locked, bins not out"
+                  maxLength={500}
+                  aria-label="Problem at this stop"
+                  style={{ ...inputStyles, flex: 1, minWidth: '12rem' }}
+                />
+                <Button
+                  variant="danger"
+                  onClick={() => handleFlagProblem(stop)}
+                  disabled={busy || !problem.trim()}
+                >
+                  Flag
+                </Button>
+              </div>
+            )}
+          </div>
+        </div>
+      </Card>
+    );
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: theme.spacing[6] }}>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        flexWrap: 'wrap',
+        gap: theme.spacing[4],
+      }}>
+        <h1 style={titleStyles}>My Route</h1>
+        <div style={{ display: 'flex', gap: theme.spacing[2], alignItems: 'center', flexWrap: 'wrap' }}>
+          <Button variant="outline" size="sm" onClick={() => setDate(shiftDate(date, -1))} aria-label="Previous day">
+            ←
+          </Button>
+          <input
+            type="date"
+            value={date}
+            onChange={(e) => e.target.value && setDate(e.target.value)}
+            aria-label="Route date"
+            style={inputStyles}
+          />
+          <Button variant="outline" size="sm" onClick={() => setDate(shiftDate(date, 1))} aria-label="Next day">
+            →
+          </Button>
+          {!isToday && (
+            <Button variant="ghost" size="sm" onClick={() => setDate(toDateInput(new Date()))}>
+              Today
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {(!isOnline || cachedAt || queued.length > 0 || syncing || lastSyncedAt) && (
+        <div role="status" style={{
+          ...syncBannerStyles,
+          ...(!isOnline && { backgroundColor: `${theme.colors.status.warning}20`, borderColor: theme.colors.status.warning }),
+        }}>
+          <span>
+            {!isOnline
+              ? "📴 You're offline. Updates are saved on this device and sync when you're back online."
+              : syncing
+                ? '🔄 Syncing updates made offline...'
+                : queued.length > 0
+                  ? '⏳ Waiting to sync updates made offline.'
+                  : `✅ All changes synced${lastSyncedAt ? ` at ${lastSyncedAt.toLocaleTimeString()}` : ''}.`}
+            {queued.length > 0 && ` ${queued.length} update${queued.length === 1 ? '' : 's'} not synced yet.`}
+          </span>
+          {cachedAt && (
+            <span style={{ color: theme.colors.text.secondary }}>
+              Showing the route as saved at {new Date(cachedAt).toLocaleString()}.
+            </span>
+          )}
+        </div>
+      )}
+
+      {conflicts.length > 0 && (
+        <Card variant="outlined" padding="lg">
+          <h2 style={{ ...sectionTitleStyles, marginBottom: theme.spacing[2] }}>
+            ⚠️ Offline updates that couldn't be applied
+          </h2>
+          <p style={{ ...detailRowStyles, marginTop: 0 }}>
+            These stops changed on the server while you were offline, so your update was not applied.
+          </p>
+          <ul style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+            {conflicts.map((conflict) => (
+              <li key={conflict.id} style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                flexWrap: 'wrap',
+                gap: theme.spacing[3],
+                padding: `${theme.spacing[3]} 0`,
+                borderTop: `1px solid ${theme.colors.gray[200]}`,
+              }}>
+                <div style={{ fontSize: theme.typography.fontSize.sm }}>
+                  <div style={{ color: theme.colors.text.primary, fontWeight: theme.typography.fontWeight.medium }}>
+                    {conflict.address || 'Stop'}:{' '}
+                    {conflict.problem !== undefined && conflict.status === conflict.fromStatus
+                      ? (conflict.problem ? `flag "${conflict.problem}"` : 'clear problem')
+                      : `mark ${conflict.status}`}
+                    {' · '}{new Date(conflict.queuedAt).toLocaleTimeString()}
+                  </div>
+                  <div style={{ color: theme.colors.text.secondary }}>
+                    {conflict.conflict.message}
+                    {conflict.conflict.currentStatus && ` (now ${conflict.conflict.currentStatus})`}
+                  </div>
+                </div>
+                <Button variant="ghost" size="sm" onClick={() => discard(conflict.id)}>
+                  Dismiss
+                </Button>
+              </li>
+            ))}
+          </ul>
+        </Card>
+      )}
+
+      {loading ? (
+        <LoadingSpinner />
+      ) : error && !route ? (
+        <Card variant="outlined" padding="lg">
+          <p style={{ color: theme.colors.text.secondary, marginTop: 0 }}>{error}</p>
+          <Button variant="outline" onClick={() => loadRoute()}>
+            Try Again
+          </Button>
+        </Card>
+      ) : !route ? (
+        <Card variant="outlined" padding="lg">
+          <div style={{ textAlign: 'center', color: theme.colors.text.secondary }}>
+            <div style={{ fontSize: theme.typography.fontSize['4xl'], marginBottom: theme.spacing[2] }}>🗺️</div>
+            <p style={{ margin: 0 }}>
+              No route assigned for {isToday ? 'today' : new Date(`${date}T00:00:00`).toLocaleDateString()}.
+            </p>
+          </div>
+        </Card>
+      ) : (
+        <>
+          <Card variant="elevated" padding="lg">
+            <div style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center',
+              flexWrap: 'wrap',
+              gap: theme.spacing[3],
+              marginBottom: theme.spacing[4],
+            }}>
+              <h2 style={sectionTitleStyles}>
+                {completedCount} of {stops.length} stop{stops.length === 1 ? '' : 's'} collected
+              </h2>
+              <span style={statusBadgeStyles(routeFinished ? 'completed' : route.status === 'active' ? 'in-progress' : 'assigned')}>
+                {routeFinished ? 'completed' : route.status}
+              </span>
+            </div>
+
+            <div
+              role="progressbar"
+              aria-valuenow={progress}
+              aria-valuemin={0}
+              aria-valuemax={100}
+              aria-label="Route progress"
+              style={{
+                height: '0.75rem',
+                backgroundColor: theme.colors.gray[200],
+                borderRadius: theme.borderRadius.full,
+                overflow: 'hidden',
+              }}
+            >
+              <div style={{
+                width: `${progress}%`,
+                height: '100%',
+                backgroundColor: theme.colors.status.success,
+                transition: 'width 0.3s ease',
+              }} />
+            </div>
+
+            <div style={{
+              marginTop: theme.spacing[3],
+              fontSize: theme.typography.fontSize.sm,
+              color: theme.colors.text.secondary,
+            }}>
+              {progress}% done
+              {doneCount > completedCount && ` · ${doneCount - completedCount} cancelled`}
+            </div>
+
+            {route.status === 'planned' && nextStop && STOP_ACTIONS[nextStop.status] && (
+              <div style={{ marginTop: theme.spacing[4] }}>
+                <Button
+                  variant="primary"
+                  onClick={() => updateStop(nextStop, 'in-progress')}
+                  disabled={updating === nextStop._id || nextStop.status !== 'assigned'}
+                >
+                  🚛 Start Route
+                </Button>
+              </div>
+            )}
+
+            {routeFinished && (
+              <p style={{
+                margin: 0,
+                marginTop: theme.spacing[4],
+                color: theme.colors.status.success,
+                fontWeight: theme.typography.fontWeight.semibold,
+              }} role="status">
+                🎉 Route complete: every stop has been visited.
+              </p>
+            )}
+          </Card>
+
+          {stops.length === 0 ? (
+            <Card variant="outlined" padding="lg">
+              <p style={{ margin: 0, color: theme.colors.text.secondary }}>This route has no stops yet.</p>
+            </Card>
+          ) : (
+            stops.map(renderStop)
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MyRoutePage;
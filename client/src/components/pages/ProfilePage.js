@@ -1,6 +1,8 @@
 import React from 'react';
 import { useAuth } from '../../context/AuthContext';
 import SimplePage from './SimplePage';
+import NotificationPreferences from '../profile/NotificationPreferences';
+import TwoFactorSettings from '../profile/TwoFactorSettings';
 import { theme } from '../../theme';
 
 const ProfilePage = () => {
@@ -50,6 +52,8 @@ const ProfilePage = () => {
       icon="👤"
     >
       {profileInfo}
+      <TwoFactorSettings />
+      <NotificationPreferences />
     </SimplePage>
   );
 };
@@ -0,0 +1,443 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useToast } from '../ui/Toast';
+import { adminAPI, collectionsAPI } from '../../services/api';
+import { Button, Card, LoadingSpinner, Modal } from '../ui';
+import { ColumnChart, BarChart } from '../reports';
+import StatusBadge from '../StatusBadge';
+import { theme } from '../../theme';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const PRESETS = [
+  { label: '7 days', days: 7 },
+  { label: '30 days', days: 30 },
+  { label: '90 days', days: 90 },
+];
+
+const CATEGORIES = [
+  { key: 'organic', label: 'Organic', color: theme.colors.secondary[500] },
+  { key: 'recyclable', label: 'Recyclable', color: theme.colors.primary[500] },
+  { key: 'hazardous', label: 'Hazardous', color: theme.colors.status.error },
+  { key: 'general', label: 'General', color: theme.colors.gray[500] },
+];
+
+// Each stage counts the requests that got at least that far
+const FUNNEL = [
+  { key: 'pending', label: 'Requested', reached: ['pending', 'assigned', 'in-progress', 'completed', 'cancelled'] },
+  { key: 'assigned', label: 'Assigned', reached: ['assigned', 'in-progress', 'completed'] },
+  { key: 'in-progress', label: 'In progress', reached: ['in-progress', 'completed'] },
+  { key: 'completed', label: 'Completed', reached: ['completed'] },
+];
+
+const DRILL_DOWN_SIZE = 10;
+
+// Report days are UTC days, matching how the server groups requests by day
+const toDateInput = (date) => date.toISOString().slice(0, 10);
+
+const presetRange = (days) => ({
+  start: toDateInput(new Date(Date.now() - (days - 1) * DAY)),
+  end: toDateInput(new Date()),
+});
+
+const rangeParams = (start, end) => ({
+  startDate: `${start}T00:00:00.000Z`,
+  endDate: `${end}T23:59:59.999Z`,
+});
+
+const formatDay = (date, options = { month: 'short', day: 'numeric' }) =>
+  new Date(`${date}T00:00:00.000Z`).toLocaleDateString(undefined, { ...options, timeZone: 'UTC' });
+
+// Every day of the range, including those without requests
+const fillDays = (start, end, byDay = []) => {
+  const counts = Object.fromEntries(byDay.map((item) => [item.date, item.count]));
+  const days = [];
+  for (let time = Date.parse(`${start}T00:00:00.000Z`); time <= Date.parse(`${end}T00:00:00.000Z`); time += DAY) {
+    const date = toDateInput(new Date(time));
+    days.push({ key: date, label: formatDay(date), value: counts[date] || 0 });
+  }
+  return days;
+};
+
+const percent = (part, whole) => (whole > 0 ? `${Math.round((part / whole) * 100)}%` : '0%');
+
+const ReportsPage = () => {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const [range, setRange] = useState(() => presetRange(30));
+  const [statistics, setStatistics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [drillDown, setDrillDown] = useState(null);
+
+  const invalidRange = !range.start || !range.end || range.start > range.end;
+
+  const loadStatistics = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await adminAPI.getStatistics(rangeParams(range.start, range.end));
+      setStatistics(response.data.statistics);
+    } catch (error) {
+      console.error('Error loading statistics:', error);
+      toast.error(error.response?.data?.message || 'Failed to load reports');
+    } finally {
+      setLoading(false);
+    }
+  }, [range.start, range.end, toast]);
+
+  useEffect(() => {
+    if (!invalidRange) {
+      loadStatistics();
+    }
+  }, [invalidRange, loadStatistics]);
+
+  const loadDrillDown = async (view, page = 1) => {
+    setDrillDown({ ...view, page, loading: true });
+    try {
+      const response = await collectionsAPI.searchByDateRange({
+        ...rangeParams(view.start || range.start, view.end || range.end),
+        ...view.filters,
+        page,
+        limit: DRILL_DOWN_SIZE,
+      });
+      setDrillDown({
+        ...view,
+        page,
+        loading: false,
+        requests: response.data.requests || [],
+        pagination: response.data.pagination,
+      });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load collections');
+      setDrillDown(null);
+    }
+  };
+
+  const labelStyles = {
+    display: 'block',
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.text.primary,
+    marginBottom: theme.spacing[1],
+  };
+
+  const inputStyles = {
+    padding: `${theme.spacing[2]} ${theme.spacing[3]}`,
+    border: `1px solid ${theme.colors.gray[300]}`,
+    borderRadius: theme.borderRadius.md,
+    fontSize: theme.typography.fontSize.sm,
+    backgroundColor: theme.colors.surface.primary,
+    color: theme.colors.text.primary,
+  };
+
+  const sectionTitleStyles = {
+    fontSize: theme.typography.fontSize.lg,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+    margin: `0 0 ${theme.spacing[1]}`,
+  };
+
+  const hintStyles = {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+    margin: `0 0 ${theme.spacing[4]}`,
+  };
+
+  const statValueStyles = {
+    fontSize: theme.typography.fontSize['3xl'],
+    fontWeight: theme.typography.fontWeight.bold,
+    color: theme.colors.text.primary,
+  };
+
+  const statLabelStyles = {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+    textTransform: 'uppercase',
+    letterSpacing: '0.05em',
+  };
+
+  const renderReport = () => {
+    const collections = statistics.collections;
+    const byStatus = collections.byStatus || {};
+    const completed = byStatus.completed || 0;
+
+    const volume = fillDays(range.start, range.end, collections.byDay);
+    const categories = CATEGORIES.map((category) => ({
+      ...category,
+      value: collections.byCategory?.[category.key] || 0,
+      detail: percent(collections.byCategory?.[category.key] || 0, collections.total),
+    }));
+    const funnel = FUNNEL.map((stage) => ({
+      ...stage,
+      value: stage.reached.reduce((sum, status) => sum + (byStatus[status] || 0), 0),
+      detail: `${byStatus[stage.key] || 0} there now`,
+      color: theme.colors.primary[600],
+    }));
+    const leaderboard = (statistics.collectorPerformance || []).map((collector) => ({
+      key: collector._id,
+      label: collector.collectorName,
+      value: collector.completedCollections,
+      detail: `${collector.avgCompletionTimeHours.toFixed(1)} h avg`,
+      color: theme.colors.secondary[600],
+    }));
+
+    const stats = [
+      { label: 'Requests', value: collections.total },
+      { label: 'Completed', value: completed },
+      { label: 'Completion rate', value: percent(completed, collections.total) },
+      { label: 'Avg. completion', value: `${collections.averageCompletionTimeHours} h` },
+      { label: 'Routes', value: statistics.routes?.total || 0 },
+    ];
+
+    return (
+      <>
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))',
+          gap: theme.spacing[4],
+          marginBottom: theme.spacing[6],
+        }}>
+          {stats.map((stat) => (
+            <Card key={stat.label} variant="outlined" padding="md">
+              <div style={statValueStyles}>{stat.value}</div>
+              <div style={statLabelStyles}>{stat.label}</div>
+            </Card>
+          ))}
+        </div>
+
+        <div style={{ display: 'flex', flexDirection: 'column', gap: theme.spacing[6] }}>
+          <div className="print-avoid-break">
+            <Card variant="outlined" padding="lg">
+              <h2 style={sectionTitleStyles}>Requests per day</h2>
+              <p style={hintStyles}>Click a day to see its requests.</p>
+              <ColumnChart
+                data={volume}
+                title="Collection requests per day"
+                onSelect={(day) => loadDrillDown({
+                  title: `Requests on ${formatDay(day.key, { dateStyle: 'medium' })}`,
+                  start: day.key,
+                  end: day.key,
+                })}
+              />
+            </Card>
+          </div>
+
+          <div className="print-avoid-break">
+            <Card variant="outlined" padding="lg">
+              <h2 style={sectionTitleStyles}>Waste categories</h2>
+              <p style={hintStyles}>Share of the period's requests by category.</p>
+              <BarChart
+                data={categories}
+                max={collections.total}
+                title="Collection requests by waste category"
+                onSelect={(category) => loadDrillDown({
+                  title: `${category.label} requests`,
+                  filters: { wasteCategory: category.key },
+                })}
+              />
+            </Card>
+          </div>
+
+          <div className="print-avoid-break">
+            <Card variant="outlined" padding="lg">
+              <h2 style={sectionTitleStyles}>Status funnel</h2>
+              <p style={hintStyles}>
+                How far the period's requests got. {byStatus.cancelled || 0} were cancelled.
+                Click a stage to see the requests there now.
+              </p>
+              <BarChart
+                data={funnel}
+                max={collections.total}
+                title="Collection requests by how far they got"
+                onSelect={(stage) => loadDrillDown({
+                  title: `Requests now ${stage.key}`,
+                  filters: { status: stage.key },
+                })}
+              />
+            </Card>
+          </div>
+
+          <div className="print-avoid-break">
+            <Card variant="outlined" padding="lg">
+              <h2 style={sectionTitleStyles}>Collector leaderboard</h2>
+              <p style={hintStyles}>Completed collections and average time from request to pickup.</p>
+              {leaderboard.length === 0 ? (
+                <p style={{ ...hintStyles, margin: 0 }}>No collections were completed in this period.</p>
+              ) : (
+                <BarChart
+                  data={leaderboard}
+                  title="Completed collections by collector"
+                  onSelect={(collector) => loadDrillDown({
+                    title: `Completed by ${collector.label}`,
+                    filters: { assignedCollector: collector.key, status: 'completed' },
+                  })}
+                />
+              )}
+            </Card>
+          </div>
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: theme.spacing[6],
+        flexWrap: 'wrap',
+        gap: theme.spacing[4],
+      }}>
+        <div>
+          <h1 style={{
+            fontSize: theme.typography.fontSize['2xl'],
+            fontWeight: theme.typography.fontWeight.bold,
+            color: theme.colors.text.primary,
+            margin: 0,
+          }}>
+            Reports
+          </h1>
+          {!invalidRange && (
+            <div style={{ fontSize: theme.typography.fontSize.sm, color: theme.colors.text.secondary }}>
+              {formatDay(range.start, { dateStyle: 'medium' })} – {formatDay(range.end, { dateStyle: 'medium' })}
+            </div>
+          )}
+        </div>
+        <div className="no-print" style={{ display: 'flex', gap: theme.spacing[2] }}>
+          <Button variant="outline" onClick={loadStatistics} disabled={loading || invalidRange}>
+            🔄 Refresh
+          </Button>
+          <Button variant="outline" onClick={() => window.print()} disabled={loading || !statistics}>
+            🖨️ Print
+          </Button>
+        </div>
+      </div>
+
+      {/* Date range */}
+      <div className="no-print" style={{
+        display: 'flex',
+        gap: theme.spacing[4],
+        alignItems: 'flex-end',
+        flexWrap: 'wrap',
+        marginBottom: theme.spacing[6],
+      }}>
+        <div>
+          <label style={labelStyles} htmlFor="reports-start">From</label>
+          <input
+            id="reports-start"
+            type="date"
+            value={range.start}
+            max={range.end}
+            onChange={(e) => setRange({ ...range, start: e.target.value })}
+            style={inputStyles}
+          />
+        </div>
+        <div>
+          <label style={labelStyles} htmlFor="reports-end">To</label>
+          <input
+            id="reports-end"
+            type="date"
+            value={range.end}
+            min={range.start}
+            onChange={(e) => setRange({ ...range, end: e.target.value })}
+            style={inputStyles}
+          />
+        </div>
+        <div style={{ display: 'flex', gap: theme.spacing[2] }}>
+          {PRESETS.map((preset) => (
+            <Button key={preset.days} size="sm" variant="ghost" onClick={() => setRange(presetRange(preset.days))}>
+              Last {preset.label}
+            </Button>
+          ))}
+        </div>
+      </div>
+
+      {invalidRange ? (
+        <Card variant="outlined" padding="lg">
+          <p style={{ margin: 0, textAlign: 'center', color: theme.colors.text.secondary }}>
+            Choose a start date on or before the end date.
+          </p>
+        </Card>
+      ) : loading && !statistics ? (
+        <LoadingSpinner size="md" text="Loading reports..." />
+      ) : statistics ? (
+        renderReport()
+      ) : null}
+
+      {/* Drill-down */}
+      <Modal isOpen={Boolean(drillDown)} onClose={() => setDrillDown(null)} title={drillDown?.title || 'Collections'} size="lg">
+        {drillDown && (drillDown.loading ? (
+          <LoadingSpinner size="md" text="Loading collections..." />
+        ) : drillDown.requests.length === 0 ? (
+          <p style={{ margin: 0, color: theme.colors.text.secondary }}>No collections found.</p>
+        ) : (
+          <div>
+            <ul style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+              {drillDown.requests.map((item) => (
+                <li
+                  key={item._id}
+                  style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    gap: theme.spacing[3],
+                    padding: `${theme.spacing[2]} 0`,
+                    borderTop: `1px solid ${theme.colors.gray[200]}`,
+                    fontSize: theme.typography.fontSize.sm,
+                  }}
+                >
+                  <div>
+                    <div>{item.pickupLocation?.address}</div>
+                    <div style={{ color: theme.colors.text.secondary }}>
+                      <span style={{ textTransform: 'capitalize' }}>{item.wasteCategory}</span>
+                      {' • '}{new Date(item.createdAt).toLocaleDateString()}
+                      {item.assignedCollector?.username && ` • ${item.assignedCollector.username}`}
+                    </div>
+                  </div>
+                  <div style={{ display: 'flex', gap: theme.spacing[2], alignItems: 'center' }}>
+                    <StatusBadge status={item.status} size="small" />
+                    <Button size="sm" variant="ghost" onClick={() => navigate(`/collections/${item._id}`)}>
+                      View
+                    </Button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+            {drillDown.pagination?.pages > 1 && (
+              <div style={{
+                display: 'flex',
+                justifyContent: 'center',
+                alignItems: 'center',
+                gap: theme.spacing[4],
+                marginTop: theme.spacing[4],
+              }}>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={drillDown.page <= 1}
+                  onClick={() => loadDrillDown(drillDown, drillDown.page - 1)}
+                >
+                  ← Previous
+                </Button>
+                <span style={{ fontSize: theme.typography.fontSize.sm, color: theme.colors.text.secondary }}>
+                  Page {drillDown.pagination.current} of {drillDown.pagination.pages} • {drillDown.pagination.total} collections
+                </span>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={drillDown.page >= drillDown.pagination.pages}
+                  onClick={() => loadDrillDown(drillDown, drillDown.page + 1)}
+                >
+                  Next →
+                </Button>
+              </div>
+            )}
+          </div>
+        ))}
+      </Modal>
+    </div>
+  );
+};
+
+export default ReportsPage;
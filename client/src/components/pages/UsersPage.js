@@ -0,0 +1,502 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useToast } from '../ui/Toast';
+import { useAuth } from '../../context/AuthContext';
+import { adminAPI } from '../../services/api';
+import { Button, Card, LoadingSpinner, Modal } from '../ui';
+import { theme } from '../../theme';
+
+const ROLE_LABELS = {
+  resident: 'Resident',
+  collector: 'Waste Collector',
+  admin: 'Administrator',
+};
+
+const ROLE_COLORS = {
+  resident: theme.colors.secondary[600],
+  collector: theme.colors.primary[600],
+  admin: theme.colors.accent[700],
+};
+
+const STATUS_COLORS = {
+  pending: theme.colors.status.warning,
+  assigned: theme.colors.status.info,
+  'in-progress': theme.colors.primary[600],
+  completed: theme.colors.status.success,
+  cancelled: theme.colors.status.error,
+  planned: theme.colors.status.info,
+  active: theme.colors.primary[600],
+};
+
+const PAGE_SIZE = 10;
+
+// The users endpoint treats search as a regular expression; match what was typed literally
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const roleLabel = (role) => ROLE_LABELS[role] || role;
+
+const isLocked = (user) => Boolean(user.lockUntil && new Date(user.lockUntil) > new Date());
+
+const UsersPage = () => {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState({ current: 1, pages: 1, total: 0 });
+  const [page, setPage] = useState(1);
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [role, setRole] = useState('');
+  const [roles, setRoles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [roleChange, setRoleChange] = useState(null);
+  const [deletion, setDeletion] = useState(null);
+  const [detail, setDetail] = useState(null);
+
+  useEffect(() => {
+    adminAPI.getRoles()
+      .then(response => setRoles(response.data.roles || []))
+      .catch(error => console.error('Error loading roles:', error));
+  }, []);
+
+  // Wait for a pause in typing before searching
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setQuery(search.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const loadUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await adminAPI.getUsers({
+        page,
+        limit: PAGE_SIZE,
+        search: query ? escapeRegExp(query) : undefined,
+        role: role || undefined,
+      });
+      setUsers(response.data.users || []);
+      setPagination(response.data.pagination || { current: 1, pages: 1, total: 0 });
+    } catch (error) {
+      console.error('Error loading users:', error);
+      toast.error(error.response?.data?.message || 'Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, query, role, toast]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const openDetail = async (user) => {
+    setDetail({ user, loading: true });
+    try {
+      const response = await adminAPI.getUser(user._id, { limit: 10 });
+      setDetail({ ...response.data, loading: false });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load user');
+      setDetail(null);
+    }
+  };
+
+  const confirmRoleChange = async () => {
+    const { user, role: newRole } = roleChange;
+    try {
+      setBusyId(user._id);
+      await adminAPI.updateUserRole(user._id, newRole);
+      toast.success(`${user.username} is now ${roleLabel(newRole)}. They will need to sign in again.`);
+      setRoleChange(null);
+      loadUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to change role');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Look up how much history the user has first, so the confirmation can say what is kept
+  const openDeletion = async (user) => {
+    setDeletion({ user, loading: true });
+    try {
+      const response = await adminAPI.getUser(user._id, { limit: 1 });
+      setDeletion({ user, summary: response.data.summary, loading: false });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load user');
+      setDeletion(null);
+    }
+  };
+
+  const confirmDeletion = async () => {
+    const { user } = deletion;
+    try {
+      setBusyId(user._id);
+      const response = await adminAPI.deleteUser(user._id);
+      const preserved = response.data.preservedCollections || 0;
+      toast.success(preserved > 0
+        ? `${user.username} deleted. ${preserved} collection request${preserved === 1 ? '' : 's'} kept for the records.`
+        : `${user.username} deleted.`);
+      setDeletion(null);
+      setDetail(null);
+      // Step back if that was the last user on the page
+      if (users.length === 1 && page > 1) {
+        setPage(page - 1);
+      } else {
+        loadUsers();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete user');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleUnlock = async (user) => {
+    try {
+      setBusyId(user._id);
+      await adminAPI.unlockUser(user._id);
+      toast.success(`${user.username} can sign in again`);
+      loadUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to unlock user');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const labelStyles = {
+    display: 'block',
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.text.primary,
+    marginBottom: theme.spacing[1],
+  };
+
+  const inputStyles = {
+    width: '100%',
+    padding: `${theme.spacing[2]} ${theme.spacing[3]}`,
+    border: `1px solid ${theme.colors.gray[300]}`,
+    borderRadius: theme.borderRadius.md,
+    fontSize: theme.typography.fontSize.sm,
+    backgroundColor: theme.colors.surface.primary,
+    color: theme.colors.text.primary,
+    boxSizing: 'border-box',
+  };
+
+  const badgeStyles = (color) => ({
+    display: 'inline-block',
+    padding: `${theme.spacing[1]} ${theme.spacing[2]}`,
+    borderRadius: theme.borderRadius.full,
+    fontSize: theme.typography.fontSize.xs,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.text.inverse,
+    backgroundColor: color || theme.colors.gray[500],
+    textTransform: 'capitalize',
+  });
+
+  const mutedStyles = {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+  };
+
+  const sectionTitleStyles = {
+    fontSize: theme.typography.fontSize.base,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+    margin: `${theme.spacing[4]} 0 ${theme.spacing[2]}`,
+  };
+
+  const listItemStyles = {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: theme.spacing[3],
+    padding: `${theme.spacing[2]} 0`,
+    borderTop: `1px solid ${theme.colors.gray[200]}`,
+    fontSize: theme.typography.fontSize.sm,
+  };
+
+  const renderDetail = () => {
+    if (detail.loading) {
+      return <LoadingSpinner size="md" text="Loading user..." />;
+    }
+
+    const { user, requests = [], routes = [], summary = {} } = detail;
+    return (
+      <div>
+        <div style={mutedStyles}>
+          {user.email} • {roleLabel(user.role)} • Joined {new Date(user.createdAt).toLocaleDateString()}
+          {user.twoFactor?.enabled && ' • Two-factor on'}
+        </div>
+
+        <div style={{ display: 'flex', gap: theme.spacing[2], flexWrap: 'wrap', marginTop: theme.spacing[3] }}>
+          {Object.entries(summary.byStatus || {}).map(([status, count]) => (
+            <span key={status} style={badgeStyles(STATUS_COLORS[status])}>{count} {status}</span>
+          ))}
+        </div>
+
+        <h3 style={sectionTitleStyles}>
+          Collection requests ({summary.totalRequests || 0})
+        </h3>
+        {requests.length === 0 ? (
+          <p style={{ ...mutedStyles, margin: 0 }}>No collection requests.</p>
+        ) : (
+          <ul style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+            {requests.map((item) => (
+              <li key={item._id} style={listItemStyles}>
+                <div>
+                  <div>{item.pickupLocation?.address}</div>
+                  <div style={mutedStyles}>
+                    <span style={{ textTransform: 'capitalize' }}>{item.wasteCategory}</span>
+                    {' • '}{new Date(item.createdAt).toLocaleDateString()}
+                    {item.requesterId?._id === user._id ? ' • Requested' : ' • Assigned to collect'}
+                  </div>
+                </div>
+                <div style={{ display: 'flex', gap: theme.spacing[2], alignItems: 'center' }}>
+                  <span style={badgeStyles(STATUS_COLORS[item.status])}>{item.status}</span>
+                  <Button size="sm" variant="ghost" onClick={() => navigate(`/collections/${item._id}`)}>
+                    View
+                  </Button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {(routes.length > 0 || summary.totalRoutes > 0) && (
+          <>
+            <h3 style={sectionTitleStyles}>Routes ({summary.totalRoutes})</h3>
+            <ul style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+              {routes.map((route) => (
+                <li key={route._id} style={listItemStyles}>
+                  <div>
+                    <div>{new Date(route.date).toLocaleDateString()}</div>
+                    <div style={mutedStyles}>
+                      {route.collections?.length || 0} stop{route.collections?.length === 1 ? '' : 's'}
+                      {route.vehicle?.name && ` • ${route.vehicle.name}`}
+                    </div>
+                  </div>
+                  <span style={badgeStyles(STATUS_COLORS[route.status])}>{route.status}</span>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: theme.spacing[6],
+        flexWrap: 'wrap',
+        gap: theme.spacing[4],
+      }}>
+        <h1 style={{
+          fontSize: theme.typography.fontSize['2xl'],
+          fontWeight: theme.typography.fontWeight.bold,
+          color: theme.colors.text.primary,
+          margin: 0,
+        }}>
+          Users
+        </h1>
+        <div style={{ display: 'flex', gap: theme.spacing[2] }}>
+          <Button variant="outline" onClick={() => navigate('/admin/invitations')}>
+            ✉️ Invite
+          </Button>
+          <Button variant="outline" onClick={loadUsers} disabled={loading}>
+            🔄 Refresh
+          </Button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div style={{ display: 'flex', gap: theme.spacing[4], flexWrap: 'wrap', marginBottom: theme.spacing[4] }}>
+        <div style={{ flex: '2 1 240px' }}>
+          <label style={labelStyles} htmlFor="users-search">Search</label>
+          <input
+            id="users-search"
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Username or email"
+            style={inputStyles}
+          />
+        </div>
+        <div style={{ flex: '1 1 160px' }}>
+          <label style={labelStyles} htmlFor="users-role">Role</label>
+          <select
+            id="users-role"
+            value={role}
+            onChange={(e) => {
+              setRole(e.target.value);
+              setPage(1);
+            }}
+            style={inputStyles}
+          >
+            <option value="">All Roles</option>
+            {roles.map((item) => (
+              <option key={item.name} value={item.name}>{roleLabel(item.name)}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Users list */}
+      {loading ? (
+        <LoadingSpinner size="md" text="Loading users..." />
+      ) : users.length === 0 ? (
+        <Card variant="outlined" padding="lg">
+          <p style={{ margin: 0, textAlign: 'center', color: theme.colors.text.secondary }}>
+            No users found.
+          </p>
+        </Card>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: theme.spacing[3] }}>
+          {users.map((user) => {
+            const isSelf = user._id === currentUser?._id;
+            return (
+              <Card key={user._id} variant="outlined" padding="md">
+                <div style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  flexWrap: 'wrap',
+                  gap: theme.spacing[3],
+                }}>
+                  <div>
+                    <div style={{ fontWeight: theme.typography.fontWeight.semibold }}>
+                      {user.username}{' '}
+                      <span style={badgeStyles(ROLE_COLORS[user.role])}>{roleLabel(user.role)}</span>
+                      {isLocked(user) && (
+                        <>
+                          {' '}<span style={badgeStyles(theme.colors.status.error)}>Locked</span>
+                        </>
+                      )}
+                      {isSelf && <span style={mutedStyles}> (you)</span>}
+                    </div>
+                    <div style={mutedStyles}>
+                      {user.email} • Joined {new Date(user.createdAt).toLocaleDateString()}
+                    </div>
+                  </div>
+                  <div style={{ display: 'flex', gap: theme.spacing[2], alignItems: 'center', flexWrap: 'wrap' }}>
+                    <select
+                      value={user.role}
+                      onChange={(e) => setRoleChange({ user, role: e.target.value })}
+                      disabled={isSelf || busyId === user._id}
+                      aria-label={`Role of ${user.username}`}
+                      style={{ ...inputStyles, width: 'auto' }}
+                    >
+                      {!roles.some((item) => item.name === user.role) && (
+                        <option value={user.role}>{roleLabel(user.role)}</option>
+                      )}
+                      {roles.map((item) => (
+                        <option key={item.name} value={item.name}>{roleLabel(item.name)}</option>
+                      ))}
+                    </select>
+                    {isLocked(user) && (
+                      <Button size="sm" variant="outline" disabled={busyId === user._id} onClick={() => handleUnlock(user)}>
+                        Unlock
+                      </Button>
+                    )}
+                    <Button size="sm" variant="outline" onClick={() => openDetail(user)}>
+                      Details
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="danger"
+                      disabled={isSelf || busyId === user._id}
+                      onClick={() => openDeletion(user)}
+                    >
+                      Delete
+                    </Button>
+                  </div>
+                </div>
+              </Card>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Pagination */}
+      {pagination.pages > 1 && (
+        <div style={{
+          display: 'flex',
+          justifyContent: 'center',
+          alignItems: 'center',
+          gap: theme.spacing[4],
+          marginTop: theme.spacing[6],
+        }}>
+          <Button variant="outline" size="sm" disabled={page <= 1 || loading} onClick={() => setPage(page - 1)}>
+            ← Previous
+          </Button>
+          <span style={mutedStyles}>
+            Page {pagination.current} of {pagination.pages} • {pagination.total} users
+          </span>
+          <Button variant="outline" size="sm" disabled={page >= pagination.pages || loading} onClick={() => setPage(page + 1)}>
+            Next →
+          </Button>
+        </div>
+      )}
+
+      {/* Role change confirmation */}
+      <Modal isOpen={Boolean(roleChange)} onClose={() => setRoleChange(null)} title="Change role" size="sm">
+        {roleChange && (
+          <div>
+            <p style={{ marginTop: 0 }}>
+              Change <strong>{roleChange.user.username}</strong> from {roleLabel(roleChange.user.role)} to{' '}
+              <strong>{roleLabel(roleChange.role)}</strong>?
+            </p>
+            <p style={mutedStyles}>They will be signed out everywhere and need to sign in again.</p>
+            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: theme.spacing[2] }}>
+              <Button variant="outline" onClick={() => setRoleChange(null)}>Cancel</Button>
+              <Button variant="primary" loading={busyId === roleChange.user._id} disabled={Boolean(busyId)} onClick={confirmRoleChange}>
+                Change Role
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      {/* Deletion confirmation */}
+      <Modal isOpen={Boolean(deletion)} onClose={() => setDeletion(null)} title="Delete user" size="sm">
+        {deletion && (deletion.loading ? (
+          <LoadingSpinner size="md" />
+        ) : (
+          <div>
+            <p style={{ marginTop: 0 }}>
+              Delete <strong>{deletion.user.username}</strong> ({deletion.user.email})? This can't be undone.
+            </p>
+            <p style={mutedStyles}>
+              {deletion.summary.preservedCollections > 0
+                ? `${deletion.summary.preservedCollections} collection request${deletion.summary.preservedCollections === 1 ? '' : 's'} they made or collected will be kept, without their name.`
+                : 'They have no collection requests.'}
+              {deletion.summary.totalRoutes > 0 &&
+                ` ${deletion.summary.totalRoutes} route${deletion.summary.totalRoutes === 1 ? '' : 's'} will be kept without a collector.`}
+            </p>
+            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: theme.spacing[2] }}>
+              <Button variant="outline" onClick={() => setDeletion(null)}>Cancel</Button>
+              <Button variant="danger" loading={busyId === deletion.user._id} disabled={Boolean(busyId)} onClick={confirmDeletion}>
+                Delete User
+              </Button>
+            </div>
+          </div>
+        ))}
+      </Modal>
+
+      {/* User detail */}
+      <Modal isOpen={Boolean(detail)} onClose={() => setDetail(null)} title={detail?.user?.username || 'User'} size="lg">
+        {detail && renderDetail()}
+      </Modal>
+    </div>
+  );
+};
+
+export default UsersPage;
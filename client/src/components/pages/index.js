@@ -1,3 +1,8 @@
 export { default as CollectionsPage } from './CollectionsPage';
 export { default as ProfilePage } from './ProfilePage';
-export { default as HelpPage } from './HelpPage';
\ No newline at end of file
+export { default as HelpPage } from './HelpPage';
+export { default as CollectionDetailPage } from './CollectionDetailPage';
+export { default as InvitationsPage } from './InvitationsPage';
+export { default as MyRoutePage } from './MyRoutePage';
+export { default as UsersPage } from './UsersPage';
+export { default as ReportsPage } from './ReportsPage';
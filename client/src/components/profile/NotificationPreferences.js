@@ -0,0 +1,215 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { authAPI } from '../../services/api';
+import { Button, LoadingSpinner, useToast } from '../ui';
+import { theme } from '../../theme';
+
+const NOTIFICATION_TYPES = [
+  { key: 'completion', label: 'Collection completed' },
+  { key: 'assignment', label: 'New assignment' },
+  { key: 'status_update', label: 'Status updates' }
+];
+
+const CHANNELS = [
+  { key: 'inApp', label: 'In-app' },
+  { key: 'email', label: 'Email' },
+  { key: 'sms', label: 'SMS' },
+  { key: 'push', label: 'Push' }
+];
+
+const STATUSES = ['pending', 'assigned', 'in-progress', 'completed', 'cancelled'];
+
+const sectionStyle = {
+  padding: theme.spacing[4],
+  backgroundColor: theme.colors.gray[50],
+  borderRadius: theme.borderRadius.md,
+  marginBottom: theme.spacing[4]
+};
+
+const headingStyle = {
+  fontSize: theme.typography.fontSize.lg,
+  fontWeight: theme.typography.fontWeight.semibold,
+  margin: `0 0 ${theme.spacing[3]} 0`
+};
+
+const cellStyle = {
+  padding: theme.spacing[2],
+  textAlign: 'center'
+};
+
+const NotificationPreferences = () => {
+  const { toast } = useToast();
+  const [preferences, setPreferences] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadPreferences = useCallback(() => {
+    authAPI.getPreferences()
+      .then(response => setPreferences(response.data.preferences))
+      .catch(() => toast.error('Failed to load notification preferences'));
+  }, [toast]);
+
+  useEffect(() => {
+    loadPreferences();
+  }, [loadPreferences]);
+
+  const update = (section, changes) => {
+    setPreferences(prev => ({ ...prev, [section]: { ...prev[section], ...changes } }));
+  };
+
+  const updateChannel = (type, channel, value) => {
+    update('notifications', {
+      [type]: { ...preferences.notifications[type], [channel]: value }
+    });
+  };
+
+  const toggleStatus = (status) => {
+    const current = preferences.notifications.status_update.statuses || [];
+    const statuses = current.includes(status)
+      ? current.filter(s => s !== status)
+      : [...current, status];
+    updateChannel('status_update', 'statuses', statuses);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await authAPI.updatePreferences(preferences);
+      setPreferences(response.data.preferences);
+      toast.success('Notification preferences saved');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save notification preferences');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!preferences) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div style={{ marginTop: theme.spacing[6] }}>
+      <h2 style={{ ...headingStyle, fontSize: theme.typography.fontSize.xl }}>Notification Preferences</h2>
+
+      <div style={sectionStyle}>
+        <h3 style={headingStyle}>Channels</h3>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={{ ...cellStyle, textAlign: 'left' }}>Notification</th>
+              {CHANNELS.map(channel => (
+                <th key={channel.key} style={cellStyle}>{channel.label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {NOTIFICATION_TYPES.map(type => (
+              <tr key={type.key}>
+                <td style={{ ...cellStyle, textAlign: 'left' }}>{type.label}</td>
+                {CHANNELS.map(channel => (
+                  <td key={channel.key} style={cellStyle}>
+                    <input
+                      type="checkbox"
+                      aria-label={`${type.label} via ${channel.label}`}
+                      checked={preferences.notifications[type.key][channel.key] !== false}
+                      onChange={(e) => updateChannel(type.key, channel.key, e.target.checked)}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <p style={{ margin: `${theme.spacing[4]} 0 ${theme.spacing[2]} 0` }}>
+          Notify me when a collection becomes:
+        </p>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: theme.spacing[4] }}>
+          {STATUSES.map(status => (
+            <label key={status} style={{ display: 'flex', alignItems: 'center', gap: theme.spacing[1] }}>
+              <input
+                type="checkbox"
+                checked={(preferences.notifications.status_update.statuses || []).includes(status)}
+                onChange={() => toggleStatus(status)}
+              />
+              {status}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div style={sectionStyle}>
+        <h3 style={headingStyle}>Quiet Hours</h3>
+        <label style={{ display: 'flex', alignItems: 'center', gap: theme.spacing[2], marginBottom: theme.spacing[3] }}>
+          <input
+            type="checkbox"
+            checked={preferences.quietHours.enabled}
+            onChange={(e) => update('quietHours', { enabled: e.target.checked })}
+          />
+          Hold email, SMS and push notifications during quiet hours
+        </label>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: theme.spacing[4] }}>
+          <label>
+            From{' '}
+            <input
+              type="time"
+              value={preferences.quietHours.start}
+              disabled={!preferences.quietHours.enabled}
+              onChange={(e) => update('quietHours', { start: e.target.value })}
+            />
+          </label>
+          <label>
+            Until{' '}
+            <input
+              type="time"
+              value={preferences.quietHours.end}
+              disabled={!preferences.quietHours.enabled}
+              onChange={(e) => update('quietHours', { end: e.target.value })}
+            />
+          </label>
+          <label>
+            Timezone{' '}
+            <input
+              type="text"
+              value={preferences.timezone}
+              placeholder="e.g. Europe/London"
+              onChange={(e) => setPreferences(prev => ({ ...prev, timezone: e.target.value }))}
+            />
+          </label>
+        </div>
+      </div>
+
+      <div style={sectionStyle}>
+        <h3 style={headingStyle}>Digest</h3>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: theme.spacing[4] }}>
+          <label>
+            Send{' '}
+            <select
+              value={preferences.digest.mode}
+              onChange={(e) => update('digest', { mode: e.target.value })}
+            >
+              <option value="off">each notification immediately</option>
+              <option value="hourly">an hourly digest</option>
+              <option value="daily">a daily digest</option>
+            </select>
+          </label>
+          {preferences.digest.mode === 'daily' && (
+            <label>
+              at{' '}
+              <input
+                type="time"
+                value={preferences.digest.time}
+                onChange={(e) => update('digest', { time: e.target.value })}
+              />
+            </label>
+          )}
+        </div>
+      </div>
+
+      <Button onClick={handleSave} loading={saving} disabled={saving}>
+        Save Preferences
+      </Button>
+    </div>
+  );
+};
+
+export default NotificationPreferences;
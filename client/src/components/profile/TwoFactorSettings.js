@@ -0,0 +1,213 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { authAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import { Button, LoadingSpinner, useToast } from '../ui';
+import { theme } from '../../theme';
+
+const sectionStyle = {
+  padding: theme.spacing[4],
+  backgroundColor: theme.colors.gray[50],
+  borderRadius: theme.borderRadius.md,
+  marginBottom: theme.spacing[4]
+};
+
+const headingStyle = {
+  fontSize: theme.typography.fontSize.lg,
+  fontWeight: theme.typography.fontWeight.semibold,
+  margin: `0 0 ${theme.spacing[3]} 0`
+};
+
+const inputStyle = {
+  padding: theme.spacing[2],
+  marginRight: theme.spacing[2]
+};
+
+const codeListStyle = {
+  display: 'grid',
+  gridTemplateColumns: 'repeat(auto-fill, minmax(120px, 1fr))',
+  gap: theme.spacing[2],
+  fontFamily: 'monospace',
+  fontSize: theme.typography.fontSize.lg,
+  margin: `${theme.spacing[3]} 0`
+};
+
+const TwoFactorSettings = () => {
+  const { user, updateUser } = useAuth();
+  const { toast } = useToast();
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [disableCode, setDisableCode] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const loadStatus = useCallback(() => {
+    authAPI.getTwoFactor()
+      .then(response => setStatus(response.data.twoFactor))
+      .catch(() => toast.error('Failed to load two-factor settings'));
+  }, [toast]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  // Runs one request, clearing the entered code and reporting failures as toasts
+  const run = async (action, fallbackMessage) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (error) {
+      toast.error(error.response?.data?.message || fallbackMessage);
+    } finally {
+      setCode('');
+      setDisableCode('');
+      setBusy(false);
+    }
+  };
+
+  const handleStartSetup = () => run(async () => {
+    const response = await authAPI.setupTwoFactor();
+    setSetup({ secret: response.data.secret, otpauthUri: response.data.otpauthUri });
+  }, 'Failed to start two-factor setup');
+
+  const handleEnable = () => run(async () => {
+    const response = await authAPI.enableTwoFactor(code.trim());
+    setSetup(null);
+    setRecoveryCodes(response.data.recoveryCodes);
+    updateUser(response.data.user);
+    loadStatus();
+    toast.success('Two-factor authentication is on');
+  }, 'Failed to turn on two-factor authentication');
+
+  const handleDisable = () => run(async () => {
+    await authAPI.disableTwoFactor(password, disableCode.trim());
+    setPassword('');
+    setRecoveryCodes(null);
+    updateUser({ ...user, twoFactor: { enabled: false } });
+    loadStatus();
+    toast.success('Two-factor authentication is off');
+  }, 'Failed to turn off two-factor authentication');
+
+  const handleRegenerate = () => run(async () => {
+    const response = await authAPI.regenerateRecoveryCodes(code.trim());
+    setRecoveryCodes(response.data.recoveryCodes);
+    loadStatus();
+    toast.success('New recovery codes created');
+  }, 'Failed to create new recovery codes');
+
+  if (!status) {
+    return <LoadingSpinner />;
+  }
+
+  const renderCodeInput = (value, onChange) => (
+    <input
+      type="text"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      aria-label="Authentication code"
+      placeholder="6-digit code"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      style={inputStyle}
+    />
+  );
+
+  return (
+    <div style={{ marginTop: theme.spacing[6] }}>
+      <h2 style={{ ...headingStyle, fontSize: theme.typography.fontSize.xl }}>Two-Factor Authentication</h2>
+
+      {status.required && !status.enabled && (
+        <div style={{
+          ...sectionStyle,
+          backgroundColor: theme.colors.status.warning + '20',
+          border: `1px solid ${theme.colors.status.warning}`
+        }}>
+          Two-factor authentication is required for {user?.role} accounts. Set it up below to use the rest of the system.
+        </div>
+      )}
+
+      {recoveryCodes && (
+        <div style={sectionStyle}>
+          <h3 style={headingStyle}>Recovery Codes</h3>
+          <p style={{ margin: 0 }}>
+            Keep these somewhere safe. Each one signs you in once if you lose your device, and they won't be shown again.
+          </p>
+          <div style={codeListStyle}>
+            {recoveryCodes.map(recoveryCode => (
+              <span key={recoveryCode}>{recoveryCode}</span>
+            ))}
+          </div>
+          <Button variant="secondary" size="sm" onClick={() => setRecoveryCodes(null)}>
+            I've saved them
+          </Button>
+        </div>
+      )}
+
+      {!status.enabled && !setup && (
+        <div style={sectionStyle}>
+          <p style={{ marginTop: 0 }}>
+            Protect your account with a code from an authenticator app each time you sign in.
+          </p>
+          <Button onClick={handleStartSetup} loading={busy} disabled={busy}>
+            Set Up Two-Factor Authentication
+          </Button>
+        </div>
+      )}
+
+      {!status.enabled && setup && (
+        <div style={sectionStyle}>
+          <h3 style={headingStyle}>Add to your authenticator app</h3>
+          <p style={{ marginTop: 0 }}>
+            On this device, <a href={setup.otpauthUri}>open the authenticator link</a>, or enter this key manually:
+          </p>
+          <p style={{ fontFamily: 'monospace', fontSize: theme.typography.fontSize.lg, wordBreak: 'break-all' }}>
+            {setup.secret}
+          </p>
+          <p>Then enter the code the app shows to finish:</p>
+          {renderCodeInput(code, setCode)}
+          <Button onClick={handleEnable} loading={busy} disabled={busy || !code.trim()}>
+            Turn On
+          </Button>
+        </div>
+      )}
+
+      {status.enabled && (
+        <div style={sectionStyle}>
+          <p style={{ marginTop: 0 }}>
+            <strong>On</strong>
+            {status.enabledAt && ` since ${new Date(status.enabledAt).toLocaleDateString()}`}
+            {` · ${status.recoveryCodesRemaining} recovery codes left`}
+          </p>
+
+          <h3 style={headingStyle}>New recovery codes</h3>
+          <p style={{ marginTop: 0 }}>Replaces your current recovery codes. Enter a code from your app to confirm.</p>
+          {renderCodeInput(code, setCode)}
+          <Button variant="secondary" onClick={handleRegenerate} loading={busy} disabled={busy || !code.trim()}>
+            Create New Codes
+          </Button>
+
+          {!status.required && (
+            <>
+              <h3 style={{ ...headingStyle, marginTop: theme.spacing[4] }}>Turn off</h3>
+              <input
+                type="password"
+                aria-label="Password"
+                placeholder="Password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                style={inputStyle}
+              />
+              {renderCodeInput(disableCode, setDisableCode)}
+              <Button variant="danger" onClick={handleDisable} loading={busy} disabled={busy || !password || !disableCode.trim()}>
+                Turn Off
+              </Button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,71 @@
+import React from 'react';
+import { theme } from '../../theme';
+
+const WIDTH = 720;
+const ROW_HEIGHT = 32;
+const LABEL_WIDTH = 170;
+const VALUE_WIDTH = 150;
+
+/**
+ * Horizontal bar chart drawn as SVG, one labelled row per item
+ * @param {Array} data - [{ key, label, value, detail, color }]; detail is shown after the value
+ * @param {Function} onSelect - Called with the clicked item; rows are only clickable with a value
+ * @param {number} max - Value of a full-length bar (defaults to the largest value)
+ * @param {string} title - Accessible description of the chart
+ */
+const BarChart = ({ data = [], onSelect, max, title }) => {
+  const scale = Math.max(1, max ?? Math.max(0, ...data.map((item) => item.value)));
+  const barSpace = WIDTH - LABEL_WIDTH - VALUE_WIDTH;
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${Math.max(data.length, 1) * ROW_HEIGHT}`}
+      role="img"
+      aria-label={title}
+      style={{ width: '100%', height: 'auto', display: 'block' }}
+    >
+      {data.map((item, index) => {
+        const y = index * ROW_HEIGHT;
+        const clickable = onSelect && item.value > 0;
+        return (
+          <g
+            key={item.key}
+            onClick={clickable ? () => onSelect(item) : undefined}
+            style={{ cursor: clickable ? 'pointer' : 'default' }}
+          >
+            <title>{`${item.label}: ${item.value}${item.detail ? ` (${item.detail})` : ''}`}</title>
+            <rect x={0} y={y} width={WIDTH} height={ROW_HEIGHT} fill="transparent" />
+            <text
+              x={LABEL_WIDTH - 10}
+              y={y + ROW_HEIGHT / 2 + 5}
+              textAnchor="end"
+              fontSize={14}
+              fill={theme.colors.text.primary}
+            >
+              {item.label}
+            </text>
+            <rect x={LABEL_WIDTH} y={y + 6} width={barSpace} height={ROW_HEIGHT - 12} rx={3} fill={theme.colors.gray[100]} />
+            <rect
+              x={LABEL_WIDTH}
+              y={y + 6}
+              width={(item.value / scale) * barSpace}
+              height={ROW_HEIGHT - 12}
+              rx={3}
+              fill={item.color || theme.colors.primary[500]}
+            />
+            <text
+              x={LABEL_WIDTH + barSpace + 10}
+              y={y + ROW_HEIGHT / 2 + 5}
+              fontSize={14}
+              fill={theme.colors.text.secondary}
+            >
+              {item.value}{item.detail ? ` · ${item.detail}` : ''}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default BarChart;
@@ -0,0 +1,61 @@
+import React from 'react';
+import { theme } from '../../theme';
+
+const WIDTH = 720;
+const HEIGHT = 180;
+const LABEL_SPACE = 24;
+const MAX_LABELS = 8;
+
+/**
+ * Column chart drawn as SVG, for a series over time
+ * @param {Array} data - [{ key, label, value }] in order
+ * @param {Function} onSelect - Called with the clicked item; columns are only clickable with a value
+ * @param {string} color - Column color
+ * @param {string} title - Accessible description of the chart
+ */
+const ColumnChart = ({ data = [], onSelect, color = theme.colors.primary[500], title }) => {
+  const max = Math.max(1, ...data.map((item) => item.value));
+  const slot = WIDTH / Math.max(data.length, 1);
+  const labelEvery = Math.max(1, Math.ceil(data.length / MAX_LABELS));
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT + LABEL_SPACE}`}
+      role="img"
+      aria-label={title}
+      style={{ width: '100%', height: 'auto', display: 'block' }}
+    >
+      <line x1={0} y1={HEIGHT} x2={WIDTH} y2={HEIGHT} stroke={theme.colors.gray[300]} strokeWidth={1} />
+      {data.map((item, index) => {
+        const barHeight = (item.value / max) * (HEIGHT - 16);
+        const x = index * slot + slot * 0.15;
+        const clickable = onSelect && item.value > 0;
+        return (
+          <g
+            key={item.key}
+            onClick={clickable ? () => onSelect(item) : undefined}
+            style={{ cursor: clickable ? 'pointer' : 'default' }}
+          >
+            <title>{`${item.label}: ${item.value}`}</title>
+            {/* Full-height target so short columns are easy to hit */}
+            <rect x={index * slot} y={0} width={slot} height={HEIGHT} fill="transparent" />
+            <rect x={x} y={HEIGHT - barHeight} width={slot * 0.7} height={barHeight} rx={2} fill={color} />
+            {index % labelEvery === 0 && (
+              <text
+                x={index * slot + slot / 2}
+                y={HEIGHT + 16}
+                textAnchor="middle"
+                fontSize={11}
+                fill={theme.colors.text.secondary}
+              >
+                {item.label}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default ColumnChart;
@@ -0,0 +1,2 @@
+export { default as ColumnChart } from './ColumnChart';
+export { default as BarChart } from './BarChart';
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, createContext, useContext } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, createContext, useContext } from 'react';
 import { createPortal } from 'react-dom';
 import { theme } from '../../theme';
 
@@ -17,7 +17,11 @@ export const useToast = () => {
 export const ToastProvider = ({ children }) => {
   const [toasts, setToasts] = useState([]);
 
-  const addToast = (toast) => {
+  const removeToast = useCallback((id) => {
+    setToasts(prev => prev.filter(toast => toast.id !== id));
+  }, []);
+
+  const addToast = useCallback((toast) => {
     const id = Date.now() + Math.random();
     const newToast = {
       id,
@@ -36,27 +40,25 @@ export const ToastProvider = ({ children }) => {
     }
 
     return id;
-  };
+  }, [removeToast]);
 
-  const removeToast = (id) => {
-    setToasts(prev => prev.filter(toast => toast.id !== id));
-  };
-
-  const removeAllToasts = () => {
+  const removeAllToasts = useCallback(() => {
     setToasts([]);
-  };
+  }, []);
 
-  // Convenience methods
-  const toast = {
+  // Convenience methods, kept stable so pages can list them as effect dependencies
+  const toast = useMemo(() => ({
     success: (message, options = {}) => addToast({ ...options, type: 'success', message }),
     error: (message, options = {}) => addToast({ ...options, type: 'error', message }),
     warning: (message, options = {}) => addToast({ ...options, type: 'warning', message }),
     info: (message, options = {}) => addToast({ ...options, type: 'info', message }),
     custom: (content, options = {}) => addToast({ ...options, content }),
-  };
+  }), [addToast]);
+
+  const value = useMemo(() => ({ toast, removeToast, removeAllToasts }), [toast, removeToast, removeAllToasts]);
 
   return (
-    <ToastContext.Provider value={{ toast, removeToast, removeAllToasts }}>
+    <ToastContext.Provider value={value}>
       {children}
       <ToastContainer toasts={toasts} onRemove={removeToast} />
     </ToastContext.Provider>
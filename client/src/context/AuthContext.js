@@ -1,5 +1,6 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { authAPI } from '../services/api';
+import { clearCachedRouteData } from '../utils/networkOptimization';
 
 const AuthContext = createContext();
 
@@ -11,9 +12,19 @@ export const useAuth = () => {
   return context;
 };
 
+const loadSavedPermissions = () => {
+  try {
+    return JSON.parse(localStorage.getItem('permissions')) || null;
+  } catch (error) {
+    return null;
+  }
+};
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  // What the user's role allows, as sent by the server; null until known
+  const [permissions, setPermissions] = useState(loadSavedPermissions);
 
   useEffect(() => {
     const token = localStorage.getItem('token');
@@ -25,19 +36,82 @@ export const AuthProvider = ({ children }) => {
     setLoading(false);
   }, []);
 
+  const updatePermissions = useCallback((nextPermissions) => {
+    setPermissions(nextPermissions);
+    if (nextPermissions) {
+      localStorage.setItem('permissions', JSON.stringify(nextPermissions));
+    } else {
+      localStorage.removeItem('permissions');
+    }
+  }, []);
+
+  // Load the permissions of whoever signs in; custom roles and super-admins have no fixed name to check
+  const userId = user?._id;
+  useEffect(() => {
+    if (!userId) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    authAPI.getProfile()
+      .then((response) => {
+        if (!cancelled) updatePermissions(response.data.permissions || []);
+      })
+      .catch((error) => {
+        console.error('Error loading permissions:', error);
+        // Keep what was saved from the last visit when offline
+        if (!cancelled) setPermissions((current) => current || []);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, updatePermissions]);
+
+  const hasPermission = useCallback(
+    (...required) => required.some((permission) => permissions?.includes(permission)),
+    [permissions]
+  );
+
   const login = async (credentials) => {
     try {
       const response = await authAPI.login(credentials);
-      const { user, token } = response.data;
+      const { user, token, refreshToken, twoFactorRequired, challengeToken, twoFactorSetupRequired } = response.data;
+
+      // Two-factor accounts finish signing in with completeTwoFactorLogin
+      if (twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken };
+      }
       
       localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', refreshToken);
       localStorage.setItem('user', JSON.stringify(user));
       setUser(user);
       
-      return { success: true, user };
+      return { success: true, user, twoFactorSetupRequired };
+    } catch (error) {
+      return { 
+        success: false, 
+        message: error.response?.data?.message || 'Login failed' 
+      };
+    }
+  };
+
+  const completeTwoFactorLogin = async (challengeToken, code) => {
+    try {
+      const response = await authAPI.loginTwoFactor(challengeToken, code);
+      const { user, token, refreshToken, recoveryCodesRemaining } = response.data;
+      
+      localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', refreshToken);
+      localStorage.setItem('user', JSON.stringify(user));
+      setUser(user);
+      
+      return { success: true, user, recoveryCodesRemaining };
     } catch (error) {
       return { 
         success: false, 
+        status: error.response?.status,
         message: error.response?.data?.message || 'Login failed' 
       };
     }
@@ -46,13 +120,14 @@ export const AuthProvider = ({ children }) => {
   const register = async (userData) => {
     try {
       const response = await authAPI.register(userData);
-      const { user, token } = response.data;
+      const { user, token, refreshToken, verificationEmailSent } = response.data;
       
       localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', refreshToken);
       localStorage.setItem('user', JSON.stringify(user));
       setUser(user);
       
-      return { success: true, user };
+      return { success: true, user, verificationEmailSent };
     } catch (error) {
       return { 
         success: false, 
@@ -61,6 +136,25 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const acceptInvitation = async (accountData) => {
+    try {
+      const response = await authAPI.acceptInvitation(accountData);
+      const { user, token, refreshToken } = response.data;
+      
+      localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', refreshToken);
+      localStorage.setItem('user', JSON.stringify(user));
+      setUser(user);
+      
+      return { success: true, user };
+    } catch (error) {
+      return { 
+        success: false, 
+        message: error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Could not create your account' 
+      };
+    }
+  };
+
   const logout = async () => {
     try {
       await authAPI.logout();
@@ -68,7 +162,11 @@ export const AuthProvider = ({ children }) => {
       console.error('Logout error:', error);
     } finally {
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       localStorage.removeItem('user');
+      updatePermissions(null);
+      // Route updates still queued offline are kept for when the collector signs back in
+      clearCachedRouteData().catch(() => undefined);
       setUser(null);
     }
   };
@@ -98,13 +196,20 @@ export const AuthProvider = ({ children }) => {
   const value = {
     user,
     login,
+    completeTwoFactorLogin,
     register,
+    acceptInvitation,
     logout,
     updateUser,
     updateProfile,
-    loading,
+    permissions,
+    updatePermissions,
+    hasPermission,
+    // Still working out what the signed-in user may open
+    loading: loading || (!!user && permissions === null),
     isAuthenticated: !!user,
-    isAdmin: user?.role === 'admin',
+    // Sees the admin dashboard and statistics
+    isAdmin: hasPermission('reports:view'),
     isCollector: user?.role === 'collector',
     isResident: user?.role === 'resident',
   };
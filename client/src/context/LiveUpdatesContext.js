@@ -0,0 +1,136 @@
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { getEventStreamUrl, notificationsAPI } from '../services/api';
+
+const LiveUpdatesContext = createContext();
+
+// Matches the retry the server asks EventSource for
+const RECONNECT_DELAY_MS = 5000;
+
+// Server-Sent Event types forwarded to subscribers
+export const LIVE_EVENT_TYPES = [
+  'collection.created',
+  'collection.updated',
+  'collection.assigned',
+  'collection.cancelled',
+  'route.created',
+  'route.updated',
+  'notification.created',
+];
+
+export const useLiveUpdatesContext = () => {
+  const context = useContext(LiveUpdatesContext);
+  if (!context) {
+    throw new Error('useLiveUpdatesContext must be used within a LiveUpdatesProvider');
+  }
+  return context;
+};
+
+export const LiveUpdatesProvider = ({ children }) => {
+  const { user, updatePermissions } = useAuth();
+  const [connected, setConnected] = useState(false);
+  const [unreadCount, setUnreadCount] = useState(0);
+  // Bumped to open a new stream with a fresh ticket
+  const [streamKey, setStreamKey] = useState(0);
+  const listenersRef = useRef(new Set());
+
+  const refreshUnreadCount = useCallback(async () => {
+    try {
+      const response = await notificationsAPI.getUnreadCount();
+      setUnreadCount(response.data.unreadCount || 0);
+    } catch (error) {
+      console.error('Error loading unread notification count:', error);
+    }
+  }, []);
+
+  // One stream per signed-in user, shared by every subscriber
+  useEffect(() => {
+    if (!user || typeof window.EventSource === 'undefined') {
+      setConnected(false);
+      setUnreadCount(0);
+      return undefined;
+    }
+
+    refreshUnreadCount();
+
+    let source = null;
+    let reconnect = null;
+    let cancelled = false;
+
+    const handlers = LIVE_EVENT_TYPES.map((type) => {
+      const handler = (message) => {
+        let data;
+        try {
+          data = JSON.parse(message.data);
+        } catch (error) {
+          console.error('Invalid live update:', error);
+          return;
+        }
+
+        if (type === 'notification.created') {
+          setUnreadCount((count) => count + 1);
+        }
+
+        listenersRef.current.forEach((listener) => listener({ type, data }));
+      };
+      return [type, handler];
+    });
+
+    getEventStreamUrl()
+      .then((url) => {
+        if (cancelled) return;
+
+        source = new EventSource(url);
+        source.addEventListener('connected', (message) => {
+          setConnected(true);
+          // Pick up changes to the user's role since they signed in
+          try {
+            const { permissions } = JSON.parse(message.data);
+            if (Array.isArray(permissions)) updatePermissions(permissions);
+          } catch (error) {
+            console.error('Invalid live update:', error);
+          }
+        });
+        source.onerror = () => {
+          // A ticket only opens one stream, so EventSource's own reconnect would be refused
+          // once the connection drops or the server ends it; reconnect with a new ticket instead
+          setConnected(false);
+          source.close();
+          clearTimeout(reconnect);
+          reconnect = setTimeout(() => setStreamKey((key) => key + 1), RECONNECT_DELAY_MS);
+        };
+        handlers.forEach(([type, handler]) => source.addEventListener(type, handler));
+      })
+      // The ticket request already refreshed the access token or signed the user out
+      .catch((error) => console.error('Live updates stopped:', error));
+
+    return () => {
+      cancelled = true;
+      clearTimeout(reconnect);
+      if (source) {
+        handlers.forEach(([type, handler]) => source.removeEventListener(type, handler));
+        source.close();
+      }
+      setConnected(false);
+    };
+  }, [user, streamKey, refreshUnreadCount, updatePermissions]);
+
+  const subscribe = useCallback((listener) => {
+    listenersRef.current.add(listener);
+    return () => listenersRef.current.delete(listener);
+  }, []);
+
+  const value = {
+    connected,
+    unreadCount,
+    setUnreadCount,
+    refreshUnreadCount,
+    subscribe,
+  };
+
+  return (
+    <LiveUpdatesContext.Provider value={value}>
+      {children}
+    </LiveUpdatesContext.Provider>
+  );
+};
@@ -0,0 +1,89 @@
+import { useEffect, useRef } from 'react';
+import { useLiveUpdatesContext } from '../context/LiveUpdatesContext';
+
+const idOf = (value) => (value && typeof value === 'object' ? value._id : value);
+
+// Mirrors the server-side visibility scope so a list drops items the user can no longer see
+const isVisibleTo = (collection, user, permissions = []) => {
+  if (permissions.includes('collections:view-all')) {
+    return true;
+  }
+  return (
+    (permissions.includes('collections:view-own') && idOf(collection.requesterId) === user?._id) ||
+    (permissions.includes('collections:view-assigned') && idOf(collection.assignedCollector) === user?._id)
+  );
+};
+
+// Keep populated references (requester, collector) when the event only carries their ids
+const mergeCollection = (existing, incoming) => {
+  const merged = { ...existing, ...incoming };
+  Object.keys(incoming).forEach((key) => {
+    const current = existing[key];
+    if (current && typeof current === 'object' && current._id && incoming[key] === current._id) {
+      merged[key] = current;
+    }
+  });
+  return merged;
+};
+
+/**
+ * Apply a collection event to a list of collections
+ * @param {Array} collections - Current list
+ * @param {Object} event - { type, data } live update
+ * @param {Object} user - Signed-in user
+ * @param {Array<string>} permissions - The user's permissions
+ * @param {Function} matches - Optional predicate for list filters (status, category)
+ * @returns {Array} Updated list (the same array if nothing changed)
+ */
+export const applyCollectionEvent = (collections, event, user, permissions, matches = () => true) => {
+  const incoming = event.data?.collection;
+  if (!event.type.startsWith('collection.') || !incoming) {
+    return collections;
+  }
+
+  const index = collections.findIndex((item) => item._id === incoming._id);
+  const keep = isVisibleTo(incoming, user, permissions || []);
+
+  if (index === -1) {
+    return keep && matches(incoming) ? [incoming, ...collections] : collections;
+  }
+
+  const merged = mergeCollection(collections[index], incoming);
+  if (!keep || !matches(merged)) {
+    return collections.filter((_, i) => i !== index);
+  }
+
+  const next = [...collections];
+  next[index] = merged;
+  return next;
+};
+
+/**
+ * Subscribe to live updates from the server
+ * @param {Function} handler - Called with { type, data } for every event
+ * @param {Array<string>} types - Optional event types to listen for (prefixes like 'collection.' allowed)
+ * @returns {Object} { connected, unreadCount }
+ */
+export const useLiveUpdates = (handler, types) => {
+  const { subscribe, connected, unreadCount } = useLiveUpdatesContext();
+  const handlerRef = useRef(handler);
+  const typesKey = types ? types.join(',') : '';
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    const wanted = typesKey ? typesKey.split(',') : null;
+
+    return subscribe((event) => {
+      if (!wanted || wanted.some((type) => event.type === type || (type.endsWith('.') && event.type.startsWith(type)))) {
+        handlerRef.current?.(event);
+      }
+    });
+  }, [subscribe, typesKey]);
+
+  return { connected, unreadCount };
+};
+
+export default useLiveUpdates;
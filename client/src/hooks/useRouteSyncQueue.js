@@ -0,0 +1,106 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { routesAPI } from '../services/api';
+import { useNetworkStatus, requestRouteSync } from '../utils/networkOptimization';
+import {
+  queueRouteUpdate,
+  getQueuedRouteUpdates,
+  removeQueuedRouteUpdate,
+  replayRouteUpdates,
+} from '../utils/offlineQueue';
+
+/**
+ * Queue route stop updates made offline and replay them once the connection is back
+ * (on the online event, on the service worker's background sync, and on load)
+ * @param {Function} onSynced - Called with { synced, conflicts } after a replay that did something
+ * @returns {Object} { isOnline, queued, conflicts, syncing, lastSyncedAt, enqueue, discard, sync }
+ */
+export const useRouteSyncQueue = (onSynced) => {
+  const { user } = useAuth();
+  const { isOnline } = useNetworkStatus();
+  const [updates, setUpdates] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+  const onSyncedRef = useRef(onSynced);
+  const userId = user?._id;
+
+  useEffect(() => {
+    onSyncedRef.current = onSynced;
+  });
+
+  const refresh = useCallback(async () => {
+    try {
+      setUpdates(await getQueuedRouteUpdates(userId));
+    } catch (error) {
+      console.error('Error reading offline updates:', error);
+    }
+  }, [userId]);
+
+  const sync = useCallback(async () => {
+    if (!userId || !navigator.onLine) {
+      return;
+    }
+    try {
+      setSyncing(true);
+      const result = await replayRouteUpdates(userId, (update) =>
+        routesAPI.updateStatus(update.routeId, update.collectionId, update.status, update.problem));
+      if (result.synced.length > 0) {
+        setLastSyncedAt(new Date());
+      }
+      if (result.synced.length > 0 || result.conflicts.length > 0) {
+        onSyncedRef.current?.(result);
+      }
+    } catch (error) {
+      console.error('Error syncing offline updates:', error);
+    } finally {
+      setSyncing(false);
+      await refresh();
+    }
+  }, [userId, refresh]);
+
+  // Replay whatever was left queued as soon as we are (back) online
+  useEffect(() => {
+    refresh();
+    if (isOnline) {
+      sync();
+    }
+  }, [isOnline, refresh, sync]);
+
+  useEffect(() => {
+    if (!('serviceWorker' in navigator)) {
+      return undefined;
+    }
+    const handleMessage = (event) => {
+      if (event.data?.type === 'replay-route-updates') {
+        sync();
+      }
+    };
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+  }, [sync]);
+
+  const enqueue = useCallback(async (update) => {
+    await queueRouteUpdate({ ...update, userId });
+    await refresh();
+    requestRouteSync();
+  }, [userId, refresh]);
+
+  const discard = useCallback(async (id) => {
+    await removeQueuedRouteUpdate(id);
+    await refresh();
+  }, [refresh]);
+
+  return {
+    isOnline,
+    updates,
+    queued: updates.filter((update) => update.state === 'queued'),
+    conflicts: updates.filter((update) => update.state === 'conflict'),
+    syncing,
+    lastSyncedAt,
+    enqueue,
+    discard,
+    sync,
+  };
+};
+
+export default useRouteSyncQueue;
@@ -19,13 +19,117 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
-// Handle token expiration
+// Requests whose 401 means bad credentials rather than an expired access token
+const NO_REFRESH_PATHS = [
+  '/auth/login',
+  '/auth/register',
+  '/auth/invitations',
+  '/auth/accept-invitation',
+  '/auth/refresh',
+  '/auth/verify-email',
+  '/auth/forgot-password',
+  '/auth/reset-password',
+];
+
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  localStorage.removeItem('permissions');
+};
+
+// Shared by every request that fails while a refresh is already under way
+let refreshPromise = null;
+
+const REFRESH_LOCK = 'auth-refresh';
+const ROTATED_WAIT_MS = 5000;
+
+// Resolve with the access token another tab stores once it has rotated `refreshToken`
+const waitForOtherTab = (refreshToken) => new Promise((resolve, reject) => {
+  let timer = null;
+  const pickUp = () => {
+    const stored = localStorage.getItem('refreshToken');
+    if (stored === refreshToken) return;
+
+    window.removeEventListener('storage', pickUp);
+    clearTimeout(timer);
+    if (stored) {
+      resolve(localStorage.getItem('token'));
+    } else {
+      reject(new Error('Signed out in another tab'));
+    }
+  };
+
+  timer = setTimeout(() => {
+    window.removeEventListener('storage', pickUp);
+    reject(new Error('Refresh token was rotated elsewhere'));
+  }, ROTATED_WAIT_MS);
+  window.addEventListener('storage', pickUp);
+  pickUp();
+});
+
+const exchangeRefreshToken = async (refreshToken) => {
+  if (!refreshToken) {
+    throw new Error('No refresh token');
+  }
+
+  try {
+    const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken });
+    localStorage.setItem('token', response.data.token);
+    localStorage.setItem('refreshToken', response.data.refreshToken);
+    localStorage.setItem('user', JSON.stringify(response.data.user));
+    return response.data.token;
+  } catch (error) {
+    // Another tab refreshed the same token a moment earlier
+    if (error.response?.status === 409 && error.response.data?.rotated) {
+      return waitForOtherTab(refreshToken);
+    }
+    throw error;
+  }
+};
+
+// Exchange the stored refresh token for a new access token. Tabs take turns where the
+// browser supports locks, and a tab whose turn comes after another tab's refresh uses
+// the token that tab stored
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const startingToken = localStorage.getItem('refreshToken');
+    const refresh = () => {
+      const current = localStorage.getItem('refreshToken');
+      if (current && current !== startingToken) {
+        return localStorage.getItem('token');
+      }
+      return exchangeRefreshToken(current);
+    };
+
+    refreshPromise = Promise.resolve(navigator.locks ? navigator.locks.request(REFRESH_LOCK, refresh) : refresh())
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Refresh expired access tokens and retry; sign out when the session has ended
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
+  async (error) => {
+    const { config, response } = error;
+    const skipRefresh = NO_REFRESH_PATHS.some((path) => config?.url?.startsWith(path));
+
+    if (response?.status === 401 && config && !skipRefresh) {
+      if (!config._retry) {
+        config._retry = true;
+        try {
+          const token = await refreshAccessToken();
+          config.headers.Authorization = `Bearer ${token}`;
+          return api(config);
+        } catch (refreshError) {
+          // Fall through to sign out
+        }
+      }
+
+      clearSession();
       window.location.href = '/login';
     }
     return Promise.reject(error);
@@ -36,9 +140,26 @@ api.interceptors.response.use(
 export const authAPI = {
   register: (userData) => api.post('/auth/register', userData),
   login: (credentials) => api.post('/auth/login', credentials),
-  logout: () => api.post('/auth/logout'),
+  loginTwoFactor: (challengeToken, code) => api.post('/auth/login/two-factor', { challengeToken, code }),
+  refresh: (refreshToken) => api.post('/auth/refresh', { refreshToken }),
+  getInvitation: (token) => api.get(`/auth/invitations/${encodeURIComponent(token)}`),
+  acceptInvitation: (accountData) => api.post('/auth/accept-invitation', accountData),
+  logout: (options = {}) => api.post('/auth/logout', options),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: () => api.post('/auth/resend-verification'),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
+  getSessions: () => api.get('/auth/sessions'),
+  getTwoFactor: () => api.get('/auth/two-factor'),
+  setupTwoFactor: () => api.post('/auth/two-factor/setup'),
+  enableTwoFactor: (code) => api.post('/auth/two-factor/enable', { code }),
+  disableTwoFactor: (password, code) => api.post('/auth/two-factor/disable', { password, code }),
+  regenerateRecoveryCodes: (code) => api.post('/auth/two-factor/recovery-codes', { code }),
+  endSession: (sessionId) => api.delete(`/auth/sessions/${sessionId}`),
   getProfile: () => api.get('/auth/profile'),
   updateProfile: (profileData) => api.put('/auth/profile', profileData),
+  getPreferences: () => api.get('/auth/preferences'),
+  updatePreferences: (preferences) => api.put('/auth/preferences', { preferences }),
 };
 
 // Collections API
@@ -52,32 +173,114 @@ export const collectionsAPI = {
   searchByDateRange: (params) => api.get('/collections/search/date-range', { params }),
 };
 
+// Service zones API
+export const zonesAPI = {
+  locate: (lat, lng) => api.get('/zones/locate', { params: { lat, lng } }),
+  getAll: (params) => api.get('/zones', { params }),
+  getById: (id) => api.get(`/zones/${id}`),
+  create: (zoneData) => api.post('/zones', zoneData),
+  update: (id, updateData) => api.put(`/zones/${id}`, updateData),
+  deactivate: (id) => api.delete(`/zones/${id}`),
+};
+
+// Address register and geocoding API
+export const addressesAPI = {
+  geocode: (address) => api.get('/addresses/geocode', { params: { address } }),
+  getAll: (params) => api.get('/addresses', { params }),
+  importCsv: (csv, source) => api.post('/addresses/import', { csv, source }),
+  remove: (id) => api.delete(`/addresses/${id}`),
+  getReview: (params) => api.get('/addresses/review', { params }),
+  resolve: (requestId, data) => api.put(`/addresses/review/${requestId}`, data),
+};
+
+// Organizations API
+export const organizationsAPI = {
+  getPublic: () => api.get('/organizations/public'),
+  getAll: (params) => api.get('/organizations', { params }),
+  getById: (id) => api.get(`/organizations/${id}`),
+  create: (organizationData) => api.post('/organizations', organizationData),
+  update: (id, updateData) => api.put(`/organizations/${id}`, updateData),
+};
+
+// Recurring schedules API
+export const schedulesAPI = {
+  create: (scheduleData) => api.post('/schedules', scheduleData),
+  getAll: (params) => api.get('/schedules', { params }),
+  getById: (id) => api.get(`/schedules/${id}`),
+  pause: (id, from, until) => api.post(`/schedules/${id}/pause`, { from, until }),
+  resume: (id) => api.post(`/schedules/${id}/resume`),
+  skip: (id, date) => api.post(`/schedules/${id}/skip`, { date }),
+  cancel: (id) => api.delete(`/schedules/${id}`),
+};
+
 // Routes API
 export const routesAPI = {
   getCollectorRoute: (collectorId, date) => api.get(`/routes/collector/${collectorId}`, { params: { date } }),
-  assignToRoute: (routeId, collectionId) => api.put(`/routes/${routeId}/assign`, { collectionId }),
-  updateStatus: (routeId, collectionId, status) => api.put(`/routes/${routeId}/status`, { collectionId, status }),
-  optimize: (routeId) => api.put(`/routes/${routeId}/optimize`),
+  assignToRoute: (routeId, collectionId, allowOverload = false) =>
+    api.put(`/routes/${routeId}/assign`, { collectionId, allowOverload }),
+  assignVehicle: (routeId, vehicleId, allowOverload = false) =>
+    api.put(`/routes/${routeId}/vehicle`, { vehicleId, allowOverload }),
+  // problem: text to flag a problem at the stop, '' to clear it
+  updateStatus: (routeId, collectionId, status, problem) =>
+    api.put(`/routes/${routeId}/status`, { collectionId, status, problem }),
+  optimize: (routeId, options = {}) => api.put(`/routes/${routeId}/optimize`, options),
   getAll: (params) => api.get('/routes', { params }),
   create: (routeData) => api.post('/routes', routeData),
 };
 
+// Vehicles API
+export const vehiclesAPI = {
+  getAll: (params) => api.get('/vehicles', { params }),
+  getById: (id) => api.get(`/vehicles/${id}`),
+  create: (vehicleData) => api.post('/vehicles', vehicleData),
+  update: (id, vehicleData) => api.put(`/vehicles/${id}`, vehicleData),
+  retire: (id) => api.delete(`/vehicles/${id}`),
+};
+
 // Admin API
 export const adminAPI = {
   getUsers: (params) => api.get('/admin/users', { params }),
+  getUser: (userId, params) => api.get(`/admin/users/${userId}`, { params }),
   updateUserRole: (userId, role) => api.put(`/admin/users/${userId}/role`, { role }),
+  unlockUser: (userId) => api.post(`/admin/users/${userId}/unlock`),
+  resetUserTwoFactor: (userId) => api.delete(`/admin/users/${userId}/two-factor`),
   deleteUser: (userId) => api.delete(`/admin/users/${userId}`),
+  getRoles: () => api.get('/admin/roles'),
+  createRole: (roleData) => api.post('/admin/roles', roleData),
+  updateRole: (name, roleData) => api.put(`/admin/roles/${name}`, roleData),
+  deleteRole: (name) => api.delete(`/admin/roles/${name}`),
+  getInvitations: (params) => api.get('/admin/invitations', { params }),
+  createInvitation: (invitation) => api.post('/admin/invitations', invitation),
+  resendInvitation: (invitationId) => api.post(`/admin/invitations/${invitationId}/resend`),
+  revokeInvitation: (invitationId) => api.delete(`/admin/invitations/${invitationId}`),
   getStatistics: (params) => api.get('/admin/reports/statistics', { params }),
-  assignCollection: (collectionId, collectorId, scheduledDate) => 
-    api.post('/admin/collections/assign', { collectionId, collectorId, scheduledDate }),
+  getTimeSeries: (params) => api.get('/admin/reports/time-series', { params }),
+  assignCollection: (collectionId, collectorId, scheduledDate, allowOverload = false) => 
+    api.post('/admin/collections/assign', { collectionId, collectorId, scheduledDate, allowOverload }),
   getDashboard: () => api.get('/admin/dashboard'),
+  previewDispatch: (date, collectorIds, vehicles) =>
+    api.post('/admin/dispatch/preview', { date, collectorIds, vehicles }),
+  getDispatchPlan: (planId) => api.get(`/admin/dispatch/${planId}`),
+  commitDispatch: (planId) => api.post(`/admin/dispatch/${planId}/commit`),
+  discardDispatch: (planId) => api.post(`/admin/dispatch/${planId}/discard`),
 };
 
 // Notifications API
 export const notificationsAPI = {
-  getAll: () => api.get('/notifications'),
+  getAll: (params) => api.get('/notifications', { params }),
+  getUnreadCount: () => api.get('/notifications/unread-count'),
   markAsRead: (notificationId) => api.put(`/notifications/${notificationId}/read`),
+  markAllAsRead: (filters) => api.put('/notifications/read-all', filters),
+  delete: (notificationId) => api.delete(`/notifications/${notificationId}`),
+  deleteMany: (params, ids) => api.delete('/notifications', { params, data: { ids } }),
   getHistory: (collectionId) => api.get(`/notifications/history/${collectionId}`),
 };
 
+// Real-time events (Server-Sent Events; EventSource cannot send headers, so each stream is
+// opened with a short-lived, single-use ticket in the URL instead of the access token)
+export const getEventStreamUrl = async () => {
+  const response = await api.post('/events/ticket');
+  return `${API_BASE_URL}/events?ticket=${encodeURIComponent(response.data.ticket)}`;
+};
+
 export default api;
\ No newline at end of file
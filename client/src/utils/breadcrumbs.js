@@ -1,6 +1,16 @@
 // Breadcrumb utility functions and configurations
 
-export const generateBreadcrumbsFromPath = (pathname, userRole = null) => {
+const VIEW_COLLECTIONS = ['collections:view-own', 'collections:view-assigned', 'collections:view-all'];
+
+const holdsAny = (permissions, required) => required.some((permission) => permissions.includes(permission));
+
+// Users who only see their own requests call them "My Requests"
+const collectionsLabel = (permissions) =>
+  permissions && !holdsAny(permissions, ['collections:view-all', 'collections:view-assigned'])
+    ? 'My Requests'
+    : 'Collections';
+
+export const generateBreadcrumbsFromPath = (pathname, permissions = null) => {
   const segments = pathname.split('/').filter(Boolean);
   const breadcrumbs = [];
 
@@ -12,57 +22,56 @@ export const generateBreadcrumbsFromPath = (pathname, userRole = null) => {
     isActive: pathname === '/dashboard',
   });
 
-  // Route configurations with role-based labels
+  // Route configurations, each shown to users with any of its permissions (everyone when none are listed)
   const routeConfig = {
     collections: {
       label: 'Collections',
       icon: '📦',
-      roles: ['resident', 'collector', 'admin'],
+      permissions: VIEW_COLLECTIONS,
     },
     routes: {
       label: 'Routes',
       icon: '🗺️',
-      roles: ['collector', 'admin'],
+      permissions: ['collections:collect', 'routes:view-all'],
     },
     admin: {
       label: 'Administration',
       icon: '👑',
-      roles: ['admin'],
+      permissions: ['users:view', 'users:invite', 'reports:view'],
     },
     users: {
       label: 'Users',
       icon: '👥',
-      roles: ['admin'],
+      permissions: ['users:view'],
     },
     reports: {
       label: 'Reports',
       icon: '📊',
-      roles: ['admin'],
+      permissions: ['reports:view'],
     },
     profile: {
       label: 'Profile',
       icon: '👤',
-      roles: ['resident', 'collector', 'admin'],
     },
     settings: {
       label: 'Settings',
       icon: '⚙️',
-      roles: ['resident', 'collector', 'admin'],
     },
     help: {
       label: 'Help',
       icon: '❓',
-      roles: ['resident', 'collector', 'admin'],
     },
     new: {
       label: 'New',
       icon: '➕',
-      roles: ['resident', 'collector', 'admin'],
     },
     edit: {
       label: 'Edit',
       icon: '✏️',
-      roles: ['resident', 'collector', 'admin'],
+    },
+    my: {
+      label: 'My Route',
+      permissions: ['collections:collect'],
     },
   };
 
@@ -73,7 +82,7 @@ export const generateBreadcrumbsFromPath = (pathname, userRole = null) => {
     const config = routeConfig[segment];
 
     // Skip if user doesn't have permission for this route
-    if (config && userRole && !config.roles.includes(userRole)) {
+    if (config?.permissions && permissions && !holdsAny(permissions, config.permissions)) {
       return;
     }
 
@@ -94,20 +103,20 @@ export const breadcrumbConfigs = {
     { label: 'Dashboard', href: '/dashboard', icon: '🏠', isActive: true },
   ],
 
-  collections: (userRole) => [
+  collections: (permissions) => [
     { label: 'Dashboard', href: '/dashboard', icon: '🏠' },
     { 
-      label: userRole === 'resident' ? 'My Requests' : 'Collections', 
+      label: collectionsLabel(permissions), 
       href: '/collections', 
       icon: '📦', 
       isActive: true 
     },
   ],
 
-  newCollection: (userRole) => [
+  newCollection: (permissions) => [
     { label: 'Dashboard', href: '/dashboard', icon: '🏠' },
     { 
-      label: userRole === 'resident' ? 'My Requests' : 'Collections', 
+      label: collectionsLabel(permissions), 
       href: '/collections', 
       icon: '📦' 
     },
@@ -116,7 +125,7 @@ export const breadcrumbConfigs = {
 
   routes: () => [
     { label: 'Dashboard', href: '/dashboard', icon: '🏠' },
-    { label: 'Routes', href: '/routes', icon: '🗺️', isActive: true },
+    { label: 'My Route', href: '/routes/my', icon: '🗺️', isActive: true },
   ],
 
   adminUsers: () => [
@@ -143,7 +152,7 @@ export const breadcrumbConfigs = {
 };
 
 // Hook for easy breadcrumb management in components
-export const useBreadcrumbConfig = (configKey, userRole = null) => {
+export const useBreadcrumbConfig = (configKey, permissions = null) => {
   const config = breadcrumbConfigs[configKey];
   
   if (!config) {
@@ -151,7 +160,7 @@ export const useBreadcrumbConfig = (configKey, userRole = null) => {
     return [];
   }
 
-  return typeof config === 'function' ? config(userRole) : config;
+  return typeof config === 'function' ? config(permissions) : config;
 };
 
 // Utility to create custom breadcrumbs
@@ -205,6 +205,31 @@ export const registerServiceWorker = () => {
   }
 };
 
+// Cache and sync tag names shared with public/sw.js
+const ROUTE_DATA_CACHE = 'waste-route-data';
+export const ROUTE_SYNC_TAG = 'route-status-sync';
+
+// Drop the route data the service worker cached, e.g. on logout
+export const clearCachedRouteData = async () => {
+  if ('caches' in window) {
+    await window.caches.delete(ROUTE_DATA_CACHE);
+  }
+};
+
+// Ask to be told (via a 'replay-route-updates' message) once connectivity returns;
+// browsers without Background Sync rely on the online event instead
+export const requestRouteSync = async () => {
+  if (!('serviceWorker' in navigator)) {
+    return;
+  }
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.sync?.register(ROUTE_SYNC_TAG);
+  } catch (error) {
+    console.error('Background sync registration failed:', error);
+  }
+};
+
 // Resource hints for better performance
 export const addResourceHints = () => {
   // DNS prefetch for external domains
@@ -309,6 +334,8 @@ export default {
   AdaptiveLoader,
   preloadCriticalResources,
   registerServiceWorker,
+  clearCachedRouteData,
+  requestRouteSync,
   addResourceHints,
   getOptimizedImageSrc,
   useCriticalResourceLoading,
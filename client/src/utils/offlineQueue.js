@@ -0,0 +1,164 @@
+// Offline queue for route status updates
+//
+// Collectors keep working when they lose signal mid-route: updates to their stops are
+// stored in IndexedDB and replayed to PUT /api/routes/:id/status, in the order they were
+// made, once the connection is back. Updates the server can no longer apply because the
+// stop has moved on are kept as conflicts until the collector dismisses them.
+
+const DB_NAME = 'waste-offline';
+const DB_VERSION = 1;
+const STORE = 'routeUpdates';
+
+let dbPromise = null;
+let replayPromise = null;
+
+// Resolve an IndexedDB request
+const settle = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('userId', 'userId');
+    };
+    dbPromise = settle(request).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (mode, action) => {
+  const db = await openDatabase();
+  return settle(action(db.transaction(STORE, mode).objectStore(STORE)));
+};
+
+export const isOfflineQueueSupported = () => typeof window !== 'undefined' && 'indexedDB' in window;
+
+/**
+ * Queue a stop update made without a connection
+ * @param {Object} update - { userId, routeId, collectionId, status, problem, fromStatus, address }
+ *                          where fromStatus is the stop's status when the update was made
+ * @returns {Promise<number>} Id of the queued update
+ */
+export const queueRouteUpdate = (update) => withStore('readwrite', (store) => store.add({
+  ...update,
+  state: 'queued',
+  queuedAt: new Date().toISOString(),
+}));
+
+/**
+ * A user's queued updates and conflicts, oldest first
+ * @param {string} userId - Collector the updates were made by
+ * @returns {Promise<Array>} Queued updates
+ */
+export const getQueuedRouteUpdates = async (userId) => {
+  if (!isOfflineQueueSupported() || !userId) {
+    return [];
+  }
+  const updates = await withStore('readonly', (store) => store.index('userId').getAll(userId));
+  return updates.sort((a, b) => a.id - b.id);
+};
+
+/**
+ * Remove a queued update, e.g. a conflict the collector has seen
+ * @param {number} id - Queued update id
+ */
+export const removeQueuedRouteUpdate = (id) => withStore('readwrite', (store) => store.delete(id));
+
+const saveQueuedRouteUpdate = (update) => withStore('readwrite', (store) => store.put(update));
+
+// No response (still offline) or a server hiccup: try again later
+const isRetryable = (error) => !error.response || error.response.status >= 500 || error.response.status === 429;
+
+// A problem report still applies wherever the stop has got to, so it follows the stop
+const sendUpdate = async (update, send) => {
+  try {
+    return await send(update);
+  } catch (error) {
+    const currentStatus = error.response?.status === 409 && error.response.data?.currentStatus;
+    const problemOnly = update.problem !== undefined && update.status === update.fromStatus;
+    if (problemOnly && currentStatus && currentStatus !== update.status) {
+      return send({ ...update, status: currentStatus });
+    }
+    throw error;
+  }
+};
+
+const replay = async (userId, send) => {
+  const updates = await getQueuedRouteUpdates(userId);
+  const synced = [];
+  const conflicts = [];
+
+  for (const update of updates.filter((item) => item.state === 'queued')) {
+    try {
+      const response = await sendUpdate(update, send);
+      await removeQueuedRouteUpdate(update.id);
+      synced.push({ update, data: response.data });
+    } catch (error) {
+      if (isRetryable(error)) {
+        // Keep this and every later update queued, in order
+        break;
+      }
+      const conflict = {
+        ...update,
+        state: 'conflict',
+        conflict: {
+          message: error.response.data?.message || 'The update could not be applied',
+          currentStatus: error.response.data?.currentStatus,
+          at: new Date().toISOString(),
+        },
+      };
+      await saveQueuedRouteUpdate(conflict);
+      conflicts.push(conflict);
+    }
+  }
+
+  return { synced, conflicts };
+};
+
+/**
+ * Replay a user's queued updates, oldest first. Stops at the first update that fails for
+ * want of a connection; updates the server rejects (the stop was cancelled, reassigned or
+ * already moved on) become conflicts. Concurrent calls share one replay.
+ * @param {string} userId - Collector the updates were made by
+ * @param {Function} send - (update) => Promise of the API response
+ * @returns {Promise<Object>} { synced: [{ update, data }], conflicts: [update] }
+ */
+export const replayRouteUpdates = (userId, send) => {
+  if (!replayPromise) {
+    replayPromise = replay(userId, send).finally(() => {
+      replayPromise = null;
+    });
+  }
+  return replayPromise;
+};
+
+/**
+ * Show queued updates on the stops they were made to, so the route reads as the collector left it
+ * @param {Array} stops - Stops as last loaded from the server (or its cached copy)
+ * @param {Array} updates - Queued updates
+ * @returns {Array} Stops, those with queued updates marked pendingSync
+ */
+export const applyQueuedRouteUpdates = (stops, updates) => {
+  const queued = updates.filter((update) => update.state === 'queued');
+  if (queued.length === 0) {
+    return stops;
+  }
+
+  return stops.map((stop) => queued
+    .filter((update) => update.collectionId === stop._id)
+    .reduce((current, update) => ({
+      ...current,
+      status: update.status,
+      ...(update.problem !== undefined && {
+        problem: update.problem ? { description: update.problem, reportedAt: update.queuedAt } : undefined,
+      }),
+      pendingSync: true,
+    }), stop));
+};
@@ -1,10 +1,16 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Organization from '../models/Organization.js';
+import { getRevocationReason } from '../utils/authSessions.js';
+import { needsTwoFactorSetup } from '../utils/twoFactor.js';
+import { getUserPermissions, hasPermission } from '../utils/permissions.js';
 
 /**
- * Authentication middleware to verify JWT tokens
+ * Build the authentication middleware
+ * @param {Object} [options] - { allowTwoFactorSetup: let users who still have to enrol in two-factor through }
+ * @returns {Function} Express middleware
  */
-export const authenticate = async (req, res, next) => {
+const createAuthenticate = ({ allowTwoFactorSetup = false } = {}) => async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
@@ -26,7 +32,36 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
+    // Logout and role changes revoke tokens before they expire
+    const revoked = await getRevocationReason(decoded, user);
+    if (revoked) {
+      return res.status(401).json({
+        success: false,
+        message: revoked
+      });
+    }
+
+    // Members of a deactivated organization are shut out until it is reactivated
+    if (!(await Organization.isActive(user.organization))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your organization has been deactivated.',
+        organizationInactive: true
+      });
+    }
+
+    // Roles that must use two-factor can only reach their profile, sessions and enrolment until they do
+    if (!allowTwoFactorSetup && needsTwoFactorSetup(user)) {
+      return res.status(403).json({
+        success: false,
+        message: `Two-factor authentication is required for ${user.role} accounts. Set it up in your profile to continue.`,
+        twoFactorSetupRequired: true
+      });
+    }
+
     req.user = user;
+    req.sessionId = decoded.sid;
+    req.permissions = await getUserPermissions(user);
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -50,10 +85,20 @@ export const authenticate = async (req, res, next) => {
 };
 
 /**
- * Authorization middleware to check user roles
- * @param {...string} roles - Allowed roles
+ * Authentication middleware to verify JWT tokens
+ */
+export const authenticate = createAuthenticate();
+
+/**
+ * Authentication for the endpoints a user needs while enrolling in required two-factor
  */
-export const authorize = (...roles) => {
+export const authenticateForTwoFactorSetup = createAuthenticate({ allowTwoFactorSetup: true });
+
+/**
+ * Authorization middleware to check user permissions
+ * @param {...string} permissions - Permissions that allow the request (any one is enough)
+ */
+export const requirePermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -62,12 +107,12 @@ export const authorize = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!hasPermission(req.permissions, ...permissions)) {
       return res.status(403).json({
         success: false,
-        message: `Access denied. Required role: ${roles.join(' or ')}. Your role: ${req.user.role}`,
+        message: `Access denied. Required permission: ${permissions.join(' or ')}. Your role: ${req.user.role}`,
         userRole: req.user.role,
-        requiredRoles: roles
+        requiredPermissions: permissions
       });
     }
 
@@ -76,12 +121,20 @@ export const authorize = (...roles) => {
 };
 
 /**
- * Role-specific middleware shortcuts
+ * Email verification middleware
+ * Only enforced when REQUIRE_EMAIL_VERIFICATION is "true"; users who manage accounts are never blocked.
  */
-export const requireAdmin = authorize('admin');
-export const requireCollector = authorize('collector', 'admin');
-export const requireResident = authorize('resident', 'admin');
-export const requireAdminOrCollector = authorize('admin', 'collector');
+export const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true' || hasPermission(req.permissions, 'users:manage') || req.user?.emailVerified) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'Please verify your email address before creating collection requests.',
+    emailVerified: false
+  });
+};
 
 /**
  * Optional authentication middleware - doesn't fail if no token
@@ -93,8 +146,10 @@ export const optionalAuth = async (req, res, next) => {
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
       const user = await User.findById(decoded.id).select('-password');
-      if (user) {
+      if (user && !(await getRevocationReason(decoded, user)) && await Organization.isActive(user.organization)) {
         req.user = user;
+        req.sessionId = decoded.sid;
+        req.permissions = await getUserPermissions(user);
       }
     }
     
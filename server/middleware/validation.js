@@ -1,4 +1,16 @@
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
+import { PERMISSION_NAMES, isKnownRole } from '../utils/permissions.js';
+import { isCrossTenant, tenantOf } from '../utils/tenancy.js';
+import { isValidPolygon } from '../utils/zones.js';
+import { COLLECTION_STATUSES } from '../utils/statusTransitions.js';
+import {
+  TIME_SERIES_INTERVALS,
+  TIME_SERIES_GROUPS,
+  MAX_TIME_SERIES_BUCKETS,
+  isValidTimeZone,
+  getTimeSeriesRange,
+  countBuckets
+} from '../utils/reportTimeSeries.js';
 
 /**
  * Handle validation errors
@@ -41,10 +53,19 @@ export const validateRegistration = [
     .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
     .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
   
+  // Collectors and admins are onboarded through invitations
   body('role')
     .optional()
-    .isIn(['resident', 'collector', 'admin'])
-    .withMessage('Role must be resident, collector, or admin'),
+    .isIn(['resident'])
+    .withMessage('Only resident accounts can be created through signup. Collectors and administrators need an invitation'),
+
+  // Slug of the municipality or contractor to join; left out for the default organization
+  body('organization')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9][a-z0-9-]{1,49}$/)
+    .withMessage('Organization must be a valid organization slug'),
   
   body('profile.firstName')
     .optional()
@@ -88,6 +109,166 @@ export const validateLogin = [
   handleValidationErrors
 ];
 
+/**
+ * Validation rules for inviting someone to create an account
+ */
+export const validateInvitation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+
+  body('organization')
+    .optional()
+    .isMongoId()
+    .withMessage('Organization must be a valid ID'),
+
+  // Custom roles are looked up in the organization the invitation is for
+  body('role')
+    .custom(async (role, { req }) => {
+      const organization = isCrossTenant(req.permissions) ? req.body.organization : tenantOf(req.user);
+      if (!(await isKnownRole(role, organization))) {
+        throw new Error('Unknown role');
+      }
+    })
+    .withMessage('Role must be resident, collector, admin or an existing custom role'),
+
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for accepting an invitation
+ */
+export const validateInvitationAcceptance = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Invitation token is required'),
+
+  body('username')
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Username must be between 3 and 30 characters')
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Username can only contain letters, numbers, underscores, and hyphens'),
+
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+
+  body('profile.firstName')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('First name cannot exceed 50 characters'),
+
+  body('profile.lastName')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Last name cannot exceed 50 characters'),
+
+  body('profile.phone')
+    .optional()
+    .matches(/^[\+]?[1-9][\d]{0,15}$/)
+    .withMessage('Please provide a valid phone number'),
+
+  body('profile.address')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Address cannot exceed 200 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for requesting a password reset
+ */
+export const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for choosing a new password with a reset token
+ */
+export const validateResetPassword = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for a two-factor code (authenticator code or recovery code)
+ */
+export const validateTwoFactorCode = [
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for the second step of a two-factor login
+ */
+export const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Login challenge is required'),
+
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for turning two-factor authentication off
+ */
+export const validateTwoFactorDisable = [
+  body('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required'),
+
+  handleValidationErrors
+];
+
 /**
  * Validation rules for collection request
  */
@@ -122,6 +303,471 @@ export const validateCollectionRequest = [
     .trim()
     .isLength({ max: 1000 })
     .withMessage('Notes cannot exceed 1000 characters'),
+
+  body('estimatedLoad.volume')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Estimated volume must be a non-negative number of litres'),
+
+  body('estimatedLoad.weight')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Estimated weight must be a non-negative number of kilograms'),
   
   handleValidationErrors
-];
\ No newline at end of file
+];
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Validation rules for notification preferences (all settings optional)
+ */
+export const validatePreferences = [
+  body('preferences')
+    .optional()
+    .isObject()
+    .withMessage('Preferences must be an object'),
+
+  body('preferences.timezone')
+    .optional()
+    .isString()
+    .withMessage('Timezone must be a string'),
+
+  body('preferences.notifications')
+    .optional()
+    .custom(value => Object.keys(value).every(type => ['completion', 'assignment', 'status_update'].includes(type)))
+    .withMessage('Notification type must be completion, assignment, or status_update'),
+
+  body(['inApp', 'email', 'sms', 'push'].map(channel => `preferences.notifications.*.${channel}`))
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Channel preferences must be true or false'),
+
+  body('preferences.notifications.status_update.statuses')
+    .optional()
+    .isArray()
+    .withMessage('Statuses must be an array'),
+
+  body('preferences.notifications.status_update.statuses.*')
+    .isIn(['pending', 'assigned', 'in-progress', 'completed', 'cancelled'])
+    .withMessage('Status must be pending, assigned, in-progress, completed, or cancelled'),
+
+  body('preferences.quietHours.enabled')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Quiet hours enabled must be true or false'),
+
+  body(['preferences.quietHours.start', 'preferences.quietHours.end'])
+    .optional()
+    .matches(TIME_OF_DAY)
+    .withMessage('Quiet hours must be in HH:MM format'),
+
+  body('preferences.digest.mode')
+    .optional()
+    .isIn(['off', 'hourly', 'daily'])
+    .withMessage('Digest mode must be off, hourly, or daily'),
+
+  body('preferences.digest.time')
+    .optional()
+    .matches(TIME_OF_DAY)
+    .withMessage('Digest time must be in HH:MM format'),
+
+  handleValidationErrors
+];
+
+const isDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+/**
+ * Validation rules for recurring collection schedules
+ */
+export const validateRecurringSchedule = [
+  body('wasteCategory')
+    .isIn(['organic', 'recyclable', 'hazardous', 'general'])
+    .withMessage('Waste category must be organic, recyclable, hazardous, or general'),
+
+  body('pickupLocation.address')
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Pickup address must be between 5 and 200 characters'),
+
+  body('pickupLocation.coordinates.lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+
+  body('pickupLocation.coordinates.lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+
+  body('pickupLocation.instructions')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Instructions cannot exceed 500 characters'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters'),
+
+  body('frequency')
+    .isIn(['weekly', 'biweekly', 'monthly'])
+    .withMessage('Frequency must be weekly, biweekly, or monthly'),
+
+  body('dayOfWeek')
+    .if(body('frequency').isIn(['weekly', 'biweekly']))
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Day of week must be between 0 (Sunday) and 6 (Saturday)'),
+
+  body('dayOfMonth')
+    .if(body('frequency').equals('monthly'))
+    .isInt({ min: 1, max: 28 })
+    .withMessage('Day of month must be between 1 and 28'),
+
+  body('startDate')
+    .custom(isDate)
+    .withMessage('Start date must be a valid date')
+    .bail()
+    .custom(value => new Date(value).toISOString().slice(0, 10) >= new Date().toISOString().slice(0, 10))
+    .withMessage('Start date cannot be in the past'),
+
+  body('endDate')
+    .optional({ values: 'falsy' })
+    .custom(isDate)
+    .withMessage('End date must be a valid date')
+    .bail()
+    .custom((value, { req }) => !isDate(req.body.startDate) || new Date(value) >= new Date(req.body.startDate))
+    .withMessage('End date cannot be before the start date'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for registering or changing a vehicle
+ * @param {Object} [options] - { partial: every field optional, for updates }
+ */
+const vehicleRules = ({ partial = false } = {}) => [
+  (partial ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Vehicle name must be between 1 and 100 characters'),
+
+  (partial ? body('registration').optional() : body('registration'))
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Registration number must be between 1 and 20 characters'),
+
+  (partial ? body('capacity.volume').optional() : body('capacity.volume'))
+    .isFloat({ min: 1 })
+    .withMessage('Volume capacity must be a positive number of litres'),
+
+  (partial ? body('capacity.weight').optional() : body('capacity.weight'))
+    .isFloat({ min: 1 })
+    .withMessage('Weight capacity must be a positive number of kilograms'),
+
+  (partial ? body('wasteCategories').optional() : body('wasteCategories'))
+    .isArray({ min: 1 })
+    .withMessage('A vehicle must carry at least one waste category'),
+
+  body('wasteCategories.*')
+    .isIn(['organic', 'recyclable', 'hazardous', 'general'])
+    .withMessage('Waste category must be organic, recyclable, hazardous, or general'),
+
+  body('depot.coordinates.lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+
+  body('depot.coordinates.lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be true or false'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for registering a vehicle
+ */
+export const validateVehicle = vehicleRules();
+
+/**
+ * Validation rules for changing a vehicle
+ */
+export const validateVehicleUpdate = vehicleRules({ partial: true });
+
+/**
+ * Validation rules for creating or changing a custom role (the name only on create)
+ * @param {Object} [options] - { partial: every field optional, for updates }
+ */
+const roleRules = ({ partial = false } = {}) => [
+  ...(partial ? [] : [
+    body('name')
+      .trim()
+      .toLowerCase()
+      .matches(/^[a-z][a-z0-9-]{2,29}$/)
+      .withMessage('Role name must be 3 to 30 lowercase letters, digits or dashes, starting with a letter'),
+
+    body('organization')
+      .optional()
+      .isMongoId()
+      .withMessage('Organization must be a valid ID')
+  ]),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+
+  (partial ? body('permissions').optional() : body('permissions'))
+    .isArray()
+    .withMessage('Permissions must be a list'),
+
+  body('permissions.*')
+    .isIn(PERMISSION_NAMES)
+    .withMessage('Unknown permission'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for creating a custom role
+ */
+export const validateRole = roleRules();
+
+/**
+ * Validation rules for changing a custom role
+ */
+export const validateRoleUpdate = roleRules({ partial: true });
+
+/**
+ * Validation rules for creating or changing an organization
+ * @param {Object} [options] - { partial: every field optional, for updates }
+ */
+const organizationRules = ({ partial = false } = {}) => [
+  (partial ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Organization name must be between 1 and 100 characters'),
+
+  (partial ? body('slug').optional() : body('slug'))
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9][a-z0-9-]{1,49}$/)
+    .withMessage('Slug must be 2 to 50 lowercase letters, digits or dashes'),
+
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be true or false'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for creating an organization
+ */
+export const validateOrganization = organizationRules();
+
+/**
+ * Validation rules for changing an organization
+ */
+export const validateOrganizationUpdate = organizationRules({ partial: true });
+
+/**
+ * Validation rules for creating or changing a service zone
+ * @param {Object} [options] - { partial: every field optional, for updates }
+ */
+const zoneRules = ({ partial = false } = {}) => [
+  (partial ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Zone name must be between 1 and 100 characters'),
+
+  (partial ? body('boundary').optional() : body('boundary'))
+    .custom(isValidPolygon)
+    .withMessage('Boundary must be a GeoJSON Polygon of closed rings of [longitude, latitude] positions'),
+
+  body('collectionDays')
+    .optional()
+    .isArray()
+    .withMessage('Collection days must be a list'),
+
+  body('collectionDays.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Collection day must be between 0 (Sunday) and 6 (Saturday)')
+    .toInt(),
+
+  body('collectors')
+    .optional()
+    .isArray()
+    .withMessage('Collectors must be a list'),
+
+  body('collectors.*')
+    .isMongoId()
+    .withMessage('Collector must be a valid user ID'),
+
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be true or false'),
+
+  ...(partial ? [] : [
+    body('organization')
+      .optional()
+      .isMongoId()
+      .withMessage('Organization must be a valid ID')
+  ]),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for creating a service zone
+ */
+export const validateZone = zoneRules();
+
+/**
+ * Validation rules for changing a service zone
+ */
+export const validateZoneUpdate = zoneRules({ partial: true });
+
+/**
+ * Validation rules for finding collection requests near a position (lat, lng, radius in
+ * metres) or inside a bounding box (bbox=west,south,east,north)
+ */
+export const validateNearbyQuery = [
+  query('lat')
+    .if(query('bbox').not().exists())
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+
+  query('lng')
+    .if(query('bbox').not().exists())
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+
+  query('radius')
+    .optional()
+    .isFloat({ min: 1, max: 50000 })
+    .withMessage('Radius must be between 1 and 50000 metres'),
+
+  query('bbox')
+    .optional()
+    .custom(value => {
+      const [west, south, east, north] = String(value).split(',').map(Number);
+      return String(value).split(',').length === 4 &&
+        west >= -180 && east <= 180 && west < east &&
+        south >= -90 && north <= 90 && south < north;
+    })
+    .withMessage('Bounding box must be west,south,east,north with west < east and south < north'),
+
+  query('status')
+    .optional()
+    .isIn(COLLECTION_STATUSES)
+    .withMessage(`Status must be one of: ${COLLECTION_STATUSES.join(', ')}`),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for importing a gazetteer CSV into the address register
+ */
+export const validateAddressImport = [
+  body('csv')
+    .isString()
+    .isLength({ min: 1 })
+    .withMessage('CSV text of the addresses is required'),
+
+  body('source')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Source cannot exceed 200 characters'),
+
+  body('organization')
+    .optional()
+    .isMongoId()
+    .withMessage('Organization must be a valid ID'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for placing a collection request whose address couldn't be geocoded
+ */
+export const validateGeocodingReview = [
+  body('coordinates.lat')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+
+  body('coordinates.lng')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .toFloat(),
+
+  body('addToRegister')
+    .optional()
+    .isBoolean()
+    .withMessage('Add to register must be true or false')
+    .toBoolean(),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for the report time series (startDate, endDate, interval, timezone, groupBy)
+ */
+export const validateTimeSeriesQuery = [
+  query(['startDate', 'endDate'])
+    .optional()
+    .custom(isDate)
+    .withMessage('Start and end dates must be valid dates'),
+
+  query('endDate')
+    .optional()
+    .custom((value, { req }) => !req.query.startDate || new Date(value) >= new Date(req.query.startDate))
+    .withMessage('End date cannot be before the start date'),
+
+  query('interval')
+    .optional()
+    .isIn(TIME_SERIES_INTERVALS)
+    .withMessage(`Interval must be one of: ${TIME_SERIES_INTERVALS.join(', ')}`),
+
+  query('interval')
+    .custom((value, { req }) => {
+      const { start, end } = getTimeSeriesRange(req.query);
+      // Bad dates and intervals are reported above
+      if (!isDate(start) || !isDate(end) || (value && !TIME_SERIES_INTERVALS.includes(value))) {
+        return true;
+      }
+      return countBuckets(start, end, value || 'day') <= MAX_TIME_SERIES_BUCKETS;
+    })
+    .withMessage(`A time series can have at most ${MAX_TIME_SERIES_BUCKETS} buckets; choose a longer interval or a shorter range`),
+
+  query('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Time zone must be an IANA name such as Europe/London'),
+
+  query('groupBy')
+    .optional()
+    .isIn(TIME_SERIES_GROUPS)
+    .withMessage(`Group by must be one of: ${TIME_SERIES_GROUPS.join(', ')}`),
+
+  handleValidationErrors
+];
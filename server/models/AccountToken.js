@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+// Define schema for single-use account tokens (emailed links, two-factor login challenges and event stream tickets)
+const accountTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required']
+    },
+
+    purpose: {
+      type: String,
+      enum: {
+        values: ['email-verification', 'password-reset', 'two-factor-login', 'event-stream'],
+        message: 'Token purpose must be email-verification, password-reset, two-factor-login or event-stream'
+      },
+      required: [true, 'Token purpose is required']
+    },
+
+    // SHA-256 of the token; the token itself is only ever sent to the user
+    tokenHash: {
+      type: String,
+      required: [true, 'Token hash is required'],
+      unique: true
+    },
+
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry date is required']
+    },
+
+    usedAt: {
+      type: Date
+    },
+
+    // Event stream tickets: the sign-in session and token version they were issued under,
+    // so the stream ends when that session does
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RefreshToken'
+    },
+
+    tokenVersion: {
+      type: Number
+    }
+  },
+  {
+    timestamps: true // automatically adds createdAt and updatedAt
+  }
+);
+
+// Indexes for better query performance
+accountTokenSchema.index({ user: 1, purpose: 1 });
+
+// Expired tokens are removed by MongoDB
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to check whether the token can still be used
+accountTokenSchema.methods.isUsable = function() {
+  return !this.usedAt && this.expiresAt > new Date();
+};
+
+const AccountToken = mongoose.model("AccountToken", accountTokenSchema);
+export default AccountToken;
@@ -0,0 +1,108 @@
+import mongoose from "mongoose";
+import { normalizeAddress } from "../utils/addresses.js";
+
+// Define schema for gazetteer addresses: known addresses and their coordinates, used to
+// geocode pickup addresses typed without coordinates
+const addressSchema = new mongoose.Schema(
+  {
+    // Organization whose register the address comes from; addresses without one
+    // serve every organization
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization'
+    },
+
+    address: {
+      type: String,
+      required: [true, 'Address is required'],
+      trim: true,
+      maxlength: [200, 'Address cannot exceed 200 characters']
+    },
+
+    // Lookup key, set from the address
+    normalizedAddress: {
+      type: String,
+      required: [true, 'Address must contain letters or numbers']
+    },
+
+    coordinates: {
+      lat: {
+        type: Number,
+        required: [true, 'Latitude is required'],
+        min: [-90, 'Latitude must be between -90 and 90'],
+        max: [90, 'Latitude must be between -90 and 90']
+      },
+      lng: {
+        type: Number,
+        required: [true, 'Longitude is required'],
+        min: [-180, 'Longitude must be between -180 and 180'],
+        max: [180, 'Longitude must be between -180 and 180']
+      }
+    },
+
+    // Where the address came from, e.g. the imported file's name, or "review" when an
+    // admin placed it while resolving a request
+    source: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Source cannot exceed 200 characters']
+    }
+  },
+  {
+    timestamps: true // automatically adds createdAt and updatedAt
+  }
+);
+
+// One entry per address in each register
+addressSchema.index({ organization: 1, normalizedAddress: 1 }, { unique: true });
+
+// Pre-validate middleware to keep the lookup key in step with the address
+addressSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('address')) {
+    this.normalizedAddress = normalizeAddress(this.address) || undefined;
+  }
+  next();
+});
+
+// Static method to find the register entry for any of an address's keys, preferring the
+// organization's own register to the shared one and the most specific key
+addressSchema.statics.lookup = async function(organization, keys) {
+  if (keys.length === 0) {
+    return null;
+  }
+
+  const registers = organization ? [organization, null] : [null];
+  const matches = await this.find({
+    organization: { $in: registers },
+    normalizedAddress: { $in: keys }
+  }).lean();
+
+  const rank = (entry) => (entry.organization ? 0 : keys.length) + keys.indexOf(entry.normalizedAddress);
+  return matches.sort((a, b) => rank(a) - rank(b))[0] ?? null;
+};
+
+// Static method to add or update register entries; entries: [{ address, coordinates }].
+// When an address is listed twice the later entry wins
+addressSchema.statics.importEntries = async function(organization, entries, source) {
+  const byKey = new Map();
+  entries.forEach(entry => {
+    const key = normalizeAddress(entry.address);
+    if (key) byKey.set(key, entry);
+  });
+  if (byKey.size === 0) {
+    return { inserted: 0, updated: 0 };
+  }
+
+  const result = await this.bulkWrite([...byKey].map(([normalizedAddress, entry]) => ({
+    updateOne: {
+      filter: { organization: organization || null, normalizedAddress },
+      update: { $set: { address: entry.address, coordinates: entry.coordinates, source } },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  return { inserted: result.upsertedCount, updated: result.matchedCount };
+};
+
+const Address = mongoose.model("Address", addressSchema);
+export default Address;
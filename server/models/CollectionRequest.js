@@ -1,4 +1,80 @@
 import mongoose from "mongoose";
+import { COLLECTION_STATUSES as STATUSES } from "../utils/statusTransitions.js";
+import { hasPermission, userHasPermission } from "../utils/permissions.js";
+import { tenantOf, sameTenant } from "../utils/tenancy.js";
+import { OUTSIDE_SERVICE_AREA, toPoint } from "../utils/zones.js";
+import { normalizeAddress } from "../utils/addresses.js";
+import { GEOCODING_STATUSES } from "../utils/geocoding/index.js";
+import Zone from "./Zone.js";
+
+// One entry of the append-only status audit trail; entries cannot be edited once saved
+const statusHistoryEntrySchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      enum: [...STATUSES, null],
+      default: null,
+      immutable: true
+    },
+    to: {
+      type: String,
+      enum: STATUSES,
+      required: [true, 'Status history entry must have a target status'],
+      immutable: true
+    },
+    // User who made the change (absent for system changes)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      immutable: true
+    },
+    role: {
+      type: String,
+      immutable: true
+    },
+    // Collector assigned as part of this change, so reassignments stay visible
+    collector: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      immutable: true
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now,
+      immutable: true
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      immutable: true
+    },
+    // Endpoint that made the change, e.g. "PUT /api/collections/:id"
+    source: {
+      type: String,
+      default: 'system',
+      immutable: true
+    }
+  },
+  { _id: false }
+);
+
+// GeoJSON point of a pickup location
+const geoPointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['Point'],
+      required: true
+    },
+    // [lng, lat]
+    coordinates: {
+      type: [Number],
+      required: true
+    }
+  },
+  { _id: false }
+);
 
 // Define schema for collection requests according to design requirements
 const collectionRequestSchema = new mongoose.Schema(
@@ -9,6 +85,12 @@ const collectionRequestSchema = new mongoose.Schema(
       required: [true, 'Requester ID is required']
     },
 
+    // Organization the request belongs to; taken from the requester when not given
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization'
+    },
+
     wasteCategory: {
       type: String,
       enum: {
@@ -25,6 +107,10 @@ const collectionRequestSchema = new mongoose.Schema(
         trim: true,
         maxlength: [200, 'Address cannot exceed 200 characters']
       },
+      // Key for comparing addresses however they were typed, set from the address
+      normalizedAddress: {
+        type: String
+      },
       coordinates: {
         lat: {
           type: Number,
@@ -37,6 +123,12 @@ const collectionRequestSchema = new mongoose.Schema(
           max: [180, 'Longitude must be between -180 and 180']
         }
       },
+      // GeoJSON point kept in step with coordinates for spatial queries; the API
+      // reads and writes coordinates, so it is left out of results
+      geo: {
+        type: geoPointSchema,
+        select: false
+      },
       instructions: {
         type: String,
         trim: true,
@@ -44,15 +136,52 @@ const collectionRequestSchema = new mongoose.Schema(
       }
     },
 
+    // How the pickup coordinates were found; unresolved requests wait for an admin to place them
+    geocoding: {
+      status: {
+        type: String,
+        enum: {
+          values: GEOCODING_STATUSES,
+          message: 'Geocoding status must be provided, geocoded, unresolved, or resolved'
+        }
+      },
+      // Geocoder that found the coordinates
+      source: {
+        type: String
+      },
+      // Register address the pickup address was matched to
+      matchedAddress: {
+        type: String
+      },
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reviewedAt: {
+        type: Date
+      }
+    },
+
+    // Service zone containing the pickup location, found when the request is created
+    zone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Zone'
+    },
+
     status: {
       type: String,
       enum: {
-        values: ['pending', 'assigned', 'in-progress', 'completed', 'cancelled'],
+        values: STATUSES,
         message: 'Status must be pending, assigned, in-progress, completed, or cancelled'
       },
       default: 'pending'
     },
 
+    statusHistory: {
+      type: [statusHistoryEntrySchema],
+      default: []
+    },
+
     assignedCollector: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -60,9 +189,9 @@ const collectionRequestSchema = new mongoose.Schema(
         validator: async function(collectorId) {
           if (!collectorId) return true; // Optional field
           const collector = await mongoose.model('User').findById(collectorId);
-          return collector && collector.role === 'collector';
+          return Boolean(collector) && sameTenant(collector, this) && userHasPermission(collector, 'collections:collect');
         },
-        message: 'Assigned collector must be a user with collector role'
+        message: 'Assigned collector must be a user of the same organization whose role can collect'
       }
     },
 
@@ -70,12 +199,19 @@ const collectionRequestSchema = new mongoose.Schema(
       type: Date,
       validate: {
         validator: function(date) {
-          return !date || date >= new Date();
+          // Only checked when set, so a request can still be updated once its day has come
+          return !date || !this.isModified('scheduledDate') || date >= new Date();
         },
         message: 'Scheduled date cannot be in the past'
       }
     },
 
+    // Set on requests generated from a recurring schedule
+    recurringSchedule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RecurringSchedule'
+    },
+
     completedDate: {
       type: Date,
       validate: {
@@ -90,6 +226,35 @@ const collectionRequestSchema = new mongoose.Schema(
       type: String,
       trim: true,
       maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+
+    // Problem the collector ran into at the pickup (blocked access, wrong waste, ...),
+    // flagged from their route and kept until they or an admin clear it
+    problem: {
+      description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Problem description cannot exceed 500 characters']
+      },
+      reportedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reportedAt: Date
+    },
+
+    // Resident's estimate of the pickup size; category defaults are used when absent
+    estimatedLoad: {
+      // Litres
+      volume: {
+        type: Number,
+        min: [0, 'Estimated volume cannot be negative']
+      },
+      // Kilograms
+      weight: {
+        type: Number,
+        min: [0, 'Estimated weight cannot be negative']
+      }
     }
   },
   {
@@ -108,55 +273,180 @@ collectionRequestSchema.index({ scheduledDate: 1 });
 // Compound indexes for common queries
 collectionRequestSchema.index({ status: 1, assignedCollector: 1 });
 collectionRequestSchema.index({ requesterId: 1, status: 1 });
+collectionRequestSchema.index({ recurringSchedule: 1, scheduledDate: 1 });
+collectionRequestSchema.index({ organization: 1, status: 1 });
+collectionRequestSchema.index({ zone: 1, status: 1 });
+collectionRequestSchema.index({ 'pickupLocation.geo': '2dsphere' });
+collectionRequestSchema.index({ organization: 1, 'geocoding.status': 1, 'pickupLocation.normalizedAddress': 1 });
+
+// Pre-validate middleware so a new request lands in its requester's organization
+collectionRequestSchema.pre('validate', async function() {
+  if (this.isNew && this.organization === undefined && this.requesterId) {
+    const requester = await mongoose.model('User').findById(this.requesterId).select('organization');
+    this.organization = tenantOf(requester) ?? undefined;
+  }
+});
+
+// Pre-validate middleware to keep the GeoJSON point in step with the pickup coordinates
+collectionRequestSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('pickupLocation.coordinates')) {
+    this.set('pickupLocation.geo', toPoint(this.pickupLocation?.coordinates) ?? undefined);
+  }
+  next();
+});
 
-// Pre-save middleware to set completed date
+// Pre-validate middleware to keep the address key in step with the address
+collectionRequestSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('pickupLocation.address')) {
+    this.set('pickupLocation.normalizedAddress', normalizeAddress(this.pickupLocation?.address) || undefined);
+  }
+  next();
+});
+
+// Pre-validate middleware to place a new request in the service zone containing its pickup
+// location, turning it away if the organization has zones and none of them covers it.
+// Requests whose address couldn't be geocoded are left for review, which places them
+collectionRequestSchema.pre('validate', async function() {
+  if (!this.isNew || this.zone !== undefined) {
+    return;
+  }
+  if (this.geocoding?.status === 'unresolved' && !toPoint(this.pickupLocation?.coordinates)) {
+    return;
+  }
+
+  const zone = await Zone.locate(this.organization, this.pickupLocation?.coordinates);
+  if (zone === null) {
+    this.invalidate('pickupLocation.coordinates', OUTSIDE_SERVICE_AREA);
+  } else if (zone) {
+    this.zone = zone._id;
+  }
+});
+
+// Pre-save middleware to set completed date (cleared again when a completed request is reopened)
 collectionRequestSchema.pre('save', function(next) {
   if (this.isModified('status') && this.status === 'completed' && !this.completedDate) {
     this.completedDate = new Date();
+  } else if (this.isModified('status') && this.status !== 'completed' && this.completedDate) {
+    this.completedDate = undefined;
   }
   next();
 });
 
+// Remember the stored status, which may have been changed without going through the audit trail
+collectionRequestSchema.post('init', function() {
+  this.$locals.recordedStatus = this.status;
+});
+
+collectionRequestSchema.post('save', function() {
+  this.$locals.recordedStatus = this.status;
+});
+
+// Status the request had before any unsaved change
+collectionRequestSchema.methods.previousStatus = function() {
+  if (this.$locals.recordedStatus !== undefined) {
+    return this.$locals.recordedStatus;
+  }
+  const last = this.statusHistory[this.statusHistory.length - 1];
+  return last ? last.to : null;
+};
+
+// Pre-save middleware so no status change goes unrecorded, even if made without transitionTo
+collectionRequestSchema.pre('save', function(next) {
+  const from = this.previousStatus();
+
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status, actor: this.requesterId, source: 'system' });
+  } else if (this.isModified('status') && from !== this.status) {
+    this.statusHistory.push({ from, to: this.status, source: 'system' });
+  }
+  next();
+});
+
+// Instance method to change status and record who did it and why
+// context: { actor, role, reason, source, collector }
+collectionRequestSchema.methods.transitionTo = function(status, context = {}) {
+  const from = this.previousStatus();
+  const lastAssignment = [...this.statusHistory].reverse().find(entry => entry.collector);
+  const collectorChanged = context.collector &&
+    context.collector.toString() !== (lastAssignment?.collector || '').toString();
+
+  this.status = status;
+
+  // Record every status change, and reassignments that keep the same status
+  if (from !== status || collectorChanged) {
+    this.statusHistory.push({
+      from,
+      to: status,
+      actor: context.actor,
+      role: context.role,
+      collector: context.collector,
+      reason: context.reason,
+      source: context.source
+    });
+  }
+  this.$locals.recordedStatus = status;
+
+  return this;
+};
+
 // Instance method to check if request can be updated by user
-collectionRequestSchema.methods.canBeUpdatedBy = function(userId, userRole) {
-  // Admins can update any request
-  if (userRole === 'admin') return true;
+collectionRequestSchema.methods.canBeUpdatedBy = function(userId, permissions) {
+  // Dispatchers and admins can update any request
+  if (hasPermission(permissions, 'collections:manage', 'collections:assign')) return true;
   
   // Collectors can update requests assigned to them
-  if (userRole === 'collector' && this.assignedCollector && this.assignedCollector.toString() === userId) {
+  if (hasPermission(permissions, 'collections:collect') && this.assignedCollector && this.assignedCollector.toString() === userId) {
     return true;
   }
   
-  // Residents can update their own requests (only if not assigned yet)
-  if (userRole === 'resident' && this.requesterId.toString() === userId && this.status === 'pending') {
+  // Requesters can update their own requests (only if not assigned yet)
+  if (hasPermission(permissions, 'collections:create') && this.requesterId.toString() === userId && this.status === 'pending') {
     return true;
   }
   
   return false;
 };
 
-// Static method to get requests by role
-collectionRequestSchema.statics.getByRole = function(userId, userRole) {
-  let query = {};
-  
-  switch (userRole) {
-    case 'admin':
-      // Admins see all requests
-      break;
-    case 'collector':
-      // Collectors see only assigned requests
-      query.assignedCollector = userId;
-      break;
-    case 'resident':
-      // Residents see only their own requests
-      query.requesterId = userId;
-      break;
-    default:
-      // Invalid role, return empty query that matches nothing
-      query._id = null;
+// Fields that tie a request to a user, by the permission that lets them see it
+const OWNERSHIP_SCOPES = [
+  ['collections:view-own', 'requesterId'],
+  ['collections:view-assigned', 'assignedCollector']
+];
+
+// Static method to build the query scoping requests to what a user may see
+collectionRequestSchema.statics.visibilityScope = function(userId, permissions) {
+  if (hasPermission(permissions, 'collections:view-all')) {
+    return {};
+  }
+
+  const clauses = OWNERSHIP_SCOPES
+    .filter(([permission]) => hasPermission(permissions, permission))
+    .map(([, field]) => ({ [field]: userId }));
+
+  if (clauses.length === 0) {
+    // No view permission, return a query that matches nothing
+    return { _id: null };
   }
   
-  return this.find(query);
+  return clauses.length === 1 ? clauses[0] : { $or: clauses };
+};
+
+// Static method to get the requests a user may see
+collectionRequestSchema.statics.getVisibleTo = function(userId, permissions) {
+  return this.find(this.visibilityScope(userId, permissions));
+};
+
+// Instance method to check whether a user's permissions let them see this request
+collectionRequestSchema.methods.isVisibleTo = function(userId, permissions) {
+  if (hasPermission(permissions, 'collections:view-all')) {
+    return true;
+  }
+
+  return OWNERSHIP_SCOPES.some(([permission, field]) => {
+    const current = this.get(field);
+    const id = current?._id || current;
+    return hasPermission(permissions, permission) && userId != null && id != null && id.toString() === userId.toString();
+  });
 };
 
 const CollectionRequest = mongoose.model("CollectionRequest", collectionRequestSchema);
@@ -1,4 +1,7 @@
 import mongoose from "mongoose";
+import { optimizeOrder } from "../utils/routeOptimizer.js";
+import { userHasPermission } from "../utils/permissions.js";
+import { tenantOf, sameTenant } from "../utils/tenancy.js";
 
 // Define schema for collection routes according to design requirements
 const collectionRouteSchema = new mongoose.Schema(
@@ -10,12 +13,18 @@ const collectionRouteSchema = new mongoose.Schema(
       validate: {
         validator: async function(collectorId) {
           const collector = await mongoose.model('User').findById(collectorId);
-          return collector && collector.role === 'collector';
+          return Boolean(collector) && sameTenant(collector, this) && userHasPermission(collector, 'collections:collect');
         },
-        message: 'Collector ID must reference a user with collector role'
+        message: 'Collector ID must reference a user of the same organization whose role can collect'
       }
     },
 
+    // Organization the route belongs to; taken from the collector when not given
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization'
+    },
+
     date: {
       type: Date,
       required: [true, 'Route date is required'],
@@ -36,12 +45,26 @@ const collectionRouteSchema = new mongoose.Schema(
       validate: {
         validator: async function(collectionId) {
           const collection = await mongoose.model('CollectionRequest').findById(collectionId);
-          return collection && ['assigned', 'in-progress', 'completed'].includes(collection.status);
+          return Boolean(collection) && sameTenant(collection, this) &&
+            ['assigned', 'in-progress', 'completed'].includes(collection.status);
         },
-        message: 'Collection must be assigned, in-progress, or completed to be in a route'
+        message: "Collection must be assigned, in-progress, or completed and in the route's organization to be in a route"
       }
     }],
 
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vehicle',
+      validate: {
+        validator: async function(vehicleId) {
+          if (!vehicleId) return true; // Optional field
+          const vehicle = await mongoose.model('Vehicle').findById(vehicleId);
+          return Boolean(vehicle && vehicle.active) && sameTenant(vehicle, this);
+        },
+        message: "Vehicle must reference an active vehicle of the route's organization"
+      }
+    },
+
     optimizedOrder: [{
       type: Number,
       min: [0, 'Order index must be non-negative']
@@ -65,12 +88,22 @@ const collectionRouteSchema = new mongoose.Schema(
 collectionRouteSchema.index({ collectorId: 1 });
 collectionRouteSchema.index({ date: 1 });
 collectionRouteSchema.index({ status: 1 });
+collectionRouteSchema.index({ vehicle: 1, date: 1 });
 
 // Compound indexes for common queries
 collectionRouteSchema.index({ collectorId: 1, status: 1 });
 
 // Ensure unique route per collector per date (this also serves as the compound index)
 collectionRouteSchema.index({ collectorId: 1, date: 1 }, { unique: true });
+collectionRouteSchema.index({ organization: 1, date: 1 });
+
+// Pre-validate middleware so a new route lands in its collector's organization
+collectionRouteSchema.pre('validate', async function() {
+  if (this.isNew && this.organization === undefined && this.collectorId) {
+    const collector = await mongoose.model('User').findById(this.collectorId).select('organization');
+    this.organization = tenantOf(collector) ?? undefined;
+  }
+});
 
 // Pre-save middleware to validate optimized order
 collectionRouteSchema.pre('save', function(next) {
@@ -142,18 +175,9 @@ collectionRouteSchema.statics.getCollectorRoute = function(collectorId, date) {
   }).populate('collections');
 };
 
-// Static method to optimize route order (simple distance-based for now)
-collectionRouteSchema.statics.optimizeRoute = function(collections) {
-  // Simple optimization: sort by address (in real implementation, would use GPS coordinates)
-  const sorted = collections
-    .map((collection, index) => ({ collection, originalIndex: index }))
-    .sort((a, b) => {
-      const addressA = a.collection.pickupLocation?.address || '';
-      const addressB = b.collection.pickupLocation?.address || '';
-      return addressA.localeCompare(addressB);
-    });
-  
-  return sorted.map(item => item.originalIndex);
+// Static method to optimize route order by pickup coordinates (options: { depot, returnToDepot })
+collectionRouteSchema.statics.optimizeRoute = function(collections, options = {}) {
+  return optimizeOrder(collections, options);
 };
 
 const CollectionRoute = mongoose.model("CollectionRoute", collectionRouteSchema);
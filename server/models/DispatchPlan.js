@@ -0,0 +1,100 @@
+import mongoose from "mongoose";
+
+// Collections a plan gives to one collector, with the resulting route figures
+const dispatchAssignmentSchema = new mongoose.Schema(
+  {
+    collector: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Collector is required']
+    },
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vehicle'
+    },
+    collections: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CollectionRequest'
+    }],
+    // Route totals including collections already on the collector's route
+    load: {
+      volume: Number,
+      weight: Number
+    },
+    distanceKm: Number,
+    durationMinutes: Number,
+    warnings: [String]
+  },
+  { _id: false }
+);
+
+// Define schema for auto-dispatch plans, previewed before they are committed
+const dispatchPlanSchema = new mongoose.Schema(
+  {
+    date: {
+      type: Date,
+      required: [true, 'Dispatch date is required']
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Creator is required']
+    },
+
+    // Organization whose collections and collectors the plan covers
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization'
+    },
+
+    collectors: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+
+    status: {
+      type: String,
+      enum: {
+        // committing while a commit is being applied, so only one commit can claim the plan
+        values: ['preview', 'committing', 'committed', 'discarded'],
+        message: 'Dispatch plan status must be preview, committing, committed, or discarded'
+      },
+      default: 'preview'
+    },
+
+    assignments: [dispatchAssignmentSchema],
+
+    // Pending requests the plan could not place, and why
+    unassigned: [{
+      _id: false,
+      collectionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CollectionRequest'
+      },
+      reason: String
+    }],
+
+    committedAt: Date,
+    committedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    discardedAt: Date
+  },
+  {
+    timestamps: true // automatically adds createdAt and updatedAt
+  }
+);
+
+// Indexes for better query performance
+dispatchPlanSchema.index({ date: 1, status: 1 });
+dispatchPlanSchema.index({ organization: 1, createdAt: -1 });
+
+// Instance method to check if the plan can still be committed or discarded
+dispatchPlanSchema.methods.isOpen = function() {
+  return this.status === 'preview';
+};
+
+const DispatchPlan = mongoose.model("DispatchPlan", dispatchPlanSchema);
+export default DispatchPlan;
@@ -0,0 +1,123 @@
+import mongoose from "mongoose";
+import { isKnownRole } from "../utils/permissions.js";
+
+// Define schema for admin-issued invitations to create an account with a given role
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true,
+      match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+    },
+
+    role: {
+      type: String,
+      validate: {
+        validator: function(role) {
+          return isKnownRole(role, this.organization);
+        },
+        message: 'Role must be resident, collector, admin or an existing custom role'
+      },
+      required: [true, 'Role is required']
+    },
+
+    // Organization the new account joins
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization'
+    },
+
+    // SHA-256 of the invitation token; the token itself only appears in the email
+    tokenHash: {
+      type: String,
+      required: [true, 'Token hash is required'],
+      unique: true,
+      select: false
+    },
+
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Message cannot exceed 500 characters']
+    },
+
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry date is required']
+    },
+
+    acceptedAt: {
+      type: Date
+    },
+
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+
+    revokedAt: {
+      type: Date
+    },
+
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true, // automatically adds createdAt and updatedAt
+    id: false,
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.tokenHash;
+        return ret;
+      }
+    },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for better query performance
+invitationSchema.index({ email: 1, createdAt: -1 });
+invitationSchema.index({ expiresAt: 1 });
+invitationSchema.index({ organization: 1, createdAt: -1 });
+
+// pending, accepted, revoked or expired
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+// Instance method to check whether the invitation can still be accepted
+invitationSchema.methods.isPending = function() {
+  return this.status === 'pending';
+};
+
+// Static method to build the query for invitations in a given status
+invitationSchema.statics.statusQuery = function(status, now = new Date()) {
+  switch (status) {
+    case 'accepted':
+      return { acceptedAt: { $ne: null } };
+    case 'revoked':
+      return { acceptedAt: null, revokedAt: { $ne: null } };
+    case 'expired':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } };
+    case 'pending':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } };
+    default:
+      return {};
+  }
+};
+
+const Invitation = mongoose.model("Invitation", invitationSchema);
+export default Invitation;
@@ -0,0 +1,171 @@
+import mongoose from "mongoose";
+
+// A single attempt to deliver a notification through a channel
+const deliveryAttemptSchema = new mongoose.Schema(
+  {
+    attemptedAt: {
+      type: Date,
+      default: Date.now
+    },
+    success: {
+      type: Boolean,
+      required: true
+    },
+    error: {
+      type: String,
+      maxlength: [1000, 'Error message cannot exceed 1000 characters']
+    }
+  },
+  { _id: false }
+);
+
+// Delivery state of a notification for one channel (email, sms, push, webhook)
+const deliverySchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      required: [true, 'Delivery channel is required']
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['pending', 'queued', 'sent', 'failed', 'skipped'],
+        message: 'Delivery status must be pending, queued, sent, failed, or skipped'
+      },
+      default: 'pending'
+    },
+    attempts: [deliveryAttemptSchema],
+    lastError: {
+      type: String
+    },
+    providerMessageId: {
+      type: String
+    },
+    deliveredAt: {
+      type: Date
+    },
+    // Set while a failed delivery is still eligible for an automatic retry
+    nextRetryAt: {
+      type: Date
+    },
+    // Set while a delivery is held back by quiet hours or waiting for the next digest
+    scheduledFor: {
+      type: Date
+    }
+  },
+  { _id: false }
+);
+
+// Define schema for persisted user notifications
+const notificationSchema = new mongoose.Schema(
+  {
+    recipientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Recipient ID is required']
+    },
+
+    // Recipient's organization, so admins only see their own organization's notifications
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization'
+    },
+
+    recipientEmail: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+
+    type: {
+      type: String,
+      enum: {
+        values: ['completion', 'assignment', 'status_update'],
+        message: 'Notification type must be completion, assignment, or status_update'
+      },
+      required: [true, 'Notification type is required']
+    },
+
+    collectionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CollectionRequest'
+    },
+
+    message: {
+      type: String,
+      required: [true, 'Notification message is required'],
+      trim: true,
+      maxlength: [1000, 'Message cannot exceed 1000 characters']
+    },
+
+    // Extra context for the notification (e.g. old/new status of a status update)
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+
+    read: {
+      type: Boolean,
+      default: false
+    },
+
+    readAt: {
+      type: Date
+    },
+
+    // False when the recipient only wants this type through external channels
+    inApp: {
+      type: Boolean,
+      default: true
+    },
+
+    deliveries: [deliverySchema]
+  },
+  {
+    timestamps: true // automatically adds createdAt and updatedAt
+  }
+);
+
+// Indexes for better query performance
+notificationSchema.index({ recipientId: 1, createdAt: -1 });
+notificationSchema.index({ recipientId: 1, read: 1 });
+notificationSchema.index({ recipientId: 1, type: 1 });
+notificationSchema.index({ collectionId: 1 });
+notificationSchema.index({ organization: 1, createdAt: -1 });
+notificationSchema.index({ 'deliveries.status': 1, 'deliveries.nextRetryAt': 1 });
+notificationSchema.index({ 'deliveries.status': 1, 'deliveries.scheduledFor': 1 });
+
+// Instance method to mark notification as read
+notificationSchema.methods.markAsRead = function() {
+  if (!this.read) {
+    this.read = true;
+    this.readAt = new Date();
+  }
+  return this;
+};
+
+// Static method to build a recipient-scoped query from list filters
+notificationSchema.statics.buildQuery = function(userId, filters = {}) {
+  const query = {};
+
+  if (userId) {
+    query.recipientId = userId;
+  }
+
+  if (filters.type) {
+    query.type = filters.type;
+  }
+
+  if (filters.collectionId) {
+    query.collectionId = filters.collectionId;
+  }
+
+  if (filters.read !== undefined && filters.read !== null && filters.read !== '') {
+    query.read = filters.read === true || filters.read === 'true';
+  }
+
+  return query;
+};
+
+const Notification = mongoose.model("Notification", notificationSchema);
+export default Notification;
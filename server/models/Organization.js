@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+// Define schema for organizations (tenants), e.g. a municipality or contractor whose
+// users, collection requests and routes are kept apart from everyone else's
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Organization name is required'],
+      trim: true,
+      maxlength: [100, 'Organization name cannot exceed 100 characters']
+    },
+
+    // Short identifier residents pick when they sign up, e.g. "springfield"
+    slug: {
+      type: String,
+      required: [true, 'Organization slug is required'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      minlength: [2, 'Slug must be at least 2 characters long'],
+      maxlength: [50, 'Slug cannot exceed 50 characters'],
+      match: [/^[a-z0-9][a-z0-9-]*$/, 'Slug may only contain lowercase letters, digits and dashes']
+    },
+
+    // Members of an inactive organization can't sign in or sign up
+    active: {
+      type: Boolean,
+      default: true
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true // automatically adds createdAt and updatedAt
+  }
+);
+
+// Indexes for better query performance
+organizationSchema.index({ active: 1 });
+
+// Static method to check whether an organization is open for use; users outside any
+// organization (the default tenant) always are
+organizationSchema.statics.isActive = async function(organizationId) {
+  if (!organizationId) {
+    return true;
+  }
+  return Boolean(await this.exists({ _id: organizationId, active: true }));
+};
+
+const Organization = mongoose.model("Organization", organizationSchema);
+export default Organization;
@@ -0,0 +1,251 @@
+import mongoose from "mongoose";
+import { hasPermission } from "../utils/permissions.js";
+import { tenantOf } from "../utils/tenancy.js";
+import { OUTSIDE_SERVICE_AREA } from "../utils/zones.js";
+import Zone from "./Zone.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Midnight UTC of the calendar day a date falls on; schedules work in whole days
+const startOfDay = (date) => {
+  const day = new Date(date);
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+};
+
+// A period during which no collections are generated (until is inclusive; open-ended if absent)
+const pauseSchema = new mongoose.Schema(
+  {
+    from: {
+      type: Date,
+      required: [true, 'Pause start date is required']
+    },
+    until: {
+      type: Date
+    },
+
+    // Set when the system paused the schedule rather than the resident (e.g. outside-service-area)
+    reason: {
+      type: String
+    }
+  },
+  { _id: false }
+);
+
+// Define schema for recurring collection subscriptions
+const recurringScheduleSchema = new mongoose.Schema(
+  {
+    requesterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Requester ID is required']
+    },
+
+    // Organization of the requester; requests generated from the schedule inherit it
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization'
+    },
+
+    wasteCategory: {
+      type: String,
+      enum: {
+        values: ['organic', 'recyclable', 'hazardous', 'general'],
+        message: 'Waste category must be organic, recyclable, hazardous, or general'
+      },
+      required: [true, 'Waste category is required']
+    },
+
+    pickupLocation: {
+      address: {
+        type: String,
+        required: [true, 'Pickup address is required'],
+        trim: true,
+        maxlength: [200, 'Address cannot exceed 200 characters']
+      },
+      coordinates: {
+        lat: {
+          type: Number,
+          min: [-90, 'Latitude must be between -90 and 90'],
+          max: [90, 'Latitude must be between -90 and 90']
+        },
+        lng: {
+          type: Number,
+          min: [-180, 'Longitude must be between -180 and 180'],
+          max: [180, 'Longitude must be between -180 and 180']
+        }
+      },
+      instructions: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Instructions cannot exceed 500 characters']
+      }
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+
+    frequency: {
+      type: String,
+      enum: {
+        values: ['weekly', 'biweekly', 'monthly'],
+        message: 'Frequency must be weekly, biweekly, or monthly'
+      },
+      required: [true, 'Frequency is required']
+    },
+
+    // 0 (Sunday) to 6 (Saturday), for weekly and biweekly schedules
+    dayOfWeek: {
+      type: Number,
+      min: [0, 'Day of week must be between 0 and 6'],
+      max: [6, 'Day of week must be between 0 and 6'],
+      required: [
+        function() { return this.frequency !== 'monthly'; },
+        'Day of week is required for weekly and biweekly schedules'
+      ]
+    },
+
+    // Limited to 28 so every month has the day
+    dayOfMonth: {
+      type: Number,
+      min: [1, 'Day of month must be between 1 and 28'],
+      max: [28, 'Day of month must be between 1 and 28'],
+      required: [
+        function() { return this.frequency === 'monthly'; },
+        'Day of month is required for monthly schedules'
+      ]
+    },
+
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required']
+    },
+
+    endDate: {
+      type: Date,
+      validate: {
+        validator: function(date) {
+          return !date || !this.startDate || date >= this.startDate;
+        },
+        message: 'End date cannot be before the start date'
+      }
+    },
+
+    pauses: [pauseSchema],
+
+    // Single occurrences the resident does not want
+    skippedDates: [Date],
+
+    status: {
+      type: String,
+      enum: {
+        values: ['active', 'cancelled'],
+        message: 'Schedule status must be active or cancelled'
+      },
+      default: 'active'
+    },
+
+    // Last day collection requests have been generated up to
+    generatedUntil: {
+      type: Date
+    },
+
+    cancelledAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true // automatically adds createdAt and updatedAt
+  }
+);
+
+// Indexes for better query performance
+recurringScheduleSchema.index({ requesterId: 1 });
+recurringScheduleSchema.index({ status: 1, generatedUntil: 1 });
+recurringScheduleSchema.index({ organization: 1 });
+
+// Pre-validate middleware so a new schedule lands in its requester's organization
+recurringScheduleSchema.pre('validate', async function() {
+  if (this.isNew && this.organization === undefined && this.requesterId) {
+    const requester = await mongoose.model('User').findById(this.requesterId).select('organization');
+    this.organization = tenantOf(requester) ?? undefined;
+  }
+});
+
+// Pre-validate middleware so a schedule can't generate requests the service area would turn away
+recurringScheduleSchema.pre('validate', async function() {
+  if (!this.isNew && !this.isModified('pickupLocation')) {
+    return;
+  }
+
+  if ((await Zone.locate(this.organization, this.pickupLocation?.coordinates)) === null) {
+    this.invalidate('pickupLocation.coordinates', OUTSIDE_SERVICE_AREA);
+  }
+});
+
+// Pre-validate middleware to store schedule dates as whole days
+recurringScheduleSchema.pre('validate', function(next) {
+  if (this.startDate) this.startDate = startOfDay(this.startDate);
+  if (this.endDate) this.endDate = startOfDay(this.endDate);
+  next();
+});
+
+// Static method to normalize a date or YYYY-MM-DD string to the day it falls on
+recurringScheduleSchema.statics.startOfDay = startOfDay;
+
+// Instance method to check whether the schedule falls on a day (ignoring pauses and skips)
+recurringScheduleSchema.methods.fallsOn = function(date) {
+  const day = startOfDay(date);
+  if (day < this.startDate || (this.endDate && day > this.endDate)) return false;
+
+  switch (this.frequency) {
+    case 'weekly':
+      return day.getUTCDay() === this.dayOfWeek;
+    case 'biweekly': {
+      // Every other week, counted from the first matching day on or after the start date
+      const offset = (this.dayOfWeek - this.startDate.getUTCDay() + 7) % 7;
+      const first = this.startDate.getTime() + offset * DAY_MS;
+      const days = Math.round((day.getTime() - first) / DAY_MS);
+      return days >= 0 && days % 14 === 0;
+    }
+    case 'monthly':
+      return day.getUTCDate() === this.dayOfMonth;
+    default:
+      return false;
+  }
+};
+
+// Instance method to check whether a day is inside a pause
+recurringScheduleSchema.methods.isPausedOn = function(date) {
+  const day = startOfDay(date);
+  return this.pauses.some(pause => day >= pause.from && (!pause.until || day <= pause.until));
+};
+
+// Instance method to check whether a single occurrence was skipped
+recurringScheduleSchema.methods.isSkipped = function(date) {
+  const time = startOfDay(date).getTime();
+  return this.skippedDates.some(skipped => skipped.getTime() === time);
+};
+
+// Instance method to list the days a collection should happen between two dates (inclusive)
+recurringScheduleSchema.methods.getOccurrences = function(from, to) {
+  const occurrences = [];
+  if (this.status !== 'active') return occurrences;
+
+  for (let day = startOfDay(from); day <= to; day = new Date(day.getTime() + DAY_MS)) {
+    if (this.fallsOn(day) && !this.isPausedOn(day) && !this.isSkipped(day)) {
+      occurrences.push(day);
+    }
+  }
+  return occurrences;
+};
+
+// Instance method to check if a schedule can be managed by user
+recurringScheduleSchema.methods.canBeManagedBy = function(userId, permissions) {
+  return hasPermission(permissions, 'schedules:manage-all') || this.requesterId.toString() === userId.toString();
+};
+
+const RecurringSchedule = mongoose.model("RecurringSchedule", recurringScheduleSchema);
+export default RecurringSchedule;
@@ -0,0 +1,109 @@
+import mongoose from "mongoose";
+
+// Rotated-out token hashes kept to detect a stolen refresh token being replayed
+const MAX_PREVIOUS_HASHES = 10;
+
+// Define schema for refresh token sessions, one per signed-in device
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required']
+    },
+
+    // SHA-256 of the current refresh token; the token itself is never stored
+    tokenHash: {
+      type: String,
+      required: [true, 'Token hash is required'],
+      unique: true
+    },
+
+    previousTokenHashes: {
+      type: [String],
+      select: false
+    },
+
+    device: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Device name cannot exceed 200 characters']
+    },
+
+    ipAddress: {
+      type: String
+    },
+
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry date is required']
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+
+    revokedAt: {
+      type: Date
+    },
+
+    // e.g. logout, role-change, reuse-detected
+    revokedReason: {
+      type: String
+    }
+  },
+  {
+    timestamps: true // automatically adds createdAt and updatedAt
+  }
+);
+
+// Indexes for better query performance
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ previousTokenHashes: 1 });
+
+// Expired sessions are removed by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to check whether the session can still be used
+refreshTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Static method to replace a session's current token hash with a new one. Only one of two
+// simultaneous rotations of the same token succeeds; the other gets null
+refreshTokenSchema.statics.rotate = function(sessionId, currentHash, newHash) {
+  return this.findOneAndUpdate(
+    { _id: sessionId, tokenHash: currentHash },
+    {
+      $set: { tokenHash: newHash, lastUsedAt: new Date() },
+      $push: { previousTokenHashes: { $each: [currentHash], $slice: -MAX_PREVIOUS_HASHES } }
+    },
+    { new: true }
+  );
+};
+
+// Instance method to check whether a token was the one rotated out last, within the last
+// `graceMs` milliseconds (the session must be loaded with previousTokenHashes)
+refreshTokenSchema.methods.wasJustRotatedFrom = function(tokenHash, graceMs) {
+  return this.previousTokenHashes?.at(-1) === tokenHash && Date.now() - this.lastUsedAt.getTime() <= graceMs;
+};
+
+// Instance method to end the session
+refreshTokenSchema.methods.revoke = function(reason) {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+};
+
+// Static method to end every session of a user
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+export default RefreshToken;
@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+import { PERMISSION_NAMES, isBuiltInRole } from "../utils/permissions.js";
+
+// Define schema for custom roles; resident, collector, admin and super-admin are built in
+// and not stored. Each custom role belongs to one organization.
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Role name is required'],
+      trim: true,
+      lowercase: true,
+      minlength: [3, 'Role name must be at least 3 characters long'],
+      maxlength: [30, 'Role name cannot exceed 30 characters'],
+      match: [/^[a-z][a-z0-9-]*$/, 'Role name may only contain lowercase letters, digits and dashes'],
+      validate: {
+        validator: (name) => !isBuiltInRole(name),
+        message: 'Role name is reserved for a built-in role'
+      }
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+
+    permissions: {
+      type: [{
+        type: String,
+        enum: {
+          values: PERMISSION_NAMES,
+          message: 'Unknown permission: {VALUE}'
+        }
+      }],
+      default: []
+    },
+
+    // Unset for the default tenant's roles
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization'
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true // automatically adds createdAt and updatedAt
+  }
+);
+
+// Indexes for better query performance
+roleSchema.index({ organization: 1, name: 1 }, { unique: true });
+roleSchema.index({ permissions: 1 });
+
+// Keep each permission once
+roleSchema.pre('save', function(next) {
+  if (this.isModified('permissions')) {
+    this.permissions = [...new Set(this.permissions)];
+  }
+  next();
+});
+
+const Role = mongoose.model("Role", roleSchema);
+export default Role;
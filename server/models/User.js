@@ -1,5 +1,25 @@
 import mongoose from "mongoose";
 import bcrypt from "bcrypt";
+import { isKnownRole } from "../utils/permissions.js";
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Which channels a user wants for one notification type
+const channelPreferences = () => ({
+  inApp: { type: Boolean, default: true },
+  email: { type: Boolean, default: true },
+  sms: { type: Boolean, default: true },
+  push: { type: Boolean, default: true }
+});
 
 // Define schema for user according to design requirements
 const userSchema = new mongoose.Schema(
@@ -28,15 +48,91 @@ const userSchema = new mongoose.Schema(
       minlength: [6, 'Password must be at least 6 characters long']
     },
 
+    // A built-in role (resident, collector, admin, super-admin) or the name of a
+    // custom Role of the user's organization
     role: {
       type: String,
-      enum: {
-        values: ['resident', 'collector', 'admin'],
-        message: 'Role must be either resident, collector, or admin'
+      trim: true,
+      validate: {
+        validator: function(role) {
+          return isKnownRole(role, this.organization);
+        },
+        message: 'Role must be resident, collector, admin or an existing custom role'
       },
       default: 'resident'
     },
 
+    // Municipality or contractor the user belongs to; unset for the default tenant
+    // and for super-admins, who work across organizations
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization'
+    },
+
+    // Set once the user follows the link in their verification email
+    emailVerified: {
+      type: Boolean,
+      default: false
+    },
+
+    emailVerifiedAt: {
+      type: Date
+    },
+
+    // Bumped to invalidate every access token issued before, e.g. on a role change
+    tokenVersion: {
+      type: Number,
+      default: 0
+    },
+
+    // Wrong passwords in a row since the last successful sign-in or lock
+    failedLoginAttempts: {
+      type: Number,
+      default: 0
+    },
+
+    // Locks since the last successful sign-in; each one lasts longer
+    lockCount: {
+      type: Number,
+      default: 0
+    },
+
+    // Sign-in is refused until this time
+    lockUntil: {
+      type: Date
+    },
+
+    // TOTP two-factor authentication; secrets are only loaded when asked for
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      enabledAt: {
+        type: Date
+      },
+      // Base32 secret the user's authenticator app shares
+      secret: {
+        type: String,
+        select: false
+      },
+      // Secret offered during enrolment, until a code from it is confirmed
+      pendingSecret: {
+        type: String,
+        select: false
+      },
+      // SHA-256 of each unused recovery code
+      recoveryCodeHashes: {
+        type: [String],
+        select: false
+      },
+      // Last time step a code was accepted for, so a code can't be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false
+      }
+    },
+
     profile: {
       firstName: {
         type: String,
@@ -58,6 +154,67 @@ const userSchema = new mongoose.Schema(
         trim: true,
         maxlength: [200, 'Address cannot exceed 200 characters']
       }
+    },
+
+    preferences: {
+      // Used to interpret quiet hours and the daily digest time
+      timezone: {
+        type: String,
+        default: 'UTC',
+        validate: {
+          validator: isValidTimezone,
+          message: 'Timezone must be a valid IANA timezone'
+        }
+      },
+
+      notifications: {
+        completion: channelPreferences(),
+        assignment: channelPreferences(),
+        status_update: {
+          ...channelPreferences(),
+          // Only notify for transitions into these statuses
+          statuses: {
+            type: [String],
+            enum: {
+              values: ['pending', 'assigned', 'in-progress', 'completed', 'cancelled'],
+              message: 'Status must be pending, assigned, in-progress, completed, or cancelled'
+            },
+            default: ['pending', 'assigned', 'in-progress', 'completed', 'cancelled']
+          }
+        }
+      },
+
+      // External deliveries (email, SMS, push) are held back during quiet hours
+      quietHours: {
+        enabled: { type: Boolean, default: false },
+        start: {
+          type: String,
+          default: '22:00',
+          match: [TIME_OF_DAY, 'Quiet hours start must be in HH:MM format']
+        },
+        end: {
+          type: String,
+          default: '07:00',
+          match: [TIME_OF_DAY, 'Quiet hours end must be in HH:MM format']
+        }
+      },
+
+      // Batch external deliveries into one message per channel instead of sending each one
+      digest: {
+        mode: {
+          type: String,
+          enum: {
+            values: ['off', 'hourly', 'daily'],
+            message: 'Digest mode must be off, hourly, or daily'
+          },
+          default: 'off'
+        },
+        time: {
+          type: String,
+          default: '08:00',
+          match: [TIME_OF_DAY, 'Digest time must be in HH:MM format']
+        }
+      }
     }
   },
   {
@@ -67,6 +224,7 @@ const userSchema = new mongoose.Schema(
 
 // Index for better query performance (email and username already have unique indexes)
 userSchema.index({ role: 1 });
+userSchema.index({ organization: 1, role: 1 });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -88,10 +246,36 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Instance method to check whether sign-in is currently locked
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Instance method to merge a partial preferences update (unspecified settings are kept)
+userSchema.methods.updatePreferences = function(preferences = {}) {
+  const apply = (value, path) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([key, nested]) => apply(nested, `${path}.${key}`));
+    } else if (value !== undefined) {
+      this.set(path, value);
+    }
+  };
+
+  apply(preferences, 'preferences');
+  return this;
+};
+
 // Instance method to get user without password
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.tokenVersion;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt
+    };
+  }
   return userObject;
 };
 
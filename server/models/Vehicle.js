@@ -0,0 +1,109 @@
+import mongoose from "mongoose";
+
+// Define schema for collection vehicles
+const vehicleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Vehicle name is required'],
+      trim: true,
+      maxlength: [100, 'Vehicle name cannot exceed 100 characters']
+    },
+
+    registration: {
+      type: String,
+      required: [true, 'Registration number is required'],
+      unique: true,
+      trim: true,
+      uppercase: true,
+      maxlength: [20, 'Registration number cannot exceed 20 characters']
+    },
+
+    capacity: {
+      // Litres
+      volume: {
+        type: Number,
+        required: [true, 'Volume capacity is required'],
+        min: [1, 'Volume capacity must be positive']
+      },
+      // Kilograms
+      weight: {
+        type: Number,
+        required: [true, 'Weight capacity is required'],
+        min: [1, 'Weight capacity must be positive']
+      }
+    },
+
+    wasteCategories: {
+      type: [{
+        type: String,
+        enum: {
+          values: ['organic', 'recyclable', 'hazardous', 'general'],
+          message: 'Waste category must be organic, recyclable, hazardous, or general'
+        }
+      }],
+      validate: {
+        validator: function(categories) {
+          return categories.length > 0;
+        },
+        message: 'A vehicle must carry at least one waste category'
+      }
+    },
+
+    // Where the vehicle's routes start and end
+    depot: {
+      address: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Address cannot exceed 200 characters']
+      },
+      coordinates: {
+        lat: {
+          type: Number,
+          min: [-90, 'Latitude must be between -90 and 90'],
+          max: [90, 'Latitude must be between -90 and 90']
+        },
+        lng: {
+          type: Number,
+          min: [-180, 'Longitude must be between -180 and 180'],
+          max: [180, 'Longitude must be between -180 and 180']
+        }
+      }
+    },
+
+    active: {
+      type: Boolean,
+      default: true
+    },
+
+    // Organization whose fleet the vehicle is part of
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization'
+    }
+  },
+  {
+    timestamps: true // automatically adds createdAt and updatedAt
+  }
+);
+
+// Indexes for better query performance
+vehicleSchema.index({ active: 1 });
+vehicleSchema.index({ organization: 1, active: 1 });
+
+// Instance method to check if the vehicle may carry a waste category
+vehicleSchema.methods.canCarry = function(category) {
+  return this.wasteCategories.includes(category);
+};
+
+// Instance method to get the depot as a { lat, lng } point, if it has coordinates
+vehicleSchema.methods.getDepotPoint = function() {
+  const coordinates = this.depot?.coordinates;
+  if (typeof coordinates?.lat !== 'number' || typeof coordinates?.lng !== 'number') {
+    return null;
+  }
+  return { lat: coordinates.lat, lng: coordinates.lng };
+};
+
+const Vehicle = mongoose.model("Vehicle", vehicleSchema);
+export default Vehicle;
@@ -0,0 +1,105 @@
+import mongoose from "mongoose";
+import { userHasPermission } from "../utils/permissions.js";
+import { sameTenant } from "../utils/tenancy.js";
+import { isValidPolygon, toPoint } from "../utils/zones.js";
+
+// Define schema for service zones: the parts of an organization's area it collects in
+const zoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Zone name is required'],
+      trim: true,
+      maxlength: [100, 'Zone name cannot exceed 100 characters']
+    },
+
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization'
+    },
+
+    // GeoJSON polygon, positions as [longitude, latitude]
+    boundary: {
+      type: {
+        type: String,
+        enum: {
+          values: ['Polygon'],
+          message: 'Zone boundary must be a Polygon'
+        },
+        required: [true, 'Zone boundary is required']
+      },
+      coordinates: {
+        type: [[[Number]]],
+        required: [true, 'Zone boundary is required'],
+        validate: {
+          validator: function(coordinates) {
+            return isValidPolygon({ type: 'Polygon', coordinates });
+          },
+          message: 'Zone boundary must be a polygon of closed rings of [longitude, latitude] positions'
+        }
+      }
+    },
+
+    // Days of the week collections normally happen, 0 (Sunday) to 6 (Saturday)
+    collectionDays: {
+      type: [{
+        type: Number,
+        min: [0, 'Collection day must be between 0 and 6'],
+        max: [6, 'Collection day must be between 0 and 6']
+      }],
+      default: []
+    },
+
+    // Collectors who normally work the zone
+    collectors: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      validate: {
+        validator: async function(collectorId) {
+          const collector = await mongoose.model('User').findById(collectorId);
+          return Boolean(collector) && sameTenant(collector, this) && userHasPermission(collector, 'collections:collect');
+        },
+        message: 'Zone collectors must be users of the same organization whose role can collect'
+      }
+    }],
+
+    // Inactive zones no longer take new requests
+    active: {
+      type: Boolean,
+      default: true
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true // automatically adds createdAt and updatedAt
+  }
+);
+
+// Indexes for better query performance
+zoneSchema.index({ boundary: '2dsphere' });
+zoneSchema.index({ organization: 1, name: 1 }, { unique: true });
+zoneSchema.index({ organization: 1, active: 1 });
+
+// Static method to find the zone of an organization containing a pickup location.
+// Resolves to undefined when the organization has no zones (so every location is served),
+// and null when it has zones but none contains the location.
+zoneSchema.statics.locate = async function(organization, coordinates) {
+  const scope = { organization: organization || null, active: true };
+  if (!(await this.exists(scope))) {
+    return undefined;
+  }
+
+  const point = toPoint(coordinates);
+  if (!point) {
+    return null;
+  }
+  // Overlapping zones resolve to the first by name
+  return this.findOne({ ...scope, boundary: { $geoIntersects: { $geometry: point } } }).sort({ name: 1 });
+};
+
+const Zone = mongoose.model("Zone", zoneSchema);
+export default Zone;
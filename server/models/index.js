@@ -1,9 +1,31 @@
 import User from './User.js';
 import CollectionRequest from './CollectionRequest.js';
 import CollectionRoute from './CollectionRoute.js';
+import Notification from './Notification.js';
+import RecurringSchedule from './RecurringSchedule.js';
+import Vehicle from './Vehicle.js';
+import DispatchPlan from './DispatchPlan.js';
+import RefreshToken from './RefreshToken.js';
+import AccountToken from './AccountToken.js';
+import Invitation from './Invitation.js';
+import Role from './Role.js';
+import Organization from './Organization.js';
+import Zone from './Zone.js';
+import Address from './Address.js';
 
 export {
   User,
   CollectionRequest,
-  CollectionRoute
-};
\ No newline at end of file
+  CollectionRoute,
+  Notification,
+  RecurringSchedule,
+  Vehicle,
+  DispatchPlan,
+  RefreshToken,
+  AccountToken,
+  Invitation,
+  Role,
+  Organization,
+  Zone,
+  Address
+};
@@ -0,0 +1,319 @@
+import express from "express";
+import { Address, CollectionRequest, Zone } from "../models/index.js";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import { validateAddressImport, validateGeocodingReview } from "../middleware/validation.js";
+import { publishCollectionEvent } from "../utils/eventBus.js";
+import { scoped, tenantOf, resolveTenantForNew } from "../utils/tenancy.js";
+import { normalizeAddress, parseGazetteer } from "../utils/addresses.js";
+import { getGeocoder } from "../utils/geocoding/index.js";
+import { OUTSIDE_SERVICE_AREA } from "../utils/zones.js";
+
+const router = express.Router();
+
+// Row errors listed back after an import; the rest are only counted
+const MAX_REPORTED_ERRORS = 100;
+
+/**
+ * @route   GET /api/addresses/geocode
+ * @desc    Look up the coordinates of an address (?address=), e.g. to show a resident
+ *          where their pickup will be before they make a request
+ * @access  Private
+ */
+router.get("/geocode", authenticate, async (req, res) => {
+  try {
+    const address = String(req.query.address ?? '').trim();
+    if (!normalizeAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        message: "Address is required"
+      });
+    }
+
+    const geocoder = getGeocoder();
+    const match = geocoder && await geocoder.geocode(address, { organization: tenantOf(req.user) });
+
+    res.status(200).json({
+      success: true,
+      found: Boolean(match),
+      match: match || null
+    });
+
+  } catch (error) {
+    console.error("Geocode address error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error geocoding address"
+    });
+  }
+});
+
+/**
+ * @route   GET /api/addresses/review
+ * @desc    List the addresses of collection requests that couldn't be geocoded, once per
+ *          address however it was typed, with the requests waiting on each; oldest first
+ * @access  Private (addresses:manage)
+ */
+router.get("/review", authenticate, requirePermission('addresses:manage'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [result] = await CollectionRequest.aggregate([
+      { $match: scoped(req, { 'geocoding.status': 'unresolved' }) },
+      { $sort: { createdAt: 1, _id: 1 } },
+      {
+        $group: {
+          // Addresses without a key (nothing but punctuation) can't be told apart, so stay on their own
+          _id: {
+            organization: "$organization",
+            normalizedAddress: { $ifNull: ["$pickupLocation.normalizedAddress", "$_id"] }
+          },
+          address: { $first: "$pickupLocation.address" },
+          spellings: { $addToSet: "$pickupLocation.address" },
+          requests: { $push: "$_id" },
+          firstRequestedAt: { $first: "$createdAt" }
+        }
+      },
+      { $sort: { firstRequestedAt: 1 } },
+      {
+        $facet: {
+          addresses: [
+            { $skip: skip },
+            { $limit: parseInt(limit) },
+            {
+              $project: {
+                _id: 0,
+                organization: "$_id.organization",
+                address: 1,
+                spellings: 1,
+                requests: 1,
+                count: { $size: "$requests" },
+                firstRequestedAt: 1
+              }
+            }
+          ],
+          total: [{ $count: "count" }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+
+    res.status(200).json({
+      success: true,
+      addresses: result.addresses,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error("Get geocoding review error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching addresses to review"
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/addresses/review/:id
+ * @desc    Place a request whose address couldn't be geocoded, along with every other
+ *          request waiting at the same address, putting them in the zone containing it.
+ *          The address is added to the register so later requests for it are geocoded,
+ *          unless addToRegister is false
+ * @access  Private (addresses:manage)
+ */
+router.put("/review/:id", authenticate, requirePermission('addresses:manage'), validateGeocodingReview, async (req, res) => {
+  try {
+    const collectionRequest = await CollectionRequest.findOne(scoped(req, {
+      _id: req.params.id,
+      'geocoding.status': 'unresolved'
+    }));
+    if (!collectionRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Collection request not found or not waiting for review"
+      });
+    }
+
+    const coordinates = { lat: req.body.coordinates.lat, lng: req.body.coordinates.lng };
+    const zone = await Zone.locate(collectionRequest.organization, coordinates);
+    if (zone === null) {
+      return res.status(400).json({
+        success: false,
+        message: OUTSIDE_SERVICE_AREA,
+        outsideServiceArea: true
+      });
+    }
+
+    const { normalizedAddress, address } = collectionRequest.pickupLocation;
+    const sameAddress = normalizedAddress
+      ? await CollectionRequest.find({
+        organization: collectionRequest.organization ?? null,
+        'geocoding.status': 'unresolved',
+        'pickupLocation.normalizedAddress': normalizedAddress
+      })
+      : [collectionRequest];
+
+    const reviewed = { status: 'resolved', reviewedBy: req.user._id, reviewedAt: new Date() };
+    for (const item of sameAddress) {
+      item.set('pickupLocation.coordinates', coordinates);
+      item.zone = zone ? zone._id : undefined;
+      item.geocoding = reviewed;
+      await item.save();
+      publishCollectionEvent('collection.updated', item);
+    }
+
+    if (req.body.addToRegister !== false && normalizedAddress) {
+      await Address.importEntries(collectionRequest.organization, [{
+        address: address.replace(/\s+/g, ' '),
+        coordinates
+      }], 'review');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Placed ${sameAddress.length} collection request${sameAddress.length === 1 ? '' : 's'}`,
+      requests: sameAddress
+    });
+
+  } catch (error) {
+    console.error("Resolve geocoding review error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error placing collection requests"
+    });
+  }
+});
+
+/**
+ * @route   GET /api/addresses
+ * @desc    List the address register (search by address)
+ * @access  Private (addresses:manage)
+ */
+router.get("/", authenticate, requirePermission('addresses:manage'), async (req, res) => {
+  try {
+    const { search, page = 1, limit = 50 } = req.query;
+    const query = scoped(req);
+
+    // Keys only hold letters, digits and spaces, so the search needs no escaping
+    const key = normalizeAddress(search);
+    if (key) {
+      query.normalizedAddress = { $regex: key };
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const addresses = await Address.find(query)
+      .sort({ normalizedAddress: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Address.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      addresses,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error("Get addresses error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching addresses"
+    });
+  }
+});
+
+/**
+ * @route   POST /api/addresses/import
+ * @desc    Import a gazetteer CSV (a header row with address, lat and lng columns) into the
+ *          organization's address register; known addresses get the new coordinates.
+ *          Super-admins pick the organization, or leave it out for the register shared
+ *          by every organization
+ * @access  Private (addresses:manage)
+ */
+router.post("/import", authenticate, requirePermission('addresses:manage'), validateAddressImport, async (req, res) => {
+  try {
+    const tenant = await resolveTenantForNew(req);
+    if (!tenant) {
+      return res.status(400).json({
+        success: false,
+        message: "Organization not found or inactive"
+      });
+    }
+
+    const { entries, errors, error } = parseGazetteer(req.body.csv);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    if (entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No valid addresses found",
+        errors: errors.slice(0, MAX_REPORTED_ERRORS)
+      });
+    }
+
+    const result = await Address.importEntries(tenant.organization, entries, req.body.source || 'import');
+
+    res.status(200).json({
+      success: true,
+      message: "Addresses imported successfully",
+      ...result,
+      skipped: errors.length,
+      errors: errors.slice(0, MAX_REPORTED_ERRORS)
+    });
+
+  } catch (error) {
+    console.error("Import addresses error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error importing addresses"
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/addresses/:id
+ * @desc    Remove an address from the register
+ * @access  Private (addresses:manage)
+ */
+router.delete("/:id", authenticate, requirePermission('addresses:manage'), async (req, res) => {
+  try {
+    const address = await Address.findOneAndDelete(scoped(req, { _id: req.params.id }));
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: "Address not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Address removed successfully"
+    });
+
+  } catch (error) {
+    console.error("Delete address error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error removing address"
+    });
+  }
+});
+
+export default router;
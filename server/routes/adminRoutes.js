@@ -1,23 +1,111 @@
 import express from "express";
-import { User, CollectionRequest, CollectionRoute } from "../models/index.js";
-import { authenticate, authorize } from "../middleware/auth.js";
+import mongoose from "mongoose";
+import { User, CollectionRequest, CollectionRoute, Vehicle, DispatchPlan, RefreshToken, AccountToken, Invitation, Role, Notification } from "../models/index.js";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import { getAllNotifications, getDeliverySummary, notifyStatusChange, notifyAssignment } from "../utils/notifications.js";
+import { retryNotificationDeliveries } from "../utils/notificationDispatcher.js";
+import { publishCollectionEvent, publishRouteEvent } from "../utils/eventBus.js";
+import { getChangeContext } from "../utils/statusHistory.js";
+import { checkTransition, sendTransitionError } from "../utils/statusTransitions.js";
+import { checkRouteLoad, sendLoadError } from "../utils/routeCapacity.js";
+import { optimizeOrder, summarizeRoute, getDefaultDepot } from "../utils/routeOptimizer.js";
+import { planDispatch } from "../utils/dispatchPlanner.js";
+import { endAllSessions } from "../utils/authSessions.js";
+import { unlockAccount } from "../utils/loginProtection.js";
+import { disableTwoFactor } from "../utils/twoFactor.js";
+import { createInvitation } from "../utils/invitations.js";
+import { sendInvitationEmail } from "../utils/notifications.js";
+import { validateInvitation, validateRole, validateRoleUpdate, validateTimeSeriesQuery } from "../middleware/validation.js";
+import {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  isBuiltInRole,
+  isKnownRole,
+  userHasPermission,
+  getRolesWithPermission,
+  canGrantPermissions,
+  canGrantRole
+} from "../utils/permissions.js";
+import { tenantScope, scoped, tenantOf, sameTenant, resolveTenantForNew, isCrossTenant } from "../utils/tenancy.js";
+import { zoneFilter } from "../utils/zones.js";
+import { buildTimeSeries, getTimeSeriesRange } from "../utils/reportTimeSeries.js";
 
 const router = express.Router();
 
+// Users the current user may see and manage: those of their organization, and no
+// super-admins unless they are one themselves
+const userScope = async (req) => {
+  const scope = tenantScope(req);
+  if (isCrossTenant(req.permissions)) {
+    return scope;
+  }
+  return { ...scope, role: { $nin: await getRolesWithPermission('organizations:manage', scope) } };
+};
+
+// Load a user the current user may manage, or send a 404
+const findManagedUser = async (req, res) => {
+  const user = await User.findOne({ _id: req.params.id, ...(await userScope(req)) });
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: "User not found"
+    });
+  }
+  return user;
+};
+
+// Load a user the current user may change: their role can't carry permissions the current
+// user doesn't hold, so a custom role with users:manage can't act on an admin
+const findGovernedUser = async (req, res) => {
+  const user = await findManagedUser(req, res);
+  if (!user) return null;
+
+  if (!(await canGrantRole(req.permissions, user.role, tenantOf(user)))) {
+    res.status(403).json({
+      success: false,
+      message: "Access denied. You can't manage a user with permissions you don't have."
+    });
+    return null;
+  }
+  return user;
+};
+
+// A super-admin named an organization that doesn't exist or is inactive
+const sendOrganizationNotFound = (res) => {
+  return res.status(400).json({
+    success: false,
+    message: "Organization not found or inactive"
+  });
+};
+
+// Refuse to hand out a role with permissions the current user doesn't hold
+const sendGrantDenied = (res) => {
+  return res.status(403).json({
+    success: false,
+    message: "Access denied. You can't grant permissions you don't have."
+  });
+};
+
 /**
  * @route   GET /api/admin/users
- * @desc    List all users (Admin only)
- * @access  Private (Admin)
+ * @desc    List the users of the organization, optionally only those locked out of sign-in
+ * @access  Private (users:view)
  */
-router.get("/users", authenticate, authorize('admin'), async (req, res) => {
+router.get("/users", authenticate, requirePermission('users:view'), async (req, res) => {
   try {
-    const { role, page = 1, limit = 10, search } = req.query;
+    const { role, page = 1, limit = 10, search, locked } = req.query;
 
-    let query = {};
+    const scope = await userScope(req);
+    let query = { ...scope };
 
     // Filter by role if provided
-    if (role && ['resident', 'collector', 'admin'].includes(role)) {
-      query.role = role;
+    if (role && await isKnownRole(role, scope.organization ?? null)) {
+      query.role = scope.role ? { ...scope.role, $eq: role } : role;
+    }
+
+    // Only accounts that are currently locked out
+    if (locked === 'true') {
+      query.lockUntil = { $gt: new Date() };
     }
 
     // Search by username or email if provided
@@ -58,29 +146,84 @@ router.get("/users", authenticate, authorize('admin'), async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/admin/users/:id
+ * @desc    Get a user with their most recent collection requests (made by them or assigned
+ *          to them) and routes, counts of their requests by status, and how many requests
+ *          deleting them would keep (?limit= requests and routes listed, default 10)
+ * @access  Private (users:view)
+ */
+router.get("/users/:id", authenticate, requirePermission('users:view'), async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+    const involved = { $or: [{ requesterId: user._id }, { assignedCollector: user._id }] };
+
+    const [requests, routes, statusCounts, totalRequests, totalRoutes] = await Promise.all([
+      CollectionRequest.find(involved)
+        .populate('requesterId', 'username email')
+        .populate('assignedCollector', 'username email')
+        .sort({ createdAt: -1 })
+        .limit(limit),
+      CollectionRoute.find({ collectorId: user._id })
+        .populate('vehicle', 'name registration')
+        .sort({ date: -1 })
+        .limit(limit),
+      CollectionRequest.aggregate([
+        { $match: involved },
+        { $group: { _id: "$status", count: { $sum: 1 } } }
+      ]),
+      CollectionRequest.countDocuments(involved),
+      CollectionRoute.countDocuments({ collectorId: user._id })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      user: user.toJSON(),
+      requests,
+      routes,
+      summary: {
+        totalRequests,
+        totalRoutes,
+        byStatus: Object.fromEntries(statusCounts.map(item => [item._id, item.count])),
+        // What DELETE /api/admin/users/:id would report as preservedCollections
+        preservedCollections: totalRequests
+      }
+    });
+
+  } catch (error) {
+    console.error("Get user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching user"
+    });
+  }
+});
+
 /**
  * @route   PUT /api/admin/users/:id/role
- * @desc    Update user role (Admin only)
- * @access  Private (Admin)
+ * @desc    Update user role
+ * @access  Private (users:manage)
  */
-router.put("/users/:id/role", authenticate, authorize('admin'), async (req, res) => {
+router.put("/users/:id/role", authenticate, requirePermission('users:manage'), async (req, res) => {
   try {
-    const { id } = req.params;
     const { role } = req.body;
 
-    if (!role || !['resident', 'collector', 'admin'].includes(role)) {
+    const user = await findGovernedUser(req, res);
+    if (!user) return;
+
+    // Custom roles are looked up in the user's organization
+    if (!(await isKnownRole(role, tenantOf(user)))) {
       return res.status(400).json({
         success: false,
-        message: "Valid role is required (resident, collector, or admin)"
+        message: "Valid role is required (resident, collector, admin or a custom role)"
       });
     }
 
-    const user = await User.findById(id);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: "User not found"
-      });
+    if (!(await canGrantRole(req.permissions, role, tenantOf(user)))) {
+      return sendGrantDenied(res);
     }
 
     // Prevent admin from changing their own role
@@ -91,7 +234,11 @@ router.put("/users/:id/role", authenticate, authorize('admin'), async (req, res)
       });
     }
 
-    user.role = role;
+    // Tokens issued for the old role stop working; the user signs in again
+    if (user.role !== role) {
+      user.role = role;
+      await endAllSessions(user, 'role-change');
+    }
     await user.save();
 
     res.status(200).json({
@@ -110,22 +257,80 @@ router.put("/users/:id/role", authenticate, authorize('admin'), async (req, res)
 });
 
 /**
- * @route   DELETE /api/admin/users/:id
- * @desc    Delete user account while preserving historical data (Admin only)
- * @access  Private (Admin)
+ * @route   POST /api/admin/users/:id/unlock
+ * @desc    Lift a login lockout and clear the user's failed attempts
+ * @access  Private (users:manage)
  */
-router.delete("/users/:id", authenticate, authorize('admin'), async (req, res) => {
+router.post("/users/:id/unlock", authenticate, requirePermission('users:manage'), async (req, res) => {
   try {
-    const { id } = req.params;
+    const user = await findGovernedUser(req, res);
+    if (!user) return;
 
-    const user = await User.findById(id);
-    if (!user) {
-      return res.status(404).json({
+    unlockAccount(user);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: "User account unlocked",
+      user: user.toJSON()
+    });
+
+  } catch (error) {
+    console.error("Unlock user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error unlocking user"
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/users/:id/two-factor
+ * @desc    Reset a user's two-factor authentication after a lost device, and sign them out everywhere
+ * @access  Private (users:manage)
+ */
+router.delete("/users/:id/two-factor", authenticate, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await findGovernedUser(req, res);
+    if (!user) return;
+
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
         success: false,
-        message: "User not found"
+        message: "Cannot reset your own two-factor authentication"
       });
     }
 
+    await disableTwoFactor(user);
+    await endAllSessions(user, 'two-factor-reset');
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication reset. The user must set it up again if their role requires it."
+    });
+
+  } catch (error) {
+    console.error("Reset two-factor error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error resetting two-factor authentication"
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/users/:id
+ * @desc    Delete user account while preserving historical data
+ * @access  Private (users:delete)
+ */
+router.delete("/users/:id", authenticate, requirePermission('users:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await findGovernedUser(req, res);
+    if (!user) return;
+
     // Prevent admin from deleting their own account
     if (user._id.toString() === req.user._id.toString()) {
       return res.status(400).json({
@@ -172,8 +377,10 @@ router.delete("/users/:id", authenticate, authorize('admin'), async (req, res) =
       );
     }
 
-    // Delete the user
+    // Delete the user, their sign-in sessions and any outstanding emailed links
     await User.findByIdAndDelete(id);
+    await RefreshToken.deleteMany({ user: id });
+    await AccountToken.deleteMany({ user: id });
 
     res.status(200).json({
       success: true,
@@ -190,54 +397,498 @@ router.delete("/users/:id", authenticate, authorize('admin'), async (req, res) =
   }
 });
 
+// Create an invitation and email it; the invitation stands even if the email fails
+const issueInvitation = async (data, inviter) => {
+  const { invitation, token } = await createInvitation({ ...data, invitedBy: inviter._id });
+
+  let emailSent = true;
+  try {
+    await sendInvitationEmail(invitation, token, inviter);
+  } catch (error) {
+    console.error("Invitation email error:", error);
+    emailSent = false;
+  }
+
+  return { invitation, emailSent };
+};
+
+// Load an invitation that is still pending, or send the error response
+const findPendingInvitationById = async (req, res) => {
+  const invitation = await Invitation.findOne(scoped(req, { _id: req.params.id }));
+  if (!invitation) {
+    res.status(404).json({
+      success: false,
+      message: "Invitation not found"
+    });
+    return null;
+  }
+
+  if (!invitation.isPending()) {
+    res.status(409).json({
+      success: false,
+      message: `Invitation is already ${invitation.status}`
+    });
+    return null;
+  }
+
+  return invitation;
+};
+
+/**
+ * @route   GET /api/admin/invitations
+ * @desc    List invitations, optionally by status (pending, accepted, revoked, expired)
+ * @access  Private (users:invite)
+ */
+router.get("/invitations", authenticate, requirePermission('users:invite'), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = scoped(req, ['pending', 'accepted', 'revoked', 'expired'].includes(status)
+      ? Invitation.statusQuery(status)
+      : {});
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [invitations, total] = await Promise.all([
+      Invitation.find(query)
+        .populate('invitedBy', 'username email')
+        .populate('acceptedBy', 'username email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Invitation.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      invitations,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error("Get invitations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching invitations"
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/invitations
+ * @desc    Invite someone by email to create an account with a role; super-admins pick the organization
+ * @access  Private (users:invite)
+ */
+router.post("/invitations", authenticate, requirePermission('users:invite'), validateInvitation, async (req, res) => {
+  try {
+    const { email, role, message } = req.body;
+
+    const tenant = await resolveTenantForNew(req);
+    if (!tenant) {
+      return sendOrganizationNotFound(res);
+    }
+
+    if (!(await canGrantRole(req.permissions, role, tenant.organization))) {
+      return sendGrantDenied(res);
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(409).json({
+        success: false,
+        message: "A user with this email already exists"
+      });
+    }
+
+    const { invitation, emailSent } = await issueInvitation({ email, role, message, ...tenant }, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: emailSent
+        ? `Invitation sent to ${invitation.email}`
+        : `Invitation created, but the email to ${invitation.email} could not be sent. Try resending it.`,
+      invitation,
+      emailSent
+    });
+
+  } catch (error) {
+    console.error("Create invitation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error creating invitation"
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/invitations/:id/resend
+ * @desc    Replace a pending invitation with a fresh one and email it again
+ * @access  Private (users:invite)
+ */
+router.post("/invitations/:id/resend", authenticate, requirePermission('users:invite'), async (req, res) => {
+  try {
+    const previous = await findPendingInvitationById(req, res);
+    if (!previous) return;
+
+    const { invitation, emailSent } = await issueInvitation({
+      email: previous.email,
+      role: previous.role,
+      organization: previous.organization,
+      message: previous.message
+    }, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: emailSent
+        ? `Invitation sent to ${invitation.email}`
+        : `Invitation renewed, but the email to ${invitation.email} could not be sent`,
+      invitation,
+      emailSent
+    });
+
+  } catch (error) {
+    console.error("Resend invitation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error resending invitation"
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/invitations/:id
+ * @desc    Revoke a pending invitation
+ * @access  Private (users:invite)
+ */
+router.delete("/invitations/:id", authenticate, requirePermission('users:invite'), async (req, res) => {
+  try {
+    const invitation = await findPendingInvitationById(req, res);
+    if (!invitation) return;
+
+    invitation.revokedAt = new Date();
+    invitation.revokedBy = req.user._id;
+    await invitation.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Invitation revoked",
+      invitation
+    });
+
+  } catch (error) {
+    console.error("Revoke invitation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error revoking invitation"
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/roles
+ * @desc    List the built-in and custom roles with their permissions, user counts and the permission catalogue
+ * @access  Private (roles:manage, users:manage or users:invite)
+ */
+router.get("/roles", authenticate, requirePermission('roles:manage', 'users:manage', 'users:invite'), async (req, res) => {
+  try {
+    const userCounts = await User.aggregate([
+      { $match: tenantScope(req) },
+      { $group: { _id: { role: "$role", organization: "$organization" }, count: { $sum: 1 } } }
+    ]);
+    // Built-in roles are counted across the organizations in view, custom roles within their own
+    const countFor = (name, organization) => userCounts
+      .filter(entry => entry._id.role === name &&
+        (organization === undefined || String(entry._id.organization ?? '') === String(organization ?? '')))
+      .reduce((sum, entry) => sum + entry.count, 0);
+
+    const builtIn = Object.entries(BUILT_IN_ROLES).map(([name, permissions]) => ({
+      name,
+      builtIn: true,
+      permissions,
+      userCount: countFor(name)
+    }));
+
+    const custom = (await Role.find(tenantScope(req)).sort({ name: 1 })).map(role => ({
+      ...role.toJSON(),
+      builtIn: false,
+      userCount: countFor(role.name, role.organization ?? null)
+    }));
+
+    res.status(200).json({
+      success: true,
+      roles: [...builtIn, ...custom],
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+    });
+
+  } catch (error) {
+    console.error("Get roles error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching roles"
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/roles
+ * @desc    Create a custom role with a set of permissions in the organization; super-admins pick the organization
+ * @access  Private (roles:manage)
+ */
+router.post("/roles", authenticate, requirePermission('roles:manage'), validateRole, async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    const tenant = await resolveTenantForNew(req);
+    if (!tenant) {
+      return sendOrganizationNotFound(res);
+    }
+
+    if (isBuiltInRole(name) || await Role.exists({ name, ...tenant })) {
+      return res.status(409).json({
+        success: false,
+        message: "A role with this name already exists"
+      });
+    }
+
+    if (!canGrantPermissions(req.permissions, permissions)) {
+      return sendGrantDenied(res);
+    }
+
+    const role = await Role.create({ name, description, permissions, ...tenant, createdBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: "Role created successfully",
+      role
+    });
+
+  } catch (error) {
+    console.error("Create role error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error creating role"
+    });
+  }
+});
+
+// Load a custom role of the organization by name, or send the error response and return null;
+// super-admins pick the organization with ?organization=<id>, or get the default tenant's role
+const findCustomRole = async (req, res) => {
+  if (isBuiltInRole(req.params.name)) {
+    res.status(400).json({
+      success: false,
+      message: "Built-in roles cannot be changed"
+    });
+    return null;
+  }
+
+  const role = await Role.findOne({ name: req.params.name, organization: tenantScope(req).organization ?? null });
+  if (!role) {
+    res.status(404).json({
+      success: false,
+      message: "Role not found"
+    });
+    return null;
+  }
+
+  return role;
+};
+
+/**
+ * @route   PUT /api/admin/roles/:name
+ * @desc    Change a custom role's description or permissions; its users get the new permissions on their next request
+ * @access  Private (roles:manage)
+ */
+router.put("/roles/:name", authenticate, requirePermission('roles:manage'), validateRoleUpdate, async (req, res) => {
+  try {
+    const role = await findCustomRole(req, res);
+    if (!role) return;
+
+    const { description, permissions } = req.body;
+
+    // Both the permissions taken away and the ones added must be the editor's own
+    if (permissions !== undefined && !canGrantPermissions(req.permissions, [...role.permissions, ...permissions])) {
+      return sendGrantDenied(res);
+    }
+
+    if (description !== undefined) {
+      role.description = description;
+    }
+    if (permissions !== undefined) {
+      role.permissions = permissions;
+    }
+    await role.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Role updated successfully",
+      role
+    });
+
+  } catch (error) {
+    console.error("Update role error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error updating role"
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/roles/:name
+ * @desc    Delete a custom role that no user or pending invitation still has
+ * @access  Private (roles:manage)
+ */
+router.delete("/roles/:name", authenticate, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const role = await findCustomRole(req, res);
+    if (!role) return;
+
+    const inRole = { role: role.name, organization: role.organization ?? null };
+    const userCount = await User.countDocuments(inRole);
+    const pendingInvitations = await Invitation.countDocuments({ ...inRole, ...Invitation.statusQuery('pending') });
+
+    if (userCount > 0 || pendingInvitations > 0) {
+      return res.status(409).json({
+        success: false,
+        message: "Move users and pending invitations to another role before deleting this one",
+        userCount,
+        pendingInvitations
+      });
+    }
+
+    await role.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Role deleted successfully"
+    });
+
+  } catch (error) {
+    console.error("Delete role error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error deleting role"
+    });
+  }
+});
+
 /**
  * @route   GET /api/admin/reports/statistics
- * @desc    Generate collection statistics and performance metrics (Admin only)
- * @access  Private (Admin)
+ * @desc    Generate collection statistics and performance metrics for the organization
+ *          (optionally for one zone)
+ * @access  Private (reports:view)
  */
-router.get("/reports/statistics", authenticate, authorize('admin'), async (req, res) => {
+router.get("/reports/statistics", authenticate, requirePermission('reports:view'), async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, zone } = req.query;
 
     // Set default date range if not provided
     const end = endDate ? new Date(endDate) : new Date();
     const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000); // 30 days ago
 
-    // Collection statistics
-    const totalCollections = await CollectionRequest.countDocuments({
-      createdAt: { $gte: start, $lte: end }
-    });
+    // Every count and pipeline only covers the organizations the user may see
+    const tenant = tenantScope(req);
+    // Collection figures can be narrowed to one zone, and route figures to routes with a stop in it
+    const requestScope = zone ? { ...tenant, ...zoneFilter(zone) } : tenant;
+    const routeScope = zone
+      ? { ...tenant, collections: { $in: await CollectionRequest.distinct('_id', requestScope) } }
+      : tenant;
+
+    // Collection statistics
+    const totalCollections = await CollectionRequest.countDocuments({
+      ...requestScope,
+      createdAt: { $gte: start, $lte: end }
+    });
+
+    const collectionsByStatus = await CollectionRequest.aggregate([
+      {
+        $match: {
+          ...requestScope,
+          createdAt: { $gte: start, $lte: end }
+        }
+      },
+      {
+        $group: {
+          _id: "$status",
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const collectionsByCategory = await CollectionRequest.aggregate([
+      {
+        $match: {
+          ...requestScope,
+          createdAt: { $gte: start, $lte: end }
+        }
+      },
+      {
+        $group: {
+          _id: "$wasteCategory",
+          count: { $sum: 1 }
+        }
+      }
+    ]);
 
-    const collectionsByStatus = await CollectionRequest.aggregate([
+    const collectionsByZone = await CollectionRequest.aggregate([
       {
         $match: {
+          ...requestScope,
           createdAt: { $gte: start, $lte: end }
         }
       },
       {
         $group: {
-          _id: "$status",
+          _id: "$zone",
           count: { $sum: 1 }
         }
+      },
+      {
+        $lookup: {
+          from: "zones",
+          localField: "_id",
+          foreignField: "_id",
+          as: "zone"
+        }
+      },
+      {
+        $project: {
+          count: 1,
+          name: { $arrayElemAt: ["$zone.name", 0] }
+        }
+      },
+      {
+        $sort: { count: -1 }
       }
     ]);
 
-    const collectionsByCategory = await CollectionRequest.aggregate([
+    // Requests made each day (UTC), for charting volume over the range
+    const collectionsByDay = await CollectionRequest.aggregate([
       {
         $match: {
+          ...requestScope,
           createdAt: { $gte: start, $lte: end }
         }
       },
       {
         $group: {
-          _id: "$wasteCategory",
+          _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
           count: { $sum: 1 }
         }
+      },
+      {
+        $sort: { _id: 1 }
       }
     ]);
 
     // Performance metrics
     const completedCollections = await CollectionRequest.find({
+      ...requestScope,
       status: 'completed',
       createdAt: { $gte: start, $lte: end },
       completedDate: { $exists: true }
@@ -252,8 +903,11 @@ router.get("/reports/statistics", authenticate, authorize('admin'), async (req,
     }
 
     // User statistics
-    const totalUsers = await User.countDocuments();
+    const totalUsers = await User.countDocuments(tenant);
     const usersByRole = await User.aggregate([
+      {
+        $match: tenant
+      },
       {
         $group: {
           _id: "$role",
@@ -264,12 +918,14 @@ router.get("/reports/statistics", authenticate, authorize('admin'), async (req,
 
     // Route statistics
     const totalRoutes = await CollectionRoute.countDocuments({
+      ...routeScope,
       date: { $gte: start, $lte: end }
     });
 
     const routesByStatus = await CollectionRoute.aggregate([
       {
         $match: {
+          ...routeScope,
           date: { $gte: start, $lte: end }
         }
       },
@@ -285,6 +941,7 @@ router.get("/reports/statistics", authenticate, authorize('admin'), async (req,
     const collectorPerformance = await CollectionRequest.aggregate([
       {
         $match: {
+          ...requestScope,
           status: 'completed',
           assignedCollector: { $exists: true },
           createdAt: { $gte: start, $lte: end }
@@ -338,6 +995,14 @@ router.get("/reports/statistics", authenticate, authorize('admin'), async (req,
           acc[item._id] = item.count;
           return acc;
         }, {}),
+        // Requests outside any zone (made before zones were drawn) have a null zone
+        byZone: collectionsByZone.map(item => ({
+          zone: item._id ?? null,
+          name: item.name ?? null,
+          count: item.count
+        })),
+        // Only days with requests are listed
+        byDay: collectionsByDay.map(item => ({ date: item._id, count: item.count })),
         averageCompletionTimeHours: Math.round(averageCompletionTime * 100) / 100
       },
       users: {
@@ -371,14 +1036,53 @@ router.get("/reports/statistics", authenticate, authorize('admin'), async (req,
   }
 });
 
+/**
+ * @route   GET /api/admin/reports/time-series
+ * @desc    Requests created, completed and cancelled, average completion time and on-time
+ *          rate over time, bucketed by interval (day, week starting Monday, or month) in a
+ *          time zone (default UTC). Optionally split by groupBy (wasteCategory, zone or
+ *          collector) and narrowed to one zone; covers the last 30 days by default
+ * @access  Private (reports:view)
+ */
+router.get("/reports/time-series", authenticate, requirePermission('reports:view'), validateTimeSeriesQuery, async (req, res) => {
+  try {
+    const { zone, interval = 'day', timezone = 'UTC', groupBy } = req.query;
+    const { start, end } = getTimeSeriesRange(req.query);
+
+    const tenant = tenantScope(req);
+    const match = zone ? { ...tenant, ...zoneFilter(zone) } : tenant;
+
+    const { buckets, series } = await buildTimeSeries({ match, start, end, interval, timezone, groupBy });
+
+    res.status(200).json({
+      success: true,
+      timeSeries: {
+        dateRange: { start, end },
+        interval,
+        timezone,
+        groupBy: groupBy || null,
+        buckets,
+        ...(series && { series })
+      }
+    });
+
+  } catch (error) {
+    console.error("Generate time series error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error generating time series"
+    });
+  }
+});
+
 /**
  * @route   POST /api/admin/collections/assign
- * @desc    Assign collection request to collector (Admin only)
- * @access  Private (Admin)
+ * @desc    Assign collection request to collector
+ * @access  Private (collections:assign)
  */
-router.post("/collections/assign", authenticate, authorize('admin'), async (req, res) => {
+router.post("/collections/assign", authenticate, requirePermission('collections:assign'), async (req, res) => {
   try {
-    const { collectionId, collectorId, scheduledDate } = req.body;
+    const { collectionId, collectorId, scheduledDate, allowOverload = false } = req.body;
 
     if (!collectionId || !collectorId) {
       return res.status(400).json({
@@ -388,7 +1092,7 @@ router.post("/collections/assign", authenticate, authorize('admin'), async (req,
     }
 
     // Verify collection exists
-    const collection = await CollectionRequest.findById(collectionId);
+    const collection = await CollectionRequest.findOne(scoped(req, { _id: collectionId }));
     if (!collection) {
       return res.status(404).json({
         success: false,
@@ -396,28 +1100,48 @@ router.post("/collections/assign", authenticate, authorize('admin'), async (req,
       });
     }
 
-    // Verify collector exists and has correct role
+    // Verify collector exists, works for the collection's organization and their role can collect
     const collector = await User.findById(collectorId);
-    if (!collector || collector.role !== 'collector') {
+    if (!collector || !sameTenant(collector, collection) || !(await userHasPermission(collector, 'collections:collect'))) {
       return res.status(400).json({
         success: false,
         message: "Invalid collector ID"
       });
     }
 
+    const transition = checkTransition(collection.status, 'assigned', req.permissions);
+    if (!transition.allowed) {
+      return sendTransitionError(res, collection.status, transition);
+    }
+
+    // Verify the collector's route for the day can take the collection
+    const targetDate = scheduledDate ? new Date(scheduledDate) : new Date();
+    let route = await CollectionRoute.getCollectorRoute(collectorId, targetDate);
+
+    const routeCollections = route
+      ? route.collections.filter(routeCollection => routeCollection && routeCollection._id.toString() !== collection._id.toString())
+      : [];
+    const vehicle = route?.vehicle ? await Vehicle.findById(route.vehicle) : null;
+    const loadCheck = checkRouteLoad([...routeCollections, collection], vehicle, { allowOverload: Boolean(allowOverload) });
+    if (!loadCheck.ok) {
+      return sendLoadError(res, loadCheck);
+    }
+
     // Update collection
+    const oldStatus = collection.status;
+    const previousCollector = collection.assignedCollector;
     collection.assignedCollector = collectorId;
-    collection.status = 'assigned';
+    collection.transitionTo('assigned', getChangeContext(req, { collector: collectorId }));
     if (scheduledDate) {
       collection.scheduledDate = new Date(scheduledDate);
     }
 
     await collection.save();
 
-    // Try to find or create a route for this collector on the scheduled date
-    const targetDate = scheduledDate ? new Date(scheduledDate) : new Date();
-    let route = await CollectionRoute.getCollectorRoute(collectorId, targetDate);
+    await notifyAssignment(collection, collector);
+    await notifyStatusChange(collection, oldStatus, collection.status);
 
+    // Add to the collector's route on the scheduled date, creating it if needed
     if (!route) {
       // Create new route
       route = await CollectionRoute.create({
@@ -435,11 +1159,17 @@ router.post("/collections/assign", authenticate, authorize('admin'), async (req,
     await collection.populate('requesterId', 'username email profile');
     await collection.populate('assignedCollector', 'username email profile');
 
+    publishCollectionEvent('collection.assigned', collection, { oldStatus, previousCollector });
+    publishRouteEvent('route.updated', route);
+
     res.status(200).json({
       success: true,
       message: "Collection assigned successfully",
       collection,
-      route: route._id
+      route: route._id,
+      load: loadCheck.load,
+      capacity: loadCheck.capacity,
+      warnings: loadCheck.warnings
     });
 
   } catch (error) {
@@ -451,12 +1181,343 @@ router.post("/collections/assign", authenticate, authorize('admin'), async (req,
   }
 });
 
+// Populate a dispatch plan for display
+const populateDispatchPlan = (plan) => plan.populate([
+  { path: 'assignments.collector', select: 'username email profile' },
+  { path: 'assignments.vehicle', select: 'name registration capacity wasteCategories' },
+  { path: 'assignments.collections', select: 'wasteCategory pickupLocation scheduledDate status estimatedLoad' },
+  { path: 'unassigned.collectionId', select: 'wasteCategory pickupLocation scheduledDate status' },
+  { path: 'createdBy', select: 'username email' }
+]);
+
+// Send the error response for a plan that can no longer be committed or discarded
+const sendDispatchPlanClosed = (res, plan) => res.status(409).json({
+  success: false,
+  message: plan?.status === 'committing'
+    ? "Dispatch plan is being committed"
+    : `Dispatch plan has already been ${plan?.status ?? 'closed'}`
+});
+
+// Load a dispatch plan that can still be committed or discarded, or send the error response
+const findOpenDispatchPlan = async (req, res) => {
+  const plan = await DispatchPlan.findOne(scoped(req, { _id: req.params.id }));
+  if (!plan) {
+    res.status(404).json({
+      success: false,
+      message: "Dispatch plan not found"
+    });
+    return null;
+  }
+
+  if (!plan.isOpen()) {
+    sendDispatchPlanClosed(res, plan);
+    return null;
+  }
+
+  return plan;
+};
+
+// Move an open plan on in one step, so a concurrent commit or discard can't act on it too
+const claimDispatchPlan = (plan, update) =>
+  DispatchPlan.findOneAndUpdate({ _id: plan._id, status: 'preview' }, update, { new: true });
+
+/**
+ * @route   POST /api/admin/dispatch/preview
+ * @desc    Plan the assignment of a day's pending requests to the available collectors of one organization
+ * @access  Private (dispatch:plan)
+ */
+router.post("/dispatch/preview", authenticate, requirePermission('dispatch:plan'), async (req, res) => {
+  try {
+    const { date, collectorIds, vehicles = {} } = req.body;
+
+    // A plan covers one organization; super-admins pick it
+    const tenant = await resolveTenantForNew(req);
+    if (!tenant) {
+      return sendOrganizationNotFound(res);
+    }
+
+    if (!Array.isArray(collectorIds) || collectorIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one collector ID is required"
+      });
+    }
+
+    const dispatchDate = date ? new Date(date) : new Date();
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (Number.isNaN(dispatchDate.getTime()) || dispatchDate < today) {
+      return res.status(400).json({
+        success: false,
+        message: "Dispatch date must be today or a future date"
+      });
+    }
+
+    const endOfDay = new Date(dispatchDate);
+    endOfDay.setHours(23, 59, 59, 999);
+
+    const collectorRoles = await getRolesWithPermission('collections:collect', tenant);
+    const validIds = collectorIds.every(id => mongoose.Types.ObjectId.isValid(id));
+    const collectors = validIds
+      ? await User.find({ ...tenant, _id: { $in: collectorIds }, role: { $in: collectorRoles } })
+      : [];
+    if (!validIds || collectors.length !== new Set(collectorIds.map(String)).size) {
+      return res.status(400).json({
+        success: false,
+        message: "Every collector ID must reference a collector"
+      });
+    }
+
+    // Start from each collector's existing route that day; its vehicle takes precedence
+    const slots = [];
+    for (const collector of collectors) {
+      const route = await CollectionRoute.getCollectorRoute(collector._id, dispatchDate);
+      const vehicleId = route?.vehicle || vehicles[collector._id.toString()];
+      const vehicle = vehicleId && mongoose.Types.ObjectId.isValid(vehicleId) ? await Vehicle.findById(vehicleId) : null;
+
+      if (vehicleId && (!vehicle || !vehicle.active || !sameTenant(vehicle, tenant))) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid vehicle for collector ${collector.username}`
+        });
+      }
+
+      slots.push({
+        collectorId: collector._id,
+        vehicle,
+        existing: route ? route.collections.filter(Boolean) : []
+      });
+    }
+
+    // Pending requests due that day, or not tied to a day
+    const pending = await CollectionRequest.find({
+      ...tenant,
+      status: 'pending',
+      $or: [
+        { scheduledDate: { $exists: false } },
+        { scheduledDate: null },
+        { scheduledDate: { $lte: endOfDay } }
+      ]
+    });
+
+    const { assignments, unassigned } = planDispatch(pending, slots);
+
+    const plan = await DispatchPlan.create({
+      date: dispatchDate,
+      ...tenant,
+      createdBy: req.user._id,
+      collectors: collectors.map(collector => collector._id),
+      assignments: assignments.map(assignment => {
+        const routeCollections = [...assignment.existing, ...assignment.collections];
+        const depot = assignment.vehicle?.getDepotPoint() ?? getDefaultDepot();
+        const loadCheck = checkRouteLoad(routeCollections, assignment.vehicle, { allowOverload: true });
+        const summary = summarizeRoute(routeCollections, optimizeOrder(routeCollections, { depot }), { depot });
+
+        return {
+          collector: assignment.collectorId,
+          vehicle: assignment.vehicle?._id,
+          collections: assignment.collections.map(collection => collection._id),
+          load: loadCheck.load,
+          distanceKm: summary.distanceKm,
+          durationMinutes: summary.durationMinutes,
+          warnings: loadCheck.warnings.map(warning => warning.message)
+        };
+      }),
+      unassigned: unassigned.map(({ collection, reason }) => ({ collectionId: collection._id, reason }))
+    });
+
+    await populateDispatchPlan(plan);
+
+    res.status(201).json({
+      success: true,
+      message: "Dispatch plan created",
+      plan
+    });
+
+  } catch (error) {
+    console.error("Preview dispatch error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error planning dispatch"
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/dispatch/:id
+ * @desc    Get a dispatch plan
+ * @access  Private (dispatch:plan)
+ */
+router.get("/dispatch/:id", authenticate, requirePermission('dispatch:plan'), async (req, res) => {
+  try {
+    const plan = await DispatchPlan.findOne(scoped(req, { _id: req.params.id }));
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: "Dispatch plan not found"
+      });
+    }
+
+    await populateDispatchPlan(plan);
+
+    res.status(200).json({
+      success: true,
+      plan
+    });
+
+  } catch (error) {
+    console.error("Get dispatch plan error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching dispatch plan"
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/dispatch/:id/commit
+ * @desc    Assign the collections of a previewed dispatch plan to their collectors' routes
+ * @access  Private (dispatch:plan)
+ */
+router.post("/dispatch/:id/commit", authenticate, requirePermission('dispatch:plan'), async (req, res) => {
+  let plan = null;
+  try {
+    const openPlan = await findOpenDispatchPlan(req, res);
+    if (!openPlan) return;
+
+    plan = await claimDispatchPlan(openPlan, { status: 'committing' });
+    if (!plan) {
+      return sendDispatchPlanClosed(res, await DispatchPlan.findById(openPlan._id));
+    }
+
+    const routes = [];
+    const skipped = [];
+
+    for (const assignment of plan.assignments) {
+      const collector = await User.findById(assignment.collector);
+      if (!collector || !sameTenant(collector, plan) || !(await userHasPermission(collector, 'collections:collect'))) {
+        assignment.collections.forEach(collectionId => skipped.push({ collectionId, reason: "Collector no longer available" }));
+        continue;
+      }
+
+      // Requests assigned or cancelled since the preview are skipped, so a request placed
+      // by hand in the meantime stays with its collector and on their route only
+      const collections = await CollectionRequest.find({
+        _id: { $in: assignment.collections },
+        organization: tenantOf(plan)
+      });
+      const assignable = collections.filter(collection => {
+        const allowed = collection.status === 'pending' &&
+          checkTransition(collection.status, 'assigned', req.permissions).allowed;
+        if (!allowed) {
+          skipped.push({ collectionId: collection._id, reason: `Request is now ${collection.status}` });
+        }
+        return allowed;
+      });
+      if (assignable.length === 0) continue;
+
+      for (const collection of assignable) {
+        const oldStatus = collection.status;
+        const previousCollector = collection.assignedCollector;
+        collection.assignedCollector = collector._id;
+        collection.transitionTo('assigned', getChangeContext(req, { collector: collector._id }));
+        await collection.save();
+
+        await notifyAssignment(collection, collector);
+        await notifyStatusChange(collection, oldStatus, collection.status);
+        publishCollectionEvent('collection.assigned', collection, { oldStatus, previousCollector });
+      }
+
+      let route = await CollectionRoute.getCollectorRoute(collector._id, plan.date);
+      const existing = route ? route.collections.filter(Boolean) : [];
+      if (!route) {
+        route = new CollectionRoute({
+          collectorId: collector._id,
+          date: plan.date,
+          vehicle: assignment.vehicle,
+          collections: [],
+          status: 'planned'
+        });
+      }
+
+      assignable.forEach(collection => route.addCollection(collection._id));
+
+      // Visit the stops of the updated route in a short order
+      const vehicle = route.vehicle ? await Vehicle.findById(route.vehicle) : null;
+      route.optimizedOrder = CollectionRoute.optimizeRoute(
+        [...existing, ...assignable],
+        { depot: vehicle?.getDepotPoint() ?? getDefaultDepot() }
+      );
+      await route.save();
+
+      publishRouteEvent(existing.length > 0 ? 'route.updated' : 'route.created', route);
+      routes.push(route._id);
+    }
+
+    plan.status = 'committed';
+    plan.committedAt = new Date();
+    plan.committedBy = req.user._id;
+    await plan.save();
+
+    await populateDispatchPlan(plan);
+
+    res.status(200).json({
+      success: true,
+      message: "Dispatch plan committed",
+      plan,
+      routes,
+      skipped
+    });
+
+  } catch (error) {
+    console.error("Commit dispatch error:", error);
+    // Reopen the plan; committing it again only assigns the requests still pending
+    if (plan?.status === 'committing') {
+      await DispatchPlan.updateOne({ _id: plan._id, status: 'committing' }, { status: 'preview' }).catch(() => {});
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error committing dispatch plan"
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/dispatch/:id/discard
+ * @desc    Discard a previewed dispatch plan
+ * @access  Private (dispatch:plan)
+ */
+router.post("/dispatch/:id/discard", authenticate, requirePermission('dispatch:plan'), async (req, res) => {
+  try {
+    const openPlan = await findOpenDispatchPlan(req, res);
+    if (!openPlan) return;
+
+    const plan = await claimDispatchPlan(openPlan, { status: 'discarded', discardedAt: new Date() });
+    if (!plan) {
+      return sendDispatchPlanClosed(res, await DispatchPlan.findById(openPlan._id));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Dispatch plan discarded",
+      plan
+    });
+
+  } catch (error) {
+    console.error("Discard dispatch error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error discarding dispatch plan"
+    });
+  }
+});
+
 /**
  * @route   GET /api/admin/dashboard
- * @desc    Get admin dashboard data aggregation (Admin only)
- * @access  Private (Admin)
+ * @desc    Get admin dashboard data aggregation
+ * @access  Private (reports:view)
  */
-router.get("/dashboard", authenticate, authorize('admin'), async (req, res) => {
+router.get("/dashboard", authenticate, requirePermission('reports:view'), async (req, res) => {
   try {
     // Get current date for today's statistics
     const today = new Date();
@@ -470,16 +1531,22 @@ router.get("/dashboard", authenticate, authorize('admin'), async (req, res) => {
     startOfWeek.setDate(today.getDate() - today.getDay());
     startOfWeek.setHours(0, 0, 0, 0);
 
+    // Every figure only covers the organizations the user may see
+    const tenant = tenantScope(req);
+
     // Today's statistics
     const todayStats = {
       collections: await CollectionRequest.countDocuments({
+        ...tenant,
         createdAt: { $gte: startOfDay, $lte: endOfDay }
       }),
       completedCollections: await CollectionRequest.countDocuments({
+        ...tenant,
         status: 'completed',
         completedDate: { $gte: startOfDay, $lte: endOfDay }
       }),
       activeRoutes: await CollectionRoute.countDocuments({
+        ...tenant,
         date: { $gte: startOfDay, $lte: endOfDay },
         status: { $in: ['planned', 'active'] }
       })
@@ -488,9 +1555,11 @@ router.get("/dashboard", authenticate, authorize('admin'), async (req, res) => {
     // This week's statistics
     const weekStats = {
       collections: await CollectionRequest.countDocuments({
+        ...tenant,
         createdAt: { $gte: startOfWeek }
       }),
       completedCollections: await CollectionRequest.countDocuments({
+        ...tenant,
         status: 'completed',
         completedDate: { $gte: startOfWeek }
       })
@@ -498,16 +1567,16 @@ router.get("/dashboard", authenticate, authorize('admin'), async (req, res) => {
 
     // Overall system statistics
     const overallStats = {
-      totalUsers: await User.countDocuments(),
-      totalCollectors: await User.countDocuments({ role: 'collector' }),
-      totalResidents: await User.countDocuments({ role: 'resident' }),
-      totalCollections: await CollectionRequest.countDocuments(),
-      pendingCollections: await CollectionRequest.countDocuments({ status: 'pending' }),
-      inProgressCollections: await CollectionRequest.countDocuments({ status: 'in-progress' })
+      totalUsers: await User.countDocuments(tenant),
+      totalCollectors: await User.countDocuments({ ...tenant, role: { $in: await getRolesWithPermission('collections:collect', tenant) } }),
+      totalResidents: await User.countDocuments({ ...tenant, role: 'resident' }),
+      totalCollections: await CollectionRequest.countDocuments(tenant),
+      pendingCollections: await CollectionRequest.countDocuments({ ...tenant, status: 'pending' }),
+      inProgressCollections: await CollectionRequest.countDocuments({ ...tenant, status: 'in-progress' })
     };
 
     // Recent collections (last 10)
-    const recentCollections = await CollectionRequest.find()
+    const recentCollections = await CollectionRequest.find(tenant)
       .populate('requesterId', 'username email')
       .populate('assignedCollector', 'username email')
       .sort({ createdAt: -1 })
@@ -515,6 +1584,7 @@ router.get("/dashboard", authenticate, authorize('admin'), async (req, res) => {
 
     // Active collectors today
     const activeCollectors = await CollectionRoute.find({
+      ...tenant,
       date: { $gte: startOfDay, $lte: endOfDay },
       status: { $in: ['planned', 'active'] }
     }).populate('collectorId', 'username email profile');
@@ -541,4 +1611,96 @@ router.get("/dashboard", authenticate, authorize('admin'), async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/admin/notifications
+ * @desc    List notifications with their delivery attempts
+ * @access  Private (notifications:manage)
+ */
+router.get("/notifications", authenticate, requirePermission('notifications:manage'), async (req, res) => {
+  try {
+    const { recipientId, type, collectionId, read, channel, deliveryStatus, page = 1, limit = 20 } = req.query;
+
+    const { notifications, pagination } = await getAllNotifications({
+      recipientId,
+      type,
+      collectionId,
+      read,
+      channel,
+      deliveryStatus,
+      page,
+      limit
+    }, tenantScope(req));
+
+    res.status(200).json({
+      success: true,
+      notifications,
+      pagination
+    });
+
+  } catch (error) {
+    console.error("Get notifications error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching notifications"
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/notifications/deliveries/summary
+ * @desc    Delivery counts per channel and status
+ * @access  Private (notifications:manage)
+ */
+router.get("/notifications/deliveries/summary", authenticate, requirePermission('notifications:manage'), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const summary = await getDeliverySummary({ startDate, endDate }, tenantScope(req));
+
+    res.status(200).json({
+      success: true,
+      summary
+    });
+
+  } catch (error) {
+    console.error("Get delivery summary error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching delivery summary"
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/notifications/:id/retry
+ * @desc    Retry failed deliveries of a notification immediately
+ * @access  Private (notifications:manage)
+ */
+router.post("/notifications/:id/retry", authenticate, requirePermission('notifications:manage'), async (req, res) => {
+  try {
+    const inScope = await Notification.exists(scoped(req, { _id: req.params.id }));
+    const notification = inScope ? await retryNotificationDeliveries(req.params.id) : null;
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Notification deliveries retried",
+      notification
+    });
+
+  } catch (error) {
+    console.error("Retry notification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error retrying notification"
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -1,29 +1,51 @@
 import express from "express";
+import mongoose from "mongoose";
 import CollectionRequest from "../models/CollectionRequest.js";
 import User from "../models/User.js";
-import { authenticate, authorize } from "../middleware/auth.js";
-import { validateCollectionRequest } from "../middleware/validation.js";
+import { authenticate, requirePermission, requireVerifiedEmail } from "../middleware/auth.js";
+import { validateCollectionRequest, validateNearbyQuery } from "../middleware/validation.js";
 import { generateUniqueId } from "../utils/auth.js";
-import { sendCompletionNotification, sendStatusUpdateNotification } from "../utils/notifications.js";
+import { notifyStatusChange, notifyAssignment } from "../utils/notifications.js";
+import { publishCollectionEvent } from "../utils/eventBus.js";
+import { getChangeContext } from "../utils/statusHistory.js";
+import { COLLECTION_STATUSES, checkTransition, getAllowedTransitions, sendTransitionError } from "../utils/statusTransitions.js";
+import { hasPermission, userHasPermission } from "../utils/permissions.js";
+import { scoped, sameTenant, tenantOf } from "../utils/tenancy.js";
+import { OUTSIDE_SERVICE_AREA, isOutsideServiceArea, zoneFilter, toPoint } from "../utils/zones.js";
+import { getCoordinates, haversineDistance } from "../utils/routeOptimizer.js";
+import { geocodePickupLocation } from "../utils/geocoding/index.js";
+import { skipCancelledOccurrence } from "../utils/recurringScheduler.js";
 
 const router = express.Router();
 
+// Search radius of GET /api/collections/nearby when none is given, in metres
+const DEFAULT_NEARBY_RADIUS = 5000;
+const DEFAULT_NEARBY_LIMIT = 20;
+
 /**
  * @route   POST /api/collections
- * @desc    Create a new collection request
- * @access  Private (Residents)
+ * @desc    Create a new collection request. Addresses without coordinates are geocoded;
+ *          those that can't be are flagged for an admin to review
+ * @access  Private (collections:create)
  */
-router.post("/", authenticate, authorize('resident', 'admin'), validateCollectionRequest, async (req, res) => {
+router.post("/", authenticate, requirePermission('collections:create'), requireVerifiedEmail, validateCollectionRequest, async (req, res) => {
   try {
-    const { wasteCategory, pickupLocation, notes } = req.body;
+    const { wasteCategory, notes, estimatedLoad } = req.body;
+
+    const { pickupLocation, geocoding } = await geocodePickupLocation(req.body.pickupLocation, {
+      organization: tenantOf(req.user)
+    });
 
     // Create collection request with pending status and unique identifier
     const collectionData = {
       requesterId: req.user._id,
       wasteCategory,
       pickupLocation,
+      geocoding,
       notes,
-      status: 'pending'
+      estimatedLoad,
+      status: 'pending',
+      statusHistory: [{ from: null, to: 'pending', ...getChangeContext(req) }]
     };
 
     const newRequest = await CollectionRequest.create(collectionData);
@@ -31,6 +53,8 @@ router.post("/", authenticate, authorize('resident', 'admin'), validateCollectio
     // Populate requester information
     await newRequest.populate('requesterId', 'username email profile');
 
+    publishCollectionEvent('collection.created', newRequest);
+
     res.status(201).json({
       success: true,
       message: "Collection request created successfully",
@@ -40,6 +64,14 @@ router.post("/", authenticate, authorize('resident', 'admin'), validateCollectio
 
   } catch (error) {
     console.error("Collection request creation error:", error);
+
+    if (isOutsideServiceArea(error)) {
+      return res.status(400).json({
+        success: false,
+        message: OUTSIDE_SERVICE_AREA,
+        outsideServiceArea: true
+      });
+    }
     
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => ({
@@ -62,34 +94,16 @@ router.post("/", authenticate, authorize('resident', 'admin'), validateCollectio
 
 /**
  * @route   GET /api/collections
- * @desc    Get collection requests (filtered by user role)
+ * @desc    Get collection requests (filtered by the user's view permissions; filter by status,
+ *          wasteCategory, zone)
  * @access  Private
  */
 router.get("/", authenticate, async (req, res) => {
   try {
-    const { status, wasteCategory, page = 1, limit = 10 } = req.query;
+    const { status, wasteCategory, zone, page = 1, limit = 10 } = req.query;
     
-    // Build query based on user role
-    let query = {};
-    
-    switch (req.user.role) {
-      case 'admin':
-        // Admins see all requests
-        break;
-      case 'collector':
-        // Collectors see only assigned requests
-        query.assignedCollector = req.user._id;
-        break;
-      case 'resident':
-        // Residents see only their own requests
-        query.requesterId = req.user._id;
-        break;
-      default:
-        return res.status(403).json({
-          success: false,
-          message: "Invalid user role"
-        });
-    }
+    // Only the requests of the user's organization they may see
+    const query = scoped(req, CollectionRequest.visibilityScope(req.user._id, req.permissions));
 
     // Add filters if provided
     if (status) {
@@ -98,6 +112,9 @@ router.get("/", authenticate, async (req, res) => {
     if (wasteCategory) {
       query.wasteCategory = wasteCategory;
     }
+    if (zone) {
+      Object.assign(query, zoneFilter(zone));
+    }
 
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -106,6 +123,7 @@ router.get("/", authenticate, async (req, res) => {
     const requests = await CollectionRequest.find(query)
       .populate('requesterId', 'username email profile')
       .populate('assignedCollector', 'username email profile')
+      .populate('zone', 'name collectionDays')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
@@ -133,14 +151,95 @@ router.get("/", authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/collections/nearby
+ * @desc    Find collection requests near a position (lat, lng, radius in metres; nearest
+ *          first, with their distance) or inside a bounding box (bbox=west,south,east,north).
+ *          Lists pending requests by default; other statuses are limited to the requests
+ *          the user may see. Filter by zone; limit up to 100. The requester's profile
+ *          (name, phone, address) is only included on requests assigned to the user, or for
+ *          users who can see every request
+ * @access  Private (collections:collect, collections:view-all)
+ */
+router.get("/nearby", authenticate, requirePermission('collections:collect', 'collections:view-all'), validateNearbyQuery, async (req, res) => {
+  try {
+    const { status = 'pending', zone, bbox } = req.query;
+    const limit = parseInt(req.query.limit) || DEFAULT_NEARBY_LIMIT;
+
+    // Pending requests are open to any collector looking for work nearby
+    const query = scoped(req, status === 'pending' ? {} : CollectionRequest.visibilityScope(req.user._id, req.permissions));
+    query.status = status;
+    if (zone) {
+      Object.assign(query, zoneFilter(zone));
+    }
+
+    let origin = null;
+    if (bbox) {
+      const [west, south, east, north] = bbox.split(',').map(Number);
+      query['pickupLocation.geo'] = {
+        $geoWithin: {
+          $geometry: {
+            type: 'Polygon',
+            coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+          }
+        }
+      };
+    } else {
+      origin = { lat: Number(req.query.lat), lng: Number(req.query.lng) };
+      query['pickupLocation.geo'] = {
+        $nearSphere: {
+          $geometry: toPoint(origin),
+          $maxDistance: Number(req.query.radius) || DEFAULT_NEARBY_RADIUS
+        }
+      };
+    }
+
+    // $nearSphere returns the nearest first; a bounding box lists the newest first
+    let search = CollectionRequest.find(query)
+      .populate('requesterId', 'username profile')
+      .populate('zone', 'name collectionDays')
+      .limit(limit);
+    if (!origin) {
+      search = search.sort({ createdAt: -1 });
+    }
+    const requests = await search;
+
+    // Collectors browsing for work see who asked, not how to reach them
+    const seesAllProfiles = hasPermission(req.permissions, 'collections:view-all');
+    const withRequester = (request) => {
+      const json = request.toJSON();
+      const assignedToUser = request.assignedCollector?.toString() === req.user._id.toString();
+      if (json.requesterId && !seesAllProfiles && !assignedToUser) {
+        delete json.requesterId.profile;
+      }
+      return json;
+    };
+
+    res.status(200).json({
+      success: true,
+      requests: requests.map(request => ({
+        ...withRequester(request),
+        ...(origin && { distance: Math.round(haversineDistance(origin, getCoordinates(request)) * 1000) })
+      }))
+    });
+
+  } catch (error) {
+    console.error("Nearby collection requests error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error finding nearby collection requests"
+    });
+  }
+});
+
 /**
  * @route   GET /api/collections/:id
- * @desc    Get a specific collection request
+ * @desc    Get a specific collection request and the statuses the user may move it to
  * @access  Private
  */
 router.get("/:id", authenticate, async (req, res) => {
   try {
-    const request = await CollectionRequest.findById(req.params.id)
+    const request = await CollectionRequest.findOne(scoped(req, { _id: req.params.id }))
       .populate('requesterId', 'username email profile')
       .populate('assignedCollector', 'username email profile');
 
@@ -152,12 +251,7 @@ router.get("/:id", authenticate, async (req, res) => {
     }
 
     // Check if user can view this request
-    const canView = request.canBeUpdatedBy(req.user._id.toString(), req.user.role) || 
-                   req.user.role === 'admin' ||
-                   (req.user.role === 'collector' && request.assignedCollector && 
-                    request.assignedCollector._id.toString() === req.user._id.toString());
-
-    if (!canView) {
+    if (!request.isVisibleTo(req.user._id, req.permissions)) {
       return res.status(403).json({
         success: false,
         message: "Access denied to this collection request"
@@ -166,7 +260,8 @@ router.get("/:id", authenticate, async (req, res) => {
 
     res.status(200).json({
       success: true,
-      request
+      request,
+      allowedTransitions: getAllowedTransitions(request.status, req.permissions)
     });
 
   } catch (error) {
@@ -180,14 +275,14 @@ router.get("/:id", authenticate, async (req, res) => {
 
 /**
  * @route   PUT /api/collections/:id
- * @desc    Update collection request status
+ * @desc    Update collection request status (moves are checked against the status transition table)
  * @access  Private
  */
 router.put("/:id", authenticate, async (req, res) => {
   try {
     const { status, notes, scheduledDate } = req.body;
 
-    const request = await CollectionRequest.findById(req.params.id);
+    const request = await CollectionRequest.findOne(scoped(req, { _id: req.params.id }));
     if (!request) {
       return res.status(404).json({
         success: false,
@@ -196,7 +291,7 @@ router.put("/:id", authenticate, async (req, res) => {
     }
 
     // Check if user can update this request
-    if (!request.canBeUpdatedBy(req.user._id.toString(), req.user.role)) {
+    if (!request.canBeUpdatedBy(req.user._id.toString(), req.permissions)) {
       return res.status(403).json({
         success: false,
         message: "Access denied to update this collection request"
@@ -205,15 +300,34 @@ router.put("/:id", authenticate, async (req, res) => {
 
     // Update allowed fields
     const oldStatus = request.status;
-    if (status && ['pending', 'assigned', 'in-progress', 'completed', 'cancelled'].includes(status)) {
-      request.status = status;
+    if (status && status !== request.status) {
+      if (!COLLECTION_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: "Status must be pending, assigned, in-progress, completed, or cancelled"
+        });
+      }
+
+      const transition = checkTransition(request.status, status, req.permissions, req.body.reason);
+      if (!transition.allowed) {
+        return sendTransitionError(res, request.status, transition);
+      }
+
+      if (status === 'assigned' && !request.assignedCollector) {
+        return res.status(400).json({
+          success: false,
+          message: "Assign a collector to move this request to assigned"
+        });
+      }
+
+      request.transitionTo(status, getChangeContext(req));
     }
     
     if (notes !== undefined) {
       request.notes = notes;
     }
 
-    if (scheduledDate && req.user.role === 'admin') {
+    if (scheduledDate && hasPermission(req.permissions, 'collections:assign')) {
       request.scheduledDate = new Date(scheduledDate);
     }
 
@@ -222,24 +336,17 @@ router.put("/:id", authenticate, async (req, res) => {
 
     await request.save();
 
-    // Send notifications for status changes
-    if (oldStatus !== request.status) {
-      try {
-        const requester = await User.findById(request.requesterId);
-        
-        if (request.status === 'completed' && requester) {
-          await sendCompletionNotification(request, requester);
-        } else if (requester) {
-          await sendStatusUpdateNotification(request, requester, oldStatus, request.status);
-        }
-      } catch (notificationError) {
-        console.error('Error sending notification:', notificationError);
-        // Don't fail the request if notification fails
-      }
+    if (request.status === 'cancelled' && oldStatus !== 'cancelled') {
+      await skipCancelledOccurrence(request);
     }
+
+    // Send notifications for status changes (failures don't fail the request)
+    await notifyStatusChange(request, oldStatus, request.status);
     await request.populate('requesterId', 'username email profile');
     await request.populate('assignedCollector', 'username email profile');
 
+    publishCollectionEvent('collection.updated', request, { oldStatus });
+
     res.status(200).json({
       success: true,
       message: "Collection request updated successfully",
@@ -270,10 +377,10 @@ router.put("/:id", authenticate, async (req, res) => {
 
 /**
  * @route   PUT /api/collections/:id/assign
- * @desc    Assign collection request to collector (Admin only)
- * @access  Private (Admin)
+ * @desc    Assign collection request to collector
+ * @access  Private (collections:assign)
  */
-router.put("/:id/assign", authenticate, authorize('admin'), async (req, res) => {
+router.put("/:id/assign", authenticate, requirePermission('collections:assign'), async (req, res) => {
   try {
     const { collectorId } = req.body;
 
@@ -284,7 +391,7 @@ router.put("/:id/assign", authenticate, authorize('admin'), async (req, res) =>
       });
     }
 
-    const request = await CollectionRequest.findById(req.params.id);
+    const request = await CollectionRequest.findOne(scoped(req, { _id: req.params.id }));
     if (!request) {
       return res.status(404).json({
         success: false,
@@ -292,23 +399,35 @@ router.put("/:id/assign", authenticate, authorize('admin'), async (req, res) =>
       });
     }
 
-    // Verify collector exists and has correct role
+    // Verify collector exists, works for the request's organization and their role can collect
     const collector = await CollectionRequest.model('User').findById(collectorId);
-    if (!collector || collector.role !== 'collector') {
+    if (!collector || !sameTenant(collector, request) || !(await userHasPermission(collector, 'collections:collect'))) {
       return res.status(400).json({
         success: false,
         message: "Invalid collector ID"
       });
     }
 
+    const transition = checkTransition(request.status, 'assigned', req.permissions);
+    if (!transition.allowed) {
+      return sendTransitionError(res, request.status, transition);
+    }
+
     // Assign collector and update status
+    const oldStatus = request.status;
+    const previousCollector = request.assignedCollector;
     request.assignedCollector = collectorId;
-    request.status = 'assigned';
+    request.transitionTo('assigned', getChangeContext(req, { collector: collectorId }));
     await request.save();
 
+    await notifyAssignment(request, collector);
+    await notifyStatusChange(request, oldStatus, request.status);
+
     await request.populate('requesterId', 'username email profile');
     await request.populate('assignedCollector', 'username email profile');
 
+    publishCollectionEvent('collection.assigned', request, { oldStatus, previousCollector });
+
     res.status(200).json({
       success: true,
       message: "Collection request assigned successfully",
@@ -331,7 +450,7 @@ router.put("/:id/assign", authenticate, authorize('admin'), async (req, res) =>
  */
 router.delete("/:id", authenticate, async (req, res) => {
   try {
-    const request = await CollectionRequest.findById(req.params.id);
+    const request = await CollectionRequest.findOne(scoped(req, { _id: req.params.id }));
     if (!request) {
       return res.status(404).json({
         success: false,
@@ -340,8 +459,8 @@ router.delete("/:id", authenticate, async (req, res) => {
     }
 
     // Check if user can cancel this request
-    const canCancel = (req.user.role === 'resident' && request.requesterId.toString() === req.user._id.toString() && request.status === 'pending') ||
-                     req.user.role === 'admin';
+    const canCancel = (hasPermission(req.permissions, 'collections:cancel-own') && request.requesterId.toString() === req.user._id.toString()) ||
+                     hasPermission(req.permissions, 'collections:manage');
 
     if (!canCancel) {
       return res.status(403).json({
@@ -350,9 +469,18 @@ router.delete("/:id", authenticate, async (req, res) => {
       });
     }
 
+    const transition = checkTransition(request.status, 'cancelled', req.permissions);
+    if (!transition.allowed) {
+      return sendTransitionError(res, request.status, transition);
+    }
+
     // Update status to cancelled instead of deleting
-    request.status = 'cancelled';
+    const oldStatus = request.status;
+    request.transitionTo('cancelled', getChangeContext(req));
     await request.save();
+    await skipCancelledOccurrence(request);
+
+    publishCollectionEvent('collection.cancelled', request, { oldStatus });
 
     res.status(200).json({
       success: true,
@@ -370,12 +498,13 @@ router.delete("/:id", authenticate, async (req, res) => {
 
 /**
  * @route   GET /api/collections/search/date-range
- * @desc    Search collection requests by date range
+ * @desc    Search collection requests by date range (optionally narrowed by zone, status,
+ *          wasteCategory and assignedCollector, e.g. to list the requests behind a report)
  * @access  Private
  */
 router.get("/search/date-range", authenticate, async (req, res) => {
   try {
-    const { startDate, endDate, page = 1, limit = 10 } = req.query;
+    const { startDate, endDate, zone, status, wasteCategory, assignedCollector, page = 1, limit = 10 } = req.query;
 
     if (!startDate || !endDate) {
       return res.status(400).json({
@@ -384,30 +513,36 @@ router.get("/search/date-range", authenticate, async (req, res) => {
       });
     }
 
-    // Build base query for user role
-    let query = {};
-    switch (req.user.role) {
-      case 'admin':
-        break;
-      case 'collector':
-        query.assignedCollector = req.user._id;
-        break;
-      case 'resident':
-        query.requesterId = req.user._id;
-        break;
-    }
+    // Only the requests of the user's organization they may see
+    const query = scoped(req, CollectionRequest.visibilityScope(req.user._id, req.permissions));
 
     // Add date range filter
     query.createdAt = {
       $gte: new Date(startDate),
       $lte: new Date(endDate)
     };
+    if (zone) {
+      Object.assign(query, zoneFilter(zone));
+    }
+    if (status) {
+      query.status = status;
+    }
+    if (wasteCategory) {
+      query.wasteCategory = wasteCategory;
+    }
+    if (assignedCollector) {
+      // Kept apart from the visibility scope, which may itself be on assignedCollector
+      query.$and = [{
+        assignedCollector: mongoose.Types.ObjectId.isValid(assignedCollector) ? assignedCollector : { $in: [] }
+      }];
+    }
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const requests = await CollectionRequest.find(query)
       .populate('requesterId', 'username email profile')
       .populate('assignedCollector', 'username email profile')
+      .populate('zone', 'name collectionDays')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
@@ -1,12 +1,25 @@
 import express from "express";
 import { User, CollectionRequest, CollectionRoute } from "../models/index.js";
 import { authenticate } from "../middleware/auth.js";
+import { hasPermission } from "../utils/permissions.js";
+import { tenantScope } from "../utils/tenancy.js";
 
 const router = express.Router();
 
+// Which dashboard a user gets: the first whose permission they hold
+const DASHBOARD_KINDS = [
+  ['reports:view', 'admin'],
+  ['collections:collect', 'collector'],
+  ['collections:view-own', 'resident']
+];
+
+const getDashboardKind = (permissions) => {
+  return DASHBOARD_KINDS.find(([permission]) => hasPermission(permissions, permission))?.[1];
+};
+
 /**
  * @route   GET /api/dashboard
- * @desc    Get role-specific dashboard data
+ * @desc    Get dashboard data for the user's permissions
  * @access  Private
  */
 router.get("/", authenticate, async (req, res) => {
@@ -20,18 +33,20 @@ router.get("/", authenticate, async (req, res) => {
       timestamp: new Date()
     };
 
-    switch (userRole) {
+    switch (getDashboardKind(req.permissions)) {
       case 'admin':
-        // Admin dashboard - system overview
-        const totalUsers = await User.countDocuments();
-        const totalCollections = await CollectionRequest.countDocuments();
-        const pendingCollections = await CollectionRequest.countDocuments({ status: 'pending' });
+        // Admin dashboard - overview of the organization
+        const tenant = tenantScope(req);
+        const totalUsers = await User.countDocuments(tenant);
+        const totalCollections = await CollectionRequest.countDocuments(tenant);
+        const pendingCollections = await CollectionRequest.countDocuments({ ...tenant, status: 'pending' });
         const activeRoutes = await CollectionRoute.countDocuments({ 
+          ...tenant,
           status: { $in: ['planned', 'active'] },
           date: { $gte: new Date().setHours(0, 0, 0, 0) }
         });
 
-        const recentCollections = await CollectionRequest.find()
+        const recentCollections = await CollectionRequest.find(tenant)
           .populate('requesterId', 'username email')
           .populate('assignedCollector', 'username email')
           .sort({ createdAt: -1 })
@@ -125,7 +140,7 @@ router.get("/", authenticate, async (req, res) => {
       default:
         return res.status(403).json({
           success: false,
-          message: "Invalid user role"
+          message: "No dashboard is available for this role"
         });
     }
 
@@ -145,7 +160,7 @@ router.get("/", authenticate, async (req, res) => {
 
 /**
  * @route   GET /api/dashboard/quick-actions
- * @desc    Get role-specific quick actions
+ * @desc    Get quick actions for the user's permissions
  * @access  Private
  */
 router.get("/quick-actions", authenticate, async (req, res) => {
@@ -153,7 +168,7 @@ router.get("/quick-actions", authenticate, async (req, res) => {
     const userRole = req.user.role;
     let quickActions = [];
 
-    switch (userRole) {
+    switch (getDashboardKind(req.permissions)) {
       case 'admin':
         quickActions = [
           {
@@ -0,0 +1,179 @@
+import express from "express";
+import { User, Organization } from "../models/index.js";
+import { authenticate } from "../middleware/auth.js";
+import { subscribe } from "../utils/eventBus.js";
+import { issueAccountToken, consumeAccountToken } from "../utils/accountTokens.js";
+import { getRevocationReason } from "../utils/authSessions.js";
+import { needsTwoFactorSetup } from "../utils/twoFactor.js";
+import { getUserPermissions } from "../utils/permissions.js";
+
+const router = express.Router();
+
+const DEFAULT_HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * Check that a stream's user may still listen: their session hasn't ended, their
+ * organization is active and they aren't held at two-factor enrolment
+ * @param {Object} claims - { userId, sid, tv } the stream was opened with
+ * @returns {Promise<Object|null>} { user, permissions } with their current permissions, or null
+ */
+const checkStreamAccess = async ({ userId, sid, tv }) => {
+  const user = await User.findById(userId).select('-password');
+  if (!user || await getRevocationReason({ sid, tv }, user)) {
+    return null;
+  }
+
+  if (!(await Organization.isActive(user.organization)) || needsTwoFactorSetup(user)) {
+    return null;
+  }
+
+  return { user, permissions: await getUserPermissions(user) };
+};
+
+/**
+ * Authenticate a stream with the Authorization header, or with a ?ticket= from
+ * POST /api/events/ticket for EventSource clients, which cannot set headers
+ */
+const authenticateStream = async (req, res, next) => {
+  const remember = () => {
+    req.streamClaims = { userId: req.user._id, sid: req.sessionId, tv: req.user.tokenVersion || 0 };
+    next();
+  };
+
+  if (req.header('Authorization')) {
+    return authenticate(req, res, remember);
+  }
+
+  try {
+    const ticket = await consumeAccountToken(req.query.ticket, 'event-stream');
+    const claims = ticket && { userId: ticket.user, sid: ticket.session?.toString(), tv: ticket.tokenVersion || 0 };
+    const access = claims && await checkStreamAccess(claims);
+    if (!access) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. A valid stream ticket is required.'
+      });
+    }
+
+    req.user = access.user;
+    req.sessionId = claims.sid;
+    req.permissions = access.permissions;
+    req.streamClaims = claims;
+    next();
+  } catch (error) {
+    console.error('Stream authentication error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during authentication.'
+    });
+  }
+};
+
+/**
+ * Write one Server-Sent Event
+ * @param {Object} res - Express response
+ * @param {string} type - Event name
+ * @param {Object} data - JSON payload
+ * @param {number} id - Optional event id
+ */
+const writeEvent = (res, type, data, id) => {
+  if (id !== undefined) {
+    res.write(`id: ${id}\n`);
+  }
+  res.write(`event: ${type}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * @route   POST /api/events/ticket
+ * @desc    Issue a short-lived, single-use ticket that opens one event stream
+ * @access  Private
+ */
+router.post("/ticket", authenticate, async (req, res) => {
+  try {
+    const { token, expiresAt } = await issueAccountToken(req.user, 'event-stream', {
+      session: req.sessionId,
+      tokenVersion: req.user.tokenVersion || 0
+    });
+
+    res.status(201).json({
+      success: true,
+      ticket: token,
+      expiresAt
+    });
+
+  } catch (error) {
+    console.error("Issue stream ticket error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error issuing stream ticket"
+    });
+  }
+});
+
+/**
+ * @route   GET /api/events
+ * @desc    Stream collection, route and notification updates visible to the user (Server-Sent Events);
+ *          the stream ends once the user's session ends, their organization is deactivated
+ *          or they are held at two-factor enrolment
+ * @access  Private (token in Authorization header or ?ticket=)
+ */
+router.get("/", authenticateStream, (req, res) => {
+  const claims = req.streamClaims;
+  let user = req.user;
+  let permissions = req.permissions;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Tell EventSource how long to wait before reconnecting
+  res.write('retry: 5000\n\n');
+  writeEvent(res, 'connected', { userId: user._id.toString(), role: user.role, permissions });
+
+  const unsubscribe = subscribe((event) => {
+    try {
+      if (event.isVisibleTo(user, permissions)) {
+        writeEvent(res, event.type, event.dataFor(user, permissions), event.id);
+      }
+    } catch (error) {
+      console.error("Event stream error:", error);
+    }
+  });
+
+  let heartbeat = null;
+  const stop = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  // Each heartbeat re-checks the user, so a revoked session stops receiving events and
+  // permission changes apply; comment lines also keep proxies from closing an idle connection
+  let checking = false;
+  heartbeat = setInterval(async () => {
+    if (checking) return;
+    checking = true;
+    try {
+      const access = await checkStreamAccess(claims);
+      if (!access) {
+        stop();
+        res.end();
+        return;
+      }
+      ({ user, permissions } = access);
+      res.write(': heartbeat\n\n');
+    } catch (error) {
+      console.error("Event stream check error:", error);
+    } finally {
+      checking = false;
+    }
+  }, parseInt(process.env.EVENTS_HEARTBEAT_MS) || DEFAULT_HEARTBEAT_MS);
+
+  req.on('close', stop);
+});
+
+export default router;
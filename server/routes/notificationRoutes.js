@@ -1,22 +1,41 @@
 import express from "express";
 import { CollectionRequest } from "../models/index.js";
 import { authenticate } from "../middleware/auth.js";
-import { getUserNotifications, markNotificationAsRead } from "../utils/notifications.js";
+import { describeStatusChange } from "../utils/statusHistory.js";
+import { scoped } from "../utils/tenancy.js";
+import {
+  getUserNotifications,
+  getUnreadCount,
+  markNotificationAsRead,
+  markAllNotificationsAsRead,
+  deleteNotification,
+  deleteNotifications
+} from "../utils/notifications.js";
 
 const router = express.Router();
 
 /**
  * @route   GET /api/notifications
- * @desc    Get user notifications
+ * @desc    Get user notifications (paginated, filterable by type, collectionId and read state)
  * @access  Private
  */
 router.get("/", authenticate, async (req, res) => {
   try {
-    const notifications = getUserNotifications(req.user._id);
-    
+    const { page = 1, limit = 20, type, collectionId, read } = req.query;
+
+    const { notifications, pagination, unreadCount } = await getUserNotifications(req.user._id, {
+      page,
+      limit,
+      type,
+      collectionId,
+      read
+    });
+
     res.status(200).json({
       success: true,
-      notifications
+      notifications,
+      unreadCount,
+      pagination
     });
   } catch (error) {
     console.error("Get notifications error:", error);
@@ -27,6 +46,53 @@ router.get("/", authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Get number of unread notifications
+ * @access  Private
+ */
+router.get("/unread-count", authenticate, async (req, res) => {
+  try {
+    const unreadCount = await getUnreadCount(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      unreadCount
+    });
+  } catch (error) {
+    console.error("Get unread count error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching unread count"
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/notifications/read-all
+ * @desc    Mark all notifications as read (optionally filtered by type or collectionId)
+ * @access  Private
+ */
+router.put("/read-all", authenticate, async (req, res) => {
+  try {
+    const { type, collectionId } = req.body || {};
+
+    const updated = await markAllNotificationsAsRead(req.user._id, { type, collectionId });
+
+    res.status(200).json({
+      success: true,
+      message: "Notifications marked as read",
+      updated
+    });
+  } catch (error) {
+    console.error("Mark all notifications as read error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error updating notifications"
+    });
+  }
+});
+
 /**
  * @route   PUT /api/notifications/:id/read
  * @desc    Mark notification as read
@@ -34,8 +100,8 @@ router.get("/", authenticate, async (req, res) => {
  */
 router.put("/:id/read", authenticate, async (req, res) => {
   try {
-    const notification = markNotificationAsRead(req.params.id, req.user._id);
-    
+    const notification = await markNotificationAsRead(req.params.id, req.user._id);
+
     if (!notification) {
       return res.status(404).json({
         success: false,
@@ -57,18 +123,83 @@ router.put("/:id/read", authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route   DELETE /api/notifications
+ * @desc    Bulk delete notifications (by ids, or filtered by type, collectionId and read state);
+ *          everything matching the filters is deleted only when no ids are sent
+ * @access  Private
+ */
+router.delete("/", authenticate, async (req, res) => {
+  try {
+    const { ids } = req.body || {};
+    const { type, collectionId, read } = req.query;
+
+    if (ids !== undefined && !Array.isArray(ids)) {
+      return res.status(400).json({
+        success: false,
+        message: "ids must be an array of notification IDs"
+      });
+    }
+
+    const deleted = await deleteNotifications(req.user._id, { ids, type, collectionId, read });
+
+    res.status(200).json({
+      success: true,
+      message: "Notifications deleted",
+      deleted
+    });
+  } catch (error) {
+    console.error("Delete notifications error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error deleting notifications"
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/notifications/:id
+ * @desc    Delete a notification
+ * @access  Private
+ */
+router.delete("/:id", authenticate, async (req, res) => {
+  try {
+    const deleted = await deleteNotification(req.params.id, req.user._id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Notification deleted"
+    });
+  } catch (error) {
+    console.error("Delete notification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error deleting notification"
+    });
+  }
+});
+
 /**
  * @route   GET /api/notifications/history/:collectionId
- * @desc    Get collection request history and status progression
+ * @desc    Get collection request history and status progression from its audit trail
  * @access  Private
  */
 router.get("/history/:collectionId", authenticate, async (req, res) => {
   try {
     const { collectionId } = req.params;
 
-    const collection = await CollectionRequest.findById(collectionId)
+    const collection = await CollectionRequest.findOne(scoped(req, { _id: collectionId }))
       .populate('requesterId', 'username email profile')
-      .populate('assignedCollector', 'username email profile');
+      .populate('assignedCollector', 'username email profile')
+      .populate('statusHistory.actor', 'username role')
+      .populate('statusHistory.collector', 'username role');
 
     if (!collection) {
       return res.status(404).json({
@@ -78,58 +209,41 @@ router.get("/history/:collectionId", authenticate, async (req, res) => {
     }
 
     // Check if user can view this collection
-    const canView = collection.requesterId._id.toString() === req.user._id.toString() ||
-                   (collection.assignedCollector && collection.assignedCollector._id.toString() === req.user._id.toString()) ||
-                   req.user.role === 'admin';
-
-    if (!canView) {
+    if (!collection.isVisibleTo(req.user._id, req.permissions)) {
       return res.status(403).json({
         success: false,
         message: "Access denied to view this collection history"
       });
     }
 
-    // Create status progression history
-    const statusHistory = [
-      {
-        status: 'pending',
-        timestamp: collection.createdAt,
-        description: 'Collection request created'
-      }
-    ];
-
-    if (collection.assignedCollector) {
-      statusHistory.push({
-        status: 'assigned',
-        timestamp: collection.updatedAt,
-        description: `Assigned to collector: ${collection.assignedCollector.username}`,
-        assignedTo: collection.assignedCollector.username
-      });
-    }
+    const entries = collection.statusHistory.map(entry => entry.toObject());
 
-    if (collection.status === 'in-progress') {
-      statusHistory.push({
-        status: 'in-progress',
-        timestamp: collection.updatedAt,
-        description: 'Collection in progress'
+    // Requests created before the audit trail: fill in what their timestamps tell us
+    if (entries.length === 0 && collection.status !== 'pending') {
+      entries.push({
+        from: 'pending',
+        to: collection.status,
+        timestamp: collection.completedDate || collection.updatedAt,
+        source: 'system',
+        inferred: true
       });
     }
-
-    if (collection.status === 'completed' && collection.completedDate) {
-      statusHistory.push({
-        status: 'completed',
-        timestamp: collection.completedDate,
-        description: 'Collection completed successfully'
+    if (entries.length === 0 || entries[0].from) {
+      entries.unshift({
+        from: null,
+        to: 'pending',
+        timestamp: collection.createdAt,
+        source: 'system',
+        inferred: true
       });
     }
 
-    if (collection.status === 'cancelled') {
-      statusHistory.push({
-        status: 'cancelled',
-        timestamp: collection.updatedAt,
-        description: 'Collection request cancelled'
-      });
-    }
+    const statusHistory = entries.map(entry => ({
+      ...entry,
+      status: entry.to,
+      description: describeStatusChange(entry),
+      ...(entry.collector && { assignedTo: entry.collector.username })
+    }));
 
     res.status(200).json({
       success: true,
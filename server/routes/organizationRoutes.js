@@ -0,0 +1,216 @@
+import express from "express";
+import { Organization, User, CollectionRequest, CollectionRoute } from "../models/index.js";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import { validateOrganization, validateOrganizationUpdate } from "../middleware/validation.js";
+
+const router = express.Router();
+
+// Fields a super-admin may set on an organization
+const ORGANIZATION_FIELDS = ['name', 'slug', 'active'];
+
+const sendValidationError = (res, error) => {
+  const errors = Object.values(error.errors).map(err => ({
+    field: err.path,
+    message: err.message
+  }));
+  return res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors
+  });
+};
+
+const sendDuplicateSlug = (res) => {
+  return res.status(409).json({
+    success: false,
+    message: "An organization with this slug already exists"
+  });
+};
+
+/**
+ * @route   GET /api/organizations/public
+ * @desc    List the active organizations residents can sign up with
+ * @access  Public
+ */
+router.get("/public", async (req, res) => {
+  try {
+    const organizations = await Organization.find({ active: true })
+      .select('name slug')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      organizations
+    });
+
+  } catch (error) {
+    console.error("Get public organizations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching organizations"
+    });
+  }
+});
+
+/**
+ * @route   GET /api/organizations
+ * @desc    List organizations with their user counts
+ * @access  Private (organizations:manage)
+ */
+router.get("/", authenticate, requirePermission('organizations:manage'), async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    const query = {};
+    if (active !== undefined) {
+      query.active = active === 'true';
+    }
+
+    const [organizations, userCounts] = await Promise.all([
+      Organization.find(query).sort({ name: 1 }),
+      User.aggregate([
+        { $group: { _id: "$organization", count: { $sum: 1 } } }
+      ])
+    ]);
+    const countFor = (id) => userCounts.find(entry => String(entry._id) === String(id))?.count || 0;
+
+    res.status(200).json({
+      success: true,
+      organizations: organizations.map(organization => ({
+        ...organization.toJSON(),
+        userCount: countFor(organization._id)
+      })),
+      // Users, requests and routes created before organizations were set up
+      defaultTenantUsers: countFor(null)
+    });
+
+  } catch (error) {
+    console.error("Get organizations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching organizations"
+    });
+  }
+});
+
+/**
+ * @route   POST /api/organizations
+ * @desc    Create an organization; invite its first admin with POST /api/admin/invitations
+ * @access  Private (organizations:manage)
+ */
+router.post("/", authenticate, requirePermission('organizations:manage'), validateOrganization, async (req, res) => {
+  try {
+    const data = { createdBy: req.user._id };
+    ORGANIZATION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const organization = await Organization.create(data);
+
+    res.status(201).json({
+      success: true,
+      message: "Organization created successfully",
+      organization
+    });
+
+  } catch (error) {
+    console.error("Create organization error:", error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    if (error.code === 11000) {
+      return sendDuplicateSlug(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error creating organization"
+    });
+  }
+});
+
+/**
+ * @route   GET /api/organizations/:id
+ * @desc    Get an organization with counts of its users, requests and routes
+ * @access  Private (organizations:manage)
+ */
+router.get("/:id", authenticate, requirePermission('organizations:manage'), async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: "Organization not found"
+      });
+    }
+
+    const scope = { organization: organization._id };
+    const [users, collections, routes] = await Promise.all([
+      User.countDocuments(scope),
+      CollectionRequest.countDocuments(scope),
+      CollectionRoute.countDocuments(scope)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      organization,
+      counts: { users, collections, routes }
+    });
+
+  } catch (error) {
+    console.error("Get organization error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching organization"
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/organizations/:id
+ * @desc    Rename, re-slug, deactivate or reactivate an organization; members of an
+ *          inactive organization can't sign in
+ * @access  Private (organizations:manage)
+ */
+router.put("/:id", authenticate, requirePermission('organizations:manage'), validateOrganizationUpdate, async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: "Organization not found"
+      });
+    }
+
+    ORGANIZATION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) organization[field] = req.body[field];
+    });
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Organization updated successfully",
+      organization
+    });
+
+  } catch (error) {
+    console.error("Update organization error:", error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    if (error.code === 11000) {
+      return sendDuplicateSlug(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error updating organization"
+    });
+  }
+});
+
+export default router;
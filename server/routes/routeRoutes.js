@@ -1,37 +1,70 @@
 import express from "express";
-import { CollectionRoute, CollectionRequest, User } from "../models/index.js";
-import { authenticate, authorize } from "../middleware/auth.js";
+import { CollectionRoute, CollectionRequest, User, Vehicle } from "../models/index.js";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import { notifyStatusChange, notifyAssignment } from "../utils/notifications.js";
+import { publishCollectionEvent, publishRouteEvent } from "../utils/eventBus.js";
+import { getChangeContext } from "../utils/statusHistory.js";
+import { COLLECTION_STATUSES, checkTransition, sendTransitionError } from "../utils/statusTransitions.js";
+import { summarizeRoute, getCoordinates, getDefaultDepot, isValidDepot } from "../utils/routeOptimizer.js";
+import { checkRouteLoad, sendLoadError } from "../utils/routeCapacity.js";
+import { hasPermission, userHasPermission } from "../utils/permissions.js";
+import { scoped, tenantOf, sameTenant } from "../utils/tenancy.js";
+import { zoneFilter } from "../utils/zones.js";
+import { skipCancelledOccurrence } from "../utils/recurringScheduler.js";
 
 const router = express.Router();
 
+// Load an active vehicle of the owner's organization, or send the error response and return null
+const findActiveVehicle = async (vehicleId, owner, res) => {
+  const vehicle = await Vehicle.findById(vehicleId);
+  if (!vehicle || !vehicle.active || !sameTenant(vehicle, owner)) {
+    res.status(400).json({
+      success: false,
+      message: "Invalid vehicle ID"
+    });
+    return null;
+  }
+  return vehicle;
+};
+
+// Whether a user exists and their role lets them be assigned collections and routes
+const isCollector = async (user) => Boolean(user) && userHasPermission(user, 'collections:collect');
+
+// Another route the vehicle is already out on that day, if any
+const findVehicleConflict = (vehicleId, date, excludeRouteId) => {
+  const startOfDay = new Date(date);
+  startOfDay.setHours(0, 0, 0, 0);
+  const endOfDay = new Date(date);
+  endOfDay.setHours(23, 59, 59, 999);
+
+  return CollectionRoute.findOne({
+    _id: { $ne: excludeRouteId },
+    vehicle: vehicleId,
+    date: { $gte: startOfDay, $lte: endOfDay }
+  });
+};
+
 /**
  * @route   GET /api/routes/collector/:id
  * @desc    Get assigned routes for collector
- * @access  Private (Collector, Admin)
+ * @access  Private (collections:collect for their own routes, routes:view-all for any)
  */
-router.get("/collector/:id", authenticate, async (req, res) => {
+router.get("/collector/:id", authenticate, requirePermission('collections:collect', 'routes:view-all'), async (req, res) => {
   try {
     const { id } = req.params;
     const { date } = req.query;
 
-    // Check authorization - collectors can only view their own routes, admins can view any
-    if (req.user.role === 'collector' && req.user._id.toString() !== id) {
+    // Check authorization - collectors can only view their own routes
+    if (!hasPermission(req.permissions, 'routes:view-all') && req.user._id.toString() !== id) {
       return res.status(403).json({
         success: false,
         message: "Access denied. Collectors can only view their own routes."
       });
     }
 
-    if (req.user.role !== 'collector' && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: "Access denied. Only collectors and admins can view routes."
-      });
-    }
-
     // Verify collector exists
-    const collector = await User.findById(id);
-    if (!collector || collector.role !== 'collector') {
+    const collector = await User.findOne(scoped(req, { _id: id }));
+    if (!(await isCollector(collector))) {
       return res.status(404).json({
         success: false,
         message: "Collector not found"
@@ -72,10 +105,10 @@ router.get("/collector/:id", authenticate, async (req, res) => {
 
 /**
  * @route   PUT /api/routes/:id/assign
- * @desc    Assign collection to route (Admin only)
- * @access  Private (Admin)
+ * @desc    Assign collection to route
+ * @access  Private (routes:manage)
  */
-router.put("/:id/assign", authenticate, authorize('admin'), async (req, res) => {
+router.put("/:id/assign", authenticate, requirePermission('routes:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { collectionId } = req.body;
@@ -88,7 +121,7 @@ router.put("/:id/assign", authenticate, authorize('admin'), async (req, res) =>
     }
 
     // Find the route
-    const route = await CollectionRoute.findById(id);
+    const route = await CollectionRoute.findOne(scoped(req, { _id: id }));
     if (!route) {
       return res.status(404).json({
         success: false,
@@ -96,8 +129,8 @@ router.put("/:id/assign", authenticate, authorize('admin'), async (req, res) =>
       });
     }
 
-    // Find the collection request
-    const collection = await CollectionRequest.findById(collectionId);
+    // Find the collection request among the route's organization's
+    const collection = await CollectionRequest.findOne({ _id: collectionId, organization: tenantOf(route) });
     if (!collection) {
       return res.status(404).json({
         success: false,
@@ -106,23 +139,40 @@ router.put("/:id/assign", authenticate, authorize('admin'), async (req, res) =>
     }
 
     // Verify collection can be assigned
-    if (!['pending', 'assigned'].includes(collection.status)) {
-      return res.status(400).json({
-        success: false,
-        message: "Collection request cannot be assigned in its current status"
-      });
+    const transition = checkTransition(collection.status, 'assigned', req.permissions);
+    if (!transition.allowed) {
+      return sendTransitionError(res, collection.status, transition);
+    }
+
+    // Verify the route's vehicle can take the extra load
+    const routeCollections = await CollectionRequest.find({ _id: { $in: route.collections, $ne: collection._id } });
+    const vehicle = route.vehicle ? await Vehicle.findById(route.vehicle) : null;
+    const loadCheck = checkRouteLoad([...routeCollections, collection], vehicle, { allowOverload: Boolean(req.body.allowOverload) });
+    if (!loadCheck.ok) {
+      return sendLoadError(res, loadCheck);
     }
 
     // Add collection to route
     route.addCollection(collectionId);
     
     // Update collection status and assigned collector
+    const oldStatus = collection.status;
+    const previousCollector = collection.assignedCollector;
     collection.assignedCollector = route.collectorId;
-    collection.status = 'assigned';
+    collection.transitionTo('assigned', getChangeContext(req, { collector: route.collectorId }));
 
     // Save both documents
     await Promise.all([route.save(), collection.save()]);
 
+    const collector = await User.findById(route.collectorId);
+    if (collector) {
+      await notifyAssignment(collection, collector);
+    }
+    await notifyStatusChange(collection, oldStatus, collection.status);
+
+    publishCollectionEvent('collection.assigned', collection, { oldStatus, previousCollector });
+    publishRouteEvent('route.updated', route);
+
     // Populate and return updated route
     await route.populate('collections');
     await route.populate('collectorId', 'username email profile');
@@ -130,7 +180,10 @@ router.put("/:id/assign", authenticate, authorize('admin'), async (req, res) =>
     res.status(200).json({
       success: true,
       message: "Collection assigned to route successfully",
-      route
+      route,
+      load: loadCheck.load,
+      capacity: loadCheck.capacity,
+      warnings: loadCheck.warnings
     });
 
   } catch (error) {
@@ -144,12 +197,12 @@ router.put("/:id/assign", authenticate, authorize('admin'), async (req, res) =>
 
 /**
  * @route   POST /api/routes
- * @desc    Create a new route for collector (Admin only)
- * @access  Private (Admin)
+ * @desc    Create a new route for collector
+ * @access  Private (routes:manage)
  */
-router.post("/", authenticate, authorize('admin'), async (req, res) => {
+router.post("/", authenticate, requirePermission('routes:manage'), async (req, res) => {
   try {
-    const { collectorId, date, collections = [] } = req.body;
+    const { collectorId, vehicleId, date, collections = [], allowOverload = false } = req.body;
 
     if (!collectorId) {
       return res.status(400).json({
@@ -158,19 +211,63 @@ router.post("/", authenticate, authorize('admin'), async (req, res) => {
       });
     }
 
-    // Verify collector exists
-    const collector = await User.findById(collectorId);
-    if (!collector || collector.role !== 'collector') {
+    // Verify collector exists; the route joins their organization
+    const collector = await User.findOne(scoped(req, { _id: collectorId }));
+    if (!(await isCollector(collector))) {
       return res.status(400).json({
         success: false,
         message: "Invalid collector ID"
       });
     }
 
+    const routeDate = date ? new Date(date) : new Date();
+
+    let vehicle = null;
+    if (vehicleId) {
+      vehicle = await findActiveVehicle(vehicleId, collector, res);
+      if (!vehicle) return;
+
+      if (await findVehicleConflict(vehicle._id, routeDate)) {
+        return res.status(409).json({
+          success: false,
+          message: "Vehicle is already assigned to another route on this date"
+        });
+      }
+    }
+
+    // Verify every collection can be assigned before creating anything
+    const requested = collections.length > 0
+      ? await CollectionRequest.find({ _id: { $in: collections } })
+      : [];
+
+    if (requested.some(collection => !sameTenant(collection, collector))) {
+      return res.status(400).json({
+        success: false,
+        message: "Collection requests must belong to the collector's organization"
+      });
+    }
+
+    const blocked = requested.filter(collection => !checkTransition(collection.status, 'assigned', req.permissions).allowed);
+
+    if (blocked.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: "Some collection requests cannot be assigned in their current status",
+        collections: blocked.map(collection => ({ _id: collection._id, status: collection.status }))
+      });
+    }
+
+    // Verify the vehicle can carry the route's collections
+    const loadCheck = checkRouteLoad(requested, vehicle, { allowOverload: Boolean(allowOverload) });
+    if (!loadCheck.ok) {
+      return sendLoadError(res, loadCheck);
+    }
+
     // Create route
     const routeData = {
       collectorId,
-      date: date ? new Date(date) : new Date(),
+      vehicle: vehicle?._id,
+      date: routeDate,
       collections,
       status: 'planned'
     };
@@ -178,23 +275,36 @@ router.post("/", authenticate, authorize('admin'), async (req, res) => {
     const newRoute = await CollectionRoute.create(routeData);
     
     // If collections are provided, update their status
+    // (saved one by one so each assignment lands in the request's status history)
     if (collections.length > 0) {
-      await CollectionRequest.updateMany(
-        { _id: { $in: collections } },
-        { 
-          assignedCollector: collectorId,
-          status: 'assigned'
-        }
-      );
+      const assigned = await CollectionRequest.find({ _id: { $in: collections } });
+
+      for (const collection of assigned) {
+        const oldStatus = collection.status;
+        const previousCollector = collection.assignedCollector;
+        collection.assignedCollector = collector._id;
+        collection.transitionTo('assigned', getChangeContext(req, { collector: collector._id }));
+        await collection.save();
+
+        await notifyAssignment(collection, collector);
+        await notifyStatusChange(collection, oldStatus, collection.status);
+        publishCollectionEvent('collection.assigned', collection, { oldStatus, previousCollector });
+      }
     }
 
+    publishRouteEvent('route.created', newRoute);
+
     await newRoute.populate('collections');
     await newRoute.populate('collectorId', 'username email profile');
+    await newRoute.populate('vehicle');
 
     res.status(201).json({
       success: true,
       message: "Route created successfully",
-      route: newRoute
+      route: newRoute,
+      load: loadCheck.load,
+      capacity: loadCheck.capacity,
+      warnings: loadCheck.warnings
     });
 
   } catch (error) {
@@ -216,13 +326,14 @@ router.post("/", authenticate, authorize('admin'), async (req, res) => {
 
 /**
  * @route   PUT /api/routes/:id/status
- * @desc    Update collection status in route (Collector, Admin)
- * @access  Private
+ * @desc    Update collection status in route. A problem (text) flags a problem at the stop,
+ *          and an empty problem clears it; starting the first stop makes the route active
+ * @access  Private (collections:collect on their own routes, collections:manage on any)
  */
-router.put("/:id/status", authenticate, async (req, res) => {
+router.put("/:id/status", authenticate, requirePermission('collections:collect', 'collections:manage'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { collectionId, status } = req.body;
+    const { collectionId, status, problem } = req.body;
 
     if (!collectionId || !status) {
       return res.status(400).json({
@@ -231,8 +342,22 @@ router.put("/:id/status", authenticate, async (req, res) => {
       });
     }
 
+    if (problem !== undefined && problem !== null && (typeof problem !== 'string' || problem.trim().length > 500)) {
+      return res.status(400).json({
+        success: false,
+        message: "Problem must be text of at most 500 characters"
+      });
+    }
+
+    if (!COLLECTION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Status must be pending, assigned, in-progress, completed, or cancelled"
+      });
+    }
+
     // Find the route
-    const route = await CollectionRoute.findById(id);
+    const route = await CollectionRoute.findOne(scoped(req, { _id: id }));
     if (!route) {
       return res.status(404).json({
         success: false,
@@ -241,7 +366,7 @@ router.put("/:id/status", authenticate, async (req, res) => {
     }
 
     // Check authorization
-    if (req.user.role === 'collector' && route.collectorId.toString() !== req.user._id.toString()) {
+    if (!hasPermission(req.permissions, 'collections:manage') && route.collectorId.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: "Access denied. Collectors can only update their own routes."
@@ -249,7 +374,7 @@ router.put("/:id/status", authenticate, async (req, res) => {
     }
 
     // Find the collection
-    const collection = await CollectionRequest.findById(collectionId);
+    const collection = await CollectionRequest.findOne({ _id: collectionId, organization: tenantOf(route) });
     if (!collection) {
       return res.status(404).json({
         success: false,
@@ -273,9 +398,16 @@ router.put("/:id/status", authenticate, async (req, res) => {
       });
     }
 
+    if (status !== collection.status) {
+      const transition = checkTransition(collection.status, status, req.permissions, req.body.reason);
+      if (!transition.allowed) {
+        return sendTransitionError(res, collection.status, transition);
+      }
+    }
+
     // Update collection status with timestamp
     const oldStatus = collection.status;
-    collection.status = status;
+    collection.transitionTo(status, getChangeContext(req));
     collection.updatedAt = new Date();
 
     // Set completed date if status is completed
@@ -283,17 +415,33 @@ router.put("/:id/status", authenticate, async (req, res) => {
       collection.completedDate = new Date();
     }
 
+    if (problem !== undefined) {
+      collection.problem = problem && problem.trim()
+        ? { description: problem.trim(), reportedBy: req.user._id, reportedAt: new Date() }
+        : undefined;
+    }
+
     await collection.save();
 
+    if (collection.status === 'cancelled' && oldStatus !== 'cancelled') {
+      await skipCancelledOccurrence(collection);
+    }
+
+    await notifyStatusChange(collection, oldStatus, collection.status);
+    publishCollectionEvent('collection.updated', collection, { oldStatus });
+
     // Check if all collections in route are completed
     const routeCollections = await CollectionRequest.find({
       _id: { $in: route.collections }
     });
 
     const allCompleted = routeCollections.every(col => col.status === 'completed');
-    if (allCompleted && route.status !== 'completed') {
-      route.status = 'completed';
+    const routeStatus = allCompleted ? 'completed'
+      : (status === 'in-progress' && route.status === 'planned' ? 'active' : route.status);
+    if (routeStatus !== route.status) {
+      route.status = routeStatus;
       await route.save();
+      publishRouteEvent('route.updated', route);
     }
 
     await collection.populate('requesterId', 'username email profile');
@@ -302,6 +450,7 @@ router.put("/:id/status", authenticate, async (req, res) => {
       success: true,
       message: "Collection status updated successfully",
       collection,
+      routeStatus: route.status,
       routeCompleted: allCompleted
     });
 
@@ -314,16 +463,87 @@ router.put("/:id/status", authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route   PUT /api/routes/:id/vehicle
+ * @desc    Assign a vehicle to a route, or remove it with vehicleId null
+ * @access  Private (routes:manage)
+ */
+router.put("/:id/vehicle", authenticate, requirePermission('routes:manage'), async (req, res) => {
+  try {
+    const { vehicleId, allowOverload = false } = req.body;
+
+    if (vehicleId === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Vehicle ID is required"
+      });
+    }
+
+    const route = await CollectionRoute.findOne(scoped(req, { _id: req.params.id }));
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: "Route not found"
+      });
+    }
+
+    let vehicle = null;
+    if (vehicleId) {
+      vehicle = await findActiveVehicle(vehicleId, route, res);
+      if (!vehicle) return;
+
+      if (await findVehicleConflict(vehicle._id, route.date, route._id)) {
+        return res.status(409).json({
+          success: false,
+          message: "Vehicle is already assigned to another route on this date"
+        });
+      }
+    }
+
+    // Verify the vehicle can carry what is already on the route
+    const routeCollections = await CollectionRequest.find({ _id: { $in: route.collections } });
+    const loadCheck = checkRouteLoad(routeCollections, vehicle, { allowOverload: Boolean(allowOverload) });
+    if (!loadCheck.ok) {
+      return sendLoadError(res, loadCheck);
+    }
+
+    route.vehicle = vehicle?._id;
+    await route.save();
+
+    publishRouteEvent('route.updated', route);
+
+    await route.populate('vehicle');
+    await route.populate('collectorId', 'username email profile');
+
+    res.status(200).json({
+      success: true,
+      message: vehicle ? "Vehicle assigned to route successfully" : "Vehicle removed from route",
+      route,
+      load: loadCheck.load,
+      capacity: loadCheck.capacity,
+      warnings: loadCheck.warnings
+    });
+
+  } catch (error) {
+    console.error("Assign vehicle to route error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error assigning vehicle to route"
+    });
+  }
+});
+
 /**
  * @route   PUT /api/routes/:id/optimize
- * @desc    Optimize route order (Admin only)
- * @access  Private (Admin)
+ * @desc    Optimize route order by pickup coordinates and report the distance saved
+ * @access  Private (routes:optimize)
  */
-router.put("/:id/optimize", authenticate, authorize('admin'), async (req, res) => {
+router.put("/:id/optimize", authenticate, requirePermission('routes:optimize'), async (req, res) => {
   try {
     const { id } = req.params;
+    const { returnToDepot = true } = req.body || {};
 
-    const route = await CollectionRoute.findById(id).populate('collections');
+    const route = await CollectionRoute.findOne(scoped(req, { _id: id })).populate('collections').populate('vehicle');
     if (!route) {
       return res.status(404).json({
         success: false,
@@ -331,17 +551,48 @@ router.put("/:id/optimize", authenticate, authorize('admin'), async (req, res) =
       });
     }
 
-    // Optimize the route order
-    const optimizedOrder = CollectionRoute.optimizeRoute(route.collections);
-    route.optimizedOrder = optimizedOrder;
+    // Start from the depot given, else the vehicle's home depot, else the configured one
+    const depot = req.body?.depot ?? route.vehicle?.getDepotPoint() ?? getDefaultDepot();
 
+    if (depot && !isValidDepot(depot)) {
+      return res.status(400).json({
+        success: false,
+        message: "Depot must have a latitude between -90 and 90 and a longitude between -180 and 180"
+      });
+    }
+
+    const options = { depot, returnToDepot: Boolean(returnToDepot) };
+    const currentOrder = route.optimizedOrder.length === route.collections.length
+      ? [...route.optimizedOrder]
+      : route.collections.map((_, index) => index);
+    const before = summarizeRoute(route.collections, currentOrder, options);
+
+    // Optimize the route order, keeping the current one if the solver can't beat it
+    let optimizedOrder = CollectionRoute.optimizeRoute(route.collections, options);
+    let after = summarizeRoute(route.collections, optimizedOrder, options);
+    if (after.distanceKm > before.distanceKm) {
+      optimizedOrder = currentOrder;
+      after = before;
+    }
+
+    route.optimizedOrder = optimizedOrder;
     await route.save();
 
+    publishRouteEvent('route.updated', route);
+
     res.status(200).json({
       success: true,
       message: "Route optimized successfully",
       route,
-      optimizedOrder
+      optimizedOrder,
+      depot,
+      unlocatedStops: route.collections.filter(collection => !getCoordinates(collection)).length,
+      before,
+      after,
+      savings: {
+        distanceKm: Math.round((before.distanceKm - after.distanceKm) * 100) / 100,
+        durationMinutes: before.durationMinutes - after.durationMinutes
+      }
     });
 
   } catch (error) {
@@ -355,14 +606,14 @@ router.put("/:id/optimize", authenticate, authorize('admin'), async (req, res) =
 
 /**
  * @route   GET /api/routes
- * @desc    Get all routes (Admin only)
- * @access  Private (Admin)
+ * @desc    Get all routes (filter by date, status, or zone for routes with a stop in it)
+ * @access  Private (routes:view-all)
  */
-router.get("/", authenticate, authorize('admin'), async (req, res) => {
+router.get("/", authenticate, requirePermission('routes:view-all'), async (req, res) => {
   try {
-    const { date, status, page = 1, limit = 10 } = req.query;
+    const { date, status, zone, page = 1, limit = 10 } = req.query;
 
-    let query = {};
+    let query = scoped(req);
 
     // Add filters
     if (date) {
@@ -379,10 +630,15 @@ router.get("/", authenticate, authorize('admin'), async (req, res) => {
       query.status = status;
     }
 
+    if (zone) {
+      query.collections = { $in: await CollectionRequest.distinct('_id', scoped(req, zoneFilter(zone))) };
+    }
+
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const routes = await CollectionRoute.find(query)
       .populate('collectorId', 'username email profile')
+      .populate('vehicle', 'name registration capacity wasteCategories')
       .populate('collections')
       .sort({ date: -1 })
       .skip(skip)
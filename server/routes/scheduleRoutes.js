@@ -0,0 +1,438 @@
+import express from "express";
+import { RecurringSchedule, CollectionRequest, Zone } from "../models/index.js";
+import { authenticate, requirePermission, requireVerifiedEmail } from "../middleware/auth.js";
+import { validateRecurringSchedule } from "../middleware/validation.js";
+import { getChangeContext } from "../utils/statusHistory.js";
+import { checkTransition, sendTransitionError } from "../utils/statusTransitions.js";
+import { materializeSchedule, cancelGeneratedRequests } from "../utils/recurringScheduler.js";
+import { publishCollectionEvent } from "../utils/eventBus.js";
+import { hasPermission } from "../utils/permissions.js";
+import { scoped, tenantOf } from "../utils/tenancy.js";
+import { OUTSIDE_SERVICE_AREA, isOutsideServiceArea } from "../utils/zones.js";
+import { geocodePickupLocation } from "../utils/geocoding/index.js";
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UPCOMING_COUNT = 5;
+const UPCOMING_SEARCH_DAYS = 120;
+
+const isDate = (value) => value !== undefined && value !== null && !Number.isNaN(new Date(value).getTime());
+
+// Next few days the schedule will collect on, for display
+const getUpcoming = (schedule) => {
+  const tomorrow = new Date(RecurringSchedule.startOfDay(new Date()).getTime() + DAY_MS);
+  const until = new Date(tomorrow.getTime() + UPCOMING_SEARCH_DAYS * DAY_MS);
+  return schedule.getOccurrences(tomorrow, until).slice(0, UPCOMING_COUNT);
+};
+
+// Audit context for changes a schedule makes to its requests, with a default reason
+const scheduleChangeContext = (req, defaultReason) => {
+  const context = getChangeContext(req);
+  return { ...context, reason: context.reason || defaultReason };
+};
+
+// Load a schedule the user may manage, or send the error response and return null
+const findManagedSchedule = async (req, res) => {
+  const schedule = await RecurringSchedule.findOne(scoped(req, { _id: req.params.id }));
+  if (!schedule) {
+    res.status(404).json({
+      success: false,
+      message: "Recurring schedule not found"
+    });
+    return null;
+  }
+
+  if (!schedule.canBeManagedBy(req.user._id, req.permissions)) {
+    res.status(403).json({
+      success: false,
+      message: "Access denied to this recurring schedule"
+    });
+    return null;
+  }
+
+  if (schedule.status === 'cancelled') {
+    res.status(409).json({
+      success: false,
+      message: "Recurring schedule has been cancelled"
+    });
+    return null;
+  }
+
+  return schedule;
+};
+
+/**
+ * @route   POST /api/schedules
+ * @desc    Create a recurring collection schedule and generate its upcoming requests
+ * @access  Private (schedules:manage-own, schedules:manage-all)
+ */
+router.post("/", authenticate, requirePermission('schedules:manage-own', 'schedules:manage-all'), requireVerifiedEmail, validateRecurringSchedule, async (req, res) => {
+  try {
+    const { wasteCategory, notes, frequency, dayOfWeek, dayOfMonth, startDate, endDate } = req.body;
+
+    // Geocode an address typed without coordinates, so the generated requests can be placed
+    const { pickupLocation } = await geocodePickupLocation(req.body.pickupLocation, {
+      organization: tenantOf(req.user)
+    });
+
+    const schedule = await RecurringSchedule.create({
+      requesterId: req.user._id,
+      wasteCategory,
+      pickupLocation,
+      notes,
+      frequency,
+      dayOfWeek: frequency === 'monthly' ? undefined : dayOfWeek,
+      dayOfMonth: frequency === 'monthly' ? dayOfMonth : undefined,
+      startDate,
+      endDate: endDate || undefined
+    });
+
+    const generated = await materializeSchedule(schedule);
+
+    res.status(201).json({
+      success: true,
+      message: "Recurring schedule created successfully",
+      schedule,
+      generated,
+      upcoming: getUpcoming(schedule)
+    });
+
+  } catch (error) {
+    console.error("Create recurring schedule error:", error);
+
+    if (isOutsideServiceArea(error)) {
+      return res.status(400).json({
+        success: false,
+        message: OUTSIDE_SERVICE_AREA,
+        outsideServiceArea: true
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error creating recurring schedule"
+    });
+  }
+});
+
+/**
+ * @route   GET /api/schedules
+ * @desc    Get recurring schedules (their own, or everyone's with schedules:manage-all)
+ * @access  Private (schedules:manage-own, schedules:manage-all)
+ */
+router.get("/", authenticate, requirePermission('schedules:manage-own', 'schedules:manage-all'), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+
+    const query = scoped(req, hasPermission(req.permissions, 'schedules:manage-all') ? {} : { requesterId: req.user._id });
+    if (status) {
+      query.status = status;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const schedules = await RecurringSchedule.find(query)
+      .populate('requesterId', 'username email profile')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await RecurringSchedule.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      schedules,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error("Get recurring schedules error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching recurring schedules"
+    });
+  }
+});
+
+/**
+ * @route   GET /api/schedules/:id
+ * @desc    Get a recurring schedule with its upcoming dates and generated requests
+ * @access  Private (schedules:manage-own, schedules:manage-all)
+ */
+router.get("/:id", authenticate, requirePermission('schedules:manage-own', 'schedules:manage-all'), async (req, res) => {
+  try {
+    const schedule = await RecurringSchedule.findOne(scoped(req, { _id: req.params.id }))
+      .populate('requesterId', 'username email profile');
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: "Recurring schedule not found"
+      });
+    }
+
+    const requesterId = schedule.requesterId?._id || schedule.requesterId;
+    if (!hasPermission(req.permissions, 'schedules:manage-all') && requesterId?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied to this recurring schedule"
+      });
+    }
+
+    const requests = await CollectionRequest.find({ recurringSchedule: schedule._id })
+      .populate('assignedCollector', 'username email profile')
+      .sort({ scheduledDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      schedule,
+      paused: schedule.isPausedOn(new Date()),
+      upcoming: getUpcoming(schedule),
+      requests
+    });
+
+  } catch (error) {
+    console.error("Get recurring schedule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching recurring schedule"
+    });
+  }
+});
+
+/**
+ * @route   POST /api/schedules/:id/pause
+ * @desc    Pause a schedule from a date (default today) until a date (open-ended if omitted)
+ * @access  Private (schedules:manage-own, schedules:manage-all)
+ */
+router.post("/:id/pause", authenticate, requirePermission('schedules:manage-own', 'schedules:manage-all'), async (req, res) => {
+  try {
+    const { from, until } = req.body;
+
+    if ((from && !isDate(from)) || (until && !isDate(until))) {
+      return res.status(400).json({
+        success: false,
+        message: "Pause dates must be valid dates"
+      });
+    }
+
+    const today = RecurringSchedule.startOfDay(new Date());
+    const pause = {
+      from: from ? RecurringSchedule.startOfDay(from) : today,
+      until: until ? RecurringSchedule.startOfDay(until) : undefined
+    };
+
+    if (pause.from < today || (pause.until && pause.until < pause.from)) {
+      return res.status(400).json({
+        success: false,
+        message: "A pause cannot start in the past or end before it starts"
+      });
+    }
+
+    const schedule = await findManagedSchedule(req, res);
+    if (!schedule) return;
+
+    schedule.pauses.push(pause);
+    await schedule.save();
+
+    const cancelled = await cancelGeneratedRequests(
+      schedule,
+      pause,
+      scheduleChangeContext(req, 'Recurring schedule paused')
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Recurring schedule paused",
+      schedule,
+      cancelled: cancelled.length,
+      upcoming: getUpcoming(schedule)
+    });
+
+  } catch (error) {
+    console.error("Pause recurring schedule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error pausing recurring schedule"
+    });
+  }
+});
+
+/**
+ * @route   POST /api/schedules/:id/resume
+ * @desc    End the current pause of a schedule
+ * @access  Private (schedules:manage-own, schedules:manage-all)
+ */
+router.post("/:id/resume", authenticate, requirePermission('schedules:manage-own', 'schedules:manage-all'), async (req, res) => {
+  try {
+    const schedule = await findManagedSchedule(req, res);
+    if (!schedule) return;
+
+    const today = RecurringSchedule.startOfDay(new Date());
+    const yesterday = new Date(today.getTime() - DAY_MS);
+    const current = schedule.pauses.filter(pause => pause.from <= today && (!pause.until || pause.until >= today));
+
+    if (current.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: "Recurring schedule is not paused"
+      });
+    }
+
+    // A schedule paused for being outside the service area would only be paused again
+    if ((await Zone.locate(schedule.organization, schedule.pickupLocation?.coordinates)) === null) {
+      return res.status(400).json({
+        success: false,
+        message: OUTSIDE_SERVICE_AREA,
+        outsideServiceArea: true
+      });
+    }
+
+    // Keep the part of the pause that has already passed
+    schedule.pauses = schedule.pauses
+      .filter(pause => !(current.includes(pause) && pause.from.getTime() === today.getTime()))
+      .map(pause => (current.includes(pause) ? { from: pause.from, until: yesterday } : pause));
+
+    // Generate again from tomorrow so paused days come back
+    schedule.generatedUntil = undefined;
+    const generated = await materializeSchedule(schedule);
+
+    res.status(200).json({
+      success: true,
+      message: "Recurring schedule resumed",
+      schedule,
+      generated,
+      upcoming: getUpcoming(schedule)
+    });
+
+  } catch (error) {
+    console.error("Resume recurring schedule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error resuming recurring schedule"
+    });
+  }
+});
+
+/**
+ * @route   POST /api/schedules/:id/skip
+ * @desc    Skip a single collection of a schedule
+ * @access  Private (schedules:manage-own, schedules:manage-all)
+ */
+router.post("/:id/skip", authenticate, requirePermission('schedules:manage-own', 'schedules:manage-all'), async (req, res) => {
+  try {
+    const { date } = req.body;
+
+    if (!isDate(date)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid date is required"
+      });
+    }
+
+    const schedule = await findManagedSchedule(req, res);
+    if (!schedule) return;
+
+    const day = RecurringSchedule.startOfDay(date);
+    if (day < RecurringSchedule.startOfDay(new Date()) || !schedule.fallsOn(day)) {
+      return res.status(400).json({
+        success: false,
+        message: "No upcoming collection is scheduled on that date"
+      });
+    }
+
+    // A request already generated for the day is cancelled, if the user may still cancel it
+    const request = await CollectionRequest.findOne({
+      recurringSchedule: schedule._id,
+      scheduledDate: day,
+      status: { $ne: 'cancelled' }
+    });
+
+    if (request) {
+      const transition = checkTransition(request.status, 'cancelled', req.permissions);
+      if (!transition.allowed) {
+        return sendTransitionError(res, request.status, transition);
+      }
+
+      const oldStatus = request.status;
+      request.transitionTo('cancelled', scheduleChangeContext(req, 'Skipped in recurring schedule'));
+      await request.save();
+      publishCollectionEvent('collection.cancelled', request, { oldStatus });
+    }
+
+    if (!schedule.isSkipped(day)) {
+      schedule.skippedDates.push(day);
+      await schedule.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Collection skipped",
+      schedule,
+      cancelledRequest: request || null,
+      upcoming: getUpcoming(schedule)
+    });
+
+  } catch (error) {
+    console.error("Skip recurring collection error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error skipping collection"
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/schedules/:id
+ * @desc    Cancel a recurring schedule and its upcoming pending requests
+ * @access  Private (schedules:manage-own, schedules:manage-all)
+ */
+router.delete("/:id", authenticate, requirePermission('schedules:manage-own', 'schedules:manage-all'), async (req, res) => {
+  try {
+    const schedule = await findManagedSchedule(req, res);
+    if (!schedule) return;
+
+    schedule.status = 'cancelled';
+    schedule.cancelledAt = new Date();
+    await schedule.save();
+
+    const cancelled = await cancelGeneratedRequests(
+      schedule,
+      { from: RecurringSchedule.startOfDay(new Date()) },
+      scheduleChangeContext(req, 'Recurring schedule cancelled')
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Recurring schedule cancelled successfully",
+      cancelled: cancelled.length
+    });
+
+  } catch (error) {
+    console.error("Cancel recurring schedule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error cancelling recurring schedule"
+    });
+  }
+});
+
+export default router;
@@ -1,20 +1,111 @@
 import express from "express";
 import User from "../models/User.js";
-import { generateToken } from "../utils/auth.js";
-import { authenticate, authorize } from "../middleware/auth.js";
-import { validateRegistration, validateLogin } from "../middleware/validation.js";
+import Organization from "../models/Organization.js";
+import RefreshToken from "../models/RefreshToken.js";
+import { startSession, refreshSession, endSession, endAllSessions } from "../utils/authSessions.js";
+import { issueAccountToken, consumeAccountToken } from "../utils/accountTokens.js";
+import { findPendingInvitation, markInvitationAccepted } from "../utils/invitations.js";
+import { sendVerificationEmail, sendPasswordResetEmail } from "../utils/notifications.js";
+import {
+  loginIpLimiter,
+  loginAccountLimiter,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount
+} from "../utils/loginProtection.js";
+import {
+  isTwoFactorRequired,
+  needsTwoFactorSetup,
+  beginTwoFactorSetup,
+  confirmTwoFactorSetup,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  countRecoveryCodes,
+  disableTwoFactor,
+  startTwoFactorChallenge,
+  findTwoFactorChallenge,
+  completeTwoFactorChallenge,
+  cancelTwoFactorChallenges
+} from "../utils/twoFactor.js";
+import { authenticate, authenticateForTwoFactorSetup } from "../middleware/auth.js";
+import {
+  validateRegistration,
+  validateLogin,
+  validatePreferences,
+  validateForgotPassword,
+  validateResetPassword,
+  validateInvitationAcceptance,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable
+} from "../middleware/validation.js";
 
 const router = express.Router();
 
+/**
+ * Issue a verification token and email it to the user
+ * Failures are logged so that registration itself always succeeds.
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+const sendVerification = async (user) => {
+  try {
+    const { token } = await issueAccountToken(user, 'email-verification');
+    await sendVerificationEmail(user, token);
+    return true;
+  } catch (error) {
+    console.error("Verification email error:", error);
+    return false;
+  }
+};
+
+/**
+ * Send the 401 response for a failed password step. Unknown emails, wrong passwords and
+ * locked accounts all get it, so the response doesn't tell which accounts exist
+ * @param {Object} res - Express response
+ */
+const sendInvalidCredentials = (res) => {
+  return res.status(401).json({
+    success: false,
+    message: "Invalid email or password"
+  });
+};
+
+/**
+ * Send the 423 response for an account locked during the two-factor step, whose
+ * caller has already proved the password
+ * @param {Object} res - Express response
+ * @param {Date} lockUntil - When sign-in is allowed again
+ */
+const sendLocked = (res, lockUntil) => {
+  const minutes = Math.max(1, Math.ceil((lockUntil.getTime() - Date.now()) / 60000));
+  res.set('Retry-After', String(minutes * 60));
+  return res.status(423).json({
+    success: false,
+    message: `Account is locked after too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or reset your password.`,
+    lockedUntil: lockUntil
+  });
+};
+
 /**
  * @route   POST /api/auth/register
- * @desc    Register a new user
+ * @desc    Register a new user, optionally in an organization given by its slug
  * @access  Public
  */
 router.post("/register", validateRegistration, async (req, res) => {
   try {
     const { username, email, password, role = 'resident', profile } = req.body;
 
+    const organization = req.body.organization
+      ? await Organization.findOne({ slug: req.body.organization, active: true })
+      : null;
+    if (req.body.organization && !organization) {
+      return res.status(400).json({
+        success: false,
+        message: "Unknown organization"
+      });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({
       $or: [{ email }, { username }]
@@ -34,18 +125,15 @@ router.post("/register", validateRegistration, async (req, res) => {
       email,
       password,
       role,
+      organization: organization?._id,
       profile: profile || {}
     };
 
     const newUser = await User.create(userData);
+    const verificationEmailSent = await sendVerification(newUser);
 
-    // Generate JWT token
-    const token = generateToken({
-      id: newUser._id,
-      email: newUser.email,
-      username: newUser.username,
-      role: newUser.role
-    });
+    // Sign the new user in on this device
+    const { token, refreshToken, refreshTokenExpiresAt } = await startSession(newUser, req);
 
     // Return user data without password
     const userResponse = newUser.toJSON();
@@ -54,7 +142,10 @@ router.post("/register", validateRegistration, async (req, res) => {
       success: true,
       message: "User registered successfully",
       user: userResponse,
-      token
+      token,
+      refreshToken,
+      refreshTokenExpiresAt,
+      verificationEmailSent
     });
 
   } catch (error) {
@@ -80,40 +171,168 @@ router.post("/register", validateRegistration, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/auth/invitations/:token
+ * @desc    Show who an invitation is for before it is accepted
+ * @access  Public
+ */
+router.get("/invitations/:token", async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation is invalid, has expired or has already been used"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      invitation: {
+        email: invitation.email,
+        role: invitation.role,
+        organization: invitation.organization?.name,
+        message: invitation.message,
+        invitedBy: invitation.invitedBy?.username,
+        expiresAt: invitation.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error("Invitation lookup error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching invitation"
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/accept-invitation
+ * @desc    Create the invited account with the role from the invitation
+ * @access  Public
+ */
+router.post("/accept-invitation", validateInvitationAcceptance, async (req, res) => {
+  try {
+    const { token, username, password, profile } = req.body;
+
+    const invitation = await findPendingInvitation(token);
+    if (!invitation || invitation.organization?.active === false) {
+      return res.status(400).json({
+        success: false,
+        message: "Invitation is invalid, has expired or has already been used"
+      });
+    }
+
+    const existingUser = await User.findOne({
+      $or: [{ email: invitation.email }, { username }]
+    });
+
+    if (existingUser) {
+      const field = existingUser.email === invitation.email ? 'email' : 'username';
+      return res.status(409).json({
+        success: false,
+        message: `User with this ${field} already exists`
+      });
+    }
+
+    // The invitation reached this inbox, so the address is already verified
+    const newUser = await User.create({
+      username,
+      email: invitation.email,
+      password,
+      role: invitation.role,
+      organization: invitation.organization?._id,
+      profile: profile || {},
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+
+    if (!(await markInvitationAccepted(invitation, newUser))) {
+      // Accepted or revoked while this account was being created
+      await User.findByIdAndDelete(newUser._id);
+      return res.status(400).json({
+        success: false,
+        message: "Invitation is invalid, has expired or has already been used"
+      });
+    }
+
+    const { token: accessToken, refreshToken, refreshTokenExpiresAt } = await startSession(newUser, req);
+
+    res.status(201).json({
+      success: true,
+      message: "Account created successfully",
+      user: newUser.toJSON(),
+      token: accessToken,
+      refreshToken,
+      refreshTokenExpiresAt
+    });
+
+  } catch (error) {
+    console.error("Accept invitation error:", error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json(validationFailure(error));
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error creating account"
+    });
+  }
+});
+
 /**
  * @route   POST /api/auth/login
- * @desc    Authenticate user and get token
+ * @desc    Authenticate user and get token, or a challenge for the second step when two-factor is on
+ *          (rate limited; locks the account after repeated failures)
  * @access  Public
  */
-router.post("/login", validateLogin, async (req, res) => {
+router.post("/login", loginIpLimiter, loginAccountLimiter, validateLogin, async (req, res) => {
   try {
     const { email, password } = req.body;
 
     // Find user by email
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid email or password"
-      });
+      return sendInvalidCredentials(res);
+    }
+
+    // Locked accounts are refused without checking the password
+    if (user.isLocked()) {
+      return sendInvalidCredentials(res);
     }
 
     // Check password using the model method
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
-      return res.status(401).json({
+      await recordFailedLogin(user);
+      return sendInvalidCredentials(res);
+    }
+
+    if (!(await Organization.isActive(user.organization))) {
+      return res.status(403).json({
         success: false,
-        message: "Invalid email or password"
+        message: "Your organization has been deactivated"
       });
     }
 
-    // Generate JWT token
-    const token = generateToken({
-      id: user._id,
-      email: user.email,
-      username: user.username,
-      role: user.role
-    });
+    // With two-factor on, the password only earns a challenge for the code step
+    if (user.twoFactor?.enabled) {
+      const { challengeToken, challengeExpiresAt } = await startTwoFactorChallenge(user);
+      return res.status(200).json({
+        success: true,
+        message: "Enter the code from your authenticator app",
+        twoFactorRequired: true,
+        challengeToken,
+        challengeExpiresAt
+      });
+    }
+
+    await recordSuccessfulLogin(user, email);
+
+    // Start a session for this device
+    const { token, refreshToken, refreshTokenExpiresAt } = await startSession(user, req);
 
     // Return user data without password
     const userResponse = user.toJSON();
@@ -122,7 +341,10 @@ router.post("/login", validateLogin, async (req, res) => {
       success: true,
       message: "Login successful",
       user: userResponse,
-      token
+      token,
+      refreshToken,
+      refreshTokenExpiresAt,
+      twoFactorSetupRequired: needsTwoFactorSetup(user)
     });
 
   } catch (error) {
@@ -134,16 +356,290 @@ router.post("/login", validateLogin, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/auth/login/two-factor
+ * @desc    Finish a two-factor login with the challenge and an authenticator or recovery code
+ * @access  Public
+ */
+router.post("/login/two-factor", loginIpLimiter, validateTwoFactorLogin, async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const challenge = await findTwoFactorChallenge(challengeToken);
+    const user = challenge && await User.findById(challenge.user);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "Login challenge is invalid or has expired. Please log in again."
+      });
+    }
+
+    if (user.isLocked()) {
+      await cancelTwoFactorChallenges(user);
+      return sendLocked(res, user.lockUntil);
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const factor = await verifySecondFactor(user, code);
+    if (!factor) {
+      const failure = await recordFailedLogin(user);
+      if (failure.locked) {
+        await cancelTwoFactorChallenges(user);
+        return sendLocked(res, failure.lockUntil);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid authentication code"
+      });
+    }
+
+    if (!(await completeTwoFactorChallenge(challengeToken))) {
+      return res.status(401).json({
+        success: false,
+        message: "Login challenge is invalid or has expired. Please log in again."
+      });
+    }
+
+    await recordSuccessfulLogin(user, user.email);
+
+    const { token, refreshToken, refreshTokenExpiresAt } = await startSession(user, req);
+
+    res.status(200).json({
+      success: true,
+      message: "Login successful",
+      user: user.toJSON(),
+      token,
+      refreshToken,
+      refreshTokenExpiresAt,
+      ...(factor.method === 'recovery' && { recoveryCodesRemaining: factor.recoveryCodesRemaining })
+    });
+
+  } catch (error) {
+    console.error("Two-factor login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error during login"
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm a user's email address with the token from their verification email
+ * @access  Public
+ */
+router.post("/verify-email", async (req, res) => {
+  try {
+    const accountToken = await consumeAccountToken(req.body.token, 'email-verification');
+    if (!accountToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification link is invalid or has expired"
+      });
+    }
+
+    const user = await User.findById(accountToken.user);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification link is invalid or has expired"
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Email address verified",
+      user: user.toJSON()
+    });
+
+  } catch (error) {
+    console.error("Email verification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error verifying email"
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new verification email to the current user
+ * @access  Private
+ */
+router.post("/resend-verification", authenticate, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Email address is already verified"
+      });
+    }
+
+    const sent = await sendVerification(req.user);
+    if (!sent) {
+      return res.status(502).json({
+        success: false,
+        message: "Verification email could not be sent. Please try again later."
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}`
+    });
+
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error sending verification email"
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link (the response never reveals whether the email is registered)
+ * @access  Public
+ */
+router.post("/forgot-password", validateForgotPassword, async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user) {
+      try {
+        const { token } = await issueAccountToken(user, 'password-reset');
+        await sendPasswordResetEmail(user, token);
+      } catch (error) {
+        console.error("Password reset email error:", error);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "If an account exists for that email, a password reset link has been sent"
+    });
+
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error requesting password reset"
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Choose a new password with the token from a reset email; ends every session
+ * @access  Public
+ */
+router.post("/reset-password", validateResetPassword, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const accountToken = await consumeAccountToken(token, 'password-reset');
+    const user = accountToken && await User.findById(accountToken.user);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Reset link is invalid or has expired"
+      });
+    }
+
+    // Password will be hashed by pre-save middleware; proving the email also lifts a lockout
+    user.password = password;
+    unlockAccount(user);
+
+    // The reset link reached the user's inbox, which proves they own the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+
+    await endAllSessions(user, 'password-reset');
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Password has been reset. Please log in with your new password."
+    });
+
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error resetting password"
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token and refresh token
+ * @access  Public
+ */
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: "Refresh token is required"
+      });
+    }
+
+    const result = await refreshSession(refreshToken);
+    if (result.error) {
+      // A refresh from another tab got there first; the client retries with the token it stored
+      return res.status(result.rotated ? 409 : 401).json({
+        success: false,
+        message: result.error,
+        ...(result.rotated && { rotated: true })
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Token refreshed",
+      user: result.user.toJSON(),
+      token: result.token,
+      refreshToken: result.refreshToken,
+      refreshTokenExpiresAt: result.refreshTokenExpiresAt
+    });
+
+  } catch (error) {
+    console.error("Token refresh error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error refreshing token"
+    });
+  }
+});
+
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user (client-side token removal)
+ * @desc    Logout user and revoke the session (allDevices: true ends every session)
  * @access  Private
  */
-router.post("/logout", authenticate, async (req, res) => {
+router.post("/logout", authenticateForTwoFactorSetup, async (req, res) => {
   try {
-    // In a JWT-based system, logout is typically handled client-side
-    // by removing the token. We can log the logout event here.
-    
+    if (req.body?.allDevices) {
+      const user = await User.findById(req.user._id);
+      await endAllSessions(user, 'logout');
+      await user.save();
+    } else if (req.sessionId) {
+      await endSession(req.sessionId, 'logout');
+    }
+
     res.status(200).json({
       success: true,
       message: "Logout successful"
@@ -158,12 +654,247 @@ router.post("/logout", authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the devices the user is signed in on
+ * @access  Private
+ */
+router.get("/sessions", authenticateForTwoFactorSetup, async (req, res) => {
+  try {
+    const sessions = await RefreshToken.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('device ipAddress createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session.toObject(),
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+
+  } catch (error) {
+    console.error("Sessions fetch error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching sessions"
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Sign out one device
+ * @access  Private
+ */
+router.delete("/sessions/:id", authenticateForTwoFactorSetup, async (req, res) => {
+  try {
+    const session = await RefreshToken.findOne({ _id: req.params.id, user: req.user._id });
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found"
+      });
+    }
+
+    session.revoke('logout');
+    await session.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Session ended"
+    });
+
+  } catch (error) {
+    console.error("Session revoke error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error ending session"
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/two-factor
+ * @desc    Get the user's two-factor status
+ * @access  Private
+ */
+router.get("/two-factor", authenticateForTwoFactorSetup, async (req, res) => {
+  try {
+    const enabled = Boolean(req.user.twoFactor?.enabled);
+
+    res.status(200).json({
+      success: true,
+      twoFactor: {
+        enabled,
+        enabledAt: req.user.twoFactor?.enabledAt,
+        required: isTwoFactorRequired(req.user),
+        recoveryCodesRemaining: enabled ? await countRecoveryCodes(req.user) : 0
+      }
+    });
+
+  } catch (error) {
+    console.error("Get two-factor status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching two-factor status"
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/two-factor/setup
+ * @desc    Start enrolment: get a new secret and otpauth URI for an authenticator app
+ * @access  Private
+ */
+router.post("/two-factor/setup", authenticateForTwoFactorSetup, async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already on. Turn it off first to use a new device."
+      });
+    }
+
+    const { secret, otpauthUri } = await beginTwoFactorSetup(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: "Add this account to your authenticator app, then confirm with a code from it",
+      secret,
+      otpauthUri
+    });
+
+  } catch (error) {
+    console.error("Two-factor setup error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error starting two-factor setup"
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/two-factor/enable
+ * @desc    Finish enrolment with a code from the authenticator app; returns recovery codes once
+ * @access  Private
+ */
+router.post("/two-factor/enable", authenticateForTwoFactorSetup, validateTwoFactorCode, async (req, res) => {
+  try {
+    const recoveryCodes = await confirmTwoFactorSetup(req.user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code, or no setup in progress"
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication is on. Store your recovery codes somewhere safe.",
+      recoveryCodes,
+      user: user.toJSON()
+    });
+
+  } catch (error) {
+    console.error("Two-factor enable error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error enabling two-factor authentication"
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/two-factor/disable
+ * @desc    Turn two-factor off with the password and a current or recovery code
+ * @access  Private
+ */
+router.post("/two-factor/disable", authenticateForTwoFactorSetup, validateTwoFactorDisable, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (isTwoFactorRequired(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: `Two-factor authentication is required for ${req.user.role} accounts`
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!(await user.comparePassword(password))) {
+      return res.status(400).json({
+        success: false,
+        message: "Password is incorrect"
+      });
+    }
+
+    if (!(await verifySecondFactor(user, code))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code"
+      });
+    }
+
+    await disableTwoFactor(user);
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication is off"
+    });
+
+  } catch (error) {
+    console.error("Two-factor disable error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error disabling two-factor authentication"
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/two-factor/recovery-codes
+ * @desc    Replace the recovery codes, confirmed with a current or recovery code
+ * @access  Private
+ */
+router.post("/two-factor/recovery-codes", authenticateForTwoFactorSetup, validateTwoFactorCode, async (req, res) => {
+  try {
+    if (!req.user.twoFactor?.enabled || !(await verifySecondFactor(req.user, req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code"
+      });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: "New recovery codes created; the old ones no longer work",
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error("Recovery codes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error creating recovery codes"
+    });
+  }
+});
+
 /**
  * @route   GET /api/auth/profile
- * @desc    Get current user profile
+ * @desc    Get current user profile and the permissions their role grants
  * @access  Private
  */
-router.get("/profile", authenticate, async (req, res) => {
+router.get("/profile", authenticateForTwoFactorSetup, async (req, res) => {
   try {
     // User is already attached to req by authenticate middleware
     const user = await User.findById(req.user._id);
@@ -177,7 +908,8 @@ router.get("/profile", authenticate, async (req, res) => {
 
     res.status(200).json({
       success: true,
-      user: user.toJSON()
+      user: user.toJSON(),
+      permissions: req.permissions
     });
 
   } catch (error) {
@@ -189,14 +921,28 @@ router.get("/profile", authenticate, async (req, res) => {
   }
 });
 
+/**
+ * Build the 400 response body for a Mongoose validation error
+ * @param {Object} error - Mongoose ValidationError
+ * @returns {Object} Response body
+ */
+const validationFailure = (error) => ({
+  success: false,
+  message: "Validation failed",
+  errors: Object.values(error.errors).map(err => ({
+    field: err.path,
+    message: err.message
+  }))
+});
+
 /**
  * @route   PUT /api/auth/profile
- * @desc    Update user profile
+ * @desc    Update user profile (and optionally notification preferences)
  * @access  Private
  */
-router.put("/profile", authenticate, async (req, res) => {
+router.put("/profile", authenticate, validatePreferences, async (req, res) => {
   try {
-    const { profile } = req.body;
+    const { profile, preferences } = req.body;
     
     const user = await User.findById(req.user._id);
     if (!user) {
@@ -209,6 +955,13 @@ router.put("/profile", authenticate, async (req, res) => {
     // Update profile fields
     if (profile) {
       user.profile = { ...user.profile, ...profile };
+    }
+
+    if (preferences) {
+      user.updatePreferences(preferences);
+    }
+
+    if (profile || preferences) {
       await user.save();
     }
 
@@ -220,6 +973,11 @@ router.put("/profile", authenticate, async (req, res) => {
 
   } catch (error) {
     console.error("Profile update error:", error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json(validationFailure(error));
+    }
+
     res.status(500).json({
       success: false,
       message: "Server error updating profile"
@@ -227,4 +985,80 @@ router.put("/profile", authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/auth/preferences
+ * @desc    Get current user's notification preferences
+ * @access  Private
+ */
+router.get("/preferences", authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      preferences: user.toObject().preferences
+    });
+
+  } catch (error) {
+    console.error("Preferences fetch error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching preferences"
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/auth/preferences
+ * @desc    Update notification preferences; omitted settings are left unchanged
+ * @access  Private
+ */
+router.put("/preferences", authenticate, validatePreferences, async (req, res) => {
+  try {
+    const { preferences } = req.body;
+
+    if (!preferences) {
+      return res.status(400).json({
+        success: false,
+        message: "Preferences are required"
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    user.updatePreferences(preferences);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Preferences updated successfully",
+      preferences: user.toObject().preferences
+    });
+
+  } catch (error) {
+    console.error("Preferences update error:", error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json(validationFailure(error));
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error updating preferences"
+    });
+  }
+});
+
 export default router;
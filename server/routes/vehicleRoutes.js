@@ -0,0 +1,237 @@
+import express from "express";
+import { Vehicle, CollectionRoute } from "../models/index.js";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import { validateVehicle, validateVehicleUpdate } from "../middleware/validation.js";
+import { scoped, resolveTenantForNew } from "../utils/tenancy.js";
+
+const router = express.Router();
+
+// Fields an admin may set on a vehicle
+const VEHICLE_FIELDS = ['name', 'registration', 'capacity', 'wasteCategories', 'depot', 'active'];
+
+const sendValidationError = (res, error) => {
+  const errors = Object.values(error.errors).map(err => ({
+    field: err.path,
+    message: err.message
+  }));
+  return res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors
+  });
+};
+
+/**
+ * @route   GET /api/vehicles
+ * @desc    List vehicles (filter by active, wasteCategory)
+ * @access  Private (vehicles:manage)
+ */
+router.get("/", authenticate, requirePermission('vehicles:manage'), async (req, res) => {
+  try {
+    const { active, wasteCategory } = req.query;
+
+    const query = scoped(req);
+    if (active !== undefined) {
+      query.active = active === 'true';
+    }
+    if (wasteCategory) {
+      query.wasteCategories = wasteCategory;
+    }
+
+    const vehicles = await Vehicle.find(query).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      vehicles
+    });
+
+  } catch (error) {
+    console.error("Get vehicles error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching vehicles"
+    });
+  }
+});
+
+/**
+ * @route   POST /api/vehicles
+ * @desc    Register a vehicle in the organization's fleet; super-admins pick the organization
+ * @access  Private (vehicles:manage)
+ */
+router.post("/", authenticate, requirePermission('vehicles:manage'), validateVehicle, async (req, res) => {
+  try {
+    const tenant = await resolveTenantForNew(req);
+    if (!tenant) {
+      return res.status(400).json({
+        success: false,
+        message: "Organization not found or inactive"
+      });
+    }
+
+    const data = { ...tenant };
+    VEHICLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const vehicle = await Vehicle.create(data);
+
+    res.status(201).json({
+      success: true,
+      message: "Vehicle created successfully",
+      vehicle
+    });
+
+  } catch (error) {
+    console.error("Create vehicle error:", error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A vehicle with this registration already exists"
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error creating vehicle"
+    });
+  }
+});
+
+/**
+ * @route   GET /api/vehicles/:id
+ * @desc    Get a vehicle and its upcoming routes
+ * @access  Private (vehicles:manage)
+ */
+router.get("/:id", authenticate, requirePermission('vehicles:manage'), async (req, res) => {
+  try {
+    const vehicle = await Vehicle.findOne(scoped(req, { _id: req.params.id }));
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: "Vehicle not found"
+      });
+    }
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const routes = await CollectionRoute.find({ vehicle: vehicle._id, date: { $gte: today } })
+      .populate('collectorId', 'username email profile')
+      .sort({ date: 1 });
+
+    res.status(200).json({
+      success: true,
+      vehicle,
+      routes
+    });
+
+  } catch (error) {
+    console.error("Get vehicle error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching vehicle"
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/vehicles/:id
+ * @desc    Update a vehicle
+ * @access  Private (vehicles:manage)
+ */
+router.put("/:id", authenticate, requirePermission('vehicles:manage'), validateVehicleUpdate, async (req, res) => {
+  try {
+    const vehicle = await Vehicle.findOne(scoped(req, { _id: req.params.id }));
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: "Vehicle not found"
+      });
+    }
+
+    VEHICLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) vehicle.set(field, req.body[field]);
+    });
+
+    await vehicle.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Vehicle updated successfully",
+      vehicle
+    });
+
+  } catch (error) {
+    console.error("Update vehicle error:", error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A vehicle with this registration already exists"
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error updating vehicle"
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/vehicles/:id
+ * @desc    Retire a vehicle (kept for the routes that used it)
+ * @access  Private (vehicles:manage)
+ */
+router.delete("/:id", authenticate, requirePermission('vehicles:manage'), async (req, res) => {
+  try {
+    const vehicle = await Vehicle.findOne(scoped(req, { _id: req.params.id }));
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: "Vehicle not found"
+      });
+    }
+
+    // A vehicle still planned onto routes can't be retired
+    const plannedRoutes = await CollectionRoute.countDocuments({
+      vehicle: vehicle._id,
+      status: { $in: ['planned', 'active'] }
+    });
+
+    if (plannedRoutes > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Vehicle is assigned to ${plannedRoutes} planned or active route(s)`
+      });
+    }
+
+    vehicle.active = false;
+    await vehicle.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Vehicle retired successfully",
+      vehicle
+    });
+
+  } catch (error) {
+    console.error("Retire vehicle error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error retiring vehicle"
+    });
+  }
+});
+
+export default router;
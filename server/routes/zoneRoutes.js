@@ -0,0 +1,280 @@
+import express from "express";
+import { Zone, CollectionRequest } from "../models/index.js";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import { validateZone, validateZoneUpdate } from "../middleware/validation.js";
+import { scoped, tenantOf, resolveTenantForNew } from "../utils/tenancy.js";
+
+const router = express.Router();
+
+// Fields an admin may set on a zone
+const ZONE_FIELDS = ['name', 'boundary', 'collectionDays', 'collectors', 'active'];
+
+const sendValidationError = (res, error) => {
+  const errors = Object.values(error.errors).map(err => ({
+    field: err.path,
+    message: err.message
+  }));
+  return res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors
+  });
+};
+
+const sendDuplicateName = (res) => {
+  return res.status(409).json({
+    success: false,
+    message: "A zone with this name already exists"
+  });
+};
+
+/**
+ * @route   GET /api/zones/locate
+ * @desc    Find the zone of the user's organization covering a location (?lat=&lng=),
+ *          e.g. to tell a resident their collection days before they make a request
+ * @access  Private
+ */
+router.get("/locate", authenticate, async (req, res) => {
+  try {
+    const lat = Number(req.query.lat);
+    const lng = Number(req.query.lng);
+
+    if (req.query.lat === undefined || req.query.lng === undefined ||
+        !(lat >= -90 && lat <= 90) || !(lng >= -180 && lng <= 180)) {
+      return res.status(400).json({
+        success: false,
+        message: "Latitude must be between -90 and 90 and longitude between -180 and 180"
+      });
+    }
+
+    const zone = await Zone.locate(tenantOf(req.user), { lat, lng });
+
+    res.status(200).json({
+      success: true,
+      // Without zones the organization serves every location
+      served: zone !== null,
+      zone: zone ? { _id: zone._id, name: zone.name, collectionDays: zone.collectionDays } : null
+    });
+
+  } catch (error) {
+    console.error("Locate zone error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error locating zone"
+    });
+  }
+});
+
+/**
+ * @route   GET /api/zones
+ * @desc    List the organization's zones (filter by active)
+ * @access  Private (zones:manage)
+ */
+router.get("/", authenticate, requirePermission('zones:manage'), async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    const query = scoped(req);
+    if (active !== undefined) {
+      query.active = active === 'true';
+    }
+
+    const zones = await Zone.find(query)
+      .populate('collectors', 'username email profile')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      zones
+    });
+
+  } catch (error) {
+    console.error("Get zones error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching zones"
+    });
+  }
+});
+
+/**
+ * @route   POST /api/zones
+ * @desc    Draw a zone; new requests in the organization must then fall inside one of its
+ *          active zones. Super-admins pick the organization
+ * @access  Private (zones:manage)
+ */
+router.post("/", authenticate, requirePermission('zones:manage'), validateZone, async (req, res) => {
+  try {
+    const tenant = await resolveTenantForNew(req);
+    if (!tenant) {
+      return res.status(400).json({
+        success: false,
+        message: "Organization not found or inactive"
+      });
+    }
+
+    const data = { ...tenant, createdBy: req.user._id };
+    ZONE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const zone = await Zone.create(data);
+
+    res.status(201).json({
+      success: true,
+      message: "Zone created successfully",
+      zone
+    });
+
+  } catch (error) {
+    console.error("Create zone error:", error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    if (error.code === 11000) {
+      return sendDuplicateName(res);
+    }
+
+    // MongoDB refuses polygons it can't index, e.g. self-intersecting ones
+    if (error.code === 16755) {
+      return res.status(400).json({
+        success: false,
+        message: "Boundary is not a valid polygon"
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error creating zone"
+    });
+  }
+});
+
+/**
+ * @route   GET /api/zones/:id
+ * @desc    Get a zone with counts of its collection requests by status
+ * @access  Private (zones:manage)
+ */
+router.get("/:id", authenticate, requirePermission('zones:manage'), async (req, res) => {
+  try {
+    const zone = await Zone.findOne(scoped(req, { _id: req.params.id }))
+      .populate('collectors', 'username email profile');
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: "Zone not found"
+      });
+    }
+
+    const requestsByStatus = await CollectionRequest.aggregate([
+      { $match: { zone: zone._id } },
+      { $group: { _id: "$status", count: { $sum: 1 } } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      zone,
+      requests: requestsByStatus.reduce((acc, item) => {
+        acc[item._id] = item.count;
+        return acc;
+      }, {})
+    });
+
+  } catch (error) {
+    console.error("Get zone error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching zone"
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/zones/:id
+ * @desc    Update a zone; requests already made keep the zone they were placed in
+ * @access  Private (zones:manage)
+ */
+router.put("/:id", authenticate, requirePermission('zones:manage'), validateZoneUpdate, async (req, res) => {
+  try {
+    const zone = await Zone.findOne(scoped(req, { _id: req.params.id }));
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: "Zone not found"
+      });
+    }
+
+    ZONE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) zone.set(field, req.body[field]);
+    });
+
+    await zone.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Zone updated successfully",
+      zone
+    });
+
+  } catch (error) {
+    console.error("Update zone error:", error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    if (error.code === 11000) {
+      return sendDuplicateName(res);
+    }
+
+    if (error.code === 16755) {
+      return res.status(400).json({
+        success: false,
+        message: "Boundary is not a valid polygon"
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error updating zone"
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/zones/:id
+ * @desc    Deactivate a zone (kept for the requests placed in it); once no zone is active
+ *          the organization accepts any address again
+ * @access  Private (zones:manage)
+ */
+router.delete("/:id", authenticate, requirePermission('zones:manage'), async (req, res) => {
+  try {
+    const zone = await Zone.findOne(scoped(req, { _id: req.params.id }));
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: "Zone not found"
+      });
+    }
+
+    zone.active = false;
+    await zone.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Zone deactivated successfully",
+      zone
+    });
+
+  } catch (error) {
+    console.error("Deactivate zone error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error deactivating zone"
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,62 @@
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { Address, Organization } from '../models/index.js';
+import connectDB from '../config/db.js';
+import { parseGazetteer } from '../utils/addresses.js';
+
+// Load environment variables
+dotenv.config();
+
+// Import a gazetteer CSV (header row with address, lat and lng columns) into the address
+// register used to geocode pickup addresses. Usage:
+//   npm run import:addresses -- <file.csv> [organization-slug]
+// Without an organization the addresses serve every organization. Safe to run again
+// with an updated file: known addresses get the new coordinates.
+const importAddresses = async () => {
+  try {
+    const [file, slug] = process.argv.slice(2);
+    if (!file) {
+      console.error('Usage: npm run import:addresses -- <file.csv> [organization-slug]');
+      process.exit(1);
+    }
+
+    const { entries, errors, error } = parseGazetteer(await fs.readFile(file, 'utf8'));
+    if (error) {
+      console.error(`❌ ${error}`);
+      process.exit(1);
+    }
+    errors.forEach(({ row, message }) => console.warn(`⚠️  Row ${row} skipped: ${message}`));
+
+    console.log(`📍 Importing ${entries.length} addresses from ${file}...`);
+
+    // Connect to database
+    await connectDB();
+
+    let organization = null;
+    if (slug) {
+      organization = await Organization.findOne({ slug });
+      if (!organization) {
+        console.error(`❌ Organization not found: ${slug}`);
+        await mongoose.connection.close();
+        process.exit(1);
+      }
+    }
+
+    await Address.createIndexes();
+    const { inserted, updated } = await Address.importEntries(organization?._id, entries, path.basename(file));
+
+    console.log(`✅ ${inserted} addresses added and ${updated} updated${organization ? ` for ${organization.name}` : ''}; ${errors.length} rows skipped`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Error importing addresses:', error);
+    process.exit(1);
+  }
+};
+
+// Run the import
+importAddresses();
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { CollectionRequest } from '../models/index.js';
+import connectDB from '../config/db.js';
+import { toPoint } from '../utils/zones.js';
+
+// Load environment variables
+dotenv.config();
+
+// Requests saved per bulk write
+const BATCH_SIZE = 500;
+
+// Give collection requests saved before GeoJSON points were stored a pickupLocation.geo
+// point built from their lat/lng coordinates, and build the 2dsphere index, so they show
+// up in spatial queries. Safe to run more than once.
+const migrateGeoLocations = async () => {
+  try {
+    console.log('🌍 Migrating pickup locations to GeoJSON points...');
+
+    // Connect to database
+    await connectDB();
+
+    const cursor = CollectionRequest.find({
+      'pickupLocation.coordinates.lat': { $type: 'number' },
+      'pickupLocation.coordinates.lng': { $type: 'number' },
+      'pickupLocation.geo': { $exists: false }
+    }).select('pickupLocation.coordinates').lean().cursor();
+
+    let batch = [];
+    let migrated = 0;
+    const flush = async () => {
+      if (batch.length > 0) {
+        await CollectionRequest.bulkWrite(batch, { ordered: false });
+        migrated += batch.length;
+        batch = [];
+      }
+    };
+
+    for await (const request of cursor) {
+      batch.push({
+        updateOne: {
+          filter: { _id: request._id },
+          update: { $set: { 'pickupLocation.geo': toPoint(request.pickupLocation.coordinates) } }
+        }
+      });
+      if (batch.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+
+    await CollectionRequest.createIndexes();
+
+    console.log(`✅ Added GeoJSON points to ${migrated} collection requests`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Error migrating pickup locations:', error);
+    process.exit(1);
+  }
+};
+
+// Run the migration
+migrateGeoLocations();
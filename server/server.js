@@ -9,6 +9,15 @@ import routeRoutes from "./routes/routeRoutes.js";
 import adminRoutes from "./routes/adminRoutes.js";
 import notificationRoutes from "./routes/notificationRoutes.js";
 import dashboardRoutes from "./routes/dashboardRoutes.js";
+import eventRoutes from "./routes/eventRoutes.js";
+import scheduleRoutes from "./routes/scheduleRoutes.js";
+import vehicleRoutes from "./routes/vehicleRoutes.js";
+import organizationRoutes from "./routes/organizationRoutes.js";
+import zoneRoutes from "./routes/zoneRoutes.js";
+import addressRoutes from "./routes/addressRoutes.js";
+import { startDeliveryWorker } from "./utils/notificationDispatcher.js";
+import { startScheduleWorker } from "./utils/recurringScheduler.js";
+import { rateLimit } from "./utils/rateLimiter.js";
 
 // Load environment variables
 dotenv.config();
@@ -19,6 +28,11 @@ const app = express();
 // Security middleware
 app.use(helmet());
 
+// Number of proxies in front of the app, so rate limits see the real client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY));
+}
+
 // CORS configuration
 const corsOptions = {
   origin: process.env.CLIENT_URL || "http://localhost:3000",
@@ -34,13 +48,42 @@ app.use(express.urlencoded({ extended: true }));
 // Connect to MongoDB
 connectDB();
 
+// Retry failed notification deliveries in the background
+startDeliveryWorker();
+
+// Generate upcoming collection requests for recurring schedules
+startScheduleWorker();
+
+// Rate limits per route group: requests per client address every 15 minutes.
+// Sign-in has its own stricter per-address and per-account limits (see utils/loginProtection.js).
+const WINDOW_MS = 15 * 60 * 1000;
+const apiLimits = {
+  auth: rateLimit({ name: 'api-auth', windowMs: WINDOW_MS, max: 100 }),
+  events: rateLimit({ name: 'api-events', windowMs: WINDOW_MS, max: 60 }),
+  general: rateLimit({ name: 'api', windowMs: WINDOW_MS, max: 1000 })
+};
+
+// Only the /api/auth endpoints that take credentials get the strict limit; profile,
+// session and token refresh requests from every open tab count towards the general one
+const CREDENTIAL_PATHS = ['/login', '/register', '/forgot-password', '/reset-password', '/two-factor'];
+const authLimit = (req, res, next) => {
+  const credential = CREDENTIAL_PATHS.some(path => req.path === path || req.path.startsWith(`${path}/`));
+  return (credential ? apiLimits.auth : apiLimits.general)(req, res, next);
+};
+
 // API Routes
-app.use("/api/auth", userRoutes);
-app.use("/api/collections", collectionRoutes);
-app.use("/api/routes", routeRoutes);
-app.use("/api/admin", adminRoutes);
-app.use("/api/notifications", notificationRoutes);
-app.use("/api/dashboard", dashboardRoutes);
+app.use("/api/auth", authLimit, userRoutes);
+app.use("/api/collections", apiLimits.general, collectionRoutes);
+app.use("/api/routes", apiLimits.general, routeRoutes);
+app.use("/api/admin", apiLimits.general, adminRoutes);
+app.use("/api/notifications", apiLimits.general, notificationRoutes);
+app.use("/api/dashboard", apiLimits.general, dashboardRoutes);
+app.use("/api/events", apiLimits.events, eventRoutes);
+app.use("/api/schedules", apiLimits.general, scheduleRoutes);
+app.use("/api/vehicles", apiLimits.general, vehicleRoutes);
+app.use("/api/organizations", apiLimits.general, organizationRoutes);
+app.use("/api/zones", apiLimits.general, zoneRoutes);
+app.use("/api/addresses", apiLimits.general, addressRoutes);
 
 // Health check endpoint
 app.get("/", (req, res) => {
@@ -0,0 +1,35 @@
+/**
+ * Account helpers shared by the property tests
+ */
+
+import request from 'supertest';
+import { createInvitation } from '../../utils/invitations.js';
+
+/**
+ * Suffix that keeps usernames, emails and other unique fields apart between test runs
+ * @returns {string}
+ */
+export const uniqueSuffix = () => `${Date.now()}_${Math.random().toString(36).substring(7)}`;
+
+/**
+ * Create an account the way a real user of that role would
+ * Residents sign up through POST /api/auth/register; collectors and admins can only
+ * join through an invitation, so one is issued and accepted for them.
+ * @param {Object} app - Express app with the auth routes mounted at /api/auth
+ * @param {Object} userData - Registration data including role
+ * @returns {Promise<Object>} Supertest response ({ user, token, refreshToken } on success)
+ */
+export const registerUser = async (app, userData) => {
+  if (!userData.role || userData.role === 'resident') {
+    return request(app)
+      .post('/api/auth/register')
+      .send(userData);
+  }
+
+  const { email, role, ...accountData } = userData;
+  const { token } = await createInvitation({ email, role });
+
+  return request(app)
+    .post('/api/auth/accept-invitation')
+    .send({ ...accountData, token });
+};
@@ -0,0 +1,214 @@
+/**
+ * Feature: waste-management-system, Property 34: Password reset and email verification
+ *
+ * Property: For any registered user, the emailed verification and password reset
+ * links should work exactly once and only before they expire, a reset should replace
+ * the password and end every session, and when verification is required unverified
+ * residents should not be able to create collection requests
+ *
+ * Validates: Requirements 1.1, 1.2
+ */
+
+import fc from 'fast-check';
+import request from 'supertest';
+import express from 'express';
+import cors from 'cors';
+import { User, AccountToken } from '../../models/index.js';
+import userRoutes from '../../routes/userRoutes.js';
+import collectionRoutes from '../../routes/collectionRoutes.js';
+import { setTransporter } from '../../utils/channels/emailChannel.js';
+import { uniqueSuffix } from '../helpers/accounts.js';
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(cors());
+  app.use(express.json());
+  app.use('/api/auth', userRoutes);
+  app.use('/api/collections', collectionRoutes);
+  return app;
+};
+
+// Pull the token out of the link in an email
+const tokenFrom = (mail) => new URL(mail.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+
+describe('Property 34: Password reset and email verification', () => {
+  const originalEnv = { ...process.env };
+  let app;
+  let sentMail;
+
+  beforeEach(() => {
+    app = createTestApp();
+    sentMail = [];
+    setTransporter({
+      sendMail: async (mail) => {
+        sentMail.push(mail);
+        return { messageId: `mail-${sentMail.length}` };
+      }
+    });
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    setTransporter(null);
+  });
+
+  const register = async () => {
+    const suffix = uniqueSuffix();
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username: `res_${suffix}`.substring(0, 30),
+        email: `res_${suffix}@example.com`,
+        password: 'Password123',
+        role: 'resident'
+      })
+      .expect(201);
+    return response.body;
+  };
+
+  test('should verify the email address once with the emailed link', async () => {
+    const registered = await register();
+    expect(registered.user.emailVerified).toBe(false);
+    expect(registered.verificationEmailSent).toBe(true);
+
+    const mail = sentMail.find(item => item.to === registered.user.email);
+    expect(mail.subject).toBe('Confirm your email address');
+    const token = tokenFrom(mail);
+
+    // Only the hash is stored
+    expect(await AccountToken.countDocuments({ tokenHash: token })).toBe(0);
+
+    const verified = await request(app)
+      .post('/api/auth/verify-email')
+      .send({ token })
+      .expect(200);
+    expect(verified.body.user.emailVerified).toBe(true);
+
+    await request(app)
+      .post('/api/auth/verify-email')
+      .send({ token })
+      .expect(400);
+
+    await request(app)
+      .post('/api/auth/resend-verification')
+      .set('Authorization', `Bearer ${registered.token}`)
+      .expect(400);
+  });
+
+  test('should reject unknown verification and reset tokens', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.string({ maxLength: 80 }), async (token) => {
+        await request(app).post('/api/auth/verify-email').send({ token }).expect(400);
+        await request(app)
+          .post('/api/auth/reset-password')
+          .send({ token: `x${token}`, password: 'NewPassword1' })
+          .expect(400);
+      }),
+      { numRuns: 20 }
+    );
+  });
+
+  test('should reset the password once and end every session', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.string({ minLength: 6, maxLength: 40 }).filter(s => /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(s)),
+        async (newPassword) => {
+          const registered = await register();
+          sentMail.length = 0;
+
+          // Unknown addresses get the same answer and no email
+          const unknown = await request(app)
+            .post('/api/auth/forgot-password')
+            .send({ email: `nobody_${Date.now()}@example.com` })
+            .expect(200);
+          expect(sentMail).toHaveLength(0);
+
+          const forgot = await request(app)
+            .post('/api/auth/forgot-password')
+            .send({ email: registered.user.email })
+            .expect(200);
+          expect(forgot.body.message).toBe(unknown.body.message);
+          expect(sentMail).toHaveLength(1);
+
+          const token = tokenFrom(sentMail[0]);
+
+          await request(app)
+            .post('/api/auth/reset-password')
+            .send({ token, password: newPassword })
+            .expect(200);
+
+          // The link works once
+          await request(app)
+            .post('/api/auth/reset-password')
+            .send({ token, password: 'Another123' })
+            .expect(400);
+
+          // Old sessions are gone and only the new password works
+          await request(app)
+            .get('/api/auth/profile')
+            .set('Authorization', `Bearer ${registered.token}`)
+            .expect(401);
+          await request(app)
+            .post('/api/auth/login')
+            .send({ email: registered.user.email, password: 'Password123' })
+            .expect(401);
+          await request(app)
+            .post('/api/auth/login')
+            .send({ email: registered.user.email, password: newPassword })
+            .expect(200);
+        }
+      ),
+      { numRuns: 5 }
+    );
+  });
+
+  test('should only honour the latest reset link, and only before it expires', async () => {
+    const registered = await register();
+    sentMail.length = 0;
+
+    for (let i = 0; i < 2; i++) {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: registered.user.email })
+        .expect(200);
+    }
+    const [first, second] = sentMail.map(tokenFrom);
+
+    await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: first, password: 'NewPassword1' })
+      .expect(400);
+
+    await AccountToken.updateMany({ user: registered.user._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+    await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: second, password: 'NewPassword1' })
+      .expect(400);
+  });
+
+  test('should require a verified email to create collection requests when enabled', async () => {
+    process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+    const registered = await register();
+    const collection = { wasteCategory: 'general', pickupLocation: { address: '12 Verify Road' } };
+
+    const blocked = await request(app)
+      .post('/api/collections')
+      .set('Authorization', `Bearer ${registered.token}`)
+      .send(collection)
+      .expect(403);
+    expect(blocked.body.emailVerified).toBe(false);
+
+    const mail = sentMail.find(item => item.to === registered.user.email);
+    await request(app).post('/api/auth/verify-email').send({ token: tokenFrom(mail) }).expect(200);
+
+    await request(app)
+      .post('/api/collections')
+      .set('Authorization', `Bearer ${registered.token}`)
+      .send(collection)
+      .expect(201);
+
+    const stored = await User.findById(registered.user._id);
+    expect(stored.emailVerifiedAt).toBeInstanceOf(Date);
+  });
+});
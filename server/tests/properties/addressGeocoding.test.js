@@ -0,0 +1,280 @@
+/**
+ * Feature: waste-management-system, Property 42: Address geocoding
+ *
+ * Property: For any address in the organization's register, however it is spelled, a
+ * collection request made without coordinates should get the register's coordinates,
+ * while coordinates the requester gives are kept; requests whose address isn't in the
+ * register should be flagged for review, listed once per address however it was typed,
+ * until an admin places them all
+ *
+ * Validates: Requirements 2.1, 2.3, 2.5
+ */
+
+import fc from 'fast-check';
+import request from 'supertest';
+import express from 'express';
+import cors from 'cors';
+import { User, Organization, Zone, Address } from '../../models/index.js';
+import addressRoutes from '../../routes/addressRoutes.js';
+import collectionRoutes from '../../routes/collectionRoutes.js';
+import { generateToken } from '../../utils/auth.js';
+import { uniqueSuffix } from '../helpers/accounts.js';
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(cors());
+  app.use(express.json());
+  app.use('/api/addresses', addressRoutes);
+  app.use('/api/collections', collectionRoutes);
+  return app;
+};
+
+const STREETS = ['Oak', 'Pine', 'Maple', 'Cedar', 'Elm', 'Birch'];
+// Street types as registered, and the other ways residents write them
+const STREET_TYPES = [
+  ['Street', 'St', 'st.', 'STREET'],
+  ['Avenue', 'Ave', 'Av.', 'avenue'],
+  ['Road', 'Rd', 'rd.', 'ROAD'],
+  ['Drive', 'Dr', 'Dr.', 'drive']
+];
+const DIRECTIONS = [null, ['North', 'N', 'N.', 'north'], ['West', 'W', 'W.', 'WEST']];
+
+// An address as registered, and a way a resident might type it
+const addressArbitrary = fc.record({
+  number: fc.integer({ min: 1, max: 999 }),
+  street: fc.constantFrom(...STREETS),
+  type: fc.integer({ min: 0, max: STREET_TYPES.length - 1 }),
+  direction: fc.integer({ min: 0, max: DIRECTIONS.length - 1 }),
+  typeSpelling: fc.integer({ min: 0, max: 3 }),
+  directionSpelling: fc.integer({ min: 0, max: 3 }),
+  upperCase: fc.boolean(),
+  spacing: fc.constantFrom(' ', '  ', ' \t '),
+  town: fc.boolean()
+}).map(({ number, street, type, direction, typeSpelling, directionSpelling, upperCase, spacing, town }) => {
+  const words = (spelling) => [
+    String(number),
+    ...(DIRECTIONS[direction] ? [DIRECTIONS[direction][spelling(directionSpelling)]] : []),
+    street,
+    STREET_TYPES[type][spelling(typeSpelling)]
+  ];
+  const registered = words(() => 0).join(' ');
+  const typed = words(index => index).join(spacing) + (town ? ', Springfield 12345' : '');
+  return { registered, typed: upperCase ? typed.toUpperCase() : typed };
+});
+
+const csvOf = (entries) => ['address,lat,lng', ...entries.map(({ address, lat, lng }) => `"${address}",${lat},${lng}`)].join('\n');
+
+describe('Property 42: Address geocoding', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+  });
+
+  afterEach(() => {
+    delete process.env.GEOCODER;
+  });
+
+  const createUser = async (role, organization = null) => {
+    const suffix = uniqueSuffix();
+    const user = await User.create({
+      username: `${role}_${suffix}`.substring(0, 30),
+      email: `${role}_${suffix}@example.com`,
+      password: 'Password123',
+      role,
+      organization: organization?._id
+    });
+    const token = generateToken({ id: user._id, email: user.email, username: user.username, role: user.role });
+    return { user, token };
+  };
+
+  const createOrganization = () => Organization.create({
+    name: `Town ${uniqueSuffix()}`,
+    slug: `town-${Math.random().toString(36).substring(2, 10)}`
+  });
+
+  const requestPickup = (token, address, wasteCategory = 'general', coordinates) => request(app)
+    .post('/api/collections')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ wasteCategory, pickupLocation: { address, ...(coordinates && { coordinates }) } });
+
+  test('should geocode registered addresses however they are typed', async () => {
+    await fc.assert(
+      fc.asyncProperty(addressArbitrary, fc.double({ min: 40, max: 41, noNaN: true }), async (address, lat) => {
+        const organization = await createOrganization();
+        const admin = await createUser('admin', organization);
+        const resident = await createUser('resident', organization);
+        const neighbour = await createUser('resident', organization);
+        const lng = -74.0;
+
+        const imported = await request(app)
+          .post('/api/addresses/import')
+          .set('Authorization', `Bearer ${admin.token}`)
+          .send({ csv: csvOf([{ address: address.registered, lat, lng }, { address: '1 Other Lane', lat: 40.5, lng: -73.5 }]) })
+          .expect(200);
+        expect(imported.body.inserted).toBe(2);
+
+        const created = await requestPickup(resident.token, address.typed).expect(201);
+        const collection = created.body.request;
+        expect(collection.pickupLocation.address).toBe(address.typed.trim());
+        expect(collection.pickupLocation.coordinates).toEqual({ lat, lng });
+        expect(collection.geocoding).toEqual(expect.objectContaining({
+          status: 'geocoded',
+          source: 'gazetteer',
+          matchedAddress: address.registered
+        }));
+
+        // Typed another way it is still the same address
+        const again = await requestPickup(neighbour.token, address.registered, 'recyclable').expect(201);
+        expect(again.body.request.pickupLocation.normalizedAddress).toBe(collection.pickupLocation.normalizedAddress);
+        expect(again.body.request.pickupLocation.coordinates).toEqual({ lat, lng });
+
+        // Coordinates the resident gives are kept
+        const given = await requestPickup(resident.token, address.typed, 'organic', { lat: 40.9, lng: -73.9 }).expect(201);
+        expect(given.body.request.pickupLocation.coordinates).toEqual({ lat: 40.9, lng: -73.9 });
+        expect(given.body.request.geocoding.status).toBe('provided');
+      }),
+      { numRuns: 20 }
+    );
+  });
+
+  test('should flag unknown addresses for review until an admin places them', async () => {
+    const organization = await createOrganization();
+    const admin = await createUser('admin', organization);
+    const resident = await createUser('resident', organization);
+    const neighbour = await createUser('resident', organization);
+
+    await Zone.create({
+      name: 'Centre',
+      organization: organization._id,
+      boundary: {
+        type: 'Polygon',
+        coordinates: [[[-74.1, 40.6], [-73.9, 40.6], [-73.9, 40.8], [-74.1, 40.8], [-74.1, 40.6]]]
+      }
+    });
+
+    const unresolved = (await requestPickup(resident.token, '77 Unknown Way').expect(201)).body.request;
+    expect(unresolved.geocoding.status).toBe('unresolved');
+    expect(unresolved.pickupLocation.coordinates).toBeUndefined();
+    expect(unresolved.zone).toBeUndefined();
+    const sameAddress = (await requestPickup(neighbour.token, '77  UNKNOWN WAY.').expect(201)).body.request;
+    const elsewhere = (await requestPickup(neighbour.token, '12 Missing Mews').expect(201)).body.request;
+
+    // Each address is listed once, however it was typed
+    const review = await request(app)
+      .get('/api/addresses/review')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .expect(200);
+    expect(review.body.addresses).toHaveLength(2);
+    const unknownWay = review.body.addresses.find(item => item.address === '77 Unknown Way');
+    expect(unknownWay).toEqual(expect.objectContaining({ count: 2, requests: [unresolved._id, sameAddress._id] }));
+    expect(unknownWay.spellings.sort()).toEqual(['77  UNKNOWN WAY.', '77 Unknown Way']);
+    expect(review.body.addresses.find(item => item.address === '12 Missing Mews').requests).toEqual([elsewhere._id]);
+
+    await request(app)
+      .get('/api/addresses/review')
+      .set('Authorization', `Bearer ${resident.token}`)
+      .expect(403);
+
+    // Places outside every zone are refused, inside one the request lands in it
+    await request(app)
+      .put(`/api/addresses/review/${unresolved._id}`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ coordinates: { lat: 51.5, lng: -0.12 } })
+      .expect(400);
+
+    // Placing one request places every request waiting at its address
+    const placed = await request(app)
+      .put(`/api/addresses/review/${sameAddress._id}`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ coordinates: { lat: 40.7, lng: -74.0 } })
+      .expect(200);
+    expect(placed.body.requests.map(item => item._id).sort()).toEqual([unresolved._id, sameAddress._id].sort());
+    placed.body.requests.forEach(item => {
+      expect(item.geocoding.status).toBe('resolved');
+      expect(item.pickupLocation.coordinates).toEqual({ lat: 40.7, lng: -74.0 });
+      expect(item.zone).toBeDefined();
+    });
+
+    await request(app)
+      .put(`/api/addresses/review/${elsewhere._id}`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ coordinates: { lat: 40.65, lng: -74.05 }, addToRegister: false })
+      .expect(200);
+
+    const remaining = await request(app)
+      .get('/api/addresses/review')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .expect(200);
+    expect(remaining.body.addresses).toEqual([]);
+
+    // The first address went into the register, so the next request for it is geocoded
+    const unregistered = await requestPickup(resident.token, '12 Missing Mews', 'organic').expect(201);
+    expect(unregistered.body.request.geocoding.status).toBe('unresolved');
+    const next = await requestPickup(neighbour.token, '77 unknown way', 'organic').expect(201);
+    expect(next.body.request.geocoding.status).toBe('geocoded');
+    expect(next.body.request.pickupLocation.coordinates).toEqual({ lat: 40.7, lng: -74.0 });
+
+    const preview = await request(app)
+      .get(`/api/addresses/geocode?address=${encodeURIComponent('77 Unknown Way')}`)
+      .set('Authorization', `Bearer ${resident.token}`)
+      .expect(200);
+    expect(preview.body.found).toBe(true);
+
+    // With geocoding turned off every address without coordinates waits for review
+    process.env.GEOCODER = 'none';
+    const off = await requestPickup(resident.token, '77 Unknown Way', 'hazardous').expect(201);
+    expect(off.body.request.geocoding.status).toBe('unresolved');
+  });
+
+  test('should keep registers apart and reject bad imports', async () => {
+    const organization = await createOrganization();
+    const other = await createOrganization();
+    const admin = await createUser('admin', organization);
+    const otherResident = await createUser('resident', other);
+    const resident = await createUser('resident', organization);
+
+    const csv = csvOf([{ address: '5 Harbour Road', lat: 40.1, lng: -74.1 }]);
+    await request(app).post('/api/addresses/import').set('Authorization', `Bearer ${admin.token}`).send({ csv }).expect(200);
+
+    // Another organization's register doesn't apply
+    const elsewhere = await requestPickup(otherResident.token, '5 Harbour Rd').expect(201);
+    expect(elsewhere.body.request.geocoding.status).toBe('unresolved');
+
+    // Addresses outside any organization's register serve everyone
+    await Address.importEntries(null, [{ address: '9 Shared Street', coordinates: { lat: 40.3, lng: -74.3 } }], 'test');
+    const shared = await requestPickup(otherResident.token, '9 Shared St').expect(201);
+    expect(shared.body.request.pickupLocation.coordinates).toEqual({ lat: 40.3, lng: -74.3 });
+
+    // Importing again updates the coordinates; bad rows are skipped and reported
+    const reimported = await request(app)
+      .post('/api/addresses/import')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ csv: 'Address,Latitude,Longitude\n5 Harbour Road,40.2,-74.2\nNowhere,200,0' })
+      .expect(200);
+    expect(reimported.body).toEqual(expect.objectContaining({ inserted: 0, updated: 1, skipped: 1 }));
+    expect(reimported.body.errors).toEqual([{ row: 3, message: expect.any(String) }]);
+
+    const geocoded = await requestPickup(resident.token, '5 HARBOUR RD').expect(201);
+    expect(geocoded.body.request.pickupLocation.coordinates).toEqual({ lat: 40.2, lng: -74.2 });
+
+    const listed = await request(app)
+      .get('/api/addresses?search=harbour road')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .expect(200);
+    expect(listed.body.addresses.map(item => item.address)).toEqual(['5 Harbour Road']);
+
+    await request(app)
+      .post('/api/addresses/import')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ csv: 'street,lat,lng\n5 Harbour Road,40.2,-74.2' })
+      .expect(400);
+
+    await request(app)
+      .post('/api/addresses/import')
+      .set('Authorization', `Bearer ${resident.token}`)
+      .send({ csv })
+      .expect(403);
+  });
+});
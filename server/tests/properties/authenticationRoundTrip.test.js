@@ -13,6 +13,7 @@ import express from 'express';
 import cors from 'cors';
 import User from '../../models/User.js';
 import userRoutes from '../../routes/userRoutes.js';
+import { registerUser } from '../helpers/accounts.js';
 
 // Create test app
 const createTestApp = () => {
@@ -54,9 +55,7 @@ describe('Property 2: Authentication round trip', () => {
           };
 
           // 1. Register user
-          const registerResponse = await request(app)
-            .post('/api/auth/register')
-            .send(uniqueCredentials);
+          const registerResponse = await registerUser(app, uniqueCredentials);
 
           expect(registerResponse.status).toBe(201);
           expect(registerResponse.body.success).toBe(true);
@@ -152,9 +151,7 @@ describe('Property 2: Authentication round trip', () => {
               email: `${Date.now()}_${Math.random().toString(36).substring(7)}_${validCredentials.email}`
             };
 
-            const registerResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueCredentials);
+            const registerResponse = await registerUser(app, uniqueCredentials);
 
             expect(registerResponse.status).toBe(201);
             createdUser = registerResponse.body.user;
@@ -198,9 +195,7 @@ describe('Property 2: Authentication round trip', () => {
           };
 
           // Register user
-          const registerResponse = await request(app)
-            .post('/api/auth/register')
-            .send(uniqueCredentials);
+          const registerResponse = await registerUser(app, uniqueCredentials);
 
           createdUser = registerResponse.body.user;
           const token = registerResponse.body.token;
@@ -14,6 +14,7 @@ import cors from 'cors';
 import { User, CollectionRequest } from '../../models/index.js';
 import userRoutes from '../../routes/userRoutes.js';
 import collectionRoutes from '../../routes/collectionRoutes.js';
+import { registerUser } from '../helpers/accounts.js';
 
 // Create test app
 const createTestApp = () => {
@@ -91,17 +92,11 @@ describe('Property 11: Authorization enforcement', () => {
             };
 
             // Register users
-            const residentRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueResidentData);
+            const residentRegResponse = await registerUser(app, uniqueResidentData);
 
-            const assignedCollectorRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueAssignedCollectorData);
+            const assignedCollectorRegResponse = await registerUser(app, uniqueAssignedCollectorData);
 
-            const unauthorizedCollectorRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueUnauthorizedCollectorData);
+            const unauthorizedCollectorRegResponse = await registerUser(app, uniqueUnauthorizedCollectorData);
 
             resident = residentRegResponse.body.user;
             assignedCollector = assignedCollectorRegResponse.body.user;
@@ -201,13 +196,9 @@ describe('Property 11: Authorization enforcement', () => {
             };
 
             // Register users
-            const residentRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueResidentData);
+            const residentRegResponse = await registerUser(app, uniqueResidentData);
 
-            const collectorRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueCollectorData);
+            const collectorRegResponse = await registerUser(app, uniqueCollectorData);
 
             resident = residentRegResponse.body.user;
             collector = collectorRegResponse.body.user;
@@ -299,17 +290,11 @@ describe('Property 11: Authorization enforcement', () => {
             };
 
             // Register users
-            const residentRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueResidentData);
+            const residentRegResponse = await registerUser(app, uniqueResidentData);
 
-            const collectorRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueCollectorData);
+            const collectorRegResponse = await registerUser(app, uniqueCollectorData);
 
-            const adminRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueAdminData);
+            const adminRegResponse = await registerUser(app, uniqueAdminData);
 
             resident = residentRegResponse.body.user;
             collector = collectorRegResponse.body.user;
@@ -391,13 +376,9 @@ describe('Property 11: Authorization enforcement', () => {
             };
 
             // Register users
-            const residentRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueResidentData);
+            const residentRegResponse = await registerUser(app, uniqueResidentData);
 
-            const unauthorizedUserRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueUnauthorizedUserData);
+            const unauthorizedUserRegResponse = await registerUser(app, uniqueUnauthorizedUserData);
 
             resident = residentRegResponse.body.user;
             unauthorizedUser = unauthorizedUserRegResponse.body.user;
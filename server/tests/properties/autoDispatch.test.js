@@ -0,0 +1,335 @@
+/**
+ * Feature: waste-management-system, Property 32: Auto-dispatch planning
+ *
+ * Property: For any set of pending collection requests and available collectors, the
+ * dispatch plan should place every request exactly once (assigned or reported as
+ * unassigned), never give a collector hazardous and other waste together, never give a
+ * vehicle a category it can't carry or more than its capacity, and change nothing until
+ * the plan is committed
+ *
+ * Validates: Requirements 4.3
+ */
+
+import fc from 'fast-check';
+import request from 'supertest';
+import express from 'express';
+import cors from 'cors';
+import { User, CollectionRequest, CollectionRoute, Vehicle, DispatchPlan } from '../../models/index.js';
+import adminRoutes from '../../routes/adminRoutes.js';
+import { generateToken } from '../../utils/auth.js';
+import { planDispatch } from '../../utils/dispatchPlanner.js';
+import { getCollectionLoad } from '../../utils/routeCapacity.js';
+import { uniqueSuffix } from '../helpers/accounts.js';
+
+const CATEGORIES = ['organic', 'recyclable', 'hazardous', 'general'];
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(cors());
+  app.use(express.json());
+  app.use('/api/admin', adminRoutes);
+  return app;
+};
+
+const collectionArbitrary = fc.record({
+  wasteCategory: fc.constantFrom(...CATEGORIES),
+  pickupLocation: fc.record({
+    address: fc.constant('Pending pickup'),
+    coordinates: fc.option(
+      fc.record({
+        lat: fc.double({ min: 6.4, max: 6.7, noNaN: true }),
+        lng: fc.double({ min: 3.2, max: 3.6, noNaN: true })
+      }),
+      { nil: undefined }
+    )
+  })
+});
+
+const collectorArbitrary = fc.option(
+  fc.record({
+    capacity: fc.record({
+      volume: fc.integer({ min: 100, max: 3000 }),
+      weight: fc.integer({ min: 50, max: 1000 })
+    }),
+    wasteCategories: fc.uniqueArray(fc.constantFrom(...CATEGORIES), { minLength: 1, maxLength: 4 })
+  }),
+  { nil: null }
+);
+
+describe('Property 32: Auto-dispatch planning', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+  });
+
+  test('should place every request once within each vehicle\'s categories and capacity', () => {
+    fc.assert(
+      fc.property(
+        fc.array(collectionArbitrary, { maxLength: 30 }),
+        fc.array(collectorArbitrary, { minLength: 1, maxLength: 5 }),
+        (collectionsData, vehiclesData) => {
+          const collections = collectionsData.map((data, index) => ({ _id: `c${index}`, ...data }));
+          const collectors = vehiclesData.map((vehicleData, index) => ({
+            collectorId: `u${index}`,
+            vehicle: vehicleData ? new Vehicle({ name: `Truck ${index}`, registration: `T${index}`, ...vehicleData }) : null
+          }));
+
+          const { assignments, unassigned } = planDispatch(collections, collectors);
+
+          // Each request is either assigned once or reported
+          const placed = [
+            ...assignments.flatMap(assignment => assignment.collections.map(collection => collection._id)),
+            ...unassigned.map(({ collection }) => collection._id)
+          ];
+          expect([...placed].sort()).toEqual(collections.map(collection => collection._id).sort());
+
+          assignments.forEach(assignment => {
+            const categories = new Set(assignment.collections.map(collection => collection.wasteCategory));
+            expect(categories.has('hazardous') && categories.size > 1).toBe(false);
+
+            if (assignment.vehicle) {
+              categories.forEach(category => expect(assignment.vehicle.canCarry(category)).toBe(true));
+
+              const weight = assignment.collections.reduce((sum, c) => sum + getCollectionLoad(c).weight, 0);
+              const volume = assignment.collections.reduce((sum, c) => sum + getCollectionLoad(c).volume, 0);
+              expect(weight).toBeLessThanOrEqual(assignment.vehicle.capacity.weight);
+              expect(volume).toBeLessThanOrEqual(assignment.vehicle.capacity.volume);
+            }
+          });
+
+          // With collectors that can carry anything, nothing is left over
+          if (collectors.every(collector => !collector.vehicle)) {
+            const hasBothGroups = collections.some(c => c.wasteCategory === 'hazardous') &&
+              collections.some(c => c.wasteCategory !== 'hazardous');
+            if (!hasBothGroups || collectors.length > 1) {
+              expect(unassigned).toHaveLength(0);
+            }
+          }
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  test('should spread the load across collectors', () => {
+    const collections = Array.from({ length: 20 }, (_, index) => ({
+      _id: `c${index}`,
+      wasteCategory: 'general',
+      pickupLocation: {
+        address: 'Ring road',
+        coordinates: { lat: 6.5 + Math.sin(index) * 0.1, lng: 3.4 + Math.cos(index) * 0.1 }
+      }
+    }));
+    const collectors = [{ collectorId: 'a' }, { collectorId: 'b' }, { collectorId: 'c' }, { collectorId: 'd' }];
+
+    const { assignments } = planDispatch(collections, collectors);
+
+    expect(assignments).toHaveLength(4);
+    assignments.forEach(assignment => {
+      expect(assignment.collections.length).toBeGreaterThanOrEqual(4);
+      expect(assignment.collections.length).toBeLessThanOrEqual(6);
+    });
+  });
+
+  test('should only assign requests once a previewed plan is committed', async () => {
+    const suffix = uniqueSuffix();
+    const createUser = (role, index = '') => User.create({
+      username: `${role}${index}_${suffix}`.substring(0, 30),
+      email: `${role}${index}_${suffix}@example.com`,
+      password: 'Password123',
+      role
+    });
+    const admin = await createUser('admin');
+    const resident = await createUser('resident');
+    const collectors = [await createUser('collector', 1), await createUser('collector', 2)];
+    const token = generateToken({ id: admin._id, email: admin.email, username: admin.username, role: admin.role });
+
+    const pending = [];
+    for (const [index, wasteCategory] of ['organic', 'general', 'recyclable', 'hazardous'].entries()) {
+      pending.push(await CollectionRequest.create({
+        requesterId: resident._id,
+        wasteCategory,
+        pickupLocation: { address: `${index} Dispatch Street`, coordinates: { lat: 6.5 + index * 0.01, lng: 3.4 } }
+      }));
+    }
+
+    const preview = await request(app)
+      .post('/api/admin/dispatch/preview')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ collectorIds: collectors.map(collector => collector._id) })
+      .expect(201);
+
+    const { plan } = preview.body;
+    expect(plan.status).toBe('preview');
+    const planned = plan.assignments.flatMap(assignment => assignment.collections.map(collection => collection._id));
+    expect(planned.sort()).toEqual(pending.map(collection => collection._id.toString()).sort());
+
+    // Nothing is assigned by the preview
+    const stillPending = await CollectionRequest.countDocuments({ _id: { $in: pending.map(c => c._id) }, status: 'pending' });
+    expect(stillPending).toBe(pending.length);
+
+    // One request is cancelled before the plan is committed
+    await CollectionRequest.findByIdAndUpdate(pending[0]._id, { status: 'cancelled' });
+
+    const commit = await request(app)
+      .post(`/api/admin/dispatch/${plan._id}/commit`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(commit.body.skipped).toHaveLength(1);
+    expect(commit.body.skipped[0].collectionId.toString()).toBe(pending[0]._id.toString());
+
+    const assigned = await CollectionRequest.find({ _id: { $in: pending.slice(1).map(c => c._id) } });
+    assigned.forEach(collection => expect(collection.status).toBe('assigned'));
+
+    const routes = await CollectionRoute.find({ collectorId: { $in: collectors.map(collector => collector._id) } });
+    const routed = routes.flatMap(route => route.collections.map(id => id.toString()));
+    expect(routed.sort()).toEqual(assigned.map(collection => collection._id.toString()).sort());
+
+    // A committed plan can't be committed or discarded again
+    await request(app)
+      .post(`/api/admin/dispatch/${plan._id}/discard`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(409);
+
+    const stored = await DispatchPlan.findById(plan._id);
+    expect(stored.status).toBe('committed');
+  });
+
+  test('should leave requests assigned since the preview with their collector', async () => {
+    const suffix = uniqueSuffix();
+    const createUser = (role, index = '') => User.create({
+      username: `${role}${index}_${suffix}`.substring(0, 30),
+      email: `${role}${index}_${suffix}@example.com`,
+      password: 'Password123',
+      role
+    });
+    const admin = await createUser('admin');
+    const resident = await createUser('resident');
+    const collector = await createUser('collector', 1);
+    const other = await createUser('collector', 2);
+    const token = generateToken({ id: admin._id, email: admin.email, username: admin.username, role: admin.role });
+
+    const pending = [];
+    for (const index of [0, 1]) {
+      pending.push(await CollectionRequest.create({
+        requesterId: resident._id,
+        wasteCategory: 'general',
+        pickupLocation: { address: `${index} Handover Lane`, coordinates: { lat: 6.5 + index * 0.01, lng: 3.4 } }
+      }));
+    }
+
+    const preview = await request(app)
+      .post('/api/admin/dispatch/preview')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ collectorIds: [collector._id] })
+      .expect(201);
+    const { plan } = preview.body;
+
+    // One request is assigned by hand to another collector before the plan is committed
+    await CollectionRequest.findByIdAndUpdate(pending[0]._id, { status: 'assigned', assignedCollector: other._id });
+    const handRoute = await CollectionRoute.create({
+      collectorId: other._id,
+      date: new Date(),
+      collections: [pending[0]._id]
+    });
+
+    // Only one of two simultaneous commits applies the plan
+    const commits = await Promise.all([1, 2].map(() => request(app)
+      .post(`/api/admin/dispatch/${plan._id}/commit`)
+      .set('Authorization', `Bearer ${token}`)));
+    expect(commits.map(commit => commit.status).sort()).toEqual([200, 409]);
+
+    const commit = commits.find(response => response.status === 200);
+    expect(commit.body.skipped).toHaveLength(1);
+    expect(commit.body.skipped[0].collectionId.toString()).toBe(pending[0]._id.toString());
+    expect(commit.body.skipped[0].reason).toBe('Request is now assigned');
+
+    const handAssigned = await CollectionRequest.findById(pending[0]._id);
+    expect(handAssigned.assignedCollector.toString()).toBe(other._id.toString());
+    const dispatched = await CollectionRequest.findById(pending[1]._id);
+    expect(dispatched.status).toBe('assigned');
+    expect(dispatched.assignedCollector.toString()).toBe(collector._id.toString());
+
+    // Each request is on exactly one route
+    const routes = await CollectionRoute.find({ collectorId: { $in: [collector._id, other._id] } });
+    const routed = routes.flatMap(route => route.collections.map(id => id.toString()));
+    expect(routed.sort()).toEqual(pending.map(collection => collection._id.toString()).sort());
+    const stillHand = await CollectionRoute.findById(handRoute._id);
+    expect(stillHand.collections.map(id => id.toString())).toEqual([pending[0]._id.toString()]);
+
+    const stored = await DispatchPlan.findById(plan._id);
+    expect(stored.status).toBe('committed');
+  });
+
+  test('should leave requests untouched when a plan is discarded', async () => {
+    const suffix = uniqueSuffix();
+    const admin = await User.create({
+      username: `admin_${suffix}`.substring(0, 30),
+      email: `admin_${suffix}@example.com`,
+      password: 'Password123',
+      role: 'admin'
+    });
+    const collector = await User.create({
+      username: `collector_${suffix}`.substring(0, 30),
+      email: `collector_${suffix}@example.com`,
+      password: 'Password123',
+      role: 'collector'
+    });
+    const token = generateToken({ id: admin._id, email: admin.email, username: admin.username, role: admin.role });
+
+    const collection = await CollectionRequest.create({
+      requesterId: admin._id,
+      wasteCategory: 'general',
+      pickupLocation: { address: '7 Discard Drive' }
+    });
+
+    const preview = await request(app)
+      .post('/api/admin/dispatch/preview')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ collectorIds: [collector._id] })
+      .expect(201);
+
+    await request(app)
+      .post(`/api/admin/dispatch/${preview.body.plan._id}/discard`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    await request(app)
+      .post(`/api/admin/dispatch/${preview.body.plan._id}/commit`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(409);
+
+    const unchanged = await CollectionRequest.findById(collection._id);
+    expect(unchanged.status).toBe('pending');
+    expect(await CollectionRoute.countDocuments({ collectorId: collector._id })).toBe(0);
+  });
+
+  test('should reject collector IDs that are not valid IDs', async () => {
+    const suffix = uniqueSuffix();
+    const admin = await User.create({
+      username: `admin_${suffix}`.substring(0, 30),
+      email: `admin_${suffix}@example.com`,
+      password: 'Password123',
+      role: 'admin'
+    });
+    const collector = await User.create({
+      username: `collector_${suffix}`.substring(0, 30),
+      email: `collector_${suffix}@example.com`,
+      password: 'Password123',
+      role: 'collector'
+    });
+    const token = generateToken({ id: admin._id, email: admin.email, username: admin.username, role: admin.role });
+
+    const response = await request(app)
+      .post('/api/admin/dispatch/preview')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ collectorIds: [collector._id, 'not-an-id'] })
+      .expect(400);
+
+    expect(response.body.message).toBe('Every collector ID must reference a collector');
+    expect(await DispatchPlan.countDocuments({ createdBy: admin._id })).toBe(0);
+  });
+});
@@ -15,6 +15,7 @@ import { User, CollectionRequest, CollectionRoute } from '../../models/index.js'
 import userRoutes from '../../routes/userRoutes.js';
 import adminRoutes from '../../routes/adminRoutes.js';
 import collectionRoutes from '../../routes/collectionRoutes.js';
+import { registerUser } from '../helpers/accounts.js';
 
 // Create test app
 const createTestApp = () => {
@@ -94,17 +95,11 @@ describe('Property 13: Collection assignment updates routes', () => {
             };
 
             // Register users
-            const adminRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueAdminData);
+            const adminRegResponse = await registerUser(app, uniqueAdminData);
 
-            const residentRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueResidentData);
+            const residentRegResponse = await registerUser(app, uniqueResidentData);
 
-            const collectorRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueCollectorData);
+            const collectorRegResponse = await registerUser(app, uniqueCollectorData);
 
             admin = adminRegResponse.body.user;
             resident = residentRegResponse.body.user;
@@ -181,7 +176,10 @@ describe('Property 13: Collection assignment updates routes', () => {
         validUserArbitrary,
         validUserArbitrary,
         validUserArbitrary,
-        fc.array(validCollectionArbitrary, { minLength: 2, maxLength: 4 }),
+        // Hazardous waste can't share a route with other categories
+        fc.array(validCollectionArbitrary, { minLength: 2, maxLength: 4 })
+          .filter(items => items.every(item => item.wasteCategory === 'hazardous') ||
+            items.every(item => item.wasteCategory !== 'hazardous')),
         async (adminData, residentData, collectorData, collectionsData) => {
           let admin = null;
           let resident = null;
@@ -213,17 +211,11 @@ describe('Property 13: Collection assignment updates routes', () => {
             };
 
             // Register users
-            const adminRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueAdminData);
+            const adminRegResponse = await registerUser(app, uniqueAdminData);
 
-            const residentRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueResidentData);
+            const residentRegResponse = await registerUser(app, uniqueResidentData);
 
-            const collectorRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueCollectorData);
+            const collectorRegResponse = await registerUser(app, uniqueCollectorData);
 
             admin = adminRegResponse.body.user;
             resident = residentRegResponse.body.user;
@@ -15,6 +15,7 @@ import { User, CollectionRequest, CollectionRoute } from '../../models/index.js'
 import userRoutes from '../../routes/userRoutes.js';
 import collectionRoutes from '../../routes/collectionRoutes.js';
 import routeRoutes from '../../routes/routeRoutes.js';
+import { registerUser } from '../helpers/accounts.js';
 
 // Create test app
 const createTestApp = () => {
@@ -85,13 +86,9 @@ describe('Property 10: Collection completion updates', () => {
             };
 
             // Register users
-            const residentRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueResidentData);
+            const residentRegResponse = await registerUser(app, uniqueResidentData);
 
-            const collectorRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueCollectorData);
+            const collectorRegResponse = await registerUser(app, uniqueCollectorData);
 
             resident = residentRegResponse.body.user;
             collector = collectorRegResponse.body.user;
@@ -202,13 +199,9 @@ describe('Property 10: Collection completion updates', () => {
             };
 
             // Register users
-            const residentRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueResidentData);
+            const residentRegResponse = await registerUser(app, uniqueResidentData);
 
-            const collectorRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueCollectorData);
+            const collectorRegResponse = await registerUser(app, uniqueCollectorData);
 
             resident = residentRegResponse.body.user;
             collector = collectorRegResponse.body.user;
@@ -323,13 +316,9 @@ describe('Property 10: Collection completion updates', () => {
             };
 
             // Register users
-            const residentRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueResidentData);
+            const residentRegResponse = await registerUser(app, uniqueResidentData);
 
-            const collectorRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueCollectorData);
+            const collectorRegResponse = await registerUser(app, uniqueCollectorData);
 
             resident = residentRegResponse.body.user;
             collector = collectorRegResponse.body.user;
@@ -391,4 +380,67 @@ describe('Property 10: Collection completion updates', () => {
       { numRuns: 30 }
     );
   });
+
+  test('should move a route through its stops, flagging problems along the way', async () => {
+    const suffix = `${Date.now()}_${Math.random().toString(36).substring(7)}`;
+    const residentResponse = await registerUser(app, {
+      username: `resident_${suffix}`.substring(0, 30),
+      email: `resident_${suffix}@example.com`,
+      password: 'Password123',
+      role: 'resident'
+    });
+    const collectorResponse = await registerUser(app, {
+      username: `collector_${suffix}`.substring(0, 30),
+      email: `collector_${suffix}@example.com`,
+      password: 'Password123',
+      role: 'collector'
+    });
+    const resident = residentResponse.body.user;
+    const collector = collectorResponse.body.user;
+    const collectorToken = collectorResponse.body.token;
+
+    const stops = await CollectionRequest.create([1, 2].map(number => ({
+      requesterId: resident._id,
+      wasteCategory: 'general',
+      pickupLocation: { address: `${number} Route Street`, coordinates: { lat: 40.71, lng: -74.0 + number / 100 } },
+      assignedCollector: collector._id,
+      status: 'assigned'
+    })));
+    const route = await CollectionRoute.create({
+      collectorId: collector._id,
+      date: new Date(),
+      collections: stops.map(stop => stop._id)
+    });
+
+    const updateStop = (stop, body) => request(app)
+      .put(`/api/routes/${route._id}/status`)
+      .set('Authorization', `Bearer ${collectorToken}`)
+      .send({ collectionId: stop._id, ...body });
+
+    // Starting the first stop starts the route
+    const started = await updateStop(stops[0], { status: 'in-progress' }).expect(200);
+    expect(started.body.routeStatus).toBe('active');
+    expect((await CollectionRoute.findById(route._id)).status).toBe('active');
+
+    // A problem is kept on the stop without changing its status, until it is cleared
+    const flagged = await updateStop(stops[1], { status: 'assigned', problem: '  Gate locked  ' }).expect(200);
+    expect(flagged.body.collection.status).toBe('assigned');
+    expect(flagged.body.collection.problem).toEqual(expect.objectContaining({
+      description: 'Gate locked',
+      reportedBy: String(collector._id)
+    }));
+    expect(flagged.body.collection.problem.reportedAt).toBeDefined();
+
+    await updateStop(stops[1], { status: 'assigned', problem: 'x'.repeat(501) }).expect(400);
+    await updateStop(stops[1], { status: 'assigned', problem: 42 }).expect(400);
+
+    const cleared = await updateStop(stops[1], { status: 'assigned', problem: '' }).expect(200);
+    expect(cleared.body.collection.problem).toBeUndefined();
+
+    await updateStop(stops[0], { status: 'completed' }).expect(200);
+    await updateStop(stops[1], { status: 'in-progress' }).expect(200);
+    const finished = await updateStop(stops[1], { status: 'completed' }).expect(200);
+    expect(finished.body.routeCompleted).toBe(true);
+    expect(finished.body.routeStatus).toBe('completed');
+  });
 });
\ No newline at end of file
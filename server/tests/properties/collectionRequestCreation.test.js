@@ -14,6 +14,7 @@ import cors from 'cors';
 import { User, CollectionRequest } from '../../models/index.js';
 import userRoutes from '../../routes/userRoutes.js';
 import collectionRoutes from '../../routes/collectionRoutes.js';
+import { registerUser } from '../helpers/accounts.js';
 
 // Create test app
 const createTestApp = () => {
@@ -74,9 +75,7 @@ describe('Property 5: Collection request creation with unique identifiers', () =
             };
 
             // Register user
-            const registerResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueUserData);
+            const registerResponse = await registerUser(app, uniqueUserData);
 
             expect(registerResponse.status).toBe(201);
             createdUser = registerResponse.body.user;
@@ -160,9 +159,7 @@ describe('Property 5: Collection request creation with unique identifiers', () =
             };
 
             // Register user
-            const registerResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueUserData);
+            const registerResponse = await registerUser(app, uniqueUserData);
 
             createdUser = registerResponse.body.user;
             const token = registerResponse.body.token;
@@ -237,9 +234,7 @@ describe('Property 5: Collection request creation with unique identifiers', () =
             };
 
             // Register user
-            const registerResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueUserData);
+            const registerResponse = await registerUser(app, uniqueUserData);
 
             createdUser = registerResponse.body.user;
             const token = registerResponse.body.token;
@@ -326,9 +321,7 @@ describe('Property 5: Collection request creation with unique identifiers', () =
               role: 'collector'
             };
 
-            const registerResponse = await request(app)
-              .post('/api/auth/register')
-              .send(collectorData);
+            const registerResponse = await registerUser(app, collectorData);
 
             createdUser = registerResponse.body.user;
             const token = registerResponse.body.token;
@@ -15,6 +15,7 @@ import { User, CollectionRequest, CollectionRoute } from '../../models/index.js'
 import userRoutes from '../../routes/userRoutes.js';
 import routeRoutes from '../../routes/routeRoutes.js';
 import collectionRoutes from '../../routes/collectionRoutes.js';
+import { registerUser } from '../helpers/accounts.js';
 
 // Create test app
 const createTestApp = () => {
@@ -86,13 +87,9 @@ describe('Property 8: Collector route display', () => {
             };
 
             // Register users
-            const collectorRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueCollectorData);
+            const collectorRegResponse = await registerUser(app, uniqueCollectorData);
 
-            const residentRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueResidentData);
+            const residentRegResponse = await registerUser(app, uniqueResidentData);
 
             collector = collectorRegResponse.body.user;
             resident = residentRegResponse.body.user;
@@ -214,13 +211,9 @@ describe('Property 8: Collector route display', () => {
               email: `collector2_${Date.now()}_${Math.random().toString(36).substring(7)}_${collector2Data.email}`
             };
 
-            const collector1RegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueCollector1Data);
+            const collector1RegResponse = await registerUser(app, uniqueCollector1Data);
 
-            const collector2RegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueCollector2Data);
+            const collector2RegResponse = await registerUser(app, uniqueCollector2Data);
 
             collector1 = collector1RegResponse.body.user;
             collector2 = collector2RegResponse.body.user;
@@ -273,9 +266,7 @@ describe('Property 8: Collector route display', () => {
             email: `collector_${Date.now()}_${Math.random().toString(36).substring(7)}_${collectorData.email}`
           };
 
-          const collectorRegResponse = await request(app)
-            .post('/api/auth/register')
-            .send(uniqueCollectorData);
+          const collectorRegResponse = await registerUser(app, uniqueCollectorData);
 
           collector = collectorRegResponse.body.user;
           const collectorToken = collectorRegResponse.body.token;
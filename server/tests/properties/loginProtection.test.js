@@ -0,0 +1,208 @@
+/**
+ * Feature: waste-management-system, Property 36: Login throttling and account lockout
+ *
+ * Property: For any sequence of login attempts, an account should be locked once it
+ * reaches the configured number of consecutive wrong passwords and refuse even the
+ * right password until the lock ends or an admin unlocks it, each further lock should
+ * last longer, and attempts beyond the per-address or per-account limit should be
+ * answered with 429
+ *
+ * Validates: Requirements 1.2, 1.3
+ */
+
+import fc from 'fast-check';
+import request from 'supertest';
+import express from 'express';
+import cors from 'cors';
+import { User } from '../../models/index.js';
+import userRoutes from '../../routes/userRoutes.js';
+import adminRoutes from '../../routes/adminRoutes.js';
+import { generateToken } from '../../utils/auth.js';
+import { rateLimit, setRateLimitStore, resetRateLimits } from '../../utils/rateLimiter.js';
+import { uniqueSuffix } from '../helpers/accounts.js';
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(cors());
+  app.use(express.json());
+  app.use('/api/auth', userRoutes);
+  app.use('/api/admin', adminRoutes);
+  return app;
+};
+
+const PASSWORD = 'Password123';
+const MINUTE_MS = 60 * 1000;
+
+describe('Property 36: Login throttling and account lockout', () => {
+  const originalEnv = { ...process.env };
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+  });
+
+  afterEach(async () => {
+    process.env = { ...originalEnv };
+    setRateLimitStore(null);
+    await resetRateLimits();
+  });
+
+  const createUser = (role = 'resident') => {
+    const suffix = uniqueSuffix();
+    return User.create({
+      username: `${role}_${suffix}`.substring(0, 30),
+      email: `${role}_${suffix}@example.com`,
+      password: PASSWORD,
+      role
+    });
+  };
+
+  const tokenFor = (user) => generateToken({ id: user._id, email: user.email, username: user.username, role: user.role });
+
+  const login = (email, password) => request(app)
+    .post('/api/auth/login')
+    .send({ email, password });
+
+  test('should lock the account after the configured number of wrong passwords', async () => {
+    const admin = await createUser('admin');
+
+    await fc.assert(
+      fc.asyncProperty(fc.integer({ min: 2, max: 4 }), async (threshold) => {
+        process.env.LOCKOUT_THRESHOLD = String(threshold);
+        process.env.LOCKOUT_BASE_MINUTES = '15';
+        const user = await createUser();
+
+        // One short of the threshold still lets the right password in, and resets the count
+        for (let i = 0; i < threshold - 1; i++) {
+          await login(user.email, 'WrongPassword1').expect(401);
+        }
+        await login(user.email, PASSWORD).expect(200);
+        expect((await User.findById(user._id)).failedLoginAttempts).toBe(0);
+
+        for (let i = 0; i < threshold - 1; i++) {
+          await login(user.email, 'WrongPassword1').expect(401);
+        }
+        const locking = await login(user.email, 'WrongPassword1').expect(401);
+        expect(locking.body.token).toBeUndefined();
+        expect((await User.findById(user._id)).lockUntil.getTime()).toBeGreaterThan(Date.now());
+
+        // Even the right password is refused while locked, the same way as an unknown email,
+        // so a lock doesn't give away that the account exists
+        const refused = await login(user.email, PASSWORD).expect(401);
+        const unknown = await login(`nobody_${user.email}`, PASSWORD).expect(401);
+        expect(refused.body).toEqual(unknown.body);
+        expect(refused.headers['retry-after']).toBeUndefined();
+
+        const locked = await request(app)
+          .get('/api/admin/users?locked=true&limit=100')
+          .set('Authorization', `Bearer ${tokenFor(admin)}`)
+          .expect(200);
+        expect(locked.body.users.map(item => item._id)).toContain(user._id.toString());
+
+        await request(app)
+          .post(`/api/admin/users/${user._id}/unlock`)
+          .set('Authorization', `Bearer ${tokenFor(admin)}`)
+          .expect(200);
+        await login(user.email, PASSWORD).expect(200);
+      }),
+      { numRuns: 5 }
+    );
+  });
+
+  test('should make each further lock last longer', async () => {
+    process.env.LOCKOUT_THRESHOLD = '2';
+    process.env.LOCKOUT_BASE_MINUTES = '10';
+    process.env.LOCKOUT_MAX_MINUTES = '30';
+    const user = await createUser();
+
+    const durations = [];
+    for (let lock = 0; lock < 3; lock++) {
+      await login(user.email, 'WrongPassword1').expect(401);
+      await login(user.email, 'WrongPassword1').expect(401);
+      durations.push((await User.findById(user._id)).lockUntil.getTime() - Date.now());
+
+      // Let the lock run out without a successful login in between
+      await User.updateOne({ _id: user._id }, { $set: { lockUntil: new Date(Date.now() - 1000) } });
+    }
+
+    expect(durations[0]).toBeGreaterThan(9 * MINUTE_MS);
+    expect(durations[0]).toBeLessThanOrEqual(10 * MINUTE_MS);
+    expect(durations[1]).toBeGreaterThan(19 * MINUTE_MS);
+    expect(durations[1]).toBeLessThanOrEqual(20 * MINUTE_MS);
+    // Capped at LOCKOUT_MAX_MINUTES
+    expect(durations[2]).toBeGreaterThan(29 * MINUTE_MS);
+    expect(durations[2]).toBeLessThanOrEqual(30 * MINUTE_MS);
+
+    // A successful login starts the progression again
+    await login(user.email, PASSWORD).expect(200);
+    const stored = await User.findById(user._id);
+    expect(stored.lockCount).toBe(0);
+    expect(stored.lockUntil).toBeUndefined();
+  });
+
+  test('should answer 429 beyond the per-account limit', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.integer({ min: 1, max: 5 }), async (limit) => {
+        process.env.RATE_LIMIT_ENABLED = 'true';
+        process.env.LOGIN_RATE_LIMIT_PER_ACCOUNT = String(limit);
+        process.env.LOGIN_RATE_LIMIT_PER_IP = '1000';
+        const email = `nobody_${uniqueSuffix()}@example.com`;
+
+        for (let i = 0; i < limit; i++) {
+          await login(email, PASSWORD).expect(401);
+        }
+
+        // Case does not give an attacker a fresh allowance
+        const limited = await login(email.toUpperCase(), PASSWORD).expect(429);
+        expect(limited.body.success).toBe(false);
+        expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+
+        // Other accounts are unaffected
+        await login(`other_${uniqueSuffix()}@example.com`, PASSWORD).expect(401);
+      }),
+      { numRuns: 10 }
+    );
+  });
+
+  test('should answer 429 beyond the per-address limit, and reset the account limit on success', async () => {
+    process.env.RATE_LIMIT_ENABLED = 'true';
+    process.env.LOGIN_RATE_LIMIT_PER_ACCOUNT = '2';
+    process.env.LOGIN_RATE_LIMIT_PER_IP = '6';
+    const user = await createUser();
+
+    await login(user.email, 'WrongPassword1').expect(401);
+    await login(user.email, PASSWORD).expect(200);
+    await login(user.email, 'WrongPassword1').expect(401);
+    await login(user.email, 'WrongPassword1').expect(401);
+    await login(user.email, PASSWORD).expect(429);
+
+    // Sixth attempt from this address is allowed, the seventh is not
+    await login(`other_${uniqueSuffix()}@example.com`, PASSWORD).expect(401);
+    await login(`other_${uniqueSuffix()}@example.com`, PASSWORD).expect(429);
+  });
+
+  test('should use a plugged-in store and let requests through when it fails', async () => {
+    const calls = [];
+    setRateLimitStore({
+      increment: async (key, windowMs) => {
+        calls.push(key);
+        if (calls.length > 2) throw new Error('store unavailable');
+        return { count: calls.length, resetAt: new Date(Date.now() + windowMs) };
+      },
+      reset: async () => {},
+      resetAll: async () => {}
+    });
+
+    process.env.RATE_LIMIT_ENABLED = 'true';
+    const limited = express();
+    limited.use(rateLimit({ name: 'custom', windowMs: MINUTE_MS, max: 1 }));
+    limited.get('/', (req, res) => res.json({ success: true }));
+
+    const first = await request(limited).get('/').expect(200);
+    expect(first.headers['ratelimit-remaining']).toBe('0');
+    await request(limited).get('/').expect(429);
+    await request(limited).get('/').expect(200);
+    expect(calls.every(key => key.startsWith('custom:'))).toBe(true);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Feature: waste-management-system, Property 24: Notification delivery recording
+ *
+ * Property: For any notification and any sequence of channel outcomes, every delivery
+ * attempt should be recorded on the notification, failed deliveries should be retried
+ * with backoff until they succeed or the attempt limit is reached, and recipients that
+ * cannot be reached on a channel should be skipped
+ *
+ * Validates: Requirements 5.4, 6.2
+ */
+
+import fc from 'fast-check';
+import { User, CollectionRequest, Notification } from '../../models/index.js';
+import { sendCompletionNotification } from '../../utils/notifications.js';
+import { retryFailedDeliveries } from '../../utils/notificationDispatcher.js';
+import { setTransporter } from '../../utils/channels/emailChannel.js';
+import { registerSmsProvider } from '../../utils/channels/smsChannel.js';
+import { uniqueSuffix } from '../helpers/accounts.js';
+
+describe('Property 24: Notification delivery recording', () => {
+  const originalEnv = { ...process.env };
+  let smsMessages;
+
+  beforeEach(() => {
+    smsMessages = [];
+    registerSmsProvider('memory', () => ({
+      name: 'memory',
+      send: async (message) => {
+        smsMessages.push(message);
+        return { providerMessageId: `sms-${smsMessages.length}` };
+      }
+    }));
+
+    process.env.NOTIFICATION_CHANNELS = 'email,sms';
+    process.env.SMS_PROVIDER = 'memory';
+    process.env.NOTIFICATION_MAX_ATTEMPTS = '3';
+    process.env.NOTIFICATION_RETRY_BASE_MS = '1000';
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    setTransporter(null);
+  });
+
+  const createFixtures = async (withPhone) => {
+    const suffix = uniqueSuffix();
+    const resident = await User.create({
+      username: `res_${suffix}`.substring(0, 30),
+      email: `res_${suffix}@example.com`,
+      password: 'Password123',
+      role: 'resident',
+      profile: withPhone ? { phone: '+15551234567' } : {}
+    });
+    const collection = await CollectionRequest.create({
+      requesterId: resident._id,
+      wasteCategory: 'recyclable',
+      pickupLocation: { address: '42 Delivery Lane' }
+    });
+    return { resident, collection };
+  };
+
+  const cleanup = async ({ resident, collection }) => {
+    await Notification.deleteMany({ recipientId: resident._id });
+    await CollectionRequest.findByIdAndDelete(collection._id);
+    await User.findByIdAndDelete(resident._id);
+  };
+
+  test('should record a delivery per enabled channel and skip unreachable recipients', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.boolean(), async (withPhone) => {
+        const sentMail = [];
+        setTransporter({
+          sendMail: async (mail) => {
+            sentMail.push(mail);
+            return { messageId: `mail-${sentMail.length}` };
+          }
+        });
+        smsMessages.length = 0;
+
+        const fixtures = await createFixtures(withPhone);
+
+        try {
+          const notification = await sendCompletionNotification(fixtures.collection, fixtures.resident);
+          const stored = await Notification.findById(notification._id);
+
+          const email = stored.deliveries.find(d => d.channel === 'email');
+          const sms = stored.deliveries.find(d => d.channel === 'sms');
+
+          expect(email.status).toBe('sent');
+          expect(email.attempts).toHaveLength(1);
+          expect(email.providerMessageId).toBe('mail-1');
+          expect(sentMail[0].to).toBe(fixtures.resident.email);
+          expect(sentMail[0].text).toBe(stored.message);
+
+          if (withPhone) {
+            expect(sms.status).toBe('sent');
+            expect(smsMessages).toHaveLength(1);
+            expect(smsMessages[0].to).toBe('+15551234567');
+          } else {
+            expect(sms.status).toBe('skipped');
+            expect(sms.attempts).toHaveLength(0);
+            expect(smsMessages).toHaveLength(0);
+          }
+        } finally {
+          await cleanup(fixtures);
+        }
+      }),
+      { numRuns: 10 }
+    );
+  });
+
+  test('should retry failed deliveries until success or the attempt limit', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.array(fc.boolean(), { minLength: 1, maxLength: 5 }),
+        async (outcomes) => {
+          process.env.NOTIFICATION_CHANNELS = 'email';
+          const maxAttempts = 3;
+          let call = 0;
+
+          setTransporter({
+            sendMail: async () => {
+              const succeed = outcomes[Math.min(call, outcomes.length - 1)];
+              call++;
+              if (!succeed) {
+                throw new Error('SMTP connection refused');
+              }
+              return { messageId: `mail-${call}` };
+            }
+          });
+
+          const fixtures = await createFixtures(false);
+
+          try {
+            const notification = await sendCompletionNotification(fixtures.collection, fixtures.resident);
+
+            // Keep retrying far in the future so every backoff has elapsed
+            let now = Date.now();
+            for (let i = 0; i < maxAttempts + 2; i++) {
+              now += 24 * 60 * 60 * 1000;
+              await retryFailedDeliveries({ now: new Date(now) });
+            }
+
+            const stored = await Notification.findById(notification._id);
+            const delivery = stored.deliveries.find(d => d.channel === 'email');
+
+            // Expected number of attempts: up to the first success, capped at the limit
+            const firstSuccess = outcomes.slice(0, maxAttempts).findIndex(Boolean);
+            const expectedAttempts = firstSuccess === -1 ? maxAttempts : firstSuccess + 1;
+
+            expect(delivery.attempts).toHaveLength(expectedAttempts);
+            expect(delivery.status).toBe(firstSuccess === -1 ? 'failed' : 'sent');
+
+            if (firstSuccess === -1) {
+              expect(delivery.lastError).toBe('SMTP connection refused');
+              expect(delivery.nextRetryAt).toBeUndefined();
+            } else {
+              expect(delivery.deliveredAt).toBeDefined();
+            }
+
+            // Attempts are recorded in chronological order
+            for (let i = 1; i < delivery.attempts.length; i++) {
+              expect(delivery.attempts[i].attemptedAt.getTime())
+                .toBeGreaterThanOrEqual(delivery.attempts[i - 1].attemptedAt.getTime());
+            }
+          } finally {
+            await cleanup(fixtures);
+          }
+        }
+      ),
+      { numRuns: 20 }
+    );
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Feature: waste-management-system, Property 23: Notification persistence and querying
+ *
+ * Property: For any set of notifications sent to a user, every notification should be
+ * stored with a unique identifier, be retrievable through the notifications API with
+ * correct filtering, pagination and read state, and only be modifiable by its recipient
+ *
+ * Validates: Requirements 5.4, 6.1
+ */
+
+import fc from 'fast-check';
+import request from 'supertest';
+import express from 'express';
+import cors from 'cors';
+import { User, CollectionRequest, Notification } from '../../models/index.js';
+import userRoutes from '../../routes/userRoutes.js';
+import notificationRoutes from '../../routes/notificationRoutes.js';
+import {
+  sendCompletionNotification,
+  sendAssignmentNotification,
+  sendStatusUpdateNotification
+} from '../../utils/notifications.js';
+import { generateToken } from '../../utils/auth.js';
+import { uniqueSuffix } from '../helpers/accounts.js';
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(cors());
+  app.use(express.json());
+  app.use('/api/auth', userRoutes);
+  app.use('/api/notifications', notificationRoutes);
+  return app;
+};
+
+describe('Property 23: Notification persistence and querying', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+  });
+
+  const createUser = async (role) => {
+    const suffix = uniqueSuffix();
+    const user = await User.create({
+      username: `${role}_${suffix}`.substring(0, 30),
+      email: `${role}_${suffix}@example.com`,
+      password: 'Password123',
+      role
+    });
+    const token = generateToken({ id: user._id, email: user.email, username: user.username, role: user.role });
+    return { user, token };
+  };
+
+  const createCollection = (requesterId) => CollectionRequest.create({
+    requesterId,
+    wasteCategory: 'general',
+    pickupLocation: { address: '123 Test Street' }
+  });
+
+  // Generator for a sequence of notification kinds
+  const notificationKindsArbitrary = fc.array(
+    fc.constantFrom('completion', 'assignment', 'status_update'),
+    { minLength: 1, maxLength: 15 }
+  );
+
+  const sendNotification = (kind, collection, recipient) => {
+    switch (kind) {
+      case 'completion':
+        return sendCompletionNotification(collection, recipient);
+      case 'assignment':
+        return sendAssignmentNotification(collection, recipient);
+      default:
+        return sendStatusUpdateNotification(collection, recipient, 'pending', 'assigned');
+    }
+  };
+
+  test('should persist every notification with a unique id and return them newest first', async () => {
+    await fc.assert(
+      fc.asyncProperty(notificationKindsArbitrary, async (kinds) => {
+        const { user, token } = await createUser('resident');
+        const collection = await createCollection(user._id);
+
+        try {
+          // Send notifications back to back (same millisecond collisions must not matter)
+          const sent = await Promise.all(kinds.map(kind => sendNotification(kind, collection, user)));
+
+          const ids = sent.map(notification => notification._id.toString());
+          expect(new Set(ids).size).toBe(kinds.length);
+
+          // Notifications are stored in the database, not in memory
+          const stored = await Notification.countDocuments({ recipientId: user._id });
+          expect(stored).toBe(kinds.length);
+
+          const response = await request(app)
+            .get('/api/notifications')
+            .query({ limit: 100 })
+            .set('Authorization', `Bearer ${token}`);
+
+          expect(response.status).toBe(200);
+          expect(response.body.notifications).toHaveLength(kinds.length);
+          expect(response.body.unreadCount).toBe(kinds.length);
+          expect(response.body.pagination.total).toBe(kinds.length);
+
+          const timestamps = response.body.notifications.map(n => new Date(n.createdAt).getTime());
+          for (let i = 1; i < timestamps.length; i++) {
+            expect(timestamps[i - 1]).toBeGreaterThanOrEqual(timestamps[i]);
+          }
+        } finally {
+          await Notification.deleteMany({ recipientId: user._id });
+          await CollectionRequest.findByIdAndDelete(collection._id);
+          await User.findByIdAndDelete(user._id);
+        }
+      }),
+      { numRuns: 20 }
+    );
+  });
+
+  test('should filter by type and paginate consistently', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        notificationKindsArbitrary,
+        fc.constantFrom('completion', 'assignment', 'status_update'),
+        fc.integer({ min: 1, max: 5 }),
+        async (kinds, filterType, limit) => {
+          const { user, token } = await createUser('collector');
+          const collection = await createCollection(user._id);
+
+          try {
+            for (const kind of kinds) {
+              await sendNotification(kind, collection, user);
+            }
+
+            const expectedTotal = kinds.filter(kind => kind === filterType).length;
+            const seen = new Set();
+            const pages = Math.max(Math.ceil(expectedTotal / limit), 1);
+
+            for (let page = 1; page <= pages; page++) {
+              const response = await request(app)
+                .get('/api/notifications')
+                .query({ type: filterType, page, limit })
+                .set('Authorization', `Bearer ${token}`);
+
+              expect(response.status).toBe(200);
+              expect(response.body.pagination.total).toBe(expectedTotal);
+              expect(response.body.notifications.length).toBeLessThanOrEqual(limit);
+
+              response.body.notifications.forEach(notification => {
+                expect(notification.type).toBe(filterType);
+                seen.add(notification._id);
+              });
+            }
+
+            // Paging through all pages should return every matching notification exactly once
+            expect(seen.size).toBe(expectedTotal);
+          } finally {
+            await Notification.deleteMany({ recipientId: user._id });
+            await CollectionRequest.findByIdAndDelete(collection._id);
+            await User.findByIdAndDelete(user._id);
+          }
+        }
+      ),
+      { numRuns: 15 }
+    );
+  });
+
+  test('should track read state and only let the recipient modify notifications', async () => {
+    await fc.assert(
+      fc.asyncProperty(notificationKindsArbitrary, async (kinds) => {
+        const { user, token } = await createUser('resident');
+        const { user: otherUser, token: otherToken } = await createUser('resident');
+        const collection = await createCollection(user._id);
+
+        try {
+          const sent = [];
+          for (const kind of kinds) {
+            sent.push(await sendNotification(kind, collection, user));
+          }
+
+          // Another user cannot mark or delete the notification
+          const foreignRead = await request(app)
+            .put(`/api/notifications/${sent[0]._id}/read`)
+            .set('Authorization', `Bearer ${otherToken}`);
+          expect(foreignRead.status).toBe(404);
+
+          const foreignDelete = await request(app)
+            .delete(`/api/notifications/${sent[0]._id}`)
+            .set('Authorization', `Bearer ${otherToken}`);
+          expect(foreignDelete.status).toBe(404);
+
+          // Recipient marks a single notification as read
+          const readResponse = await request(app)
+            .put(`/api/notifications/${sent[0]._id}/read`)
+            .set('Authorization', `Bearer ${token}`);
+          expect(readResponse.status).toBe(200);
+          expect(readResponse.body.notification.read).toBe(true);
+          expect(readResponse.body.notification.readAt).toBeDefined();
+
+          // Mark all as read
+          const readAllResponse = await request(app)
+            .put('/api/notifications/read-all')
+            .set('Authorization', `Bearer ${token}`);
+          expect(readAllResponse.status).toBe(200);
+          expect(readAllResponse.body.updated).toBe(kinds.length - 1);
+
+          const countResponse = await request(app)
+            .get('/api/notifications/unread-count')
+            .set('Authorization', `Bearer ${token}`);
+          expect(countResponse.body.unreadCount).toBe(0);
+
+          // ids that aren't an array are refused instead of deleting everything
+          for (const ids of [sent[0]._id.toString(), {}]) {
+            const malformedDelete = await request(app)
+              .delete('/api/notifications')
+              .send({ ids })
+              .set('Authorization', `Bearer ${token}`);
+            expect(malformedDelete.status).toBe(400);
+          }
+          expect(await Notification.countDocuments({ recipientId: user._id })).toBe(kinds.length);
+
+          // Bulk delete read notifications
+          const deleteResponse = await request(app)
+            .delete('/api/notifications')
+            .query({ read: true })
+            .set('Authorization', `Bearer ${token}`);
+          expect(deleteResponse.status).toBe(200);
+          expect(deleteResponse.body.deleted).toBe(kinds.length);
+
+          expect(await Notification.countDocuments({ recipientId: user._id })).toBe(0);
+        } finally {
+          await Notification.deleteMany({ recipientId: { $in: [user._id, otherUser._id] } });
+          await CollectionRequest.findByIdAndDelete(collection._id);
+          await User.deleteMany({ _id: { $in: [user._id, otherUser._id] } });
+        }
+      }),
+      { numRuns: 15 }
+    );
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Feature: waste-management-system, Property 25: Notification preferences
+ *
+ * Property: For any combination of per-type channel preferences, quiet hours and digest
+ * settings, a notification should only be stored and delivered on the channels the
+ * recipient enabled, status updates outside the chosen statuses should be suppressed,
+ * and deliveries held back by quiet hours or digests should be sent once due, combined
+ * into a single message per channel
+ *
+ * Validates: Requirements 5.4, 6.2
+ */
+
+import fc from 'fast-check';
+import request from 'supertest';
+import express from 'express';
+import cors from 'cors';
+import { User, CollectionRequest, Notification } from '../../models/index.js';
+import userRoutes from '../../routes/userRoutes.js';
+import { sendStatusUpdateNotification, sendCompletionNotification } from '../../utils/notifications.js';
+import { flushQueuedDeliveries } from '../../utils/notificationDispatcher.js';
+import { isInQuietHours } from '../../utils/notificationPreferences.js';
+import { setTransporter } from '../../utils/channels/emailChannel.js';
+import { generateToken } from '../../utils/auth.js';
+import { uniqueSuffix } from '../helpers/accounts.js';
+
+const STATUSES = ['pending', 'assigned', 'in-progress', 'completed', 'cancelled'];
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(cors());
+  app.use(express.json());
+  app.use('/api/auth', userRoutes);
+  return app;
+};
+
+describe('Property 25: Notification preferences', () => {
+  const originalEnv = { ...process.env };
+  let app;
+  let sentMail;
+
+  beforeEach(() => {
+    app = createTestApp();
+    sentMail = [];
+    setTransporter({
+      sendMail: async (mail) => {
+        sentMail.push(mail);
+        return { messageId: `mail-${sentMail.length}` };
+      }
+    });
+    process.env.NOTIFICATION_CHANNELS = 'email';
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    setTransporter(null);
+  });
+
+  const createFixtures = async (preferences) => {
+    const suffix = uniqueSuffix();
+    const resident = await User.create({
+      username: `res_${suffix}`.substring(0, 30),
+      email: `res_${suffix}@example.com`,
+      password: 'Password123',
+      role: 'resident',
+      preferences
+    });
+    const collection = await CollectionRequest.create({
+      requesterId: resident._id,
+      wasteCategory: 'organic',
+      pickupLocation: { address: '7 Preference Road' }
+    });
+    return { resident, collection };
+  };
+
+  const cleanup = async ({ resident, collection }) => {
+    await Notification.deleteMany({ recipientId: resident._id });
+    await CollectionRequest.findByIdAndDelete(collection._id);
+    await User.findByIdAndDelete(resident._id);
+  };
+
+  test('should merge partial preference updates and reject invalid settings', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.record({
+          email: fc.boolean(),
+          statuses: fc.subarray(STATUSES),
+          digestMode: fc.constantFrom('off', 'hourly', 'daily')
+        }),
+        async ({ email, statuses, digestMode }) => {
+          const fixtures = await createFixtures();
+          const token = generateToken({
+            id: fixtures.resident._id,
+            email: fixtures.resident.email,
+            username: fixtures.resident.username,
+            role: fixtures.resident.role
+          });
+
+          try {
+            const updateResponse = await request(app)
+              .put('/api/auth/preferences')
+              .set('Authorization', `Bearer ${token}`)
+              .send({
+                preferences: {
+                  notifications: { status_update: { email, statuses } },
+                  digest: { mode: digestMode }
+                }
+              })
+              .expect(200);
+
+            const updated = updateResponse.body.preferences;
+            expect(updated.notifications.status_update.email).toBe(email);
+            expect(updated.notifications.status_update.statuses).toEqual(statuses);
+            expect(updated.digest.mode).toBe(digestMode);
+
+            // Settings that were not part of the update keep their defaults
+            expect(updated.notifications.status_update.inApp).toBe(true);
+            expect(updated.notifications.completion.email).toBe(true);
+            expect(updated.digest.time).toBe('08:00');
+            expect(updated.timezone).toBe('UTC');
+
+            const getResponse = await request(app)
+              .get('/api/auth/preferences')
+              .set('Authorization', `Bearer ${token}`)
+              .expect(200);
+            expect(getResponse.body.preferences).toEqual(updated);
+
+            await request(app)
+              .put('/api/auth/preferences')
+              .set('Authorization', `Bearer ${token}`)
+              .send({ preferences: { quietHours: { start: '25:00' } } })
+              .expect(400);
+
+            await request(app)
+              .put('/api/auth/profile')
+              .set('Authorization', `Bearer ${token}`)
+              .send({ preferences: { timezone: 'Not/AZone' } })
+              .expect(400);
+          } finally {
+            await cleanup(fixtures);
+          }
+        }
+      ),
+      { numRuns: 10 }
+    );
+  });
+
+  test('should only notify on enabled channels and chosen statuses', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.boolean(),
+        fc.boolean(),
+        fc.subarray(STATUSES),
+        fc.constantFrom('pending', 'assigned', 'in-progress', 'cancelled'),
+        async (inApp, email, statuses, newStatus) => {
+          const fixtures = await createFixtures({
+            notifications: { status_update: { inApp, email, statuses } }
+          });
+
+          try {
+            const notification = await sendStatusUpdateNotification(
+              fixtures.collection, fixtures.resident, 'pending', newStatus
+            );
+            const stored = await Notification.find({ recipientId: fixtures.resident._id });
+
+            const wanted = statuses.includes(newStatus) && (inApp || email);
+            if (!wanted) {
+              expect(notification).toBeNull();
+              expect(stored).toHaveLength(0);
+              expect(sentMail).toHaveLength(0);
+              return;
+            }
+
+            expect(stored).toHaveLength(1);
+            expect(stored[0].inApp).toBe(inApp);
+            expect(stored[0].deliveries.some(d => d.channel === 'email')).toBe(email);
+            expect(sentMail).toHaveLength(email ? 1 : 0);
+          } finally {
+            sentMail.length = 0;
+            await cleanup(fixtures);
+          }
+        }
+      ),
+      { numRuns: 30 }
+    );
+  });
+
+  test('should hold deliveries during quiet hours and send queued ones as a digest', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.integer({ min: 1, max: 4 }), async (count) => {
+        // Quiet hours from an hour ago until an hour from now
+        const now = new Date();
+        const quietHours = {
+          enabled: true,
+          start: new Date(now.getTime() - 60 * 60 * 1000).toISOString().substring(11, 16),
+          end: new Date(now.getTime() + 60 * 60 * 1000).toISOString().substring(11, 16)
+        };
+        expect(isInQuietHours(quietHours, now, 'UTC')).toBe(true);
+
+        const fixtures = await createFixtures({ quietHours });
+
+        try {
+          for (let i = 0; i < count; i++) {
+            await sendCompletionNotification(fixtures.collection, fixtures.resident);
+          }
+
+          let stored = await Notification.find({ recipientId: fixtures.resident._id });
+          expect(stored).toHaveLength(count);
+          stored.forEach(notification => {
+            const delivery = notification.deliveries.find(d => d.channel === 'email');
+            expect(delivery.status).toBe('queued');
+            expect(delivery.scheduledFor.getTime()).toBeGreaterThan(now.getTime());
+          });
+          expect(sentMail).toHaveLength(0);
+
+          // Nothing is due yet
+          await flushQueuedDeliveries({ now });
+          expect(sentMail).toHaveLength(0);
+
+          const flushed = await flushQueuedDeliveries({ now: new Date(now.getTime() + 2 * 60 * 60 * 1000) });
+          expect(flushed).toBeGreaterThanOrEqual(count);
+
+          // One message for all of the recipient's queued notifications
+          const received = sentMail.filter(mail => mail.to === fixtures.resident.email);
+          expect(received).toHaveLength(1);
+          if (count > 1) {
+            expect(received[0].subject).toBe('Your waste collection updates');
+            expect(received[0].text).toContain(`You have ${count} new notifications`);
+          }
+
+          stored = await Notification.find({ recipientId: fixtures.resident._id });
+          stored.forEach(notification => {
+            const delivery = notification.deliveries.find(d => d.channel === 'email');
+            expect(delivery.status).toBe('sent');
+            expect(delivery.attempts).toHaveLength(1);
+            expect(delivery.scheduledFor).toBeUndefined();
+          });
+        } finally {
+          sentMail.length = 0;
+          await cleanup(fixtures);
+        }
+      }),
+      { numRuns: 5 }
+    );
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Feature: waste-management-system, Property 39: Tenant isolation
+ *
+ * Property: For any number of organizations, an admin should only see and act on the
+ * users, collection requests and routes of their own organization, including in the
+ * report statistics, while a super-admin sees every organization and can narrow to one;
+ * members of a deactivated organization can't sign in
+ *
+ * Validates: Requirements 4.1, 4.4, 5.2
+ */
+
+import fc from 'fast-check';
+import request from 'supertest';
+import express from 'express';
+import cors from 'cors';
+import { User, Organization, CollectionRequest, CollectionRoute } from '../../models/index.js';
+import adminRoutes from '../../routes/adminRoutes.js';
+import collectionRoutes from '../../routes/collectionRoutes.js';
+import routeRoutes from '../../routes/routeRoutes.js';
+import organizationRoutes from '../../routes/organizationRoutes.js';
+import userRoutes from '../../routes/userRoutes.js';
+import { generateToken } from '../../utils/auth.js';
+import { uniqueSuffix } from '../helpers/accounts.js';
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(cors());
+  app.use(express.json());
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/collections', collectionRoutes);
+  app.use('/api/routes', routeRoutes);
+  app.use('/api/organizations', organizationRoutes);
+  app.use('/api/users', userRoutes);
+  return app;
+};
+
+describe('Property 39: Tenant isolation', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+  });
+
+  const createUser = async (role, organization = null) => {
+    const suffix = uniqueSuffix();
+    const user = await User.create({
+      username: `${role}_${suffix}`.substring(0, 30),
+      email: `${role}_${suffix}@example.com`,
+      password: 'Password123',
+      role,
+      organization: organization?._id
+    });
+    const token = generateToken({ id: user._id, email: user.email, username: user.username, role: user.role });
+    return { user, token };
+  };
+
+  // An organization with an admin, a collector, a resident and some requests and a route
+  const createTenant = async (requestCount) => {
+    const organization = await Organization.create({
+      name: `Town ${uniqueSuffix()}`,
+      slug: `town-${Math.random().toString(36).substring(2, 10)}`
+    });
+    const admin = await createUser('admin', organization);
+    const collector = await createUser('collector', organization);
+    const resident = await createUser('resident', organization);
+
+    const requests = [];
+    for (let i = 0; i < requestCount; i++) {
+      requests.push(await CollectionRequest.create({
+        requesterId: resident.user._id,
+        wasteCategory: 'general',
+        pickupLocation: { address: `${i + 1} Tenant Street` }
+      }));
+    }
+    const route = await CollectionRoute.create({
+      collectorId: collector.user._id,
+      date: new Date()
+    });
+
+    return { organization, admin, collector, resident, requests, route };
+  };
+
+  const ids = (items) => items.map(item => String(item._id)).sort();
+
+  test('should keep each admin to their own organization', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.array(fc.integer({ min: 1, max: 3 }), { minLength: 2, maxLength: 3 }),
+        async (requestCounts) => {
+          const tenants = [];
+          for (const count of requestCounts) {
+            tenants.push(await createTenant(count));
+          }
+
+          for (const tenant of tenants) {
+            const auth = ['Authorization', `Bearer ${tenant.admin.token}`];
+            const members = [tenant.admin.user, tenant.collector.user, tenant.resident.user];
+
+            // Requests and routes inherit the organization of their resident and collector
+            expect(tenant.requests.every(item => String(item.organization) === String(tenant.organization._id))).toBe(true);
+            expect(String(tenant.route.organization)).toBe(String(tenant.organization._id));
+
+            const users = await request(app).get('/api/admin/users?limit=100').set(...auth).expect(200);
+            expect(ids(users.body.users)).toEqual(ids(members));
+
+            const collections = await request(app).get('/api/collections?limit=100').set(...auth).expect(200);
+            expect(ids(collections.body.requests)).toEqual(ids(tenant.requests));
+
+            const routes = await request(app).get('/api/routes').set(...auth).expect(200);
+            expect(ids(routes.body.routes)).toEqual(ids([tenant.route]));
+
+            const statistics = await request(app).get('/api/admin/reports/statistics').set(...auth).expect(200);
+            const { users: userStats, collections: collectionStats, routes: routeStats } = statistics.body.statistics;
+            expect(userStats.total).toBe(members.length);
+            expect(userStats.byRole).toEqual({ admin: 1, collector: 1, resident: 1 });
+            expect(collectionStats.total).toBe(tenant.requests.length);
+            expect(collectionStats.byStatus).toEqual({ pending: tenant.requests.length });
+            expect(routeStats.total).toBe(1);
+
+            // Another organization's records are out of sight and out of reach
+            for (const other of tenants.filter(candidate => candidate !== tenant)) {
+              await request(app).get(`/api/collections/${other.requests[0]._id}`).set(...auth).expect(404);
+              await request(app).put(`/api/routes/${other.route._id}/optimize`).set(...auth).expect(404);
+              await request(app).delete(`/api/admin/users/${other.resident.user._id}`).set(...auth).expect(404);
+              await request(app)
+                .put(`/api/collections/${tenant.requests[0]._id}/assign`)
+                .set(...auth)
+                .send({ collectorId: other.collector.user._id })
+                .expect(400);
+            }
+          }
+        }
+      ),
+      { numRuns: 5 }
+    );
+  });
+
+  test('should let a super-admin manage organizations and see across them', async () => {
+    const superAdmin = await createUser('super-admin');
+    const first = await createTenant(2);
+    const second = await createTenant(1);
+    const auth = ['Authorization', `Bearer ${superAdmin.token}`];
+
+    // Admins can't manage organizations
+    await request(app)
+      .get('/api/organizations')
+      .set('Authorization', `Bearer ${first.admin.token}`)
+      .expect(403);
+
+    const collections = await request(app).get('/api/collections?limit=100').set(...auth).expect(200);
+    const visible = collections.body.requests.map(item => item._id);
+    [...first.requests, ...second.requests].forEach(item => expect(visible).toContain(String(item._id)));
+
+    const narrowed = await request(app)
+      .get(`/api/admin/users?limit=100&organization=${second.organization._id}`)
+      .set(...auth)
+      .expect(200);
+    expect(ids(narrowed.body.users)).toEqual(ids([second.admin.user, second.collector.user, second.resident.user]));
+
+    const slug = `new-town-${Math.random().toString(36).substring(2, 8)}`;
+    const created = await request(app)
+      .post('/api/organizations')
+      .set(...auth)
+      .send({ name: 'New Town', slug })
+      .expect(201);
+
+    await request(app)
+      .post('/api/organizations')
+      .set(...auth)
+      .send({ name: 'Another New Town', slug })
+      .expect(409);
+
+    const publicList = await request(app).get('/api/organizations/public').expect(200);
+    expect(publicList.body.organizations.map(item => item.slug)).toContain(slug);
+
+    const detail = await request(app)
+      .get(`/api/organizations/${first.organization._id}`)
+      .set(...auth)
+      .expect(200);
+    expect(detail.body.counts).toEqual({ users: 3, collections: 2, routes: 1 });
+
+    // Deactivating an organization locks its members out
+    await request(app)
+      .put(`/api/organizations/${first.organization._id}`)
+      .set(...auth)
+      .send({ active: false })
+      .expect(200);
+
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ email: first.resident.user.email, password: 'Password123' })
+      .expect(403);
+    expect(login.body.success).toBe(false);
+
+    await request(app)
+      .get('/api/admin/users')
+      .set('Authorization', `Bearer ${first.admin.token}`)
+      .expect(403);
+
+    await request(app)
+      .post('/api/users/register')
+      .send({
+        username: `signup_${uniqueSuffix()}`.substring(0, 30),
+        email: `signup_${uniqueSuffix()}@example.com`,
+        password: 'Password123',
+        organization: first.organization.slug
+      })
+      .expect(400);
+
+    expect(created.body.organization.active).toBe(true);
+  });
+});
@@ -0,0 +1,254 @@
+/**
+ * Feature: waste-management-system, Property 38: Permission-based authorization
+ *
+ * Property: For any role, built-in or custom, a user should reach an endpoint exactly
+ * when their role grants one of the permissions it requires; custom roles should only
+ * carry known permissions, never grant more than their creator holds, and take effect
+ * for their users on the next request
+ *
+ * Validates: Requirements 4.1, 4.3, 5.2
+ */
+
+import fc from 'fast-check';
+import request from 'supertest';
+import express from 'express';
+import cors from 'cors';
+import { User, Role, CollectionRequest } from '../../models/index.js';
+import adminRoutes from '../../routes/adminRoutes.js';
+import collectionRoutes from '../../routes/collectionRoutes.js';
+import routeRoutes from '../../routes/routeRoutes.js';
+import vehicleRoutes from '../../routes/vehicleRoutes.js';
+import { generateToken } from '../../utils/auth.js';
+import { PERMISSION_NAMES, BUILT_IN_ROLES } from '../../utils/permissions.js';
+import { uniqueSuffix } from '../helpers/accounts.js';
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(cors());
+  app.use(express.json());
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/collections', collectionRoutes);
+  app.use('/api/routes', routeRoutes);
+  app.use('/api/vehicles', vehicleRoutes);
+  return app;
+};
+
+// Read-only endpoints and the permissions that open them
+const ENDPOINTS = [
+  ['/api/admin/users', ['users:view']],
+  ['/api/admin/reports/statistics', ['reports:view']],
+  ['/api/admin/notifications', ['notifications:manage']],
+  ['/api/admin/roles', ['roles:manage', 'users:manage', 'users:invite']],
+  ['/api/routes', ['routes:view-all']],
+  ['/api/vehicles', ['vehicles:manage']]
+];
+
+describe('Property 38: Permission-based authorization', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+  });
+
+  const createUser = async (role) => {
+    const suffix = uniqueSuffix();
+    const user = await User.create({
+      username: `${role}_${suffix}`.substring(0, 30),
+      email: `${role}_${suffix}@example.com`,
+      password: 'Password123',
+      role
+    });
+    const token = generateToken({ id: user._id, email: user.email, username: user.username, role: user.role });
+    return { user, token };
+  };
+
+  const createRole = (permissions) => Role.create({
+    name: `role-${Math.random().toString(36).substring(2, 10)}`,
+    permissions
+  });
+
+  test('should open each endpoint exactly to roles granting one of its permissions', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.subarray(PERMISSION_NAMES), async (permissions) => {
+        const role = await createRole(permissions);
+        const { token } = await createUser(role.name);
+
+        for (const [path, required] of ENDPOINTS) {
+          const response = await request(app).get(path).set('Authorization', `Bearer ${token}`);
+          const allowed = required.some(permission => permissions.includes(permission));
+
+          if (allowed) {
+            expect(response.status).toBe(200);
+          } else {
+            expect(response.status).toBe(403);
+            expect(response.body.requiredPermissions).toEqual(required);
+          }
+        }
+      }),
+      { numRuns: 20 }
+    );
+  });
+
+  test('should let a dispatcher assign collections to a custom collecting role', async () => {
+    const dispatcherRole = await createRole(['collections:view-all', 'collections:assign']);
+    const driverRole = await createRole(['collections:view-assigned', 'collections:collect']);
+    const dispatcher = await createUser(dispatcherRole.name);
+    const driver = await createUser(driverRole.name);
+    const resident = await createUser('resident');
+
+    const collection = await CollectionRequest.create({
+      requesterId: resident.user._id,
+      wasteCategory: 'general',
+      pickupLocation: { address: '12 Dispatch Lane' }
+    });
+
+    const list = await request(app)
+      .get('/api/collections')
+      .set('Authorization', `Bearer ${dispatcher.token}`)
+      .expect(200);
+    expect(list.body.requests.map(item => item._id)).toContain(collection._id.toString());
+
+    await request(app)
+      .put(`/api/collections/${collection._id}/assign`)
+      .set('Authorization', `Bearer ${dispatcher.token}`)
+      .send({ collectorId: driver.user._id })
+      .expect(200);
+
+    // The driver sees and works the request like a collector would
+    const view = await request(app)
+      .get(`/api/collections/${collection._id}`)
+      .set('Authorization', `Bearer ${driver.token}`)
+      .expect(200);
+    expect(view.body.allowedTransitions).toEqual(['in-progress']);
+
+    await request(app)
+      .put(`/api/collections/${collection._id}`)
+      .set('Authorization', `Bearer ${driver.token}`)
+      .send({ status: 'in-progress' })
+      .expect(200);
+
+    // Assigning needs a user whose role can collect, and the dispatcher can't delete users
+    await request(app)
+      .put(`/api/collections/${collection._id}/assign`)
+      .set('Authorization', `Bearer ${dispatcher.token}`)
+      .send({ collectorId: resident.user._id })
+      .expect(400);
+
+    await request(app)
+      .delete(`/api/admin/users/${resident.user._id}`)
+      .set('Authorization', `Bearer ${dispatcher.token}`)
+      .expect(403);
+  });
+
+  test('should manage custom roles without granting more than the manager holds', async () => {
+    const admin = await createUser('admin');
+    const supervisorRole = await createRole(['roles:manage', 'users:view', 'users:manage']);
+    const supervisor = await createUser(supervisorRole.name);
+    const name = `auditor-${Math.random().toString(36).substring(2, 8)}`;
+
+    await request(app)
+      .post('/api/admin/roles')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ name: 'collector', permissions: [] })
+      .expect(409);
+
+    await request(app)
+      .post('/api/admin/roles')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ name, permissions: ['reports:fly'] })
+      .expect(400);
+
+    // A supervisor can't hand out permissions they don't have, directly or through a role
+    await request(app)
+      .post('/api/admin/roles')
+      .set('Authorization', `Bearer ${supervisor.token}`)
+      .send({ name, permissions: ['users:view', 'users:delete'] })
+      .expect(403);
+
+    const target = await createUser('resident');
+    await request(app)
+      .put(`/api/admin/users/${target.user._id}/role`)
+      .set('Authorization', `Bearer ${supervisor.token}`)
+      .send({ role: 'admin' })
+      .expect(403);
+
+    await request(app)
+      .post('/api/admin/roles')
+      .set('Authorization', `Bearer ${supervisor.token}`)
+      .send({ name, description: 'Read-only user lists', permissions: ['users:view'] })
+      .expect(201);
+
+    await request(app)
+      .put(`/api/admin/users/${target.user._id}/role`)
+      .set('Authorization', `Bearer ${supervisor.token}`)
+      .send({ role: name })
+      .expect(200);
+
+    // Role changes end the user's sessions; sign in again under the new role
+    const reloaded = await User.findById(target.user._id);
+    const auditorToken = generateToken({
+      id: reloaded._id, email: reloaded.email, username: reloaded.username, role: reloaded.role, tv: reloaded.tokenVersion
+    });
+    await request(app).get('/api/admin/users').set('Authorization', `Bearer ${auditorToken}`).expect(200);
+    await request(app).get('/api/admin/reports/statistics').set('Authorization', `Bearer ${auditorToken}`).expect(403);
+
+    // New permissions apply on the next request
+    await request(app)
+      .put(`/api/admin/roles/${name}`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ permissions: ['reports:view'] })
+      .expect(200);
+    await request(app).get('/api/admin/reports/statistics').set('Authorization', `Bearer ${auditorToken}`).expect(200);
+    await request(app).get('/api/admin/users').set('Authorization', `Bearer ${auditorToken}`).expect(403);
+
+    // Built-in roles are fixed, and a role can't be deleted while users have it
+    await request(app)
+      .put('/api/admin/roles/admin')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ permissions: [] })
+      .expect(400);
+
+    await request(app)
+      .delete(`/api/admin/roles/${name}`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .expect(409);
+
+    await User.findByIdAndDelete(target.user._id);
+    await request(app)
+      .delete(`/api/admin/roles/${name}`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .expect(200);
+
+    const roles = await request(app)
+      .get('/api/admin/roles')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .expect(200);
+    expect(roles.body.roles.filter(role => role.builtIn).map(role => role.name)).toEqual(Object.keys(BUILT_IN_ROLES));
+    expect(roles.body.roles.map(role => role.name)).not.toContain(name);
+  });
+
+  test('should not let a role manage users whose role holds permissions it lacks', async () => {
+    const admin = await createUser('admin');
+    const supervisorRole = await createRole([
+      'users:view', 'users:manage', 'users:delete', ...BUILT_IN_ROLES.resident, ...BUILT_IN_ROLES.collector
+    ]);
+    const supervisor = await createUser(supervisorRole.name);
+    const resident = await createUser('resident');
+    const as = (call) => call.set('Authorization', `Bearer ${supervisor.token}`);
+
+    // Every change to an admin is refused, including demoting them
+    await as(request(app).put(`/api/admin/users/${admin.user._id}/role`).send({ role: 'resident' })).expect(403);
+    await as(request(app).post(`/api/admin/users/${admin.user._id}/unlock`)).expect(403);
+    await as(request(app).delete(`/api/admin/users/${admin.user._id}/two-factor`)).expect(403);
+    await as(request(app).delete(`/api/admin/users/${admin.user._id}`)).expect(403);
+
+    const untouched = await User.findById(admin.user._id);
+    expect(untouched.role).toBe('admin');
+
+    // Users whose role holds nothing beyond the supervisor's stay manageable
+    await as(request(app).put(`/api/admin/users/${resident.user._id}/role`).send({ role: 'collector' })).expect(200);
+    await as(request(app).post(`/api/admin/users/${resident.user._id}/unlock`)).expect(200);
+    await as(request(app).delete(`/api/admin/users/${resident.user._id}`)).expect(200);
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Feature: waste-management-system, Property 41: Proximity search
+ *
+ * Property: For any set of pickup locations and any search position and radius, the
+ * nearby search should return exactly the pending requests within the radius, nearest
+ * first and with their distance, and a bounding box search exactly those inside the box,
+ * while pickup locations keep their lat/lng shape in every response
+ *
+ * Validates: Requirements 2.3, 3.4, 4.2
+ */
+
+import fc from 'fast-check';
+import request from 'supertest';
+import express from 'express';
+import cors from 'cors';
+import { User, CollectionRequest } from '../../models/index.js';
+import collectionRoutes from '../../routes/collectionRoutes.js';
+import { generateToken } from '../../utils/auth.js';
+import { haversineDistance } from '../../utils/routeOptimizer.js';
+import { uniqueSuffix } from '../helpers/accounts.js';
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(cors());
+  app.use(express.json());
+  app.use('/api/collections', collectionRoutes);
+  return app;
+};
+
+const CENTER = { lat: 40.7128, lng: -74.006 };
+
+// Locations within about 5 km of the center
+const location = fc.record({
+  lat: fc.double({ min: CENTER.lat - 0.05, max: CENTER.lat + 0.05, noNaN: true }),
+  lng: fc.double({ min: CENTER.lng - 0.05, max: CENTER.lng + 0.05, noNaN: true })
+});
+
+const metresBetween = (a, b) => haversineDistance(a, b) * 1000;
+
+describe('Property 41: Proximity search', () => {
+  let app;
+
+  beforeAll(async () => {
+    // Spatial queries need the 2dsphere index
+    await CollectionRequest.init();
+  });
+
+  beforeEach(() => {
+    app = createTestApp();
+  });
+
+  const createUser = async (role) => {
+    const suffix = uniqueSuffix();
+    const user = await User.create({
+      username: `${role}_${suffix}`.substring(0, 30),
+      email: `${role}_${suffix}@example.com`,
+      password: 'Password123',
+      role
+    });
+    const token = generateToken({ id: user._id, email: user.email, username: user.username, role: user.role });
+    return { user, token };
+  };
+
+  const createRequests = (requester, locations) => CollectionRequest.create(locations.map(coordinates => ({
+    requesterId: requester._id,
+    wasteCategory: 'general',
+    pickupLocation: { address: '1 Nearby Street', coordinates }
+  })));
+
+  test('should find exactly the pending requests within the radius, nearest first', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.array(location, { minLength: 1, maxLength: 10 }),
+        location,
+        fc.integer({ min: 200, max: 8000 }),
+        async (locations, origin, radius) => {
+          await CollectionRequest.deleteMany({});
+          const resident = await createUser('resident');
+          const collector = await createUser('collector');
+          const created = await createRequests(resident.user, locations);
+
+          const response = await request(app)
+            .get(`/api/collections/nearby?lat=${origin.lat}&lng=${origin.lng}&radius=${radius}&limit=100`)
+            .set('Authorization', `Bearer ${collector.token}`)
+            .expect(200);
+          const found = response.body.requests;
+          const foundIds = found.map(item => item._id);
+
+          // MongoDB measures on a slightly larger sphere, so leave out locations right at the edge
+          created.forEach((item, index) => {
+            const distance = metresBetween(origin, locations[index]);
+            if (distance < radius * 0.995) {
+              expect(foundIds).toContain(String(item._id));
+            } else if (distance > radius * 1.005) {
+              expect(foundIds).not.toContain(String(item._id));
+            }
+          });
+
+          found.forEach((item, index) => {
+            expect(item.pickupLocation.coordinates).toEqual(expect.objectContaining({ lat: expect.any(Number), lng: expect.any(Number) }));
+            expect(item.pickupLocation.geo).toBeUndefined();
+            expect(Math.abs(item.distance - metresBetween(origin, item.pickupLocation.coordinates))).toBeLessThanOrEqual(1);
+            if (index > 0) {
+              expect(item.distance).toBeGreaterThanOrEqual(found[index - 1].distance - 1);
+            }
+          });
+        }
+      ),
+      { numRuns: 20 }
+    );
+  });
+
+  test('should find exactly the pending requests inside a bounding box', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.array(location, { minLength: 1, maxLength: 10 }),
+        location,
+        location,
+        async (locations, corner, opposite) => {
+          fc.pre(Math.abs(corner.lat - opposite.lat) > 0.001 && Math.abs(corner.lng - opposite.lng) > 0.001);
+          await CollectionRequest.deleteMany({});
+          const resident = await createUser('resident');
+          const admin = await createUser('admin');
+          const created = await createRequests(resident.user, locations);
+
+          const west = Math.min(corner.lng, opposite.lng);
+          const east = Math.max(corner.lng, opposite.lng);
+          const south = Math.min(corner.lat, opposite.lat);
+          const north = Math.max(corner.lat, opposite.lat);
+
+          const response = await request(app)
+            .get(`/api/collections/nearby?bbox=${west},${south},${east},${north}&limit=100`)
+            .set('Authorization', `Bearer ${admin.token}`)
+            .expect(200);
+          const foundIds = response.body.requests.map(item => item._id);
+
+          // Box edges are great circles, so leave out locations right at an edge
+          const margin = 0.0001;
+          created.forEach((item, index) => {
+            const { lat, lng } = locations[index];
+            const inside = lat > south + margin && lat < north - margin && lng > west + margin && lng < east - margin;
+            const outside = lat < south - margin || lat > north + margin || lng < west - margin || lng > east + margin;
+            if (inside) {
+              expect(foundIds).toContain(String(item._id));
+            } else if (outside) {
+              expect(foundIds).not.toContain(String(item._id));
+            }
+          });
+        }
+      ),
+      { numRuns: 20 }
+    );
+  });
+
+  test('should limit other statuses to what the user may see', async () => {
+    const resident = await createUser('resident');
+    const collector = await createUser('collector');
+    const otherCollector = await createUser('collector');
+    const admin = await createUser('admin');
+
+    const [pending, mine, theirs] = await createRequests(resident.user, [CENTER, CENTER, CENTER]);
+    await CollectionRequest.create({
+      requesterId: resident.user._id,
+      wasteCategory: 'general',
+      pickupLocation: { address: 'Somewhere without coordinates' }
+    });
+    mine.status = 'assigned';
+    mine.assignedCollector = collector.user._id;
+    await mine.save();
+    theirs.status = 'assigned';
+    theirs.assignedCollector = otherCollector.user._id;
+    await theirs.save();
+
+    resident.user.profile = { firstName: 'Ada', phone: '+15555550100', address: '1 Nearby Street' };
+    await resident.user.save();
+
+    const near = `lat=${CENTER.lat}&lng=${CENTER.lng}`;
+    const pendingNearby = await request(app)
+      .get(`/api/collections/nearby?${near}`)
+      .set('Authorization', `Bearer ${collector.token}`)
+      .expect(200);
+    expect(pendingNearby.body.requests.map(item => item._id)).toEqual([String(pending._id)]);
+    expect(pendingNearby.body.requests[0].distance).toBe(0);
+    // A resident's contact details aren't shown to collectors who haven't been assigned their request
+    expect(pendingNearby.body.requests[0].requesterId.username).toBe(resident.user.username);
+    expect(pendingNearby.body.requests[0].requesterId.profile).toBeUndefined();
+
+    const assigned = await request(app)
+      .get(`/api/collections/nearby?${near}&status=assigned`)
+      .set('Authorization', `Bearer ${collector.token}`)
+      .expect(200);
+    expect(assigned.body.requests.map(item => item._id)).toEqual([String(mine._id)]);
+    expect(assigned.body.requests[0].requesterId.profile.phone).toBe('+15555550100');
+
+    const allAssigned = await request(app)
+      .get(`/api/collections/nearby?${near}&status=assigned`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .expect(200);
+    expect(allAssigned.body.requests.map(item => item._id).sort()).toEqual([String(mine._id), String(theirs._id)].sort());
+
+    await request(app)
+      .get(`/api/collections/nearby?${near}`)
+      .set('Authorization', `Bearer ${resident.token}`)
+      .expect(403);
+
+    await request(app)
+      .get('/api/collections/nearby')
+      .set('Authorization', `Bearer ${collector.token}`)
+      .expect(400);
+
+    await request(app)
+      .get('/api/collections/nearby?bbox=-73.9,40.7,-74.1,40.8')
+      .set('Authorization', `Bearer ${collector.token}`)
+      .expect(400);
+
+    // The stored GeoJSON point follows the coordinates
+    const stored = await CollectionRequest.findById(pending._id).select('+pickupLocation.geo');
+    expect(stored.pickupLocation.geo.toObject()).toEqual({ type: 'Point', coordinates: [CENTER.lng, CENTER.lat] });
+  });
+});
@@ -0,0 +1,262 @@
+/**
+ * Feature: waste-management-system, Property 26: Real-time update visibility
+ *
+ * Property: For any change to a collection request, the event stream should deliver the
+ * change to every connected user whose role scope includes the request (admins, its
+ * requester and its assigned collector) and to no one else
+ *
+ * Validates: Requirements 4.2, 5.1, 5.2
+ */
+
+import fc from 'fast-check';
+import http from 'http';
+import request from 'supertest';
+import express from 'express';
+import cors from 'cors';
+import { User, CollectionRequest, Notification } from '../../models/index.js';
+import collectionRoutes from '../../routes/collectionRoutes.js';
+import eventRoutes from '../../routes/eventRoutes.js';
+import { getSubscriberCount } from '../../utils/eventBus.js';
+import { generateToken } from '../../utils/auth.js';
+import { uniqueSuffix } from '../helpers/accounts.js';
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(cors());
+  app.use(express.json());
+  app.use('/api/collections', collectionRoutes);
+  app.use('/api/events', eventRoutes);
+  return app;
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Open an event stream with a ticket and collect the events it receives
+ */
+const openStream = (port, ticket) => new Promise((resolve, reject) => {
+  const events = [];
+  const req = http.get(`http://127.0.0.1:${port}/api/events?ticket=${ticket}`, (res) => {
+    const ended = new Promise(done => res.on('end', done));
+    let buffer = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      blocks.forEach(block => {
+        const type = block.match(/^event: (.+)$/m)?.[1];
+        const data = block.match(/^data: (.+)$/m)?.[1];
+        if (type && data) {
+          events.push({ type, data: JSON.parse(data) });
+        }
+      });
+      if (events.some(event => event.type === 'connected')) {
+        resolve({ events, close: () => req.destroy(), status: res.statusCode, ended });
+      }
+    });
+  });
+  req.on('error', reject);
+});
+
+const issueTicket = async (app, token) => {
+  const response = await request(app)
+    .post('/api/events/ticket')
+    .set('Authorization', `Bearer ${token}`)
+    .expect(201);
+  return response.body.ticket;
+};
+
+/**
+ * Open an event stream the way the client does: ask for a ticket, then connect with it
+ */
+const connect = async (app, port, token) => openStream(port, await issueTicket(app, token));
+
+describe('Property 26: Real-time update visibility', () => {
+  let app;
+  let server;
+  let port;
+
+  beforeAll((done) => {
+    app = createTestApp();
+    server = app.listen(0, () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const createUser = async (role) => {
+    const suffix = uniqueSuffix();
+    const user = await User.create({
+      username: `${role}_${suffix}`.substring(0, 30),
+      email: `${role}_${suffix}@example.com`,
+      password: 'Password123',
+      role
+    });
+    const token = generateToken({ id: user._id, email: user.email, username: user.username, role: user.role });
+    return { user, token };
+  };
+
+  test('should reject event streams without a valid ticket', async () => {
+    const { user, token } = await createUser('resident');
+
+    await request(app).get('/api/events').expect(401);
+    await request(app).get('/api/events?ticket=not-a-ticket').expect(401);
+    // Access tokens don't belong in URLs
+    await request(app).get(`/api/events?token=${token}`).expect(401);
+
+    // A ticket opens one stream only
+    const ticket = await issueTicket(app, token);
+    const stream = await openStream(port, ticket);
+    stream.close();
+    await request(app).get(`/api/events?ticket=${ticket}`).expect(401);
+
+    await User.findByIdAndDelete(user._id);
+  });
+
+  test('should end a stream once the user\'s session is revoked', async () => {
+    const { user, token } = await createUser('resident');
+    const heartbeat = process.env.EVENTS_HEARTBEAT_MS;
+    process.env.EVENTS_HEARTBEAT_MS = '50';
+
+    try {
+      const stream = await connect(app, port, token);
+      expect(stream.status).toBe(200);
+
+      // Signing out everywhere bumps the token version
+      await User.findByIdAndUpdate(user._id, { $inc: { tokenVersion: 1 } });
+      await stream.ended;
+      expect(getSubscriberCount()).toBe(0);
+    } finally {
+      if (heartbeat === undefined) {
+        delete process.env.EVENTS_HEARTBEAT_MS;
+      } else {
+        process.env.EVENTS_HEARTBEAT_MS = heartbeat;
+      }
+      await User.findByIdAndDelete(user._id);
+    }
+  });
+
+  test('should deliver collection changes only to users who can see the collection', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.constantFrom('assigned', 'in-progress', 'cancelled'),
+        async (newStatus) => {
+          const admin = await createUser('admin');
+          const requester = await createUser('resident');
+          const otherResident = await createUser('resident');
+          const collector = await createUser('collector');
+          const otherCollector = await createUser('collector');
+          const everyone = [admin, requester, otherResident, collector, otherCollector];
+
+          const collection = await CollectionRequest.create({
+            requesterId: requester.user._id,
+            wasteCategory: 'recyclable',
+            pickupLocation: { address: '99 Stream Street' },
+            assignedCollector: collector.user._id,
+            status: 'assigned'
+          });
+
+          const streams = await Promise.all(everyone.map(({ token }) => connect(app, port, token)));
+
+          try {
+            expect(streams.every(stream => stream.status === 200)).toBe(true);
+
+            await request(app)
+              .put(`/api/collections/${collection._id}`)
+              .set('Authorization', `Bearer ${admin.token}`)
+              .send({ status: newStatus })
+              .expect(200);
+
+            await wait(100);
+
+            const received = streams.map(stream =>
+              stream.events.filter(event =>
+                event.type === 'collection.updated' &&
+                event.data.collection._id === collection._id.toString()
+              )
+            );
+
+            const [adminEvents, requesterEvents, otherResidentEvents, collectorEvents, otherCollectorEvents] = received;
+
+            expect(adminEvents).toHaveLength(1);
+            expect(requesterEvents).toHaveLength(1);
+            expect(collectorEvents).toHaveLength(1);
+            expect(otherResidentEvents).toHaveLength(0);
+            expect(otherCollectorEvents).toHaveLength(0);
+
+            expect(adminEvents[0].data.changes).toEqual(expect.objectContaining({
+              oldStatus: 'assigned',
+              newStatus
+            }));
+            expect(adminEvents[0].data.collection.status).toBe(newStatus);
+          } finally {
+            streams.forEach(stream => stream.close());
+            await wait(50);
+
+            await Notification.deleteMany({ collectionId: collection._id });
+            await CollectionRequest.findByIdAndDelete(collection._id);
+            await User.deleteMany({ _id: { $in: everyone.map(({ user }) => user._id) } });
+          }
+
+          // Closed streams stop listening
+          expect(getSubscriberCount()).toBe(0);
+        }
+      ),
+      { numRuns: 5 }
+    );
+  });
+
+  test('should only tell a collector a request was taken from them, not its details', async () => {
+    const admin = await createUser('admin');
+    const requester = await createUser('resident');
+    const collector = await createUser('collector');
+    const newCollector = await createUser('collector');
+    const everyone = [admin, requester, collector, newCollector];
+
+    const collection = await CollectionRequest.create({
+      requesterId: requester.user._id,
+      wasteCategory: 'general',
+      pickupLocation: { address: '12 Handover Road' },
+      notes: 'Side gate code 4321',
+      assignedCollector: collector.user._id,
+      status: 'assigned'
+    });
+
+    const streams = await Promise.all([collector, newCollector].map(({ token }) => connect(app, port, token)));
+
+    try {
+      await request(app)
+        .put(`/api/collections/${collection._id}/assign`)
+        .set('Authorization', `Bearer ${admin.token}`)
+        .send({ collectorId: newCollector.user._id })
+        .expect(200);
+
+      await wait(100);
+
+      const [previousEvents, newEvents] = streams.map(stream =>
+        stream.events.filter(event => event.type === 'collection.assigned')
+      );
+
+      expect(previousEvents).toHaveLength(1);
+      expect(previousEvents[0].data.collection).toEqual({ _id: collection._id.toString(), status: 'assigned' });
+      expect(previousEvents[0].data.changes.previousCollector).toBe(collector.user._id.toString());
+
+      expect(newEvents).toHaveLength(1);
+      expect(newEvents[0].data.collection.notes).toBe('Side gate code 4321');
+      expect(newEvents[0].data.collection.requesterId.email).toBe(requester.user.email);
+    } finally {
+      streams.forEach(stream => stream.close());
+      await wait(50);
+
+      await Notification.deleteMany({ collectionId: collection._id });
+      await CollectionRequest.findByIdAndDelete(collection._id);
+      await User.deleteMany({ _id: { $in: everyone.map(({ user }) => user._id) } });
+    }
+  });
+});
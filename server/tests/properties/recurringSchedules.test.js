@@ -0,0 +1,357 @@
+/**
+ * Feature: waste-management-system, Property 29: Recurring schedule generation
+ *
+ * Property: For any recurring schedule, the scheduler should create exactly one pending
+ * collection request for each day the schedule falls on within the generation horizon,
+ * excluding paused and skipped days, and running it again should create no duplicates
+ *
+ * Validates: Requirements 2.1, 2.3
+ */
+
+import fc from 'fast-check';
+import request from 'supertest';
+import express from 'express';
+import cors from 'cors';
+import { User, CollectionRequest, RecurringSchedule, Organization, Zone, Notification } from '../../models/index.js';
+import scheduleRoutes from '../../routes/scheduleRoutes.js';
+import collectionRoutes from '../../routes/collectionRoutes.js';
+import { generateToken } from '../../utils/auth.js';
+import { materializeSchedule, getGenerationWindow } from '../../utils/recurringScheduler.js';
+import { uniqueSuffix } from '../helpers/accounts.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(cors());
+  app.use(express.json());
+  app.use('/api/schedules', scheduleRoutes);
+  app.use('/api/collections', collectionRoutes);
+  return app;
+};
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+describe('Property 29: Recurring schedule generation', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+  });
+
+  const createResident = async () => {
+    const suffix = uniqueSuffix();
+    const user = await User.create({
+      username: `resident_${suffix}`.substring(0, 30),
+      email: `resident_${suffix}@example.com`,
+      password: 'Password123',
+      role: 'resident'
+    });
+    const token = generateToken({ id: user._id, email: user.email, username: user.username, role: user.role });
+    return { user, token };
+  };
+
+  const cleanup = async (schedule, user) => {
+    if (schedule) {
+      await CollectionRequest.deleteMany({ recurringSchedule: schedule._id });
+      await RecurringSchedule.findByIdAndDelete(schedule._id);
+    }
+    await User.findByIdAndDelete(user._id);
+  };
+
+  test('should generate one request per occurrence in the horizon and never duplicate', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.constantFrom('weekly', 'biweekly', 'monthly'),
+        fc.integer({ min: 0, max: 6 }),
+        fc.integer({ min: 1, max: 28 }),
+        fc.integer({ min: 0, max: 10 }), // start offset in days
+        fc.integer({ min: 7, max: 45 }), // horizon in days
+        fc.option(fc.tuple(fc.integer({ min: 1, max: 30 }), fc.integer({ min: 0, max: 10 })), { nil: null }),
+        fc.array(fc.integer({ min: 1, max: 45 }), { maxLength: 3 }),
+        async (frequency, dayOfWeek, dayOfMonth, startOffset, horizonDays, pause, skipOffsets) => {
+          const { user } = await createResident();
+          const now = new Date();
+          const today = RecurringSchedule.startOfDay(now);
+          let schedule = null;
+
+          try {
+            schedule = await RecurringSchedule.create({
+              requesterId: user._id,
+              wasteCategory: 'general',
+              pickupLocation: { address: '12 Routine Road' },
+              frequency,
+              dayOfWeek: frequency === 'monthly' ? undefined : dayOfWeek,
+              dayOfMonth: frequency === 'monthly' ? dayOfMonth : undefined,
+              startDate: new Date(today.getTime() + startOffset * DAY_MS),
+              pauses: pause
+                ? [{
+                    from: new Date(today.getTime() + pause[0] * DAY_MS),
+                    until: new Date(today.getTime() + (pause[0] + pause[1]) * DAY_MS)
+                  }]
+                : [],
+              skippedDates: skipOffsets.map(offset => new Date(today.getTime() + offset * DAY_MS))
+            });
+
+            const created = await materializeSchedule(schedule, { now, horizonDays });
+
+            // Expected days, worked out independently of getOccurrences
+            const { from, until } = getGenerationWindow(now, horizonDays);
+            const expected = [];
+            for (let day = from; day <= until; day = new Date(day.getTime() + DAY_MS)) {
+              if (schedule.fallsOn(day) && !schedule.isPausedOn(day) && !schedule.isSkipped(day)) {
+                expected.push(day.getTime());
+              }
+            }
+
+            expect(created.map(r => r.scheduledDate.getTime()).sort()).toEqual(expected.sort());
+            created.forEach(r => {
+              expect(r.status).toBe('pending');
+              expect(r.recurringSchedule.toString()).toBe(schedule._id.toString());
+              expect(r.statusHistory[0].source).toBe('recurring-schedule');
+            });
+
+            // Running again must not create duplicates
+            const again = await materializeSchedule(schedule, { now, horizonDays });
+            expect(again).toHaveLength(0);
+
+            const total = await CollectionRequest.countDocuments({ recurringSchedule: schedule._id });
+            expect(total).toBe(expected.length);
+          } finally {
+            await cleanup(schedule, user);
+          }
+        }
+      ),
+      { numRuns: 30 }
+    );
+  });
+
+  test('should cancel the generated request when one collection is skipped', async () => {
+    const { user, token } = await createResident();
+    let schedule = null;
+
+    try {
+      const tomorrow = new Date(RecurringSchedule.startOfDay(new Date()).getTime() + DAY_MS);
+
+      const response = await request(app)
+        .post('/api/schedules')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          wasteCategory: 'recyclable',
+          pickupLocation: { address: '3 Skip Street' },
+          frequency: 'weekly',
+          dayOfWeek: tomorrow.getUTCDay(),
+          startDate: toDateString(tomorrow)
+        })
+        .expect(201);
+
+      schedule = response.body.schedule;
+      expect(response.body.generated.length).toBeGreaterThan(0);
+
+      const skipResponse = await request(app)
+        .post(`/api/schedules/${schedule._id}/skip`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ date: toDateString(tomorrow) })
+        .expect(200);
+
+      expect(skipResponse.body.cancelledRequest.status).toBe('cancelled');
+
+      const live = await CollectionRequest.countDocuments({
+        recurringSchedule: schedule._id,
+        scheduledDate: tomorrow,
+        status: { $ne: 'cancelled' }
+      });
+      expect(live).toBe(0);
+
+      // A day the schedule doesn't fall on can't be skipped
+      await request(app)
+        .post(`/api/schedules/${schedule._id}/skip`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ date: toDateString(new Date(tomorrow.getTime() + DAY_MS)) })
+        .expect(400);
+    } finally {
+      await cleanup(schedule, user);
+    }
+  });
+
+  test('should not generate an occurrence again once its request is cancelled', async () => {
+    const { user, token } = await createResident();
+    let schedule = null;
+
+    try {
+      const tomorrow = new Date(RecurringSchedule.startOfDay(new Date()).getTime() + DAY_MS);
+
+      const response = await request(app)
+        .post('/api/schedules')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          wasteCategory: 'general',
+          pickupLocation: { address: '4 Cancel Close' },
+          frequency: 'weekly',
+          dayOfWeek: tomorrow.getUTCDay(),
+          startDate: toDateString(tomorrow)
+        })
+        .expect(201);
+
+      schedule = response.body.schedule;
+      const occurrence = await CollectionRequest.findOne({ recurringSchedule: schedule._id, scheduledDate: tomorrow });
+
+      // Cancelled as a one-off request rather than skipped in the schedule
+      await request(app)
+        .delete(`/api/collections/${occurrence._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const stored = await RecurringSchedule.findById(schedule._id);
+      expect(stored.isSkipped(tomorrow)).toBe(true);
+      expect(await materializeSchedule(stored)).toHaveLength(0);
+
+      const forTomorrow = await CollectionRequest.find({ recurringSchedule: schedule._id, scheduledDate: tomorrow });
+      expect(forTomorrow.map(item => item.status)).toEqual(['cancelled']);
+    } finally {
+      await cleanup(schedule, user);
+    }
+  });
+
+  test('should pause a schedule whose address is outside zones drawn after it was set up', async () => {
+    const suffix = uniqueSuffix();
+    const organization = await Organization.create({ name: `Town ${suffix}`, slug: `town-${suffix}`.toLowerCase() });
+    const { user, token } = await createResident();
+    await User.updateOne({ _id: user._id }, { organization: organization._id });
+    let schedule = null;
+
+    try {
+      const tomorrow = new Date(RecurringSchedule.startOfDay(new Date()).getTime() + DAY_MS);
+      schedule = await RecurringSchedule.create({
+        requesterId: user._id,
+        organization: organization._id,
+        wasteCategory: 'general',
+        pickupLocation: { address: '9 Outlying Lane', coordinates: { lat: 51.5, lng: -0.12 } },
+        frequency: 'weekly',
+        dayOfWeek: tomorrow.getUTCDay(),
+        startDate: tomorrow
+      });
+
+      await Zone.create({
+        name: 'Centre',
+        organization: organization._id,
+        boundary: { type: 'Polygon', coordinates: [[[-74, 40], [-73.9, 40], [-73.9, 40.1], [-74, 40.1], [-74, 40]]] }
+      });
+
+      expect(await materializeSchedule(schedule)).toHaveLength(0);
+
+      const stored = await RecurringSchedule.findById(schedule._id);
+      expect(stored.isPausedOn(tomorrow)).toBe(true);
+      expect(stored.pauses.at(-1).reason).toBe('outside-service-area');
+      expect(await CollectionRequest.countDocuments({ recurringSchedule: schedule._id })).toBe(0);
+
+      const notifications = await Notification.find({ recipientId: user._id });
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].metadata.reason).toBe('outside-service-area');
+
+      // Resuming is refused while the address is still outside every zone
+      const resumed = await request(app)
+        .post(`/api/schedules/${schedule._id}/resume`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+      expect(resumed.body.outsideServiceArea).toBe(true);
+    } finally {
+      await Notification.deleteMany({ recipientId: user._id });
+      await Zone.deleteMany({ organization: organization._id });
+      await Organization.findByIdAndDelete(organization._id);
+      await cleanup(schedule, user);
+    }
+  });
+
+  test('should cancel pending requests while paused and bring them back on resume', async () => {
+    const { user, token } = await createResident();
+    let schedule = null;
+
+    try {
+      const tomorrow = new Date(RecurringSchedule.startOfDay(new Date()).getTime() + DAY_MS);
+
+      const response = await request(app)
+        .post('/api/schedules')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          wasteCategory: 'organic',
+          pickupLocation: { address: '9 Holiday Lane' },
+          frequency: 'weekly',
+          dayOfWeek: tomorrow.getUTCDay(),
+          startDate: toDateString(tomorrow)
+        })
+        .expect(201);
+
+      schedule = response.body.schedule;
+      const generated = response.body.generated.length;
+
+      const pauseResponse = await request(app)
+        .post(`/api/schedules/${schedule._id}/pause`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({})
+        .expect(200);
+
+      expect(pauseResponse.body.cancelled).toBe(generated);
+
+      const resumeResponse = await request(app)
+        .post(`/api/schedules/${schedule._id}/resume`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(resumeResponse.body.generated).toHaveLength(generated);
+
+      await request(app)
+        .post(`/api/schedules/${schedule._id}/resume`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(409);
+    } finally {
+      await cleanup(schedule, user);
+    }
+  });
+
+  test('should stop generating once the schedule is cancelled', async () => {
+    const { user, token } = await createResident();
+    const other = await createResident();
+    let schedule = null;
+
+    try {
+      const tomorrow = new Date(RecurringSchedule.startOfDay(new Date()).getTime() + DAY_MS);
+
+      const response = await request(app)
+        .post('/api/schedules')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          wasteCategory: 'general',
+          pickupLocation: { address: '20 Final Avenue' },
+          frequency: 'monthly',
+          dayOfMonth: 1,
+          startDate: toDateString(tomorrow)
+        })
+        .expect(201);
+
+      schedule = response.body.schedule;
+
+      // Other residents can't manage the series
+      await request(app)
+        .delete(`/api/schedules/${schedule._id}`)
+        .set('Authorization', `Bearer ${other.token}`)
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/schedules/${schedule._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const pending = await CollectionRequest.countDocuments({ recurringSchedule: schedule._id, status: 'pending' });
+      expect(pending).toBe(0);
+
+      const stored = await RecurringSchedule.findById(schedule._id);
+      const created = await materializeSchedule(stored, { horizonDays: 60 });
+      expect(created).toHaveLength(0);
+    } finally {
+      await cleanup(schedule, user);
+      await User.findByIdAndDelete(other.user._id);
+    }
+  });
+});
@@ -2,12 +2,14 @@
  * Feature: waste-management-system, Property 14: Report generation accuracy
  * 
  * Property: For any collection data in the system, generated reports should 
- * accurately compile statistics and performance metrics
+ * accurately compile statistics and performance metrics, and each figure should
+ * drill down to exactly the collection requests behind it
  * 
  * Validates: Requirements 4.4
  */
 
 import fc from 'fast-check';
+import mongoose from 'mongoose';
 import request from 'supertest';
 import express from 'express';
 import cors from 'cors';
@@ -15,6 +17,7 @@ import { User, CollectionRequest, CollectionRoute } from '../../models/index.js'
 import userRoutes from '../../routes/userRoutes.js';
 import adminRoutes from '../../routes/adminRoutes.js';
 import collectionRoutes from '../../routes/collectionRoutes.js';
+import { registerUser } from '../helpers/accounts.js';
 
 // Create test app
 const createTestApp = () => {
@@ -93,17 +96,11 @@ describe('Property 14: Report generation accuracy', () => {
             };
 
             // Register users
-            const adminRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueAdminData);
+            const adminRegResponse = await registerUser(app, uniqueAdminData);
 
-            const residentRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueResidentData);
+            const residentRegResponse = await registerUser(app, uniqueResidentData);
 
-            const collectorRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueCollectorData);
+            const collectorRegResponse = await registerUser(app, uniqueCollectorData);
 
             admin = adminRegResponse.body.user;
             resident = residentRegResponse.body.user;
@@ -250,17 +247,11 @@ describe('Property 14: Report generation accuracy', () => {
       };
 
       // Register users
-      const adminRegResponse = await request(app)
-        .post('/api/auth/register')
-        .send(adminData);
+      const adminRegResponse = await registerUser(app, adminData);
 
-      const residentRegResponse = await request(app)
-        .post('/api/auth/register')
-        .send(residentData);
+      const residentRegResponse = await registerUser(app, residentData);
 
-      const collectorRegResponse = await request(app)
-        .post('/api/auth/register')
-        .send(collectorData);
+      const collectorRegResponse = await registerUser(app, collectorData);
 
       admin = adminRegResponse.body.user;
       resident = residentRegResponse.body.user;
@@ -352,4 +343,128 @@ describe('Property 14: Report generation accuracy', () => {
       }
     }
   });
-});
\ No newline at end of file
+
+  test('should chart requests by day and drill down to the requests behind each day', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        // Days into a week long ago, so no other requests fall in the report's range
+        fc.array(fc.record({
+          day: fc.integer({ min: 0, max: 6 }),
+          assigned: fc.boolean()
+        }), { minLength: 1, maxLength: 6 }),
+        fc.integer({ min: 0, max: 300 }),
+        async (requestsData, weekOffset) => {
+          const suffix = `${Date.now()}_${Math.random().toString(36).substring(7)}`;
+          const users = [];
+          const collections = [];
+          const weekStart = Date.UTC(2001, 0, 1 + weekOffset);
+          const dayOf = (day) => new Date(weekStart + day * 24 * 60 * 60 * 1000);
+          const weekRange = { startDate: dayOf(0).toISOString(), endDate: dayOf(7).toISOString() };
+
+          try {
+            const registered = {};
+            for (const role of ['admin', 'resident', 'collector']) {
+              const response = await registerUser(app, {
+                username: `${role}_${suffix}`,
+                email: `${role}_${suffix}@test.com`,
+                password: 'DrillDown123',
+                role
+              });
+              users.push(response.body.user);
+              registered[role] = response.body;
+            }
+            const collector = registered.collector.user;
+
+            for (let i = 0; i < requestsData.length; i++) {
+              const response = await request(app)
+                .post('/api/collections')
+                .set('Authorization', `Bearer ${registered.resident.token}`)
+                .send({
+                  wasteCategory: 'general',
+                  pickupLocation: {
+                    address: `DrillDown_${i}_${suffix}`,
+                    coordinates: { lat: 40.7128, lng: -74.0060 }
+                  }
+                });
+              const collection = response.body.request;
+              collections.push(collection);
+
+              // Timestamps can't be set through the model, so move the request back in time directly
+              await CollectionRequest.collection.updateOne(
+                { _id: new mongoose.Types.ObjectId(collection._id) },
+                {
+                  $set: {
+                    createdAt: new Date(dayOf(requestsData[i].day).getTime() + 9 * 60 * 60 * 1000),
+                    ...(requestsData[i].assigned && {
+                      assignedCollector: new mongoose.Types.ObjectId(collector._id),
+                      status: 'assigned'
+                    })
+                  }
+                }
+              );
+            }
+
+            const reportResponse = await request(app)
+              .get('/api/admin/reports/statistics')
+              .set('Authorization', `Bearer ${registered.admin.token}`)
+              .query(weekRange);
+
+            expect(reportResponse.status).toBe(200);
+
+            const expectedByDay = {};
+            requestsData.forEach(({ day }) => {
+              const date = dayOf(day).toISOString().slice(0, 10);
+              expectedByDay[date] = (expectedByDay[date] || 0) + 1;
+            });
+            const byDay = reportResponse.body.statistics.collections.byDay;
+            expect(byDay).toEqual(Object.keys(expectedByDay).sort().map(date => ({ date, count: expectedByDay[date] })));
+
+            // Each day's bar drills down to exactly the requests made that day
+            for (const { date, count } of byDay) {
+              const dayStart = new Date(`${date}T00:00:00.000Z`);
+              const dayResponse = await request(app)
+                .get('/api/collections/search/date-range')
+                .set('Authorization', `Bearer ${registered.admin.token}`)
+                .query({
+                  startDate: dayStart.toISOString(),
+                  endDate: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000 - 1).toISOString(),
+                  limit: 100
+                });
+
+              expect(dayResponse.status).toBe(200);
+              expect(dayResponse.body.pagination.total).toBe(count);
+            }
+
+            // A collector's leaderboard entry drills down to the requests assigned to them,
+            // without widening what anyone may see
+            const assignedCount = requestsData.filter(item => item.assigned).length;
+            for (const role of ['admin', 'resident']) {
+              const assignedResponse = await request(app)
+                .get('/api/collections/search/date-range')
+                .set('Authorization', `Bearer ${registered[role].token}`)
+                .query({ ...weekRange, assignedCollector: collector._id, limit: 100 });
+
+              expect(assignedResponse.status).toBe(200);
+              expect(assignedResponse.body.pagination.total).toBe(assignedCount);
+            }
+
+            const strangerResponse = await request(app)
+              .get('/api/collections/search/date-range')
+              .set('Authorization', `Bearer ${registered.collector.token}`)
+              .query({ ...weekRange, assignedCollector: registered.admin.user._id });
+            expect(strangerResponse.body.pagination.total).toBe(0);
+
+          } finally {
+            for (const collection of collections) {
+              await CollectionRequest.findByIdAndDelete(collection._id);
+            }
+            for (const user of users) {
+              await User.findByIdAndDelete(user._id);
+            }
+          }
+        }
+      ),
+      { numRuns: 10 }
+    );
+  });
+});
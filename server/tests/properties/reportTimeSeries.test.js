@@ -0,0 +1,346 @@
+/**
+ * Feature: waste-management-system, Property 43: Report time series
+ *
+ * Property: For any collection activity, the report time series should count the
+ * requests created, completed and cancelled in each day, week or month of the chosen
+ * time zone, average how long the completed ones took, and count those completed by the
+ * day they were due, both overall and split by waste category, zone or collector
+ *
+ * Validates: Requirements 4.4
+ */
+
+import fc from 'fast-check';
+import request from 'supertest';
+import express from 'express';
+import cors from 'cors';
+import mongoose from 'mongoose';
+import { User, Organization, Zone, CollectionRequest, CollectionRoute } from '../../models/index.js';
+import adminRoutes from '../../routes/adminRoutes.js';
+import { generateToken } from '../../utils/auth.js';
+import { uniqueSuffix } from '../helpers/accounts.js';
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(cors());
+  app.use(express.json());
+  app.use('/api/admin', adminRoutes);
+  return app;
+};
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+// Spans the start of daylight saving time in New York and its end in Auckland
+const RANGE_START = new Date(Date.UTC(2001, 1, 1));
+const RANGE_END = new Date(RANGE_START.getTime() + 80 * DAY);
+
+const TIME_ZONES = ['UTC', 'America/New_York', 'Asia/Kolkata', 'Pacific/Auckland'];
+
+// A request's life: when it was made, how it ended up, and when it was due
+const requestArbitrary = fc.record({
+  createdMinutes: fc.integer({ min: 0, max: 70 * 24 * 60 }),
+  outcome: fc.constantFrom('pending', 'completed', 'cancelled'),
+  hoursTaken: fc.integer({ min: 1, max: 200 }),
+  due: fc.constantFrom('none', 'scheduled', 'route'),
+  dueShiftHours: fc.integer({ min: -48, max: 48 }),
+  wasteCategory: fc.constantFrom('organic', 'recyclable', 'hazardous', 'general'),
+  collector: fc.constantFrom(null, 0, 1)
+});
+
+// Calendar day of a moment in a time zone, as YYYY-MM-DD
+const localDay = (date, timezone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone: timezone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(date);
+
+// First day of the bucket a moment falls in; weeks start on Monday
+const bucketDay = (date, interval, timezone) => {
+  const day = localDay(date, timezone);
+  if (interval === 'day') return day;
+  if (interval === 'month') return `${day.slice(0, 7)}-01`;
+  const noon = new Date(`${day}T12:00:00.000Z`);
+  noon.setUTCDate(noon.getUTCDate() - ((noon.getUTCDay() + 6) % 7));
+  return noon.toISOString().slice(0, 10);
+};
+
+describe('Property 43: Report time series', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+  });
+
+  const createUser = async (role, organization = null) => {
+    const suffix = uniqueSuffix();
+    const user = await User.create({
+      username: `${role}_${suffix}`.substring(0, 30),
+      email: `${role}_${suffix}@example.com`,
+      password: 'Password123',
+      role,
+      organization: organization?._id
+    });
+    const token = generateToken({ id: user._id, email: user.email, username: user.username, role: user.role });
+    return { user, token };
+  };
+
+  const createOrganization = () => Organization.create({
+    name: `Town ${uniqueSuffix()}`,
+    slug: `town-${Math.random().toString(36).substring(2, 10)}`
+  });
+
+  // Requests are written directly so their timestamps can lie in the past
+  const insertActivity = async ({ organization, resident, collectors, items }) => {
+    const routes = new Map();
+    const docs = items.map((item, index) => {
+      const _id = new mongoose.Types.ObjectId();
+      const createdAt = new Date(RANGE_START.getTime() + item.createdMinutes * 60 * 1000);
+      const finishedAt = new Date(createdAt.getTime() + item.hoursTaken * HOUR);
+      const dueDate = new Date(finishedAt.getTime() + item.dueShiftHours * HOUR);
+      const collector = item.collector === null ? null : collectors[item.collector].user;
+
+      const history = [{ from: null, to: 'pending', timestamp: createdAt, source: 'system' }];
+      if (item.outcome !== 'pending') {
+        history.push({ from: 'pending', to: item.outcome, timestamp: finishedAt, source: 'system' });
+      }
+
+      if (item.outcome === 'completed' && item.due === 'route') {
+        // Each collector has one route a day, so stops due the same day share it
+        const routeCollector = collector || collectors[0].user;
+        const routeKey = `${routeCollector._id}_${dueDate.toISOString()}`;
+        if (!routes.has(routeKey)) {
+          routes.set(routeKey, {
+            collectorId: routeCollector._id,
+            organization: organization._id,
+            date: dueDate,
+            collections: [],
+            status: 'completed',
+            createdAt,
+            updatedAt: finishedAt
+          });
+        }
+        routes.get(routeKey).collections.push(_id);
+      }
+
+      return {
+        _id,
+        requesterId: resident.user._id,
+        organization: organization._id,
+        wasteCategory: item.wasteCategory,
+        pickupLocation: { address: `${index + 1} Series Street` },
+        status: item.outcome === 'pending' ? (collector ? 'assigned' : 'pending') : item.outcome,
+        ...(collector && { assignedCollector: collector._id }),
+        ...(item.outcome === 'completed' && { completedDate: finishedAt }),
+        ...(item.outcome === 'completed' && item.due === 'scheduled' && { scheduledDate: dueDate }),
+        statusHistory: history,
+        createdAt,
+        updatedAt: item.outcome === 'pending' ? createdAt : finishedAt
+      };
+    });
+
+    await CollectionRequest.collection.insertMany(docs);
+    if (routes.size > 0) {
+      await CollectionRoute.collection.insertMany([...routes.values()]);
+    }
+  };
+
+  // What each bucket should hold for some of the requests
+  const tally = (items, interval, timezone) => {
+    const buckets = new Map();
+    const bucket = (date) => {
+      const key = bucketDay(date, interval, timezone);
+      if (!buckets.has(key)) {
+        buckets.set(key, { created: 0, completed: 0, cancelled: 0, completionTime: 0, due: 0, met: 0 });
+      }
+      return buckets.get(key);
+    };
+
+    items.forEach(item => {
+      const createdAt = new Date(RANGE_START.getTime() + item.createdMinutes * 60 * 1000);
+      const finishedAt = new Date(createdAt.getTime() + item.hoursTaken * HOUR);
+      const dueDate = new Date(finishedAt.getTime() + item.dueShiftHours * HOUR);
+
+      bucket(createdAt).created++;
+      if (item.outcome === 'cancelled') {
+        bucket(finishedAt).cancelled++;
+      }
+      if (item.outcome === 'completed') {
+        const completed = bucket(finishedAt);
+        completed.completed++;
+        completed.completionTime += finishedAt - createdAt;
+        if (item.due !== 'none') {
+          completed.due++;
+          if (localDay(finishedAt, timezone) <= localDay(dueDate, timezone)) {
+            completed.met++;
+          }
+        }
+      }
+    });
+    return buckets;
+  };
+
+  const expectBuckets = (buckets, items, interval, timezone) => {
+    const expected = tally(items, interval, timezone);
+    const days = buckets.map(bucket => localDay(new Date(bucket.start), timezone));
+    expect(days).toEqual([...expected.keys()].sort());
+
+    buckets.forEach((bucket, index) => {
+      const counts = expected.get(days[index]);
+      expect(bucket.created).toBe(counts.created);
+      expect(bucket.completed).toBe(counts.completed);
+      expect(bucket.cancelled).toBe(counts.cancelled);
+      expect(bucket.onTime).toEqual({
+        due: counts.due,
+        met: counts.met,
+        rate: counts.due > 0 ? Math.round((counts.met / counts.due) * 1000) / 1000 : null
+      });
+      if (counts.completed > 0) {
+        expect(bucket.averageCompletionTimeHours).toBeCloseTo(counts.completionTime / counts.completed / HOUR, 1);
+      } else {
+        expect(bucket.averageCompletionTimeHours).toBeNull();
+      }
+    });
+  };
+
+  test('should bucket activity by day, week or month in any time zone', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.array(requestArbitrary, { minLength: 1, maxLength: 12 }),
+        fc.constantFrom('day', 'week', 'month'),
+        fc.constantFrom(...TIME_ZONES),
+        fc.constantFrom(undefined, 'wasteCategory', 'collector'),
+        async (items, interval, timezone, groupBy) => {
+          const organization = await createOrganization();
+          const admin = await createUser('admin', organization);
+          const resident = await createUser('resident', organization);
+          const collectors = [
+            await createUser('collector', organization),
+            await createUser('collector', organization)
+          ];
+          await insertActivity({ organization, resident, collectors, items });
+
+          const response = await request(app)
+            .get('/api/admin/reports/time-series')
+            .set('Authorization', `Bearer ${admin.token}`)
+            .query({
+              startDate: RANGE_START.toISOString(),
+              endDate: RANGE_END.toISOString(),
+              interval,
+              timezone,
+              ...(groupBy && { groupBy })
+            });
+
+          expect(response.status).toBe(200);
+          const { timeSeries } = response.body;
+          expect(timeSeries.interval).toBe(interval);
+          expect(timeSeries.timezone).toBe(timezone);
+          expect(timeSeries.groupBy).toBe(groupBy || null);
+
+          // Buckets start at midnight in the time zone, on a Monday for weeks
+          timeSeries.buckets.forEach(bucket => {
+            const start = new Date(bucket.start);
+            expect(bucketDay(start, interval, timezone)).toBe(localDay(start, timezone));
+          });
+
+          expectBuckets(timeSeries.buckets, items, interval, timezone);
+
+          if (!groupBy) {
+            expect(timeSeries.series).toBeUndefined();
+            return;
+          }
+
+          // Each group's series covers exactly its own requests
+          const keyOf = (item) => {
+            if (groupBy === 'wasteCategory') return item.wasteCategory;
+            return item.collector === null ? null : String(collectors[item.collector].user._id);
+          };
+          const nameOf = (key) => {
+            if (key === null || groupBy === 'wasteCategory') return key;
+            return collectors.find(collector => String(collector.user._id) === key).user.username;
+          };
+          const keys = [...new Set(items.map(keyOf))];
+
+          expect(timeSeries.series.map(series => series.key).sort()).toEqual([...keys].sort());
+          timeSeries.series.forEach(series => {
+            expect(series.name).toBe(nameOf(series.key));
+            expectBuckets(series.buckets, items.filter(item => keyOf(item) === series.key), interval, timezone);
+          });
+        }
+      ),
+      { numRuns: 15 }
+    );
+  });
+
+  test('should split by zone and only show the organization its own activity', async () => {
+    const organization = await createOrganization();
+    const other = await createOrganization();
+    const admin = await createUser('admin', organization);
+    const resident = await createUser('resident', organization);
+    const collectors = [await createUser('collector', organization), await createUser('collector', organization)];
+    const outsider = await createUser('resident', other);
+
+    const zone = await Zone.create({
+      name: 'North',
+      organization: organization._id,
+      boundary: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]] }
+    });
+
+    const items = [
+      { createdMinutes: 60, outcome: 'completed', hoursTaken: 5, due: 'none', dueShiftHours: 0, wasteCategory: 'general', collector: 0 },
+      { createdMinutes: 120, outcome: 'pending', hoursTaken: 1, due: 'none', dueShiftHours: 0, wasteCategory: 'organic', collector: null }
+    ];
+    await insertActivity({ organization, resident, collectors, items });
+    // Another organization's request, made the same day, stays out of the figures
+    await insertActivity({ organization: other, resident: outsider, collectors, items: [items[1]] });
+    await CollectionRequest.collection.updateOne(
+      { organization: organization._id, wasteCategory: 'general' },
+      { $set: { zone: zone._id } }
+    );
+
+    const query = { startDate: RANGE_START.toISOString(), endDate: RANGE_END.toISOString() };
+    const response = await request(app)
+      .get('/api/admin/reports/time-series')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .query({ ...query, groupBy: 'zone' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.timeSeries.buckets).toHaveLength(1);
+    expect(response.body.timeSeries.buckets[0].created).toBe(2);
+    // Named zones first, then requests outside any zone
+    expect(response.body.timeSeries.series.map(series => [series.key, series.name])).toEqual([
+      [String(zone._id), 'North'],
+      [null, null]
+    ]);
+    expect(response.body.timeSeries.series[0].buckets[0]).toMatchObject({ created: 1, completed: 1 });
+
+    // Narrowing to the zone leaves only its request
+    const zoneResponse = await request(app)
+      .get('/api/admin/reports/time-series')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .query({ ...query, zone: String(zone._id) });
+    expect(zoneResponse.body.timeSeries.buckets.map(bucket => bucket.created)).toEqual([1]);
+
+    // Only roles that may view reports get the series
+    const residentResponse = await request(app)
+      .get('/api/admin/reports/time-series')
+      .set('Authorization', `Bearer ${resident.token}`)
+      .query(query);
+    expect(residentResponse.status).toBe(403);
+
+    for (const invalid of [
+      { interval: 'year' },
+      { timezone: 'Mars/Olympus_Mons' },
+      { groupBy: 'requester' },
+      { startDate: RANGE_END.toISOString(), endDate: RANGE_START.toISOString() },
+      // Too many daily buckets for the range
+      { startDate: '2000-01-01T00:00:00.000Z', endDate: RANGE_END.toISOString(), interval: 'day' }
+    ]) {
+      const invalidResponse = await request(app)
+        .get('/api/admin/reports/time-series')
+        .set('Authorization', `Bearer ${admin.token}`)
+        .query({ ...query, ...invalid });
+      expect(invalidResponse.status).toBe(400);
+    }
+  });
+});
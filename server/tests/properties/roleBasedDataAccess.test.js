@@ -15,6 +15,7 @@ import cors from 'cors';
 import { User, CollectionRequest } from '../../models/index.js';
 import userRoutes from '../../routes/userRoutes.js';
 import collectionRoutes from '../../routes/collectionRoutes.js';
+import { registerUser } from '../helpers/accounts.js';
 
 // Create test app
 const createTestApp = () => {
@@ -85,13 +86,9 @@ describe('Property 12: Role-based data access', () => {
             };
 
             // Register residents
-            const resident1RegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueResident1Data);
+            const resident1RegResponse = await registerUser(app, uniqueResident1Data);
 
-            const resident2RegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueResident2Data);
+            const resident2RegResponse = await registerUser(app, uniqueResident2Data);
 
             resident1 = resident1RegResponse.body.user;
             resident2 = resident2RegResponse.body.user;
@@ -227,17 +224,11 @@ describe('Property 12: Role-based data access', () => {
             };
 
             // Register users
-            const residentRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueResidentData);
+            const residentRegResponse = await registerUser(app, uniqueResidentData);
 
-            const collector1RegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueCollector1Data);
+            const collector1RegResponse = await registerUser(app, uniqueCollector1Data);
 
-            const collector2RegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueCollector2Data);
+            const collector2RegResponse = await registerUser(app, uniqueCollector2Data);
 
             resident = residentRegResponse.body.user;
             collector1 = collector1RegResponse.body.user;
@@ -375,17 +366,11 @@ describe('Property 12: Role-based data access', () => {
             };
 
             // Register users
-            const adminRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueAdminData);
+            const adminRegResponse = await registerUser(app, uniqueAdminData);
 
-            const residentRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueResidentData);
+            const residentRegResponse = await registerUser(app, uniqueResidentData);
 
-            const collectorRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueCollectorData);
+            const collectorRegResponse = await registerUser(app, uniqueCollectorData);
 
             admin = adminRegResponse.body.user;
             resident = residentRegResponse.body.user;
@@ -494,13 +479,9 @@ describe('Property 12: Role-based data access', () => {
             };
 
             // Register users
-            const residentRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueResidentData);
+            const residentRegResponse = await registerUser(app, uniqueResidentData);
 
-            const collectorRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueCollectorData);
+            const collectorRegResponse = await registerUser(app, uniqueCollectorData);
 
             resident = residentRegResponse.body.user;
             collector = collectorRegResponse.body.user;
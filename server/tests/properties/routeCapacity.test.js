@@ -0,0 +1,257 @@
+/**
+ * Feature: waste-management-system, Property 31: Vehicle capacity and category enforcement
+ *
+ * Property: For any route and vehicle, the system should accept the route's collections
+ * only if the vehicle carries every waste category on it, no incompatible categories
+ * share the route, and the estimated load fits the vehicle's capacity (unless an
+ * overload is explicitly allowed, in which case it is reported as a warning)
+ *
+ * Validates: Requirements 4.3
+ */
+
+import fc from 'fast-check';
+import request from 'supertest';
+import express from 'express';
+import cors from 'cors';
+import { User, CollectionRequest, CollectionRoute, Vehicle } from '../../models/index.js';
+import routeRoutes from '../../routes/routeRoutes.js';
+import adminRoutes from '../../routes/adminRoutes.js';
+import vehicleRoutes from '../../routes/vehicleRoutes.js';
+import { generateToken } from '../../utils/auth.js';
+import { checkRouteLoad, getCollectionLoad } from '../../utils/routeCapacity.js';
+import { uniqueSuffix } from '../helpers/accounts.js';
+
+const CATEGORIES = ['organic', 'recyclable', 'hazardous', 'general'];
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(cors());
+  app.use(express.json());
+  app.use('/api/routes', routeRoutes);
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/vehicles', vehicleRoutes);
+  return app;
+};
+
+const collectionArbitrary = fc.record({
+  wasteCategory: fc.constantFrom(...CATEGORIES),
+  estimatedLoad: fc.option(
+    fc.record({
+      volume: fc.integer({ min: 0, max: 500 }),
+      weight: fc.integer({ min: 0, max: 200 })
+    }),
+    { nil: undefined }
+  )
+});
+
+const vehicleArbitrary = fc.record({
+  capacity: fc.record({
+    volume: fc.integer({ min: 1, max: 3000 }),
+    weight: fc.integer({ min: 1, max: 1000 })
+  }),
+  wasteCategories: fc.uniqueArray(fc.constantFrom(...CATEGORIES), { minLength: 1, maxLength: 4 })
+});
+
+describe('Property 31: Vehicle capacity and category enforcement', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+  });
+
+  test('should accept a route load only when categories and capacity allow it', () => {
+    fc.assert(
+      fc.property(
+        fc.array(collectionArbitrary, { maxLength: 10 }),
+        vehicleArbitrary,
+        fc.boolean(),
+        (collections, vehicleData, allowOverload) => {
+          const vehicle = new Vehicle({ name: 'Test truck', registration: 'TEST1', ...vehicleData });
+          const check = checkRouteLoad(collections, vehicle, { allowOverload });
+
+          const categories = new Set(collections.map(collection => collection.wasteCategory));
+          const mixesHazardous = categories.has('hazardous') && categories.size > 1;
+          const carriesAll = [...categories].every(category => vehicleData.wasteCategories.includes(category));
+          const volume = collections.reduce((sum, collection) => sum + getCollectionLoad(collection).volume, 0);
+          const weight = collections.reduce((sum, collection) => sum + getCollectionLoad(collection).weight, 0);
+          const fits = volume <= vehicleData.capacity.volume && weight <= vehicleData.capacity.weight;
+
+          expect(check.load).toEqual({ volume, weight });
+          expect(check.ok).toBe(!mixesHazardous && carriesAll && (fits || allowOverload));
+
+          if (!fits && allowOverload) {
+            expect(check.warnings.some(warning => warning.type === 'over-capacity')).toBe(true);
+          }
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  test('should reject routes that mix incompatible categories or overload the vehicle', async () => {
+    const suffix = uniqueSuffix();
+    const createUser = (role) => User.create({
+      username: `${role}_${suffix}`.substring(0, 30),
+      email: `${role}_${suffix}@example.com`,
+      password: 'Password123',
+      role
+    });
+    const admin = await createUser('admin');
+    const collector = await createUser('collector');
+    const resident = await createUser('resident');
+    const token = generateToken({ id: admin._id, email: admin.email, username: admin.username, role: admin.role });
+
+    const vehicle = await Vehicle.create({
+      name: 'Small truck',
+      registration: `SM${suffix}`.substring(0, 20),
+      capacity: { volume: 300, weight: 100 },
+      wasteCategories: ['organic', 'general', 'hazardous']
+    });
+
+    const createCollection = (wasteCategory, estimatedLoad) => CollectionRequest.create({
+      requesterId: resident._id,
+      wasteCategory,
+      pickupLocation: { address: `${wasteCategory} pickup address` },
+      estimatedLoad
+    });
+
+    const organic = await createCollection('organic', { volume: 100, weight: 30 });
+    const hazardous = await createCollection('hazardous', { volume: 10, weight: 5 });
+    const bulky = await createCollection('general', { volume: 250, weight: 90 });
+
+    // Hazardous waste can't share a truck with organic waste
+    const mixed = await request(app)
+      .post('/api/routes')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ collectorId: collector._id, vehicleId: vehicle._id, collections: [organic._id, hazardous._id] })
+      .expect(409);
+
+    expect(mixed.body.errors.map(error => error.type)).toContain('incompatible-categories');
+
+    // Too much for the truck unless the overload is accepted
+    const overloaded = await request(app)
+      .post('/api/routes')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ collectorId: collector._id, vehicleId: vehicle._id, collections: [organic._id, bulky._id] })
+      .expect(409);
+
+    expect(overloaded.body.errors.map(error => error.type)).toContain('over-capacity');
+    expect(overloaded.body.load).toEqual({ volume: 350, weight: 120 });
+
+    const accepted = await request(app)
+      .post('/api/routes')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ collectorId: collector._id, vehicleId: vehicle._id, collections: [organic._id, bulky._id], allowOverload: true })
+      .expect(201);
+
+    expect(accepted.body.warnings.map(warning => warning.type)).toContain('over-capacity');
+
+    // Adding hazardous waste to the organic route is rejected through every assignment endpoint
+    await request(app)
+      .put(`/api/routes/${accepted.body.route._id}/assign`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ collectionId: hazardous._id })
+      .expect(409);
+
+    await request(app)
+      .post('/api/admin/collections/assign')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ collectionId: hazardous._id, collectorId: collector._id })
+      .expect(409);
+
+    const unchanged = await CollectionRequest.findById(hazardous._id);
+    expect(unchanged.status).toBe('pending');
+
+    const route = await CollectionRoute.findById(accepted.body.route._id);
+    expect(route.vehicle.toString()).toBe(vehicle._id.toString());
+  });
+
+  test('should check existing stops when a vehicle is assigned to a route', async () => {
+    const suffix = uniqueSuffix();
+    const createUser = (role) => User.create({
+      username: `${role}_${suffix}`.substring(0, 30),
+      email: `${role}_${suffix}@example.com`,
+      password: 'Password123',
+      role
+    });
+    const admin = await createUser('admin');
+    const collector = await createUser('collector');
+    const resident = await createUser('resident');
+    const token = generateToken({ id: admin._id, email: admin.email, username: admin.username, role: admin.role });
+
+    const recyclingTruck = await Vehicle.create({
+      name: 'Recycling truck',
+      registration: `RC${suffix}`.substring(0, 20),
+      capacity: { volume: 5000, weight: 2000 },
+      wasteCategories: ['recyclable']
+    });
+
+    const collection = await CollectionRequest.create({
+      requesterId: resident._id,
+      wasteCategory: 'organic',
+      pickupLocation: { address: '4 Compost Close' },
+      assignedCollector: collector._id,
+      status: 'assigned'
+    });
+
+    const route = await CollectionRoute.create({
+      collectorId: collector._id,
+      date: new Date(),
+      collections: [collection._id]
+    });
+
+    const response = await request(app)
+      .put(`/api/routes/${route._id}/vehicle`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ vehicleId: recyclingTruck._id })
+      .expect(409);
+
+    expect(response.body.errors.map(error => error.type)).toEqual(['category-not-allowed']);
+
+    const stored = await CollectionRoute.findById(route._id);
+    expect(stored.vehicle).toBeUndefined();
+  });
+
+  test('should validate the fields of a vehicle update', async () => {
+    const suffix = uniqueSuffix();
+    const admin = await User.create({
+      username: `admin_${suffix}`.substring(0, 30),
+      email: `admin_${suffix}@example.com`,
+      password: 'Password123',
+      role: 'admin'
+    });
+    const token = generateToken({ id: admin._id, email: admin.email, username: admin.username, role: admin.role });
+
+    const vehicle = await Vehicle.create({
+      name: 'General truck',
+      registration: `GT${suffix}`.substring(0, 20),
+      capacity: { volume: 5000, weight: 2000 },
+      wasteCategories: ['general']
+    });
+
+    const invalidUpdates = [
+      { wasteCategories: [] },
+      { wasteCategories: ['radioactive'] },
+      { depot: { coordinates: { lat: 120, lng: 0 } } },
+      { active: 'sometimes' }
+    ];
+    for (const update of invalidUpdates) {
+      await request(app)
+        .put(`/api/vehicles/${vehicle._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(update)
+        .expect(400);
+    }
+
+    // Fields left out of the update are not required
+    const response = await request(app)
+      .put(`/api/vehicles/${vehicle._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Renamed truck' })
+      .expect(200);
+
+    expect(response.body.vehicle.name).toBe('Renamed truck');
+    expect(response.body.vehicle.wasteCategories).toEqual(['general']);
+  });
+});
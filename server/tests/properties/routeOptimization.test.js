@@ -0,0 +1,169 @@
+/**
+ * Feature: waste-management-system, Property 30: Route optimization
+ *
+ * Property: For any set of collection stops, optimizing the route should visit every
+ * stop exactly once, place stops without coordinates last, and never produce a route
+ * longer than the order it started from
+ *
+ * Validates: Requirements 3.4
+ */
+
+import fc from 'fast-check';
+import request from 'supertest';
+import express from 'express';
+import cors from 'cors';
+import { User, CollectionRequest, CollectionRoute } from '../../models/index.js';
+import routeRoutes from '../../routes/routeRoutes.js';
+import { generateToken } from '../../utils/auth.js';
+import { optimizeOrder, getRouteDistance, haversineDistance, getCoordinates } from '../../utils/routeOptimizer.js';
+import { uniqueSuffix } from '../helpers/accounts.js';
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(cors());
+  app.use(express.json());
+  app.use('/api/routes', routeRoutes);
+  return app;
+};
+
+// Stops around a city centre, some without coordinates
+const stopArbitrary = fc.oneof(
+  { weight: 4, arbitrary: fc.record({
+    lat: fc.double({ min: 6.4, max: 6.7, noNaN: true }),
+    lng: fc.double({ min: 3.2, max: 3.6, noNaN: true })
+  }).map(coordinates => ({ pickupLocation: { address: 'Located stop', coordinates } })) },
+  { weight: 1, arbitrary: fc.constant({ pickupLocation: { address: 'Unlocated stop' } }) }
+);
+
+const depotArbitrary = fc.option(
+  fc.record({
+    lat: fc.double({ min: 6.4, max: 6.7, noNaN: true }),
+    lng: fc.double({ min: 3.2, max: 3.6, noNaN: true })
+  }),
+  { nil: null }
+);
+
+describe('Property 30: Route optimization', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+  });
+
+  test('should return a permutation that is never longer than the original order', () => {
+    fc.assert(
+      fc.property(
+        fc.array(stopArbitrary, { maxLength: 15 }),
+        depotArbitrary,
+        fc.boolean(),
+        (stops, depot, returnToDepot) => {
+          const options = { depot, returnToDepot };
+          const order = optimizeOrder(stops, options);
+
+          // Every stop visited exactly once
+          expect([...order].sort((a, b) => a - b)).toEqual(stops.map((_, index) => index));
+
+          // Stops without coordinates come after all located stops
+          const firstUnlocated = order.findIndex(index => !getCoordinates(stops[index]));
+          if (firstUnlocated !== -1) {
+            order.slice(firstUnlocated).forEach(index => {
+              expect(getCoordinates(stops[index])).toBeNull();
+            });
+          }
+
+          const original = getRouteDistance(stops, stops.map((_, index) => index), options);
+          expect(getRouteDistance(stops, order, options)).toBeLessThanOrEqual(original + 1e-9);
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  test('should find the straight-line order of stops along a road', () => {
+    // Stops along one line of latitude, shuffled
+    const stops = [3, 0, 4, 1, 2].map(step => ({
+      pickupLocation: { address: `Stop ${step}`, coordinates: { lat: 6.5, lng: 3.3 + step * 0.01 } }
+    }));
+
+    const order = optimizeOrder(stops, { depot: { lat: 6.5, lng: 3.29 }, returnToDepot: false });
+    expect(order.map(index => stops[index].pickupLocation.address))
+      .toEqual(['Stop 0', 'Stop 1', 'Stop 2', 'Stop 3', 'Stop 4']);
+  });
+
+  test('should measure distances on the globe', () => {
+    // One degree of longitude on the equator is about 111 km
+    expect(haversineDistance({ lat: 0, lng: 0 }, { lat: 0, lng: 1 })).toBeCloseTo(111.19, 1);
+    expect(haversineDistance({ lat: 6.5, lng: 3.3 }, { lat: 6.5, lng: 3.3 })).toBe(0);
+  });
+
+  test('should report distance and duration before and after optimizing a route', async () => {
+    const suffix = uniqueSuffix();
+    const admin = await User.create({
+      username: `admin_${suffix}`.substring(0, 30),
+      email: `admin_${suffix}@example.com`,
+      password: 'Password123',
+      role: 'admin'
+    });
+    const collector = await User.create({
+      username: `collector_${suffix}`.substring(0, 30),
+      email: `collector_${suffix}@example.com`,
+      password: 'Password123',
+      role: 'collector'
+    });
+    const resident = await User.create({
+      username: `resident_${suffix}`.substring(0, 30),
+      email: `resident_${suffix}@example.com`,
+      password: 'Password123',
+      role: 'resident'
+    });
+    const token = generateToken({ id: admin._id, email: admin.email, username: admin.username, role: admin.role });
+
+    // Zig-zag order so optimizing has something to gain
+    const collections = [];
+    for (const step of [0, 4, 1, 3, 2]) {
+      collections.push(await CollectionRequest.create({
+        requesterId: resident._id,
+        wasteCategory: 'general',
+        pickupLocation: { address: `${step} Optimizer Road`, coordinates: { lat: 6.5, lng: 3.3 + step * 0.02 } },
+        assignedCollector: collector._id,
+        status: 'assigned'
+      }));
+    }
+    collections.push(await CollectionRequest.create({
+      requesterId: resident._id,
+      wasteCategory: 'general',
+      pickupLocation: { address: 'Somewhere without coordinates' },
+      assignedCollector: collector._id,
+      status: 'assigned'
+    }));
+
+    const route = await CollectionRoute.create({
+      collectorId: collector._id,
+      date: new Date(),
+      collections: collections.map(collection => collection._id)
+    });
+
+    const response = await request(app)
+      .put(`/api/routes/${route._id}/optimize`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ depot: { lat: 6.5, lng: 3.29 }, returnToDepot: true })
+      .expect(200);
+
+    const { before, after, savings, unlocatedStops, optimizedOrder } = response.body;
+    expect(after.distanceKm).toBeLessThan(before.distanceKm);
+    expect(after.durationMinutes).toBeLessThanOrEqual(before.durationMinutes);
+    expect(savings.distanceKm).toBeCloseTo(before.distanceKm - after.distanceKm, 2);
+    expect(unlocatedStops).toBe(1);
+    expect(optimizedOrder[optimizedOrder.length - 1]).toBe(5);
+
+    const stored = await CollectionRoute.findById(route._id);
+    expect([...stored.optimizedOrder]).toEqual(optimizedOrder);
+
+    await request(app)
+      .put(`/api/routes/${route._id}/optimize`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ depot: { lat: 200, lng: 3.29 } })
+      .expect(400);
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * Feature: waste-management-system, Property 40: Service zone assignment
+ *
+ * Property: For any pickup location, a new collection request should be placed in the
+ * active zone of its organization that contains it, be rejected if the organization has
+ * zones and none contains it, and be accepted anywhere if the organization has none;
+ * filtering collections, routes and statistics by zone should only cover that zone
+ *
+ * Validates: Requirements 2.3, 2.5, 5.2
+ */
+
+import fc from 'fast-check';
+import request from 'supertest';
+import express from 'express';
+import cors from 'cors';
+import { User, Organization, Zone, CollectionRoute } from '../../models/index.js';
+import adminRoutes from '../../routes/adminRoutes.js';
+import collectionRoutes from '../../routes/collectionRoutes.js';
+import routeRoutes from '../../routes/routeRoutes.js';
+import zoneRoutes from '../../routes/zoneRoutes.js';
+import { generateToken } from '../../utils/auth.js';
+import { uniqueSuffix } from '../helpers/accounts.js';
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(cors());
+  app.use(express.json());
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/collections', collectionRoutes);
+  app.use('/api/routes', routeRoutes);
+  app.use('/api/zones', zoneRoutes);
+  return app;
+};
+
+// Closed GeoJSON ring of a lat/lng box, positions as [lng, lat]
+const box = (south, west, north, east) => ({
+  type: 'Polygon',
+  coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+});
+
+// Two adjacent zones: North covers 40.1-40.2, South 40.0-40.1, both -74.0 to -73.9
+const NORTH = box(40.1, -74.0, 40.2, -73.9);
+const SOUTH = box(40.0, -74.0, 40.1, -73.9);
+
+// Cell centres of a 0.01 degree grid from 39.95 to 40.25 and -74.05 to -73.85, so no
+// point lies on a zone edge
+const gridPoint = fc.record({
+  row: fc.integer({ min: 0, max: 29 }),
+  column: fc.integer({ min: 0, max: 19 })
+}).map(({ row, column }) => ({
+  lat: Number((39.95 + (row + 0.5) * 0.01).toFixed(3)),
+  lng: Number((-74.05 + (column + 0.5) * 0.01).toFixed(3))
+}));
+
+const expectedZone = ({ lat, lng }) => {
+  if (lng < -74.0 || lng > -73.9) return null;
+  if (lat > 40.0 && lat < 40.1) return 'South';
+  if (lat > 40.1 && lat < 40.2) return 'North';
+  return null;
+};
+
+describe('Property 40: Service zone assignment', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+  });
+
+  const createUser = async (role, organization = null) => {
+    const suffix = uniqueSuffix();
+    const user = await User.create({
+      username: `${role}_${suffix}`.substring(0, 30),
+      email: `${role}_${suffix}@example.com`,
+      password: 'Password123',
+      role,
+      organization: organization?._id
+    });
+    const token = generateToken({ id: user._id, email: user.email, username: user.username, role: user.role });
+    return { user, token };
+  };
+
+  const createOrganization = () => Organization.create({
+    name: `Town ${uniqueSuffix()}`,
+    slug: `town-${Math.random().toString(36).substring(2, 10)}`
+  });
+
+  const requestPickup = (token, coordinates) => request(app)
+    .post('/api/collections')
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      wasteCategory: 'general',
+      pickupLocation: { address: '1 Zone Street', ...(coordinates && { coordinates }) }
+    });
+
+  test('should place each request in the zone containing it and turn away the rest', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.array(gridPoint, { minLength: 1, maxLength: 6 }), async (points) => {
+        const organization = await createOrganization();
+        const admin = await createUser('admin', organization);
+        const resident = await createUser('resident', organization);
+
+        for (const [name, boundary] of [['North', NORTH], ['South', SOUTH]]) {
+          await request(app)
+            .post('/api/zones')
+            .set('Authorization', `Bearer ${admin.token}`)
+            .send({ name, boundary, collectionDays: [1, 4] })
+            .expect(201);
+        }
+        const zones = await Zone.find({ organization: organization._id });
+        const zoneNames = Object.fromEntries(zones.map(zone => [String(zone._id), zone.name]));
+
+        for (const point of points) {
+          const response = await requestPickup(resident.token, point);
+          const expected = expectedZone(point);
+
+          if (expected) {
+            expect(response.status).toBe(201);
+            expect(zoneNames[String(response.body.request.zone)]).toBe(expected);
+          } else {
+            expect(response.status).toBe(400);
+            expect(response.body.outsideServiceArea).toBe(true);
+            expect(response.body.message).toMatch(/outside our service area/);
+          }
+
+          const located = await request(app)
+            .get(`/api/zones/locate?lat=${point.lat}&lng=${point.lng}`)
+            .set('Authorization', `Bearer ${resident.token}`)
+            .expect(200);
+          expect(located.body.served).toBe(Boolean(expected));
+          expect(located.body.zone?.name ?? null).toBe(expected);
+        }
+      }),
+      { numRuns: 10 }
+    );
+  });
+
+  test('should accept any address until an organization draws its zones', async () => {
+    const organization = await createOrganization();
+    const admin = await createUser('admin', organization);
+    const resident = await createUser('resident', organization);
+
+    await requestPickup(resident.token, { lat: 51.5, lng: -0.12 }).expect(201);
+    await requestPickup(resident.token).expect(201);
+
+    const created = await request(app)
+      .post('/api/zones')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ name: 'South', boundary: SOUTH })
+      .expect(201);
+
+    await requestPickup(resident.token, { lat: 51.5, lng: -0.12 }).expect(400);
+    // An address that can't be geocoded waits for review outside any zone
+    const unplaced = await requestPickup(resident.token).expect(201);
+    expect(unplaced.body.request.geocoding.status).toBe('unresolved');
+    expect(unplaced.body.request.zone).toBeUndefined();
+
+    // Another organization's zones don't apply, and can't be seen
+    const other = await createOrganization();
+    const otherAdmin = await createUser('admin', other);
+    const otherResident = await createUser('resident', other);
+    await requestPickup(otherResident.token, { lat: 51.5, lng: -0.12 }).expect(201);
+    await request(app)
+      .get(`/api/zones/${created.body.zone._id}`)
+      .set('Authorization', `Bearer ${otherAdmin.token}`)
+      .expect(404);
+
+    // Residents can't draw zones, and boundaries must be closed polygons
+    await request(app)
+      .post('/api/zones')
+      .set('Authorization', `Bearer ${resident.token}`)
+      .send({ name: 'Anywhere', boundary: NORTH })
+      .expect(403);
+
+    await request(app)
+      .post('/api/zones')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ name: 'Open', boundary: { type: 'Polygon', coordinates: [[[-74, 40.1], [-73.9, 40.1], [-73.9, 40.2]]] } })
+      .expect(400);
+
+    await request(app)
+      .post('/api/zones')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ name: 'South', boundary: NORTH })
+      .expect(409);
+
+    // Deactivating the last zone opens the organization up again
+    await request(app)
+      .delete(`/api/zones/${created.body.zone._id}`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .expect(200);
+    await requestPickup(resident.token, { lat: 51.5, lng: -0.12 }).expect(201);
+  });
+
+  test('should filter collections, routes and statistics by zone', async () => {
+    const organization = await createOrganization();
+    const admin = await createUser('admin', organization);
+    const collector = await createUser('collector', organization);
+    const resident = await createUser('resident', organization);
+    const auth = ['Authorization', `Bearer ${admin.token}`];
+
+    const north = (await request(app).post('/api/zones').set(...auth)
+      .send({ name: 'North', boundary: NORTH, collectors: [collector.user._id] }).expect(201)).body.zone;
+    const south = (await request(app).post('/api/zones').set(...auth)
+      .send({ name: 'South', boundary: SOUTH }).expect(201)).body.zone;
+    expect(north.collectors).toEqual([String(collector.user._id)]);
+
+    const northRequests = [];
+    for (const lat of [40.12, 40.15, 40.18]) {
+      northRequests.push((await requestPickup(resident.token, { lat, lng: -73.95 }).expect(201)).body.request);
+    }
+    const southRequest = (await requestPickup(resident.token, { lat: 40.05, lng: -73.95 }).expect(201)).body.request;
+
+    const route = await CollectionRoute.create({
+      collectorId: collector.user._id,
+      date: new Date(),
+      collections: []
+    });
+
+    const collections = await request(app).get(`/api/collections?zone=${north._id}`).set(...auth).expect(200);
+    expect(collections.body.requests.map(item => item._id).sort()).toEqual(northRequests.map(item => item._id).sort());
+    expect(collections.body.requests.every(item => item.zone.name === 'North')).toBe(true);
+
+    const statistics = await request(app).get(`/api/admin/reports/statistics?zone=${south._id}`).set(...auth).expect(200);
+    expect(statistics.body.statistics.collections.total).toBe(1);
+    expect(statistics.body.statistics.collections.byZone).toEqual([{ zone: south._id, name: 'South', count: 1 }]);
+
+    const all = await request(app).get('/api/admin/reports/statistics').set(...auth).expect(200);
+    expect(all.body.statistics.collections.total).toBe(4);
+    expect(all.body.statistics.collections.byZone[0]).toEqual({ zone: north._id, name: 'North', count: 3 });
+
+    // Routes are in a zone when one of their stops is
+    await request(app)
+      .put(`/api/collections/${southRequest._id}/assign`)
+      .set(...auth)
+      .send({ collectorId: collector.user._id })
+      .expect(200);
+    await request(app)
+      .put(`/api/routes/${route._id}/assign`)
+      .set(...auth)
+      .send({ collectionId: southRequest._id })
+      .expect(200);
+
+    const southRoutes = await request(app).get(`/api/routes?zone=${south._id}`).set(...auth).expect(200);
+    expect(southRoutes.body.routes.map(item => item._id)).toEqual([String(route._id)]);
+    const northRoutes = await request(app).get(`/api/routes?zone=${north._id}`).set(...auth).expect(200);
+    expect(northRoutes.body.routes).toEqual([]);
+
+    const detail = await request(app).get(`/api/zones/${north._id}`).set(...auth).expect(200);
+    expect(detail.body.requests).toEqual({ pending: 3 });
+  });
+});
@@ -14,6 +14,7 @@ import cors from 'cors';
 import jwt from 'jsonwebtoken';
 import User from '../../models/User.js';
 import userRoutes from '../../routes/userRoutes.js';
+import { registerUser } from '../helpers/accounts.js';
 
 // Create test app
 const createTestApp = () => {
@@ -55,9 +56,7 @@ describe('Property 3: Session management consistency', () => {
           };
 
           // 1. Register and login user
-          const registerResponse = await request(app)
-            .post('/api/auth/register')
-            .send(uniqueCredentials);
+          const registerResponse = await registerUser(app, uniqueCredentials);
 
           expect(registerResponse.status).toBe(201);
           createdUser = registerResponse.body.user;
@@ -79,19 +78,21 @@ describe('Property 3: Session management consistency', () => {
           expect(logoutResponse.status).toBe(200);
           expect(logoutResponse.body.success).toBe(true);
 
-          // 4. In JWT-based systems, the token is still technically valid until expiration
-          // However, the client should remove it. We test that the logout endpoint works
-          // and that the system behaves consistently.
-          
-          // The token should still work (JWT is stateless), but in a real implementation,
-          // we might implement token blacklisting or short-lived tokens with refresh tokens
+          // 4. Logout revokes the session, so the access token stops working
+          // even though it has not expired yet
           const postLogoutProfileResponse = await request(app)
             .get('/api/auth/profile')
             .set('Authorization', `Bearer ${token}`);
 
-          // For JWT-based auth, the token remains valid until expiration
-          // This is expected behavior - logout is primarily client-side
-          expect(postLogoutProfileResponse.status).toBe(200);
+          expect(postLogoutProfileResponse.status).toBe(401);
+          expect(postLogoutProfileResponse.body.success).toBe(false);
+
+          // The session's refresh token can't bring it back
+          const refreshResponse = await request(app)
+            .post('/api/auth/refresh')
+            .send({ refreshToken: registerResponse.body.refreshToken });
+
+          expect(refreshResponse.status).toBe(401);
 
           // 5. Test that attempting to use no token fails
           const noTokenResponse = await request(app)
@@ -125,9 +126,7 @@ describe('Property 3: Session management consistency', () => {
           };
 
           // Register user
-          const registerResponse = await request(app)
-            .post('/api/auth/register')
-            .send(uniqueCredentials);
+          const registerResponse = await registerUser(app, uniqueCredentials);
 
           createdUser = registerResponse.body.user;
 
@@ -195,9 +194,7 @@ describe('Property 3: Session management consistency', () => {
           };
 
           // Register user
-          const registerResponse = await request(app)
-            .post('/api/auth/register')
-            .send(uniqueCredentials);
+          const registerResponse = await registerUser(app, uniqueCredentials);
 
           createdUser = registerResponse.body.user;
           const token = registerResponse.body.token;
@@ -237,8 +234,15 @@ describe('Property 3: Session management consistency', () => {
           expect(logoutResponse.status).toBe(200);
           expect(logoutResponse.body.success).toBe(true);
 
-          // Profile request should still work (JWT is stateless)
-          expect(profileResponse.status).toBe(200);
+          // The racing profile request is served either before or after the session ends
+          expect([200, 401]).toContain(profileResponse.status);
+
+          // Once logout has finished the token is rejected
+          const afterLogoutResponse = await request(app)
+            .get('/api/auth/profile')
+            .set('Authorization', `Bearer ${token}`);
+
+          expect(afterLogoutResponse.status).toBe(401);
 
         } finally {
           // Clean up
@@ -0,0 +1,203 @@
+/**
+ * Feature: waste-management-system, Property 35: Staff invitations
+ *
+ * Property: For any signup attempt, public registration should only create resident
+ * accounts, and for any invitation an admin sends, the invitee should be able to create
+ * exactly one account with the invited role, only while the invitation is neither
+ * accepted, revoked, replaced nor expired
+ *
+ * Validates: Requirements 1.1, 4.1
+ */
+
+import fc from 'fast-check';
+import request from 'supertest';
+import express from 'express';
+import cors from 'cors';
+import { User, Invitation } from '../../models/index.js';
+import userRoutes from '../../routes/userRoutes.js';
+import adminRoutes from '../../routes/adminRoutes.js';
+import { setTransporter } from '../../utils/channels/emailChannel.js';
+import { generateToken } from '../../utils/auth.js';
+import { uniqueSuffix } from '../helpers/accounts.js';
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(cors());
+  app.use(express.json());
+  app.use('/api/auth', userRoutes);
+  app.use('/api/admin', adminRoutes);
+  return app;
+};
+
+// Pull the token out of the link in an email
+const tokenFrom = (mail) => new URL(mail.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+
+describe('Property 35: Staff invitations', () => {
+  let app;
+  let sentMail;
+  let admin;
+  let adminToken;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    sentMail = [];
+    setTransporter({
+      sendMail: async (mail) => {
+        sentMail.push(mail);
+        return { messageId: `mail-${sentMail.length}` };
+      }
+    });
+
+    const suffix = uniqueSuffix();
+    admin = await User.create({
+      username: `admin_${suffix}`.substring(0, 30),
+      email: `admin_${suffix}@example.com`,
+      password: 'Password123',
+      role: 'admin'
+    });
+    adminToken = generateToken({ id: admin._id, email: admin.email, username: admin.username, role: admin.role });
+  });
+
+  afterEach(() => {
+    setTransporter(null);
+  });
+
+  const invite = (email, role, message) => request(app)
+    .post('/api/admin/invitations')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ email, role, message });
+
+  const accept = (token, username) => request(app)
+    .post('/api/auth/accept-invitation')
+    .send({ token, username, password: 'Password123' });
+
+  test('should only create resident accounts through public signup', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.constantFrom(undefined, 'resident', 'collector', 'admin'), async (role) => {
+        const suffix = uniqueSuffix();
+        const response = await request(app)
+          .post('/api/auth/register')
+          .send({
+            username: `user_${suffix}`.substring(0, 30),
+            email: `user_${suffix}@example.com`,
+            password: 'Password123',
+            role
+          });
+
+        if (role === 'collector' || role === 'admin') {
+          expect(response.status).toBe(400);
+          expect(await User.exists({ email: `user_${suffix}@example.com` })).toBeNull();
+        } else {
+          expect(response.status).toBe(201);
+          expect(response.body.user.role).toBe('resident');
+        }
+      }),
+      { numRuns: 20 }
+    );
+  });
+
+  test('should create one account with the invited role', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.constantFrom('resident', 'collector', 'admin'),
+        fc.option(fc.string({ maxLength: 100 }), { nil: undefined }),
+        async (role, message) => {
+          const suffix = uniqueSuffix();
+          const email = `invitee_${suffix}@example.com`;
+          sentMail.length = 0;
+
+          const created = await invite(email, role, message).expect(201);
+          expect(created.body.emailSent).toBe(true);
+          expect(created.body.invitation.status).toBe('pending');
+          expect(created.body.invitation.tokenHash).toBeUndefined();
+          expect(sentMail).toHaveLength(1);
+          expect(sentMail[0].to).toBe(email);
+
+          const token = tokenFrom(sentMail[0]);
+
+          const lookup = await request(app).get(`/api/auth/invitations/${token}`).expect(200);
+          expect(lookup.body.invitation).toMatchObject({ email, role, invitedBy: admin.username });
+
+          const accepted = await accept(token, `inv_${suffix}`.substring(0, 30)).expect(201);
+          expect(accepted.body.user.role).toBe(role);
+          expect(accepted.body.user.email).toBe(email);
+          expect(accepted.body.user.emailVerified).toBe(true);
+          expect(accepted.body.token).toBeDefined();
+
+          // The link only works once
+          await accept(token, `again_${suffix}`.substring(0, 30)).expect(400);
+          await request(app).get(`/api/auth/invitations/${token}`).expect(404);
+
+          const stored = await Invitation.findById(created.body.invitation._id);
+          expect(stored.status).toBe('accepted');
+          expect(stored.acceptedBy.toString()).toBe(accepted.body.user._id);
+        }
+      ),
+      { numRuns: 10 }
+    );
+  });
+
+  test('should reject revoked, replaced and expired invitations', async () => {
+    const suffix = uniqueSuffix();
+
+    // Revoked
+    const revoked = await invite(`revoked_${suffix}@example.com`, 'collector').expect(201);
+    await request(app)
+      .delete(`/api/admin/invitations/${revoked.body.invitation._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    await accept(tokenFrom(sentMail[0]), `rev_${suffix}`.substring(0, 30)).expect(400);
+
+    // Revoking twice is refused
+    await request(app)
+      .delete(`/api/admin/invitations/${revoked.body.invitation._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(409);
+
+    // Replaced by a second invitation to the same address
+    await invite(`replaced_${suffix}@example.com`, 'collector').expect(201);
+    await invite(`replaced_${suffix}@example.com`, 'admin').expect(201);
+    await accept(tokenFrom(sentMail[1]), `old_${suffix}`.substring(0, 30)).expect(400);
+    const latest = await accept(tokenFrom(sentMail[2]), `new_${suffix}`.substring(0, 30)).expect(201);
+    expect(latest.body.user.role).toBe('admin');
+
+    // Expired
+    const expiring = await invite(`expired_${suffix}@example.com`, 'collector').expect(201);
+    await Invitation.findByIdAndUpdate(expiring.body.invitation._id, { expiresAt: new Date(Date.now() - 1000) });
+    await accept(tokenFrom(sentMail[3]), `exp_${suffix}`.substring(0, 30)).expect(400);
+
+    const expired = await request(app)
+      .get('/api/admin/invitations?status=expired')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(expired.body.invitations.map(invitation => invitation._id)).toEqual([expiring.body.invitation._id]);
+
+    const pending = await request(app)
+      .get('/api/admin/invitations?status=pending')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(pending.body.invitations).toHaveLength(0);
+  });
+
+  test('should only let admins invite, and not for existing accounts', async () => {
+    await invite(admin.email, 'collector').expect(409);
+
+    const suffix = uniqueSuffix();
+    const resident = await User.create({
+      username: `res_${suffix}`.substring(0, 30),
+      email: `res_${suffix}@example.com`,
+      password: 'Password123',
+      role: 'resident'
+    });
+    const residentToken = generateToken({ id: resident._id, email: resident.email, username: resident.username, role: resident.role });
+
+    await request(app)
+      .post('/api/admin/invitations')
+      .set('Authorization', `Bearer ${residentToken}`)
+      .send({ email: `sneaky_${suffix}@example.com`, role: 'admin' })
+      .expect(403);
+
+    expect(await Invitation.countDocuments()).toBe(0);
+  });
+});
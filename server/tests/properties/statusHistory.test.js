@@ -0,0 +1,211 @@
+/**
+ * Feature: waste-management-system, Property 27: Status history audit trail
+ *
+ * Property: For any sequence of status changes made through the API, the collection
+ * request's status history should hold one entry per change, in order, each recording
+ * the previous and new status, who made the change and where, and entries already
+ * recorded should never be altered
+ *
+ * Validates: Requirements 3.2, 5.2, 5.3
+ */
+
+import fc from 'fast-check';
+import request from 'supertest';
+import express from 'express';
+import cors from 'cors';
+import { User, CollectionRequest, Notification } from '../../models/index.js';
+import collectionRoutes from '../../routes/collectionRoutes.js';
+import notificationRoutes from '../../routes/notificationRoutes.js';
+import { generateToken } from '../../utils/auth.js';
+import { getAllowedTransitions, requiresReason } from '../../utils/statusTransitions.js';
+import { BUILT_IN_ROLES } from '../../utils/permissions.js';
+import { uniqueSuffix } from '../helpers/accounts.js';
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(cors());
+  app.use(express.json());
+  app.use('/api/collections', collectionRoutes);
+  app.use('/api/notifications', notificationRoutes);
+  return app;
+};
+
+describe('Property 27: Status history audit trail', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+  });
+
+  const createUser = async (role) => {
+    const suffix = uniqueSuffix();
+    const user = await User.create({
+      username: `${role}_${suffix}`.substring(0, 30),
+      email: `${role}_${suffix}@example.com`,
+      password: 'Password123',
+      role
+    });
+    const token = generateToken({ id: user._id, email: user.email, username: user.username, role: user.role });
+    return { user, token };
+  };
+
+  // Generator for a sequence of status changes: each picks one of the moves allowed next,
+  // with an optional reason
+  const changesArbitrary = fc.array(
+    fc.record({
+      pick: fc.nat(),
+      reason: fc.option(fc.string({ minLength: 1, maxLength: 100 }).filter(s => s.trim().length > 0), { nil: undefined })
+    }),
+    { minLength: 1, maxLength: 8 }
+  );
+
+  test('should record every status change in order with its actor, role and source', async () => {
+    await fc.assert(
+      fc.asyncProperty(changesArbitrary, async (changes) => {
+        const admin = await createUser('admin');
+        const resident = await createUser('resident');
+        const collector = await createUser('collector');
+        let collection = null;
+
+        try {
+          const createResponse = await request(app)
+            .post('/api/collections')
+            .set('Authorization', `Bearer ${resident.token}`)
+            .send({ wasteCategory: 'general', pickupLocation: { address: '12 Audit Lane' } })
+            .expect(201);
+
+          collection = createResponse.body.request;
+
+          const expected = [{ from: null, to: 'pending', role: 'resident', source: 'POST /api/collections/' }];
+          let current = 'pending';
+
+          for (const change of changes) {
+            const allowed = getAllowedTransitions(current, BUILT_IN_ROLES.admin);
+            const next = allowed[change.pick % allowed.length];
+            const reason = change.reason ?? (requiresReason(current, next) ? 'Reopened after review' : undefined);
+
+            // Assignment goes through its own endpoint, every other move through the update endpoint
+            if (next === 'assigned') {
+              await request(app)
+                .put(`/api/collections/${collection._id}/assign`)
+                .set('Authorization', `Bearer ${admin.token}`)
+                .send({ collectorId: collector.user._id.toString(), reason })
+                .expect(200);
+            } else {
+              await request(app)
+                .put(`/api/collections/${collection._id}`)
+                .set('Authorization', `Bearer ${admin.token}`)
+                .send({ status: next, reason })
+                .expect(200);
+            }
+
+            expected.push({
+              from: current,
+              to: next,
+              role: 'admin',
+              reason: reason?.trim(),
+              source: next === 'assigned' ? 'PUT /api/collections/:id/assign' : 'PUT /api/collections/:id'
+            });
+            current = next;
+          }
+
+          const dbCollection = await CollectionRequest.findById(collection._id);
+          expect(dbCollection.status).toBe(current);
+          expect(dbCollection.statusHistory).toHaveLength(expected.length);
+
+          dbCollection.statusHistory.forEach((entry, index) => {
+            expect(entry.from).toBe(expected[index].from);
+            expect(entry.to).toBe(expected[index].to);
+            expect(entry.role).toBe(expected[index].role);
+            expect(entry.source).toBe(expected[index].source);
+            expect(entry.timestamp).toBeInstanceOf(Date);
+
+            if (index > 0) {
+              expect(entry.actor.toString()).toBe(admin.user._id.toString());
+              expect(entry.reason).toBe(expected[index].reason);
+              expect(entry.timestamp.getTime())
+                .toBeGreaterThanOrEqual(dbCollection.statusHistory[index - 1].timestamp.getTime());
+            } else {
+              expect(entry.actor.toString()).toBe(resident.user._id.toString());
+            }
+          });
+
+          // The history endpoint serves the same timeline
+          const historyResponse = await request(app)
+            .get(`/api/notifications/history/${collection._id}`)
+            .set('Authorization', `Bearer ${resident.token}`)
+            .expect(200);
+
+          expect(historyResponse.body.statusHistory.map(entry => entry.status))
+            .toEqual(expected.map(entry => entry.to));
+          expect(historyResponse.body.statusHistory.every(entry => entry.description)).toBe(true);
+        } finally {
+          if (collection) {
+            await Notification.deleteMany({ collectionId: collection._id });
+            await CollectionRequest.findByIdAndDelete(collection._id);
+          }
+          await User.deleteMany({ _id: { $in: [admin.user._id, resident.user._id, collector.user._id] } });
+        }
+      }),
+      { numRuns: 10 }
+    );
+  });
+
+  test('should never alter entries that are already recorded', async () => {
+    const resident = await createUser('resident');
+
+    try {
+      const collection = await CollectionRequest.create({
+        requesterId: resident.user._id,
+        wasteCategory: 'organic',
+        pickupLocation: { address: '7 Ledger Road' }
+      });
+
+      collection.transitionTo('cancelled', { actor: resident.user._id, role: 'resident', reason: 'Moved house' });
+      await collection.save();
+
+      const recorded = collection.statusHistory[1];
+      recorded.to = 'completed';
+      recorded.reason = 'Rewritten';
+      await collection.save();
+
+      const dbCollection = await CollectionRequest.findById(collection._id);
+      expect(dbCollection.statusHistory.map(entry => entry.to)).toEqual(['pending', 'cancelled']);
+      expect(dbCollection.statusHistory[1].reason).toBe('Moved house');
+
+      await CollectionRequest.findByIdAndDelete(collection._id);
+    } finally {
+      await User.findByIdAndDelete(resident.user._id);
+    }
+  });
+
+  test('should serve an inferred timeline for requests created before the audit trail', async () => {
+    const resident = await createUser('resident');
+
+    try {
+      const collection = await CollectionRequest.create({
+        requesterId: resident.user._id,
+        wasteCategory: 'recyclable',
+        pickupLocation: { address: '3 Legacy Court' },
+        status: 'completed',
+        completedDate: new Date()
+      });
+
+      // Simulate a request stored before statusHistory existed
+      await CollectionRequest.collection.updateOne({ _id: collection._id }, { $unset: { statusHistory: '' } });
+
+      const response = await request(app)
+        .get(`/api/notifications/history/${collection._id}`)
+        .set('Authorization', `Bearer ${resident.token}`)
+        .expect(200);
+
+      expect(response.body.statusHistory.map(entry => entry.status)).toEqual(['pending', 'completed']);
+      expect(response.body.statusHistory.every(entry => entry.inferred)).toBe(true);
+
+      await CollectionRequest.findByIdAndDelete(collection._id);
+    } finally {
+      await User.findByIdAndDelete(resident.user._id);
+    }
+  });
+});
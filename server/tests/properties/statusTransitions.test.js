@@ -0,0 +1,173 @@
+/**
+ * Feature: waste-management-system, Property 28: Status transition enforcement
+ *
+ * Property: For any collection request status and any requested status change, the API
+ * should apply the change only if the transition table allows it for the user's role,
+ * and otherwise reject it with 409 and the statuses the user may move the request to
+ *
+ * Validates: Requirements 3.2, 3.3, 5.2
+ */
+
+import fc from 'fast-check';
+import request from 'supertest';
+import express from 'express';
+import cors from 'cors';
+import { User, CollectionRequest, Notification } from '../../models/index.js';
+import collectionRoutes from '../../routes/collectionRoutes.js';
+import { generateToken } from '../../utils/auth.js';
+import { COLLECTION_STATUSES, canTransition, getAllowedTransitions } from '../../utils/statusTransitions.js';
+import { BUILT_IN_ROLES } from '../../utils/permissions.js';
+import { uniqueSuffix } from '../helpers/accounts.js';
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(cors());
+  app.use(express.json());
+  app.use('/api/collections', collectionRoutes);
+  return app;
+};
+
+describe('Property 28: Status transition enforcement', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+  });
+
+  const createUser = async (role) => {
+    const suffix = uniqueSuffix();
+    const user = await User.create({
+      username: `${role}_${suffix}`.substring(0, 30),
+      email: `${role}_${suffix}@example.com`,
+      password: 'Password123',
+      role
+    });
+    const token = generateToken({ id: user._id, email: user.email, username: user.username, role: user.role });
+    return { user, token };
+  };
+
+  test('should only apply status changes allowed by the transition table', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.constantFrom(...COLLECTION_STATUSES),
+        fc.constantFrom(...COLLECTION_STATUSES),
+        fc.constantFrom('admin', 'resident', 'collector'),
+        async (from, to, role) => {
+          const users = {
+            admin: await createUser('admin'),
+            resident: await createUser('resident'),
+            collector: await createUser('collector')
+          };
+          let collection = null;
+
+          try {
+            collection = await CollectionRequest.create({
+              requesterId: users.resident.user._id,
+              wasteCategory: 'general',
+              pickupLocation: { address: '5 Lifecycle Street' },
+              assignedCollector: users.collector.user._id,
+              status: from
+            });
+
+            // What the user is told they may do next matches the table
+            const viewResponse = await request(app)
+              .get(`/api/collections/${collection._id}`)
+              .set('Authorization', `Bearer ${users[role].token}`)
+              .expect(200);
+
+            expect(viewResponse.body.allowedTransitions).toEqual(getAllowedTransitions(from, BUILT_IN_ROLES[role]));
+
+            const response = await request(app)
+              .put(`/api/collections/${collection._id}`)
+              .set('Authorization', `Bearer ${users[role].token}`)
+              .send({ status: to, reason: 'Requested by test' });
+
+            const dbCollection = await CollectionRequest.findById(collection._id);
+            const canUpdate = role !== 'resident' || from === 'pending';
+
+            if (!canUpdate) {
+              expect(response.status).toBe(403);
+              expect(dbCollection.status).toBe(from);
+            } else if (to === from || canTransition(from, to, BUILT_IN_ROLES[role])) {
+              expect(response.status).toBe(200);
+              expect(dbCollection.status).toBe(to);
+            } else {
+              expect(response.status).toBe(409);
+              expect(response.body.success).toBe(false);
+              expect(response.body.currentStatus).toBe(from);
+              expect(response.body.allowedTransitions).toEqual(getAllowedTransitions(from, BUILT_IN_ROLES[role]));
+              expect(dbCollection.status).toBe(from);
+            }
+          } finally {
+            if (collection) {
+              await Notification.deleteMany({ collectionId: collection._id });
+              await CollectionRequest.findByIdAndDelete(collection._id);
+            }
+            await User.deleteMany({ _id: { $in: Object.values(users).map(({ user }) => user._id) } });
+          }
+        }
+      ),
+      { numRuns: 50 }
+    );
+  });
+
+  test('should require a reason to reopen a closed request', async () => {
+    const admin = await createUser('admin');
+    const resident = await createUser('resident');
+
+    try {
+      const collection = await CollectionRequest.create({
+        requesterId: resident.user._id,
+        wasteCategory: 'organic',
+        pickupLocation: { address: '8 Reopen Row' },
+        status: 'completed'
+      });
+
+      const withoutReason = await request(app)
+        .put(`/api/collections/${collection._id}`)
+        .set('Authorization', `Bearer ${admin.token}`)
+        .send({ status: 'pending' })
+        .expect(400);
+
+      expect(withoutReason.body.allowedTransitions).toEqual(['pending']);
+
+      const withReason = await request(app)
+        .put(`/api/collections/${collection._id}`)
+        .set('Authorization', `Bearer ${admin.token}`)
+        .send({ status: 'pending', reason: 'Bin was missed' })
+        .expect(200);
+
+      expect(withReason.body.request.status).toBe('pending');
+      expect(withReason.body.request.completedDate).toBeUndefined();
+
+      await Notification.deleteMany({ collectionId: collection._id });
+      await CollectionRequest.findByIdAndDelete(collection._id);
+    } finally {
+      await User.deleteMany({ _id: { $in: [admin.user._id, resident.user._id] } });
+    }
+  });
+
+  test('should reject unknown statuses', async () => {
+    const admin = await createUser('admin');
+    const resident = await createUser('resident');
+
+    try {
+      const collection = await CollectionRequest.create({
+        requesterId: resident.user._id,
+        wasteCategory: 'general',
+        pickupLocation: { address: '1 Typo Terrace' }
+      });
+
+      await request(app)
+        .put(`/api/collections/${collection._id}`)
+        .set('Authorization', `Bearer ${admin.token}`)
+        .send({ status: 'done' })
+        .expect(400);
+
+      await CollectionRequest.findByIdAndDelete(collection._id);
+    } finally {
+      await User.deleteMany({ _id: { $in: [admin.user._id, resident.user._id] } });
+    }
+  });
+});
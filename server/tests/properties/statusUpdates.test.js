@@ -14,6 +14,7 @@ import cors from 'cors';
 import { User, CollectionRequest } from '../../models/index.js';
 import userRoutes from '../../routes/userRoutes.js';
 import collectionRoutes from '../../routes/collectionRoutes.js';
+import { registerUser } from '../helpers/accounts.js';
 
 // Create test app
 const createTestApp = () => {
@@ -83,13 +84,9 @@ describe('Property 9: Status updates with timestamps', () => {
             };
 
             // Register users
-            const residentRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueResidentData);
+            const residentRegResponse = await registerUser(app, uniqueResidentData);
 
-            const collectorRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueCollectorData);
+            const collectorRegResponse = await registerUser(app, uniqueCollectorData);
 
             resident = residentRegResponse.body.user;
             collector = collectorRegResponse.body.user;
@@ -167,9 +164,7 @@ describe('Property 9: Status updates with timestamps', () => {
               email: `resident_${Date.now()}_${Math.random().toString(36).substring(7)}_${residentData.email}`
             };
 
-            const residentRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueResidentData);
+            const residentRegResponse = await registerUser(app, uniqueResidentData);
 
             resident = residentRegResponse.body.user;
             const residentToken = residentRegResponse.body.token;
@@ -235,9 +230,7 @@ describe('Property 9: Status updates with timestamps', () => {
               email: `resident_${Date.now()}_${Math.random().toString(36).substring(7)}_${residentData.email}`
             };
 
-            const residentRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueResidentData);
+            const residentRegResponse = await registerUser(app, uniqueResidentData);
 
             resident = residentRegResponse.body.user;
             const residentToken = residentRegResponse.body.token;
@@ -309,9 +302,7 @@ describe('Property 9: Status updates with timestamps', () => {
               email: `resident_${Date.now()}_${Math.random().toString(36).substring(7)}_${residentData.email}`
             };
 
-            const residentRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueResidentData);
+            const residentRegResponse = await registerUser(app, uniqueResidentData);
 
             resident = residentRegResponse.body.user;
             const residentToken = residentRegResponse.body.token;
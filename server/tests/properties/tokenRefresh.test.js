@@ -0,0 +1,222 @@
+/**
+ * Feature: waste-management-system, Property 33: Token refresh and revocation
+ *
+ * Property: For any signed-in user, refreshing should issue a new access token and
+ * rotate the refresh token so the old one is rejected, replaying a rotated-out refresh
+ * token should end the session (unless it was rotated out moments ago by a simultaneous
+ * refresh from another tab), and logging out or changing the user's role should
+ * reject the session's access and refresh tokens
+ *
+ * Validates: Requirements 1.4
+ */
+
+import fc from 'fast-check';
+import request from 'supertest';
+import express from 'express';
+import cors from 'cors';
+import { User, RefreshToken } from '../../models/index.js';
+import userRoutes from '../../routes/userRoutes.js';
+import adminRoutes from '../../routes/adminRoutes.js';
+import { hashToken } from '../../utils/auth.js';
+import { registerUser, uniqueSuffix } from '../helpers/accounts.js';
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(cors());
+  app.use(express.json());
+  app.use('/api/auth', userRoutes);
+  app.use('/api/admin', adminRoutes);
+  return app;
+};
+
+const register = async (app, role) => {
+  const suffix = uniqueSuffix();
+  const response = await registerUser(app, {
+    username: `${role}_${suffix}`.substring(0, 30),
+    email: `${role}_${suffix}@example.com`,
+    password: 'Password123',
+    role
+  });
+  expect(response.status).toBe(201);
+  return response;
+};
+
+const getProfile = (app, token) => request(app)
+  .get('/api/auth/profile')
+  .set('Authorization', `Bearer ${token}`);
+
+describe('Property 33: Token refresh and revocation', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+  });
+
+  test('should rotate the refresh token on every refresh', async () => {
+    // Replays are checked straight after the rotation
+    process.env.REFRESH_REUSE_GRACE_SECONDS = '0';
+
+    await fc.assert(
+      fc.asyncProperty(
+        fc.constantFrom('resident', 'collector', 'admin'),
+        fc.integer({ min: 1, max: 4 }),
+        async (role, refreshes) => {
+          const registered = await register(app, role);
+          let { refreshToken } = registered.body;
+          const used = [];
+
+          for (let i = 0; i < refreshes; i++) {
+            const response = await request(app)
+              .post('/api/auth/refresh')
+              .send({ refreshToken })
+              .expect(200);
+
+            expect(response.body.refreshToken).not.toBe(refreshToken);
+            expect(response.body.user.role).toBe(role);
+            expect(response.body.user.tokenVersion).toBeUndefined();
+            used.push(refreshToken);
+            refreshToken = response.body.refreshToken;
+
+            const profile = await getProfile(app, response.body.token);
+            expect(profile.status).toBe(200);
+          }
+
+          // Only hashes are stored
+          const session = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+          expect(session).not.toBeNull();
+          expect(await RefreshToken.countDocuments({ tokenHash: refreshToken })).toBe(0);
+
+          // A refresh token that was already used is rejected, and ends the session
+          const replay = await request(app)
+            .post('/api/auth/refresh')
+            .send({ refreshToken: used[used.length - 1] });
+          expect(replay.status).toBe(401);
+
+          const revoked = await RefreshToken.findById(session._id);
+          expect(revoked.revokedReason).toBe('reuse-detected');
+
+          await request(app)
+            .post('/api/auth/refresh')
+            .send({ refreshToken })
+            .expect(401);
+        }
+      ),
+      { numRuns: 10 }
+    );
+
+    delete process.env.REFRESH_REUSE_GRACE_SECONDS;
+  });
+
+  test('should let two tabs refresh the same token at once without ending the session', async () => {
+    const registered = await register(app, 'resident');
+    const { refreshToken } = registered.body;
+    const refresh = (token) => request(app).post('/api/auth/refresh').send({ refreshToken: token });
+
+    const responses = await Promise.all([refresh(refreshToken), refresh(refreshToken)]);
+    expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+
+    // The slower tab is told to use the token the other one stored, and isn't given its own
+    const slower = responses.find(response => response.status === 409);
+    expect(slower.body.rotated).toBe(true);
+    expect(slower.body.refreshToken).toBeUndefined();
+
+    const next = responses.find(response => response.status === 200).body.refreshToken;
+    const session = await RefreshToken.findOne({ tokenHash: hashToken(next) });
+    expect(session.isActive()).toBe(true);
+
+    // Within the grace period the rotated-out token is still only answered with 409
+    await refresh(refreshToken).expect(409);
+
+    // Afterwards it is a replay, and ends the session
+    await RefreshToken.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date(Date.now() - 60 * 1000) } });
+    await refresh(refreshToken).expect(401);
+    expect((await RefreshToken.findById(session._id)).revokedReason).toBe('reuse-detected');
+    await refresh(next).expect(401);
+  });
+
+  test('should reject missing or unknown refresh tokens', async () => {
+    await request(app).post('/api/auth/refresh').send({}).expect(400);
+
+    await fc.assert(
+      fc.asyncProperty(fc.string({ minLength: 1, maxLength: 80 }), async (refreshToken) => {
+        const response = await request(app)
+          .post('/api/auth/refresh')
+          .send({ refreshToken });
+
+        expect(response.status).toBe(401);
+        expect(response.body.success).toBe(false);
+      }),
+      { numRuns: 20 }
+    );
+  });
+
+  test('should only end the current device\'s session on logout', async () => {
+    const registered = await register(app, 'resident');
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: registered.body.user.email, password: 'Password123' })
+      .expect(200);
+
+    const sessions = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${login.body.token}`)
+      .expect(200);
+    expect(sessions.body.sessions).toHaveLength(2);
+    expect(sessions.body.sessions.filter(session => session.current)).toHaveLength(1);
+
+    await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${registered.body.token}`)
+      .expect(200);
+
+    expect((await getProfile(app, registered.body.token)).status).toBe(401);
+    await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: registered.body.refreshToken })
+      .expect(401);
+
+    // The other device is still signed in
+    expect((await getProfile(app, login.body.token)).status).toBe(200);
+    await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: login.body.refreshToken })
+      .expect(200);
+  });
+
+  test('should sign a user out everywhere when their role changes', async () => {
+    const admin = await register(app, 'admin');
+    const user = await register(app, 'resident');
+
+    // Changing nothing keeps the user signed in
+    await request(app)
+      .put(`/api/admin/users/${user.body.user._id}/role`)
+      .set('Authorization', `Bearer ${admin.body.token}`)
+      .send({ role: 'resident' })
+      .expect(200);
+    expect((await getProfile(app, user.body.token)).status).toBe(200);
+
+    await request(app)
+      .put(`/api/admin/users/${user.body.user._id}/role`)
+      .set('Authorization', `Bearer ${admin.body.token}`)
+      .send({ role: 'collector' })
+      .expect(200);
+
+    expect((await getProfile(app, user.body.token)).status).toBe(401);
+    await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: user.body.refreshToken })
+      .expect(401);
+
+    // Signing in again gives a token with the new role
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: user.body.user.email, password: 'Password123' })
+      .expect(200);
+    expect(login.body.user.role).toBe('collector');
+    expect((await getProfile(app, login.body.token)).status).toBe(200);
+
+    const stored = await User.findById(user.body.user._id);
+    expect(stored.tokenVersion).toBe(1);
+  });
+});
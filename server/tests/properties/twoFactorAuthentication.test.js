@@ -0,0 +1,261 @@
+/**
+ * Feature: waste-management-system, Property 37: Two-factor authentication
+ *
+ * Property: For any user with two-factor authentication on, the password alone should
+ * only earn a single-use challenge, a session should only be issued for a current,
+ * not previously used authenticator code or an unused recovery code, wrong codes should
+ * count towards the account lockout, and roles that require two-factor should not reach
+ * anything beyond their profile and enrolment until they have set it up
+ *
+ * Validates: Requirements 1.2, 1.3, 4.1
+ */
+
+import fc from 'fast-check';
+import request from 'supertest';
+import express from 'express';
+import cors from 'cors';
+import { User } from '../../models/index.js';
+import userRoutes from '../../routes/userRoutes.js';
+import adminRoutes from '../../routes/adminRoutes.js';
+import { generateTotpCode } from '../../utils/totp.js';
+import { uniqueSuffix } from '../helpers/accounts.js';
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(cors());
+  app.use(express.json());
+  app.use('/api/auth', userRoutes);
+  app.use('/api/admin', adminRoutes);
+  return app;
+};
+
+const PASSWORD = 'Password123';
+const STEP_MS = 30 * 1000;
+
+describe('Property 37: Two-factor authentication', () => {
+  const originalEnv = { ...process.env };
+  let app;
+  let clock;
+
+  // Codes change every 30 seconds; a controlled clock keeps each test inside known steps
+  const nextStep = () => {
+    clock += STEP_MS;
+  };
+
+  beforeEach(() => {
+    app = createTestApp();
+    clock = Math.floor(Date.now() / STEP_MS) * STEP_MS + 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => clock);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...originalEnv };
+  });
+
+  const createUser = (role) => {
+    const suffix = uniqueSuffix();
+    return User.create({
+      username: `${role}_${suffix}`.substring(0, 30),
+      email: `${role}_${suffix}@example.com`,
+      password: PASSWORD,
+      role
+    });
+  };
+
+  const login = (email) => request(app)
+    .post('/api/auth/login')
+    .send({ email, password: PASSWORD });
+
+  const loginWithCode = (challengeToken, code) => request(app)
+    .post('/api/auth/login/two-factor')
+    .send({ challengeToken, code });
+
+  // Sign in with the password only and turn two-factor on; returns the secret, codes and token
+  const enrol = async (user) => {
+    const session = await login(user.email).expect(200);
+    const token = session.body.token;
+
+    const setup = await request(app)
+      .post('/api/auth/two-factor/setup')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const enabled = await request(app)
+      .post('/api/auth/two-factor/enable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: generateTotpCode(setup.body.secret) })
+      .expect(200);
+
+    return { token, secret: setup.body.secret, otpauthUri: setup.body.otpauthUri, recoveryCodes: enabled.body.recoveryCodes };
+  };
+
+  test('should only issue a session for the password plus a fresh authenticator code', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.constantFrom('resident', 'collector', 'admin'), async (role) => {
+        nextStep();
+        const user = await createUser(role);
+        const session = await login(user.email).expect(200);
+        const token = session.body.token;
+
+        const setup = await request(app)
+          .post('/api/auth/two-factor/setup')
+          .set('Authorization', `Bearer ${token}`)
+          .expect(200);
+        expect(setup.body.otpauthUri).toContain(`secret=${setup.body.secret}`);
+        expect(setup.body.otpauthUri).toContain(encodeURIComponent(user.email));
+
+        // Nothing changes until a code from the new secret is confirmed
+        const current = generateTotpCode(setup.body.secret);
+        const wrong = current === '000000' ? '111111' : '000000';
+        await request(app)
+          .post('/api/auth/two-factor/enable')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ code: wrong })
+          .expect(400);
+        expect((await login(user.email).expect(200)).body.twoFactorRequired).toBeUndefined();
+
+        const enabled = await request(app)
+          .post('/api/auth/two-factor/enable')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ code: current })
+          .expect(200);
+        expect(new Set(enabled.body.recoveryCodes).size).toBe(10);
+        expect(enabled.body.user.twoFactor).toEqual({ enabled: true, enabledAt: expect.any(String) });
+
+        // The secret never leaves the server again
+        const profile = await request(app)
+          .get('/api/auth/profile')
+          .set('Authorization', `Bearer ${token}`)
+          .expect(200);
+        expect(JSON.stringify(profile.body)).not.toContain(setup.body.secret);
+
+        const challenge = await login(user.email).expect(200);
+        expect(challenge.body.twoFactorRequired).toBe(true);
+        expect(challenge.body.token).toBeUndefined();
+        expect(challenge.body.refreshToken).toBeUndefined();
+
+        // The code used to enrol can't be replayed
+        await loginWithCode(challenge.body.challengeToken, current).expect(401);
+
+        nextStep();
+        const completed = await loginWithCode(challenge.body.challengeToken, generateTotpCode(setup.body.secret)).expect(200);
+        expect(completed.body.token).toBeDefined();
+        expect(completed.body.user.role).toBe(role);
+
+        // The challenge works once
+        nextStep();
+        await loginWithCode(challenge.body.challengeToken, generateTotpCode(setup.body.secret)).expect(401);
+      }),
+      { numRuns: 3 }
+    );
+  });
+
+  test('should accept each recovery code once and replace them on request', async () => {
+    const user = await createUser('collector');
+    const { token, secret, recoveryCodes } = await enrol(user);
+
+    const first = await login(user.email).expect(200);
+    const recovered = await loginWithCode(first.body.challengeToken, recoveryCodes[0].toUpperCase()).expect(200);
+    expect(recovered.body.recoveryCodesRemaining).toBe(9);
+
+    const second = await login(user.email).expect(200);
+    await loginWithCode(second.body.challengeToken, recoveryCodes[0]).expect(401);
+
+    nextStep();
+    const regenerated = await request(app)
+      .post('/api/auth/two-factor/recovery-codes')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: generateTotpCode(secret) })
+      .expect(200);
+    expect(regenerated.body.recoveryCodes).toHaveLength(10);
+
+    const third = await login(user.email).expect(200);
+    await loginWithCode(third.body.challengeToken, recoveryCodes[1]).expect(401);
+    await loginWithCode(third.body.challengeToken, regenerated.body.recoveryCodes[0]).expect(200);
+  });
+
+  test('should count wrong codes towards the account lockout', async () => {
+    process.env.LOCKOUT_THRESHOLD = '3';
+    const user = await createUser('admin');
+    const { secret } = await enrol(user);
+
+    const challenge = await login(user.email).expect(200);
+    nextStep();
+    const valid = generateTotpCode(secret);
+    const wrongCodes = ['000000', '111111', '222222', '333333'].filter(code => code !== valid).slice(0, 3);
+
+    await loginWithCode(challenge.body.challengeToken, wrongCodes[0]).expect(401);
+    await loginWithCode(challenge.body.challengeToken, wrongCodes[1]).expect(401);
+    await loginWithCode(challenge.body.challengeToken, wrongCodes[2]).expect(423);
+
+    // The open challenge is dropped, and the password step is refused while locked
+    await loginWithCode(challenge.body.challengeToken, valid).expect(401);
+    await login(user.email).expect(401);
+  });
+
+  test('should hold roles that require two-factor at enrolment until they set it up', async () => {
+    process.env.TWO_FACTOR_REQUIRED_ROLES = 'admin';
+    const admin = await createUser('admin');
+    const resident = await createUser('resident');
+
+    const session = await login(admin.email).expect(200);
+    expect(session.body.twoFactorSetupRequired).toBe(true);
+    const token = session.body.token;
+
+    const blocked = await request(app)
+      .get('/api/admin/users')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(403);
+    expect(blocked.body.twoFactorSetupRequired).toBe(true);
+
+    await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${token}`).expect(200);
+    const status = await request(app).get('/api/auth/two-factor').set('Authorization', `Bearer ${token}`).expect(200);
+    expect(status.body.twoFactor).toMatchObject({ enabled: false, required: true });
+
+    // Residents are not affected
+    const residentSession = await login(resident.email).expect(200);
+    expect(residentSession.body.twoFactorSetupRequired).toBe(false);
+    await request(app).get('/api/auth/preferences').set('Authorization', `Bearer ${residentSession.body.token}`).expect(200);
+
+    const setup = await request(app)
+      .post('/api/auth/two-factor/setup')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    await request(app)
+      .post('/api/auth/two-factor/enable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: generateTotpCode(setup.body.secret) })
+      .expect(200);
+
+    await request(app).get('/api/admin/users').set('Authorization', `Bearer ${token}`).expect(200);
+
+    // Required two-factor can't be turned off
+    nextStep();
+    await request(app)
+      .post('/api/auth/two-factor/disable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: PASSWORD, code: generateTotpCode(setup.body.secret) })
+      .expect(403);
+  });
+
+  test('should let an admin reset a lost device and sign the user out', async () => {
+    const admin = await createUser('admin');
+    const collector = await createUser('collector');
+    const adminSession = await login(admin.email).expect(200);
+    const { token: collectorToken } = await enrol(collector);
+
+    await request(app)
+      .delete(`/api/admin/users/${collector._id}/two-factor`)
+      .set('Authorization', `Bearer ${adminSession.body.token}`)
+      .expect(200);
+
+    await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${collectorToken}`).expect(401);
+
+    const relogin = await login(collector.email).expect(200);
+    expect(relogin.body.twoFactorRequired).toBeUndefined();
+    expect(relogin.body.token).toBeDefined();
+    expect(relogin.body.user.twoFactor.enabled).toBe(false);
+  });
+});
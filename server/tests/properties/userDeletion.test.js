@@ -15,6 +15,7 @@ import { User, CollectionRequest } from '../../models/index.js';
 import userRoutes from '../../routes/userRoutes.js';
 import adminRoutes from '../../routes/adminRoutes.js';
 import collectionRoutes from '../../routes/collectionRoutes.js';
+import { registerUser } from '../helpers/accounts.js';
 
 // Create test app
 const createTestApp = () => {
@@ -84,13 +85,9 @@ describe('Property 15: User deletion preserves historical data', () => {
             };
 
             // Register users
-            const adminRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueAdminData);
+            const adminRegResponse = await registerUser(app, uniqueAdminData);
 
-            const residentRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueResidentData);
+            const residentRegResponse = await registerUser(app, uniqueResidentData);
 
             admin = adminRegResponse.body.user;
             resident = residentRegResponse.body.user;
@@ -214,17 +211,11 @@ describe('Property 15: User deletion preserves historical data', () => {
             };
 
             // Register users
-            const adminRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueAdminData);
+            const adminRegResponse = await registerUser(app, uniqueAdminData);
 
-            const residentRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueResidentData);
+            const residentRegResponse = await registerUser(app, uniqueResidentData);
 
-            const collectorRegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueCollectorData);
+            const collectorRegResponse = await registerUser(app, uniqueCollectorData);
 
             admin = adminRegResponse.body.user;
             resident = residentRegResponse.body.user;
@@ -321,9 +312,7 @@ describe('Property 15: User deletion preserves historical data', () => {
         role: 'admin'
       };
 
-      const adminRegResponse = await request(app)
-        .post('/api/auth/register')
-        .send(adminData);
+      const adminRegResponse = await registerUser(app, adminData);
 
       admin = adminRegResponse.body.user;
       const adminToken = adminRegResponse.body.token;
@@ -338,9 +327,7 @@ describe('Property 15: User deletion preserves historical data', () => {
           role: 'resident'
         };
 
-        const residentRegResponse = await request(app)
-          .post('/api/auth/register')
-          .send(residentData);
+        const residentRegResponse = await registerUser(app, residentData);
 
         residents.push({
           user: residentRegResponse.body.user,
@@ -355,9 +342,7 @@ describe('Property 15: User deletion preserves historical data', () => {
           role: 'collector'
         };
 
-        const collectorRegResponse = await request(app)
-          .post('/api/auth/register')
-          .send(collectorData);
+        const collectorRegResponse = await registerUser(app, collectorData);
 
         collectors.push(collectorRegResponse.body.user);
       }
@@ -480,13 +465,9 @@ describe('Property 15: User deletion preserves historical data', () => {
             };
 
             // Register residents
-            const resident1RegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueResident1Data);
+            const resident1RegResponse = await registerUser(app, uniqueResident1Data);
 
-            const resident2RegResponse = await request(app)
-              .post('/api/auth/register')
-              .send(uniqueResident2Data);
+            const resident2RegResponse = await registerUser(app, uniqueResident2Data);
 
             resident1 = resident1RegResponse.body.user;
             resident2 = resident2RegResponse.body.user;
@@ -519,4 +500,67 @@ describe('Property 15: User deletion preserves historical data', () => {
       { numRuns: 30 }
     );
   });
+
+  test('should show what deleting a user would preserve before they are deleted', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.array(fc.constantFrom('pending', 'cancelled'), { maxLength: 5 }),
+        async (statuses) => {
+          const suffix = `${Date.now()}_${Math.random().toString(36).substring(7)}`;
+          const adminResponse = await registerUser(app, {
+            username: `admin_${suffix}`.substring(0, 30),
+            email: `admin_${suffix}@example.com`,
+            password: 'Password123',
+            role: 'admin'
+          });
+          const residentResponse = await registerUser(app, {
+            username: `resident_${suffix}`.substring(0, 30),
+            email: `resident_${suffix}@example.com`,
+            password: 'Password123',
+            role: 'resident'
+          });
+          const adminToken = adminResponse.body.token;
+          const resident = residentResponse.body.user;
+
+          await Promise.all(statuses.map(status => CollectionRequest.create({
+            requesterId: resident._id,
+            wasteCategory: 'general',
+            pickupLocation: { address: '1 Detail Street', coordinates: { lat: 40.71, lng: -74.0 } },
+            status
+          })));
+
+          const detail = await request(app)
+            .get(`/api/admin/users/${resident._id}?limit=3`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+
+          expect(detail.body.user.password).toBeUndefined();
+          expect(detail.body.requests).toHaveLength(Math.min(statuses.length, 3));
+          expect(detail.body.routes).toEqual([]);
+          expect(detail.body.summary.totalRequests).toBe(statuses.length);
+          ['pending', 'cancelled'].forEach(status => {
+            expect(detail.body.summary.byStatus[status] || 0).toBe(statuses.filter(item => item === status).length);
+          });
+
+          // Residents can't look users up
+          await request(app)
+            .get(`/api/admin/users/${adminResponse.body.user._id}`)
+            .set('Authorization', `Bearer ${residentResponse.body.token}`)
+            .expect(403);
+
+          const deletion = await request(app)
+            .delete(`/api/admin/users/${resident._id}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+          expect(deletion.body.preservedCollections).toBe(detail.body.summary.preservedCollections);
+
+          await request(app)
+            .get(`/api/admin/users/${resident._id}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(404);
+        }
+      ),
+      { numRuns: 20 }
+    );
+  });
 });
\ No newline at end of file
@@ -3,6 +3,9 @@ import { MongoMemoryServer } from 'mongodb-memory-server';
 
 let mongoServer;
 
+// Most suites send hundreds of requests from one address; the rate limit test turns limits back on
+process.env.RATE_LIMIT_ENABLED = 'false';
+
 // Setup test database before all tests
 beforeAll(async () => {
   mongoServer = await MongoMemoryServer.create();
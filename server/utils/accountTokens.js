@@ -0,0 +1,95 @@
+/**
+ * Single-use account tokens
+ *
+ * Email verification and password reset links carry a random token, as does the
+ * challenge a two-factor login hands back after the password step and the ticket that
+ * opens an event stream. Only its hash is stored, issuing a new token replaces any unused
+ * one for the same purpose, and a token is marked used atomically so the same link can't
+ * be followed twice.
+ */
+
+import { AccountToken } from '../models/index.js';
+import { generateSecureToken, hashToken } from './auth.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * How long a token of each purpose stays valid
+ * @param {string} purpose - email-verification, password-reset, two-factor-login or event-stream
+ * @returns {number} Milliseconds
+ */
+export const getAccountTokenLifetime = (purpose) => {
+  if (purpose === 'event-stream') {
+    return (parseFloat(process.env.EVENT_STREAM_TICKET_SECONDS) || 60) * 1000;
+  }
+  if (purpose === 'password-reset') {
+    return (parseFloat(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60) * 60 * 1000;
+  }
+  if (purpose === 'two-factor-login') {
+    return (parseFloat(process.env.TWO_FACTOR_CHALLENGE_MINUTES) || 5) * 60 * 1000;
+  }
+  return (parseFloat(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 48) * HOUR_MS;
+};
+
+/**
+ * Issue a new token for a user, replacing any unused one with the same purpose
+ * @param {Object} user - User document
+ * @param {string} purpose - Token purpose
+ * @param {Object} [details] - Extra fields to store, e.g. { session, tokenVersion } for event-stream
+ * @returns {Promise<Object>} { token, expiresAt }
+ */
+export const issueAccountToken = async (user, purpose, details = {}) => {
+  // Every open tab asks for its own stream ticket, so those don't replace each other
+  if (purpose !== 'event-stream') {
+    await AccountToken.deleteMany({ user: user._id, purpose, usedAt: null });
+  }
+
+  const token = generateSecureToken();
+  const accountToken = await AccountToken.create({
+    ...details,
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + getAccountTokenLifetime(purpose))
+  });
+
+  return { token, expiresAt: accountToken.expiresAt };
+};
+
+/**
+ * Look up a token that can still be used, without using it up
+ * @param {string} token - Token sent to the user
+ * @param {string} purpose - Token purpose
+ * @returns {Promise<Object|null>} The token, or null if it is unknown, used or expired
+ */
+export const findUsableAccountToken = async (token, purpose) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  return AccountToken.findOne({
+    tokenHash: hashToken(token),
+    purpose,
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+/**
+ * Use up a token
+ * @param {string} token - Token sent to the user
+ * @param {string} purpose - Token purpose
+ * @returns {Promise<Object|null>} The used token, or null if it is unknown, used or expired
+ */
+export const consumeAccountToken = async (token, purpose) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const now = new Date();
+  return AccountToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+};
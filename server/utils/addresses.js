@@ -0,0 +1,171 @@
+/**
+ * Addresses
+ *
+ * Residents type pickup addresses however they like ("12 North Oak Street", "12 N. Oak St"),
+ * so addresses are compared by a normalized key: lower case, without accents or
+ * punctuation, and with street types and directions abbreviated. The same key looks
+ * addresses up in the gazetteer, a register of addresses and their coordinates imported
+ * from CSV (e.g. a municipal address register).
+ */
+
+// Words replaced by their usual postal abbreviation
+const ABBREVIATIONS = {
+  street: 'st',
+  avenue: 'ave',
+  av: 'ave',
+  road: 'rd',
+  drive: 'dr',
+  lane: 'ln',
+  boulevard: 'blvd',
+  court: 'ct',
+  place: 'pl',
+  terrace: 'ter',
+  crescent: 'cres',
+  highway: 'hwy',
+  parkway: 'pkwy',
+  square: 'sq',
+  circle: 'cir',
+  north: 'n',
+  south: 's',
+  east: 'e',
+  west: 'w',
+  northeast: 'ne',
+  northwest: 'nw',
+  southeast: 'se',
+  southwest: 'sw',
+  apartment: 'apt',
+  suite: 'ste'
+};
+
+// Accepted CSV header names of the gazetteer columns
+const GAZETTEER_COLUMNS = {
+  address: ['address', 'full_address', 'street_address'],
+  lat: ['lat', 'latitude'],
+  lng: ['lng', 'lon', 'long', 'longitude']
+};
+
+/**
+ * Normalized key of an address, equal for different spellings of the same address
+ * @param {string} address - Address as typed
+ * @returns {string} Key, e.g. "12 n oak st" for "12 North Oak Street"; empty if nothing is left
+ */
+export const normalizeAddress = (address) => {
+  if (typeof address !== 'string') {
+    return '';
+  }
+  return address
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .map(word => ABBREVIATIONS[word] ?? word)
+    .join(' ');
+};
+
+/**
+ * Keys to look an address up by: the whole address, then its first part, so
+ * "12 Oak St, Springfield 12345" still matches a register that lists "12 Oak Street"
+ * @param {string} address - Address as typed
+ * @returns {Array<string>} Distinct non-empty keys, most specific first
+ */
+export const addressKeys = (address) => {
+  const keys = [normalizeAddress(address)];
+  if (typeof address === 'string' && address.includes(',')) {
+    keys.push(normalizeAddress(address.split(',')[0]));
+  }
+  return [...new Set(keys.filter(Boolean))];
+};
+
+/**
+ * Split CSV text into rows of fields; quoted fields may hold commas, quotes ("") and line breaks
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Read a gazetteer CSV: a header row naming an address, a latitude and a longitude
+ * column (e.g. "address,lat,lng"; other columns are ignored), then one address per row
+ * @param {string} text - CSV text
+ * @returns {Object} { entries: [{ address, normalizedAddress, coordinates, row }], errors: [{ row, message }] },
+ *                   or { error } if the header lacks a column
+ */
+export const parseGazetteer = (text) => {
+  const rows = parseCsv(String(text ?? '').replace(/^\uFEFF/, ''))
+    .map((fields, index) => ({ fields, row: index + 1 }))
+    .filter(({ fields }) => fields.some(field => field.trim() !== ''));
+
+  if (rows.length === 0) {
+    return { error: 'The file is empty' };
+  }
+
+  const header = rows[0].fields.map(name => name.trim().toLowerCase());
+  const columns = {};
+  for (const [column, names] of Object.entries(GAZETTEER_COLUMNS)) {
+    columns[column] = header.findIndex(name => names.includes(name));
+    if (columns[column] === -1) {
+      return { error: `The header row needs a column named ${names[0]}` };
+    }
+  }
+
+  const entries = [];
+  const errors = [];
+  for (const { fields, row } of rows.slice(1)) {
+    const address = (fields[columns.address] ?? '').trim().replace(/\s+/g, ' ');
+    const lat = Number((fields[columns.lat] ?? '').trim() || NaN);
+    const lng = Number((fields[columns.lng] ?? '').trim() || NaN);
+    const normalizedAddress = normalizeAddress(address);
+
+    if (!normalizedAddress || address.length > 200) {
+      errors.push({ row, message: 'Address must be between 1 and 200 characters' });
+    } else if (!(lat >= -90 && lat <= 90) || !(lng >= -180 && lng <= 180)) {
+      errors.push({ row, message: 'Latitude must be between -90 and 90 and longitude between -180 and 180' });
+    } else {
+      entries.push({ address, normalizedAddress, coordinates: { lat, lng }, row });
+    }
+  }
+
+  return { entries, errors };
+};
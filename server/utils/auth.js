@@ -1,4 +1,5 @@
 import bcrypt from 'bcrypt';
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 
 /**
@@ -22,7 +23,7 @@ export const comparePassword = async (password, hashedPassword) => {
 };
 
 /**
- * Generate a JWT token
+ * Generate a short-lived JWT access token
  * @param {Object} payload - Token payload
  * @returns {string} - JWT token
  */
@@ -30,10 +31,27 @@ export const generateToken = (payload) => {
   return jwt.sign(
     payload,
     process.env.JWT_SECRET || 'fallback-secret-key',
-    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
   );
 };
 
+/**
+ * Generate an opaque random token (refresh tokens, emailed account links)
+ * @returns {string} - Random URL-safe token
+ */
+export const generateSecureToken = () => {
+  return crypto.randomBytes(48).toString('base64url');
+};
+
+/**
+ * Hash a random token for storage
+ * @param {string} token - Refresh token
+ * @returns {string} - SHA-256 hex digest
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
 /**
  * Verify a JWT token
  * @param {string} token - JWT token
@@ -0,0 +1,180 @@
+/**
+ * Sign-in sessions
+ *
+ * Each sign-in gets a short-lived access token and a refresh token tied to a
+ * RefreshToken session for that device. Refreshing rotates the refresh token; a
+ * rotated-out token being presented again means it was copied, so the whole session
+ * is revoked. The exception is the token rotated out moments ago: two tabs of the same
+ * browser refreshing at once both send it, and the slower one is told to pick up the
+ * token the other received instead, without being given one of its own. Access tokens
+ * carry the session ID (sid) and the user's token version (tv) so logout and role
+ * changes take effect before they expire.
+ */
+
+import { RefreshToken, User } from '../models/index.js';
+import { generateToken, generateSecureToken, hashToken } from './auth.js';
+
+const DEFAULT_REFRESH_DAYS = 30;
+const DEFAULT_REUSE_GRACE_SECONDS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lifetime of a refresh token session
+ * @returns {number} Milliseconds
+ */
+export const getRefreshTokenLifetime = () => {
+  return (parseFloat(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || DEFAULT_REFRESH_DAYS) * DAY_MS;
+};
+
+/**
+ * Sign an access token for a user's session
+ * @param {Object} user - User document
+ * @param {string} sessionId - RefreshToken session ID
+ * @returns {string} JWT access token
+ */
+export const createAccessToken = (user, sessionId) => {
+  return generateToken({
+    id: user._id,
+    email: user.email,
+    username: user.username,
+    role: user.role,
+    sid: sessionId.toString(),
+    tv: user.tokenVersion || 0
+  });
+};
+
+// Name of the device a request comes from
+const getDevice = (req) => {
+  const device = req.body?.device || req.get?.('User-Agent') || 'Unknown device';
+  return String(device).substring(0, 200);
+};
+
+/**
+ * Start a session for a user who has just signed in
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { token, refreshToken, refreshTokenExpiresAt }
+ */
+export const startSession = async (user, req) => {
+  const refreshToken = generateSecureToken();
+
+  const session = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    device: getDevice(req),
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + getRefreshTokenLifetime())
+  });
+
+  return {
+    token: createAccessToken(user, session._id),
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt
+  };
+};
+
+/**
+ * How long after a rotation the rotated-out token is answered with `rotated` rather than
+ * treated as reuse
+ * @returns {number} Milliseconds
+ */
+export const getRefreshReuseGrace = () => {
+  const seconds = parseFloat(process.env.REFRESH_REUSE_GRACE_SECONDS);
+  return (Number.isNaN(seconds) ? DEFAULT_REUSE_GRACE_SECONDS : seconds) * 1000;
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @returns {Promise<Object>} { user, token, refreshToken, refreshTokenExpiresAt }, or { error }
+ *          with `rotated: true` when another refresh just rotated the same token
+ */
+export const refreshSession = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const session = await RefreshToken.findOne({ tokenHash });
+
+  if (!session) {
+    const reused = await RefreshToken.findOne({ previousTokenHashes: tokenHash }).select('+previousTokenHashes');
+    if (reused?.wasJustRotatedFrom(tokenHash, getRefreshReuseGrace())) {
+      return { error: 'Refresh token was just rotated', rotated: true };
+    }
+
+    // A token that was already rotated out is being replayed
+    if (reused) {
+      reused.revoke('reuse-detected');
+      await reused.save();
+    }
+    return { error: 'Invalid refresh token' };
+  }
+
+  if (!session.isActive()) {
+    return { error: 'Session has ended. Please log in again.' };
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    session.revoke('user-deleted');
+    await session.save();
+    return { error: 'User no longer exists' };
+  }
+
+  const nextToken = generateSecureToken();
+  const rotated = await RefreshToken.rotate(session._id, tokenHash, hashToken(nextToken));
+  if (!rotated) {
+    // A simultaneous refresh rotated the same token first
+    return { error: 'Refresh token was just rotated', rotated: true };
+  }
+
+  return {
+    user,
+    token: createAccessToken(user, rotated._id),
+    refreshToken: nextToken,
+    refreshTokenExpiresAt: rotated.expiresAt
+  };
+};
+
+/**
+ * End one session
+ * @param {string} sessionId - RefreshToken session ID
+ * @param {string} reason - Why the session ended
+ * @returns {Promise<Object|null>} The revoked session
+ */
+export const endSession = async (sessionId, reason = 'logout') => {
+  const session = await RefreshToken.findById(sessionId);
+  if (session) {
+    session.revoke(reason);
+    await session.save();
+  }
+  return session;
+};
+
+/**
+ * End every session of a user and invalidate their outstanding access tokens
+ * @param {Object} user - User document (saved by the caller)
+ * @param {string} reason - Why the sessions ended
+ */
+export const endAllSessions = async (user, reason) => {
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+  await RefreshToken.revokeAllForUser(user._id, reason);
+};
+
+/**
+ * Check an access token's claims against the user's current sessions
+ * @param {Object} decoded - Verified JWT payload
+ * @param {Object} user - User document
+ * @returns {Promise<string|null>} Why the token is no longer valid, or null if it is
+ */
+export const getRevocationReason = async (decoded, user) => {
+  if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+    return 'Token has been revoked.';
+  }
+
+  if (decoded.sid) {
+    const session = await RefreshToken.findById(decoded.sid).select('user revokedAt expiresAt');
+    if (!session || !session.isActive() || session.user.toString() !== user._id.toString()) {
+      return 'Session has ended.';
+    }
+  }
+
+  return null;
+};
@@ -0,0 +1,86 @@
+/**
+ * SMTP email delivery channel
+ *
+ * Any SMTP server works; during development point SMTP_HOST/SMTP_PORT at a local
+ * mail sink (e.g. MailHog or smtp4dev on localhost:1025) to inspect outgoing mail.
+ */
+
+import nodemailer from 'nodemailer';
+
+const SUBJECTS = {
+  completion: 'Your waste collection has been completed',
+  assignment: 'New collection assigned to you',
+  status_update: 'Your collection request status has changed',
+  digest: 'Your waste collection updates',
+  email_verification: 'Confirm your email address',
+  password_reset: 'Reset your password',
+  invitation: 'You have been invited to the Waste Management System'
+};
+
+let transporter = null;
+
+/**
+ * Get (or lazily create) the SMTP transporter
+ * @returns {Object} Nodemailer transporter
+ */
+export const getTransporter = () => {
+  if (!transporter) {
+    // Emails are sent while status updates are being answered, so an unreachable server
+    // must fail within seconds rather than after Nodemailer's default of minutes
+    const timeout = parseInt(process.env.SMTP_TIMEOUT_MS) || 5000;
+
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+      // Certificates are verified; SMTP_REJECT_UNAUTHORIZED=false is only for local mail
+      // sinks with self-signed certificates
+      tls: { rejectUnauthorized: process.env.SMTP_REJECT_UNAUTHORIZED !== 'false' },
+      connectionTimeout: timeout,
+      greetingTimeout: timeout,
+      socketTimeout: timeout
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Replace the SMTP transporter (used by tests and alternative mail setups)
+ * @param {Object|null} customTransporter - Object exposing sendMail(), or null to reset
+ */
+export const setTransporter = (customTransporter) => {
+  transporter = customTransporter;
+};
+
+const emailChannel = {
+  name: 'email',
+
+  /**
+   * Email can only be delivered to recipients with an address
+   * @param {Object} recipient - Recipient user object
+   * @returns {boolean}
+   */
+  canDeliver: (recipient) => Boolean(recipient?.email),
+
+  /**
+   * Send the notification as an email
+   * @param {Object} notification - Notification document
+   * @param {Object} recipient - Recipient user object
+   * @returns {Promise<Object>} Delivery result with provider message id
+   */
+  send: async (notification, recipient) => {
+    const info = await getTransporter().sendMail({
+      from: process.env.SMTP_FROM || 'Waste Management System <no-reply@wastemanagement.local>',
+      to: recipient.email,
+      subject: SUBJECTS[notification.type] || 'Waste Management System notification',
+      text: notification.message
+    });
+
+    return { providerMessageId: info.messageId };
+  }
+};
+
+export default emailChannel;
@@ -0,0 +1,60 @@
+/**
+ * Notification delivery channel registry
+ *
+ * Every channel exposes `name`, `canDeliver(recipient)` and
+ * `send(notification, recipient)`. Which channels are used is controlled by the
+ * comma-separated NOTIFICATION_CHANNELS environment variable (e.g. "email,sms").
+ * Notifications are always stored in-app regardless of this setting.
+ */
+
+import emailChannel from './emailChannel.js';
+import smsChannel from './smsChannel.js';
+import pushChannel from './pushChannel.js';
+import webhookChannel from './webhookChannel.js';
+
+const channels = new Map([
+  [emailChannel.name, emailChannel],
+  [smsChannel.name, smsChannel],
+  [pushChannel.name, pushChannel],
+  [webhookChannel.name, webhookChannel]
+]);
+
+/**
+ * Register (or replace) a delivery channel
+ * @param {Object} channel - Channel implementing name, canDeliver and send
+ */
+export const registerChannel = (channel) => {
+  if (!channel?.name || typeof channel.send !== 'function') {
+    throw new Error('A channel must have a name and a send function');
+  }
+  channels.set(channel.name, {
+    canDeliver: () => true,
+    ...channel
+  });
+};
+
+/**
+ * Get a registered channel by name
+ * @param {string} name - Channel name
+ * @returns {Object|undefined} Channel
+ */
+export const getChannel = (name) => channels.get(name);
+
+/**
+ * Get the names of all registered channels
+ * @returns {Array<string>} Channel names
+ */
+export const getChannelNames = () => Array.from(channels.keys());
+
+/**
+ * Get the names of the channels enabled through configuration
+ * @returns {Array<string>} Enabled channel names
+ */
+export const getEnabledChannelNames = () => {
+  return (process.env.NOTIFICATION_CHANNELS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name && channels.has(name));
+};
+
+export { emailChannel, smsChannel, pushChannel, webhookChannel };
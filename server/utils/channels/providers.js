@@ -0,0 +1,49 @@
+/**
+ * Local message providers shared by the SMS and push channels
+ *
+ * A provider is any object exposing `send(message)` that resolves to
+ * `{ providerMessageId }`. Real gateways (Twilio, Firebase, ...) can be plugged in
+ * with the channel's register*Provider function without touching the dispatcher.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Provider that only writes messages to the console
+ * @param {string} label - Channel label used in log output
+ * @returns {Object} Provider
+ */
+export const createLogProvider = (label) => ({
+  name: 'log',
+  send: async (message) => {
+    const providerMessageId = crypto.randomUUID();
+    console.log(`[${label}] to ${message.to}: ${message.body}`);
+    return { providerMessageId };
+  }
+});
+
+/**
+ * Provider that appends messages as JSON lines to a file
+ * @param {string} label - Channel label stored with each line
+ * @param {string} filePath - Output file path
+ * @returns {Object} Provider
+ */
+export const createFileProvider = (label, filePath) => ({
+  name: 'file',
+  send: async (message) => {
+    const providerMessageId = crypto.randomUUID();
+    const line = JSON.stringify({
+      id: providerMessageId,
+      channel: label,
+      sentAt: new Date().toISOString(),
+      ...message
+    });
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, `${line}\n`);
+
+    return { providerMessageId };
+  }
+});
@@ -0,0 +1,66 @@
+/**
+ * Push notification channel
+ *
+ * Messages go through a pluggable provider selected with PUSH_PROVIDER
+ * ('log' by default, 'file' to append to PUSH_LOG_FILE). Messages are addressed
+ * by user id; a real provider maps that to the user's registered devices.
+ */
+
+import { createLogProvider, createFileProvider } from './providers.js';
+
+const providers = {
+  log: () => createLogProvider('push'),
+  file: () => createFileProvider('push', process.env.PUSH_LOG_FILE || 'logs/push.log')
+};
+
+let activeProvider = null;
+
+/**
+ * Register a push provider factory
+ * @param {string} name - Provider name referenced by PUSH_PROVIDER
+ * @param {Function} factory - Function returning an object with send(message)
+ */
+export const registerPushProvider = (name, factory) => {
+  providers[name] = factory;
+  activeProvider = null;
+};
+
+/**
+ * Get the configured push provider
+ * @returns {Object} Provider
+ */
+export const getPushProvider = () => {
+  if (!activeProvider) {
+    const name = process.env.PUSH_PROVIDER || 'log';
+    const factory = providers[name];
+    if (!factory) {
+      throw new Error(`Unknown push provider: ${name}`);
+    }
+    activeProvider = factory();
+  }
+  return activeProvider;
+};
+
+const pushChannel = {
+  name: 'push',
+
+  canDeliver: (recipient) => Boolean(recipient?._id),
+
+  /**
+   * Send the notification as a push message
+   * @param {Object} notification - Notification document
+   * @param {Object} recipient - Recipient user object
+   * @returns {Promise<Object>} Delivery result with provider message id
+   */
+  send: (notification, recipient) => {
+    return getPushProvider().send({
+      to: recipient._id.toString(),
+      body: notification.message,
+      type: notification.type,
+      collectionId: notification.collectionId?.toString(),
+      notificationId: notification._id.toString()
+    });
+  }
+};
+
+export default pushChannel;
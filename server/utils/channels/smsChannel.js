@@ -0,0 +1,68 @@
+/**
+ * SMS delivery channel
+ *
+ * Messages go through a pluggable provider selected with SMS_PROVIDER
+ * ('log' by default, 'file' to append to SMS_LOG_FILE).
+ */
+
+import { createLogProvider, createFileProvider } from './providers.js';
+
+const providers = {
+  log: () => createLogProvider('sms'),
+  file: () => createFileProvider('sms', process.env.SMS_LOG_FILE || 'logs/sms.log')
+};
+
+let activeProvider = null;
+
+/**
+ * Register an SMS provider factory
+ * @param {string} name - Provider name referenced by SMS_PROVIDER
+ * @param {Function} factory - Function returning an object with send(message)
+ */
+export const registerSmsProvider = (name, factory) => {
+  providers[name] = factory;
+  activeProvider = null;
+};
+
+/**
+ * Get the configured SMS provider
+ * @returns {Object} Provider
+ */
+export const getSmsProvider = () => {
+  if (!activeProvider) {
+    const name = process.env.SMS_PROVIDER || 'log';
+    const factory = providers[name];
+    if (!factory) {
+      throw new Error(`Unknown SMS provider: ${name}`);
+    }
+    activeProvider = factory();
+  }
+  return activeProvider;
+};
+
+const smsChannel = {
+  name: 'sms',
+
+  /**
+   * SMS can only be delivered to recipients with a phone number
+   * @param {Object} recipient - Recipient user object
+   * @returns {boolean}
+   */
+  canDeliver: (recipient) => Boolean(recipient?.profile?.phone),
+
+  /**
+   * Send the notification as a text message
+   * @param {Object} notification - Notification document
+   * @param {Object} recipient - Recipient user object
+   * @returns {Promise<Object>} Delivery result with provider message id
+   */
+  send: (notification, recipient) => {
+    return getSmsProvider().send({
+      to: recipient.profile.phone,
+      body: notification.message,
+      notificationId: notification._id.toString()
+    });
+  }
+};
+
+export default smsChannel;
@@ -0,0 +1,72 @@
+/**
+ * Outgoing webhook channel
+ *
+ * POSTs every notification as JSON to NOTIFICATION_WEBHOOK_URL. When
+ * NOTIFICATION_WEBHOOK_SECRET is set the body is signed with HMAC-SHA256 in the
+ * X-Webhook-Signature header so receivers can verify its origin.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Sign a webhook payload
+ * @param {string} body - Serialized JSON body
+ * @param {string} secret - Shared secret
+ * @returns {string} Signature in the form sha256=<hex>
+ */
+export const signPayload = (body, secret) => {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+};
+
+const webhookChannel = {
+  name: 'webhook',
+
+  canDeliver: () => Boolean(process.env.NOTIFICATION_WEBHOOK_URL),
+
+  /**
+   * POST the notification to the configured webhook
+   * @param {Object} notification - Notification document
+   * @param {Object} recipient - Recipient user object
+   * @returns {Promise<Object>} Delivery result
+   */
+  send: async (notification, recipient) => {
+    const body = JSON.stringify({
+      event: `notification.${notification.type}`,
+      notification: {
+        id: notification._id.toString(),
+        type: notification.type,
+        message: notification.message,
+        collectionId: notification.collectionId?.toString(),
+        metadata: notification.metadata,
+        createdAt: notification.createdAt
+      },
+      recipient: {
+        id: recipient._id.toString(),
+        role: recipient.role
+      }
+    });
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Webhook-Event': `notification.${notification.type}`
+    };
+    if (process.env.NOTIFICATION_WEBHOOK_SECRET) {
+      headers['X-Webhook-Signature'] = signPayload(body, process.env.NOTIFICATION_WEBHOOK_SECRET);
+    }
+
+    const response = await fetch(process.env.NOTIFICATION_WEBHOOK_URL, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(parseInt(process.env.NOTIFICATION_WEBHOOK_TIMEOUT_MS) || 5000)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with status ${response.status}`);
+    }
+
+    return { providerMessageId: response.headers.get('x-request-id') || undefined };
+  }
+};
+
+export default webhookChannel;
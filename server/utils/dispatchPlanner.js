@@ -0,0 +1,178 @@
+/**
+ * Daily dispatch planner
+ *
+ * Shares a day's pending collection requests out between the available collectors.
+ * Hazardous waste is kept apart from other categories, so each collector takes either
+ * hazardous or non-hazardous stops. Within each group the stops are swept around
+ * their centre so neighbouring pickups go to the same collector, and the sweep is cut
+ * into runs of roughly equal load. Stops a collector's vehicle can't carry, or that no
+ * longer fit, go to the least loaded collector that can take them.
+ */
+
+import { getCollectionLoad } from './routeCapacity.js';
+import { getCoordinates } from './routeOptimizer.js';
+
+const GROUPS = ['hazardous', 'general'];
+
+const groupOf = (collection) => (collection.wasteCategory === 'hazardous' ? 'hazardous' : 'general');
+
+const addLoad = (load, collection) => {
+  const { volume, weight } = getCollectionLoad(collection);
+  return { volume: load.volume + volume, weight: load.weight + weight };
+};
+
+// Whether a collector's vehicle (if any) can take a group of waste at all
+const servesGroup = (slot, group) => {
+  if (!slot.vehicle) return true;
+  return group === 'hazardous'
+    ? slot.vehicle.canCarry('hazardous')
+    : slot.vehicle.wasteCategories.some(category => category !== 'hazardous');
+};
+
+const canCarry = (slot, collection) => !slot.vehicle || slot.vehicle.canCarry(collection.wasteCategory);
+
+const fits = (slot, collection) => {
+  if (!slot.vehicle) return true;
+  const load = addLoad(slot.load, collection);
+  return load.volume <= slot.vehicle.capacity.volume && load.weight <= slot.vehicle.capacity.weight;
+};
+
+const place = (slot, collection) => {
+  slot.assigned.push(collection);
+  slot.load = addLoad(slot.load, collection);
+};
+
+/**
+ * Order stops by their angle around the centre of the located stops
+ * @param {Array<Object>} collections - Collection requests
+ * @returns {Array<Object>} Located stops in sweep order, then stops without coordinates
+ */
+export const sweepOrder = (collections) => {
+  const located = collections.filter(collection => getCoordinates(collection));
+  const unlocated = collections.filter(collection => !getCoordinates(collection));
+  if (located.length === 0) return unlocated;
+
+  const points = located.map(getCoordinates);
+  const centre = {
+    lat: points.reduce((sum, point) => sum + point.lat, 0) / points.length,
+    lng: points.reduce((sum, point) => sum + point.lng, 0) / points.length
+  };
+  const angle = (collection) => {
+    const { lat, lng } = getCoordinates(collection);
+    return Math.atan2(lat - centre.lat, lng - centre.lng);
+  };
+
+  return [...located].sort((a, b) => angle(a) - angle(b)).concat(unlocated);
+};
+
+/**
+ * Plan which collector takes which pending collection request
+ * @param {Array<Object>} collections - Pending collection requests
+ * @param {Array<Object>} collectors - [{ collectorId, vehicle, existing }] where existing
+ *   are the collections already on the collector's route that day
+ * @returns {Object} { assignments: [{ collectorId, vehicle, existing, collections, load }], unassigned: [{ collection, reason }] }
+ */
+export const planDispatch = (collections, collectors) => {
+  const slots = collectors.map(({ collectorId, vehicle = null, existing = [] }) => ({
+    collectorId,
+    vehicle,
+    existing,
+    assigned: [],
+    load: existing.reduce(addLoad, { volume: 0, weight: 0 }),
+    // A collector already out with some waste stays with that group
+    group: existing.length > 0 ? (existing.some(c => groupOf(c) === 'hazardous') ? 'hazardous' : 'general') : null
+  }));
+
+  const groups = {
+    hazardous: collections.filter(collection => groupOf(collection) === 'hazardous'),
+    general: collections.filter(collection => groupOf(collection) === 'general')
+  };
+  const groupLoad = (group) => groups[group].reduce((sum, c) => sum + getCollectionLoad(c).weight, 0);
+
+  // Every group with work gets at least one collector, then the rest go where the load per collector is highest
+  const free = slots.filter(slot => !slot.group);
+  GROUPS.forEach(group => {
+    if (groups[group].length === 0 || slots.some(slot => slot.group === group)) return;
+    const slot = free.find(candidate => !candidate.group && servesGroup(candidate, group));
+    if (slot) slot.group = group;
+  });
+
+  free.filter(slot => !slot.group).forEach(slot => {
+    const candidates = GROUPS.filter(group => groups[group].length > 0 && servesGroup(slot, group));
+    if (candidates.length === 0) return;
+
+    const perCollector = (group) => groupLoad(group) / (slots.filter(other => other.group === group).length + 1);
+    slot.group = candidates.reduce((best, group) => (perCollector(group) > perCollector(best) ? group : best));
+  });
+
+  const unassigned = [];
+
+  GROUPS.forEach(group => {
+    const items = groups[group];
+    if (items.length === 0) return;
+
+    const pool = slots
+      .filter(slot => slot.group === group)
+      .sort((a, b) => a.load.weight - b.load.weight);
+
+    if (pool.length === 0) {
+      items.forEach(collection => unassigned.push({
+        collection,
+        reason: `No available collector can take ${group === 'hazardous' ? 'hazardous' : 'non-hazardous'} waste`
+      }));
+      return;
+    }
+
+    // Each collector's fair share of the group's load, counting what they already carry
+    const total = items.reduce((sum, c) => sum + getCollectionLoad(c).weight, 0) +
+      pool.reduce((sum, slot) => sum + slot.load.weight, 0);
+    const target = total / pool.length;
+
+    // Cut the sweep into consecutive runs, one per collector
+    const leftovers = [];
+    let current = 0;
+    for (const collection of sweepOrder(items)) {
+      const half = getCollectionLoad(collection).weight / 2;
+      while (current < pool.length - 1 && pool[current].load.weight + half > target) {
+        current++;
+      }
+
+      const slot = pool[current];
+      if (canCarry(slot, collection) && fits(slot, collection)) {
+        place(slot, collection);
+      } else {
+        leftovers.push(collection);
+      }
+    }
+
+    leftovers.forEach(collection => {
+      const slot = pool
+        .filter(candidate => canCarry(candidate, collection) && fits(candidate, collection))
+        .sort((a, b) => a.load.weight - b.load.weight)[0];
+
+      if (slot) {
+        place(slot, collection);
+      } else {
+        unassigned.push({
+          collection,
+          reason: pool.some(candidate => canCarry(candidate, collection))
+            ? 'Not enough vehicle capacity left'
+            : `No available vehicle carries ${collection.wasteCategory} waste`
+        });
+      }
+    });
+  });
+
+  return {
+    assignments: slots
+      .filter(slot => slot.assigned.length > 0)
+      .map(({ collectorId, vehicle, existing, assigned, load }) => ({
+        collectorId,
+        vehicle,
+        existing,
+        collections: assigned,
+        load
+      })),
+    unassigned
+  };
+};
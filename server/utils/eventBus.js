@@ -0,0 +1,141 @@
+/**
+ * In-process event bus for real-time updates
+ *
+ * Routes publish collection, route and notification changes here; the
+ * /api/events stream forwards each event to the connected users allowed to see it.
+ * Collection and route events never leave their organization, except to super-admins.
+ */
+
+import { EventEmitter } from 'events';
+import { hasPermission } from './permissions.js';
+import { isCrossTenant, sameTenant } from './tenancy.js';
+
+const bus = new EventEmitter();
+
+// One listener per open event stream
+bus.setMaxListeners(0);
+
+let nextEventId = 1;
+
+/**
+ * Publish an event to every subscriber
+ * @param {string} type - Event type, e.g. collection.updated
+ * @param {Object} data - JSON-serializable payload sent to clients
+ * @param {Function} isVisibleTo - (user, permissions) => boolean deciding who receives the event
+ * @param {Function} [restrict] - (user, permissions) => smaller payload for recipients who
+ *                                may only see part of data, or null to send all of it
+ * @returns {Object} The published event
+ */
+export const publishEvent = (type, data, isVisibleTo = () => true, restrict = () => null) => {
+  const timestamp = new Date().toISOString();
+  const event = {
+    id: nextEventId++,
+    type,
+    data: { ...data, timestamp },
+    isVisibleTo,
+    dataFor: (user, permissions) => {
+      const restricted = restrict(user, permissions);
+      return restricted ? { ...restricted, timestamp } : event.data;
+    }
+  };
+
+  bus.emit('event', event);
+  return event;
+};
+
+/**
+ * Subscribe to published events
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribe = (listener) => {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+};
+
+/**
+ * Number of open subscriptions (connected streams)
+ * @returns {number}
+ */
+export const getSubscriberCount = () => bus.listenerCount('event');
+
+const toId = (value) => (value?._id || value)?.toString();
+
+/**
+ * Publish a change to a collection request
+ * Delivered to users whose permissions let them see the request, and to a collector
+ * it was just taken away from, who only learns its ID and status so they can drop it.
+ * @param {string} type - collection.created, collection.updated, collection.assigned or collection.cancelled
+ * @param {Object} collection - Collection request document
+ * @param {Object} changes - { oldStatus, previousCollector }
+ * @returns {Object} The published event
+ */
+export const publishCollectionEvent = (type, collection, { oldStatus, previousCollector } = {}) => {
+  const previousCollectorId = toId(previousCollector);
+  const changes = {
+    oldStatus,
+    newStatus: collection.status,
+    previousCollector: previousCollectorId
+  };
+  const canSee = (user, permissions) => collection.isVisibleTo(user._id.toString(), permissions);
+
+  return publishEvent(
+    type,
+    { collection: collection.toJSON(), changes },
+    (user, permissions) => (isCrossTenant(permissions) || sameTenant(user, collection)) &&
+      (canSee(user, permissions) || (Boolean(previousCollectorId) && previousCollectorId === user._id.toString())),
+    (user, permissions) => (canSee(user, permissions)
+      ? null
+      : { collection: { _id: collection._id.toString(), status: collection.status }, changes })
+  );
+};
+
+/**
+ * Publish a change to a collector route
+ * Delivered to users who can see every route and to the route's collector.
+ * @param {string} type - route.created or route.updated
+ * @param {Object} route - Collection route document
+ * @returns {Object} The published event
+ */
+export const publishRouteEvent = (type, route) => {
+  const collectorId = toId(route.collectorId);
+
+  return publishEvent(
+    type,
+    {
+      route: {
+        _id: route._id.toString(),
+        collectorId,
+        date: route.date,
+        status: route.status,
+        collections: route.collections.map(toId)
+      }
+    },
+    (user, permissions) => (isCrossTenant(permissions) || sameTenant(user, route)) &&
+      (hasPermission(permissions, 'routes:view-all') || collectorId === user._id.toString())
+  );
+};
+
+/**
+ * Publish a new in-app notification to its recipient
+ * @param {Object} notification - Notification document
+ * @returns {Object} The published event
+ */
+export const publishNotificationEvent = (notification) => {
+  const recipientId = toId(notification.recipientId);
+
+  return publishEvent(
+    'notification.created',
+    {
+      notification: {
+        _id: notification._id.toString(),
+        type: notification.type,
+        message: notification.message,
+        collectionId: toId(notification.collectionId),
+        read: notification.read,
+        createdAt: notification.createdAt
+      }
+    },
+    (user) => recipientId === user._id.toString()
+  );
+};
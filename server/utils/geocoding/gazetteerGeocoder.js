@@ -0,0 +1,27 @@
+/**
+ * Gazetteer geocoder
+ *
+ * Works offline: looks addresses up in the imported address register (the Address
+ * collection), first the organization's own addresses, then those shared by every
+ * organization.
+ */
+
+import Address from '../../models/Address.js';
+import { addressKeys } from '../addresses.js';
+
+const gazetteerGeocoder = {
+  name: 'gazetteer',
+
+  /**
+   * Find an address in the register
+   * @param {string} address - Address as typed
+   * @param {Object} context - { organization } the request belongs to
+   * @returns {Promise<Object|null>} { address, coordinates } of the register entry, or null if unknown
+   */
+  geocode: async (address, { organization } = {}) => {
+    const entry = await Address.lookup(organization, addressKeys(address));
+    return entry ? { address: entry.address, coordinates: entry.coordinates } : null;
+  }
+};
+
+export default gazetteerGeocoder;
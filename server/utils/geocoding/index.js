@@ -0,0 +1,86 @@
+/**
+ * Geocoding
+ *
+ * Fills in the coordinates of pickup addresses typed without them. Every geocoder exposes
+ * `name` and `geocode(address, { organization })`, resolving to { address, coordinates }
+ * or null. The GEOCODER environment variable picks one ("gazetteer" by default, which
+ * works offline from the imported address register; "none" turns geocoding off).
+ * Requests whose address can't be placed are flagged for an admin to review.
+ */
+
+import gazetteerGeocoder from './gazetteerGeocoder.js';
+
+/**
+ * How a request's coordinates were found:
+ * provided by the requester, geocoded from the address, unresolved (waiting for an
+ * admin to review) or resolved by an admin
+ */
+export const GEOCODING_STATUSES = ['provided', 'geocoded', 'unresolved', 'resolved'];
+
+const geocoders = new Map([
+  [gazetteerGeocoder.name, gazetteerGeocoder]
+]);
+
+/**
+ * Register (or replace) a geocoder
+ * @param {Object} geocoder - Geocoder implementing name and geocode
+ */
+export const registerGeocoder = (geocoder) => {
+  if (!geocoder?.name || typeof geocoder.geocode !== 'function') {
+    throw new Error('A geocoder must have a name and a geocode function');
+  }
+  geocoders.set(geocoder.name, geocoder);
+};
+
+/**
+ * Get the geocoder chosen through configuration
+ * @returns {Object|null} Geocoder, or null when geocoding is turned off
+ */
+export const getGeocoder = () => {
+  const name = process.env.GEOCODER || gazetteerGeocoder.name;
+  if (name === 'none') {
+    return null;
+  }
+  const geocoder = geocoders.get(name);
+  if (!geocoder) {
+    throw new Error(`Unknown geocoder: ${name}`);
+  }
+  return geocoder;
+};
+
+/**
+ * Whether a pickup location has usable coordinates
+ * @param {Object} pickupLocation - { address, coordinates }
+ * @returns {boolean} True if both latitude and longitude are numbers
+ */
+const hasCoordinates = (pickupLocation) => {
+  const { lat, lng } = pickupLocation?.coordinates || {};
+  return [lat, lng].every(value => value !== undefined && value !== null && value !== '' && !Number.isNaN(Number(value)));
+};
+
+/**
+ * Geocode a pickup location typed without coordinates
+ * @param {Object} pickupLocation - { address, coordinates, instructions } from the request body
+ * @param {Object} context - { organization } the request belongs to
+ * @returns {Promise<Object>} { pickupLocation, geocoding }: the location with any coordinates
+ *                            found, and the geocoding record to store on the request
+ */
+export const geocodePickupLocation = async (pickupLocation, context = {}) => {
+  if (hasCoordinates(pickupLocation)) {
+    return { pickupLocation, geocoding: { status: 'provided' } };
+  }
+
+  const geocoder = getGeocoder();
+  const match = geocoder && await geocoder.geocode(pickupLocation.address, context);
+  if (!match) {
+    const { coordinates, ...rest } = pickupLocation;
+    return { pickupLocation: rest, geocoding: { status: 'unresolved' } };
+  }
+
+  return {
+    pickupLocation: { ...pickupLocation, coordinates: match.coordinates },
+    geocoding: { status: 'geocoded', source: geocoder.name, matchedAddress: match.address }
+  };
+};
+
+export { gazetteerGeocoder };
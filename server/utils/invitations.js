@@ -0,0 +1,78 @@
+/**
+ * Staff invitations
+ *
+ * Public signup only creates resident accounts. Admins invite collectors and other
+ * admins by email: the invitation carries the role and a single-use token that lets
+ * the invitee choose a username and password. Inviting an address again replaces its
+ * pending invitation.
+ */
+
+import { Invitation } from '../models/index.js';
+import { generateSecureToken, hashToken } from './auth.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How long an invitation can be accepted for
+ * @returns {number} Milliseconds
+ */
+export const getInvitationLifetime = () => {
+  return (parseFloat(process.env.INVITATION_EXPIRES_DAYS) || 7) * DAY_MS;
+};
+
+/**
+ * Create an invitation, revoking any pending one for the same email
+ * @param {Object} data - { email, role, organization, message, invitedBy }
+ * @returns {Promise<Object>} { invitation, token }
+ */
+export const createInvitation = async ({ email, role, organization, message, invitedBy }) => {
+  const now = new Date();
+  const normalizedEmail = String(email).trim().toLowerCase();
+
+  await Invitation.updateMany(
+    { email: normalizedEmail, ...Invitation.statusQuery('pending', now) },
+    { $set: { revokedAt: now, revokedBy: invitedBy } }
+  );
+
+  const token = generateSecureToken();
+  const invitation = await Invitation.create({
+    email: normalizedEmail,
+    role,
+    organization,
+    message,
+    invitedBy,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now.getTime() + getInvitationLifetime())
+  });
+
+  return { invitation, token };
+};
+
+/**
+ * Find the pending invitation a token belongs to
+ * @param {string} token - Token from the invitation link
+ * @returns {Promise<Object|null>} Invitation, or null if it is unknown, accepted, revoked or expired
+ */
+export const findPendingInvitation = async (token) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  return Invitation.findOne({ tokenHash: hashToken(token), ...Invitation.statusQuery('pending') })
+    .populate('invitedBy', 'username')
+    .populate('organization', 'name slug active');
+};
+
+/**
+ * Mark an invitation as accepted, unless someone got there first
+ * @param {Object} invitation - Pending invitation
+ * @param {Object} user - The account created from it
+ * @returns {Promise<boolean>} True if this call accepted the invitation
+ */
+export const markInvitationAccepted = async (invitation, user) => {
+  const result = await Invitation.updateOne(
+    { _id: invitation._id, ...Invitation.statusQuery('pending') },
+    { $set: { acceptedAt: new Date(), acceptedBy: user._id } }
+  );
+  return result.modifiedCount === 1;
+};
@@ -0,0 +1,115 @@
+/**
+ * Login brute-force protection
+ *
+ * Sign-in attempts are rate limited per client address and per account email, and
+ * every account is locked after LOCKOUT_THRESHOLD wrong passwords in a row. Each
+ * lock lasts twice as long as the one before (LOCKOUT_BASE_MINUTES, doubling up to
+ * LOCKOUT_MAX_MINUTES) until the user signs in successfully or an admin unlocks it.
+ */
+
+import { User } from '../models/index.js';
+import { rateLimit, resetRateLimit } from './rateLimiter.js';
+
+const MINUTE_MS = 60 * 1000;
+
+const readNumber = (name, fallback) => parseFloat(process.env[name]) || fallback;
+
+const loginWindow = () => readNumber('LOGIN_RATE_LIMIT_WINDOW_MINUTES', 15) * MINUTE_MS;
+
+// Login emails are matched case-insensitively, like the User model stores them
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+/**
+ * Limit sign-in attempts from one client address (LOGIN_RATE_LIMIT_PER_IP per window)
+ */
+export const loginIpLimiter = rateLimit({
+  name: 'login-ip',
+  windowMs: loginWindow,
+  max: () => readNumber('LOGIN_RATE_LIMIT_PER_IP', 20),
+  message: "Too many login attempts from this address, please try again later"
+});
+
+/**
+ * Limit sign-in attempts for one email address (LOGIN_RATE_LIMIT_PER_ACCOUNT per window)
+ */
+export const loginAccountLimiter = rateLimit({
+  name: 'login-account',
+  windowMs: loginWindow,
+  max: () => readNumber('LOGIN_RATE_LIMIT_PER_ACCOUNT', 10),
+  keyGenerator: (req) => normalizeEmail(req.body?.email),
+  message: "Too many login attempts for this account, please try again later"
+});
+
+/**
+ * How many wrong passwords in a row lock an account
+ * @returns {number} Failed attempts
+ */
+export const getLockoutThreshold = () => readNumber('LOCKOUT_THRESHOLD', 5);
+
+/**
+ * How long the next lock lasts, given how many times the account was locked before
+ * @param {number} previousLocks - Locks since the last successful sign-in
+ * @returns {number} Milliseconds
+ */
+export const getLockDuration = (previousLocks = 0) => {
+  const base = readNumber('LOCKOUT_BASE_MINUTES', 15) * MINUTE_MS;
+  const max = readNumber('LOCKOUT_MAX_MINUTES', 24 * 60) * MINUTE_MS;
+  return Math.min(base * 2 ** previousLocks, max);
+};
+
+/**
+ * Record a wrong password, locking the account once the threshold is reached
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { locked, lockUntil } or { locked: false, attemptsRemaining }
+ */
+export const recordFailedLogin = async (user) => {
+  const threshold = getLockoutThreshold();
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (!updated) {
+    return { locked: false, attemptsRemaining: 0 };
+  }
+
+  if (updated.failedLoginAttempts < threshold) {
+    return { locked: false, attemptsRemaining: threshold - updated.failedLoginAttempts };
+  }
+
+  // Only one of several concurrent failures gets to apply the lock
+  const lockUntil = new Date(Date.now() + getLockDuration(updated.lockCount));
+  const locked = await User.findOneAndUpdate(
+    { _id: user._id, failedLoginAttempts: { $gte: threshold } },
+    { $set: { failedLoginAttempts: 0, lockUntil }, $inc: { lockCount: 1 } },
+    { new: true }
+  );
+
+  return { locked: true, lockUntil: locked?.lockUntil || lockUntil };
+};
+
+/**
+ * Clear failed attempts and earlier locks after a successful sign-in
+ * @param {Object} user - User document
+ * @param {string} email - Email the user signed in with
+ */
+export const recordSuccessfulLogin = async (user, email) => {
+  if (user.failedLoginAttempts || user.lockCount || user.lockUntil) {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { failedLoginAttempts: 0, lockCount: 0 }, $unset: { lockUntil: 1 } }
+    );
+  }
+  await resetRateLimit('login-account', normalizeEmail(email));
+};
+
+/**
+ * Unlock an account and forget its failed attempts (the caller saves the user)
+ * @param {Object} user - User document
+ */
+export const unlockAccount = (user) => {
+  user.failedLoginAttempts = 0;
+  user.lockCount = 0;
+  user.lockUntil = undefined;
+};
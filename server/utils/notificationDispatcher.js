@@ -0,0 +1,311 @@
+/**
+ * Notification delivery dispatcher
+ *
+ * Sends stored notifications through the enabled delivery channels and records
+ * every attempt on the notification document. Failed deliveries are retried with
+ * exponential backoff until NOTIFICATION_MAX_ATTEMPTS is reached. Deliveries held
+ * back by quiet hours or digests are queued and sent once they are due, several
+ * queued notifications for the same recipient and channel going out as one digest.
+ */
+
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { getChannel, getEnabledChannelNames } from './channels/index.js';
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_BASE_MS = 60 * 1000; // 1 minute
+
+let deliveryWorker = null;
+
+/**
+ * Maximum number of attempts per channel before a delivery is abandoned
+ * @returns {number}
+ */
+export const getMaxAttempts = () => {
+  return parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+};
+
+/**
+ * Delay before the next retry, doubling after each failed attempt
+ * @param {number} attemptCount - Number of attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+export const getRetryDelay = (attemptCount) => {
+  const base = parseInt(process.env.NOTIFICATION_RETRY_BASE_MS) || DEFAULT_RETRY_BASE_MS;
+  return base * Math.pow(2, Math.max(attemptCount - 1, 0));
+};
+
+/**
+ * Attempt a single delivery and record the outcome on the delivery entry
+ * @param {Object} notification - Notification document
+ * @param {Object} delivery - Delivery sub-document to update
+ * @param {Object} recipient - Recipient user object
+ * @returns {Promise<boolean>} True if the delivery succeeded
+ */
+const attemptDelivery = async (notification, delivery, recipient) => {
+  const channel = getChannel(delivery.channel);
+  const attemptedAt = new Date();
+
+  try {
+    if (!channel) {
+      throw new Error(`Channel "${delivery.channel}" is not registered`);
+    }
+
+    const result = await channel.send(notification, recipient);
+
+    delivery.attempts.push({ attemptedAt, success: true });
+    delivery.status = 'sent';
+    delivery.deliveredAt = attemptedAt;
+    delivery.providerMessageId = result?.providerMessageId;
+    delivery.lastError = undefined;
+    delivery.nextRetryAt = undefined;
+    return true;
+  } catch (error) {
+    const message = (error?.message || String(error)).substring(0, 1000);
+    delivery.attempts.push({ attemptedAt, success: false, error: message });
+    delivery.status = 'failed';
+    delivery.lastError = message;
+    delivery.nextRetryAt = delivery.attempts.length < getMaxAttempts()
+      ? new Date(attemptedAt.getTime() + getRetryDelay(delivery.attempts.length))
+      : undefined;
+
+    console.error(`Delivery of notification ${notification._id} via ${delivery.channel} failed:`, message);
+    return false;
+  }
+};
+
+/**
+ * Deliver a stored notification through the given (or configured) channels
+ * @param {Object} notification - Notification document
+ * @param {Object} recipient - Recipient user object
+ * @param {Array<string|Object>} channels - Channel names, or { channel, scheduledFor } entries
+ *                                          for deliveries that must wait (defaults to enabled channels)
+ * @returns {Promise<Object>} The updated notification
+ */
+export const dispatchNotification = async (notification, recipient, channels = getEnabledChannelNames()) => {
+  const now = new Date();
+
+  for (const entry of channels) {
+    const { channel: channelName, scheduledFor } = typeof entry === 'string' ? { channel: entry } : entry;
+    const channel = getChannel(channelName);
+
+    if (!channel || !channel.canDeliver(recipient)) {
+      notification.deliveries.push({
+        channel: channelName,
+        status: 'skipped',
+        lastError: channel ? 'Recipient cannot be reached on this channel' : 'Channel is not registered'
+      });
+      continue;
+    }
+
+    if (scheduledFor && scheduledFor > now) {
+      notification.deliveries.push({ channel: channelName, status: 'queued', scheduledFor });
+      continue;
+    }
+
+    notification.deliveries.push({ channel: channelName, status: 'pending' });
+    const delivery = notification.deliveries[notification.deliveries.length - 1];
+    await attemptDelivery(notification, delivery, recipient);
+  }
+
+  if (notification.isModified('deliveries')) {
+    await notification.save();
+  }
+
+  return notification;
+};
+
+/**
+ * Retry failed deliveries of a notification
+ * @param {Object} notification - Notification document
+ * @param {Object} options - { force: ignore nextRetryAt and attempt limit, now }
+ * @returns {Promise<number>} Number of deliveries retried
+ */
+const retryDeliveries = async (notification, { force = false, now = new Date() } = {}) => {
+  const due = notification.deliveries.filter(delivery =>
+    delivery.status === 'failed' &&
+    (force || (delivery.nextRetryAt && delivery.nextRetryAt <= now))
+  );
+
+  if (due.length === 0) {
+    return 0;
+  }
+
+  const recipient = await User.findById(notification.recipientId);
+  if (!recipient) {
+    due.forEach(delivery => {
+      delivery.lastError = 'Recipient no longer exists';
+      delivery.nextRetryAt = undefined;
+    });
+    await notification.save();
+    return 0;
+  }
+
+  for (const delivery of due) {
+    await attemptDelivery(notification, delivery, recipient);
+  }
+
+  await notification.save();
+  return due.length;
+};
+
+/**
+ * Retry all failed deliveries whose backoff has elapsed
+ * @param {Object} options - { now, limit }
+ * @returns {Promise<number>} Number of deliveries retried
+ */
+export const retryFailedDeliveries = async ({ now = new Date(), limit = 100 } = {}) => {
+  const notifications = await Notification.find({
+    deliveries: {
+      $elemMatch: { status: 'failed', nextRetryAt: { $lte: now } }
+    }
+  }).limit(limit);
+
+  let retried = 0;
+  for (const notification of notifications) {
+    retried += await retryDeliveries(notification, { now });
+  }
+
+  return retried;
+};
+
+/**
+ * Immediately retry every failed delivery of one notification (admin action)
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<Object|null>} Updated notification or null if not found
+ */
+export const retryNotificationDeliveries = async (notificationId) => {
+  if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+    return null;
+  }
+
+  const notification = await Notification.findById(notificationId);
+  if (!notification) {
+    return null;
+  }
+
+  await retryDeliveries(notification, { force: true });
+  return notification;
+};
+
+/**
+ * Combine several notifications into one digest message
+ * @param {Array<Object>} notifications - Notifications, oldest first
+ * @param {Date} now - Time the digest is sent
+ * @returns {Object} Notification-like object accepted by every channel
+ */
+const buildDigest = (notifications, now) => {
+  const lines = notifications.map(notification => `- ${notification.message}`);
+
+  return {
+    _id: notifications[0]._id,
+    type: 'digest',
+    recipientId: notifications[0].recipientId,
+    message: `You have ${notifications.length} new notifications:\n${lines.join('\n')}`,
+    metadata: { notificationIds: notifications.map(notification => notification._id.toString()) },
+    createdAt: now
+  };
+};
+
+/**
+ * Send every queued delivery whose scheduled time has passed
+ * @param {Object} options - { now, limit }
+ * @returns {Promise<number>} Number of deliveries flushed
+ */
+export const flushQueuedDeliveries = async ({ now = new Date(), limit = 500 } = {}) => {
+  const notifications = await Notification.find({
+    deliveries: {
+      $elemMatch: { status: 'queued', scheduledFor: { $lte: now } }
+    }
+  })
+    .sort({ createdAt: 1 })
+    .limit(limit);
+
+  // One message per recipient and channel, however many notifications are due
+  const groups = new Map();
+  for (const notification of notifications) {
+    for (const delivery of notification.deliveries) {
+      if (delivery.status !== 'queued' || delivery.scheduledFor > now) continue;
+
+      const key = `${notification.recipientId}:${delivery.channel}`;
+      if (!groups.has(key)) {
+        groups.set(key, { recipientId: notification.recipientId, items: [] });
+      }
+      groups.get(key).items.push({ notification, delivery });
+    }
+  }
+
+  let flushed = 0;
+  for (const { recipientId, items } of groups.values()) {
+    const recipient = await User.findById(recipientId);
+
+    if (!recipient) {
+      items.forEach(({ delivery }) => {
+        delivery.status = 'skipped';
+        delivery.lastError = 'Recipient no longer exists';
+        delivery.scheduledFor = undefined;
+      });
+      continue;
+    }
+
+    const [first, ...rest] = items;
+    const message = items.length === 1
+      ? first.notification
+      : buildDigest(items.map(item => item.notification), now);
+
+    await attemptDelivery(message, first.delivery, recipient);
+    first.delivery.scheduledFor = undefined;
+
+    // Every notification in the digest shares the outcome of the single send
+    const { attemptedAt, success, error } = first.delivery.attempts[first.delivery.attempts.length - 1];
+    for (const { delivery } of rest) {
+      delivery.status = first.delivery.status;
+      delivery.attempts.push({ attemptedAt, success, error });
+      delivery.lastError = first.delivery.lastError;
+      delivery.providerMessageId = first.delivery.providerMessageId;
+      delivery.deliveredAt = first.delivery.deliveredAt;
+      delivery.nextRetryAt = first.delivery.nextRetryAt;
+      delivery.scheduledFor = undefined;
+    }
+
+    flushed += items.length;
+  }
+
+  for (const notification of notifications) {
+    if (notification.isModified('deliveries')) {
+      await notification.save();
+    }
+  }
+
+  return flushed;
+};
+
+/**
+ * Start the background worker that sends due queued deliveries and retries failed ones
+ * @param {number} intervalMs - Polling interval in milliseconds
+ */
+export const startDeliveryWorker = (intervalMs = parseInt(process.env.NOTIFICATION_RETRY_INTERVAL_MS) || 60 * 1000) => {
+  if (deliveryWorker) return;
+
+  deliveryWorker = setInterval(() => {
+    flushQueuedDeliveries()
+      .then(() => retryFailedDeliveries())
+      .catch(error => {
+        console.error('Notification delivery worker error:', error);
+      });
+  }, intervalMs);
+
+  // Don't keep the process alive just for background deliveries
+  deliveryWorker.unref?.();
+};
+
+/**
+ * Stop the background delivery worker
+ */
+export const stopDeliveryWorker = () => {
+  if (deliveryWorker) {
+    clearInterval(deliveryWorker);
+    deliveryWorker = null;
+  }
+};
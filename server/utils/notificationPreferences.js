@@ -0,0 +1,190 @@
+/**
+ * Per-user notification preference evaluation
+ *
+ * Decides, for one notification and one recipient, whether it is stored in-app,
+ * which delivery channels are used and when external deliveries may go out
+ * (immediately, after quiet hours, or with the next digest).
+ */
+
+import { getEnabledChannelNames } from './channels/index.js';
+
+// Channels residents and collectors can switch on or off themselves.
+// Other channels (e.g. webhook) are system integrations and always follow the notification.
+export const USER_CHANNELS = ['email', 'sms', 'push'];
+
+export const NOTIFICATION_TYPES = ['completion', 'assignment', 'status_update'];
+
+export const DEFAULT_CHANNEL_PREFERENCES = {
+  inApp: true,
+  email: true,
+  sms: true,
+  push: true
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Convert an HH:MM string to minutes since midnight
+ * @param {string} time - Time of day in HH:MM format
+ * @returns {number} Minutes since midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Minutes since local midnight of a date in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Minutes since midnight in that timezone
+ */
+export const getLocalMinutes = (date, timezone = 'UTC') => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const hour = parseInt(parts.find(part => part.type === 'hour').value);
+  const minute = parseInt(parts.find(part => part.type === 'minute').value);
+  return hour * 60 + minute;
+};
+
+/**
+ * Next instant (at or after date) when the local clock in a timezone reads time
+ * @param {string} time - Time of day in HH:MM format
+ * @param {Date} date - Starting instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Next occurrence
+ */
+export const getNextTimeOfDay = (time, date, timezone = 'UTC') => {
+  const diff = (toMinutes(time) - getLocalMinutes(date, timezone) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const next = new Date(date.getTime() + diff * 60 * 1000);
+  next.setUTCSeconds(0, 0);
+  return next;
+};
+
+/**
+ * Check whether a date falls inside the user's quiet hours
+ * @param {Object} quietHours - { enabled, start, end }
+ * @param {Date} date - Instant to check
+ * @param {string} timezone - IANA timezone
+ * @returns {boolean}
+ */
+export const isInQuietHours = (quietHours, date, timezone = 'UTC') => {
+  if (!quietHours?.enabled || !quietHours.start || !quietHours.end) {
+    return false;
+  }
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const current = getLocalMinutes(date, timezone);
+
+  if (start === end) {
+    return false;
+  }
+
+  // Quiet hours may wrap past midnight (e.g. 22:00-07:00)
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+/**
+ * When the next digest containing a notification sent at date goes out
+ * @param {Object} digest - { mode, time }
+ * @param {Date} date - Instant the notification was created
+ * @param {string} timezone - IANA timezone
+ * @returns {Date|null} Digest time, or null if digests are off
+ */
+export const getNextDigestTime = (digest, date, timezone = 'UTC') => {
+  switch (digest?.mode) {
+    case 'hourly': {
+      const next = new Date(date);
+      next.setUTCMinutes(0, 0, 0);
+      next.setTime(next.getTime() + 60 * 60 * 1000);
+      return next;
+    }
+    case 'daily':
+      return getNextTimeOfDay(digest.time || '08:00', date, timezone);
+    default:
+      return null;
+  }
+};
+
+/**
+ * Read a user's preferences with defaults filled in
+ * @param {Object} user - User document or plain object
+ * @returns {Object} Preferences
+ */
+export const resolvePreferences = (user) => {
+  const source = typeof user?.toObject === 'function' ? user.toObject() : (user || {});
+  const preferences = source.preferences || {};
+
+  const notifications = NOTIFICATION_TYPES.reduce((acc, type) => {
+    acc[type] = { ...DEFAULT_CHANNEL_PREFERENCES, ...(preferences.notifications?.[type] || {}) };
+    return acc;
+  }, {});
+
+  return {
+    timezone: preferences.timezone || 'UTC',
+    notifications,
+    quietHours: { enabled: false, ...(preferences.quietHours || {}) },
+    digest: { mode: 'off', ...(preferences.digest || {}) }
+  };
+};
+
+/**
+ * Plan how a notification is delivered to a recipient
+ * @param {Object} recipient - Recipient user object
+ * @param {string} type - Notification type
+ * @param {Object} context - { newStatus } for status updates
+ * @param {Date} now - Current time
+ * @param {Array<string>} enabledChannels - Channels enabled system-wide
+ * @returns {Object} { deliver, inApp, channels: [{ channel, scheduledFor }] }
+ */
+export const planNotification = (
+  recipient,
+  type,
+  context = {},
+  now = new Date(),
+  enabledChannels = getEnabledChannelNames()
+) => {
+  const preferences = resolvePreferences(recipient);
+  const typePreferences = preferences.notifications[type] || DEFAULT_CHANNEL_PREFERENCES;
+
+  // Status updates can be limited to the transitions the user cares about
+  if (type === 'status_update' && context.newStatus && Array.isArray(typePreferences.statuses) &&
+      !typePreferences.statuses.includes(context.newStatus)) {
+    return { deliver: false, inApp: false, channels: [] };
+  }
+
+  const inApp = typePreferences.inApp !== false;
+  const userChannels = enabledChannels.filter(channel =>
+    USER_CHANNELS.includes(channel) && typePreferences[channel] === true
+  );
+
+  if (!inApp && userChannels.length === 0) {
+    return { deliver: false, inApp: false, channels: [] };
+  }
+
+  // Digest and quiet hours only hold back deliveries that reach the user directly
+  let scheduledFor = getNextDigestTime(preferences.digest, now, preferences.timezone);
+  const checkAt = scheduledFor || now;
+  if (isInQuietHours(preferences.quietHours, checkAt, preferences.timezone)) {
+    scheduledFor = getNextTimeOfDay(preferences.quietHours.end, checkAt, preferences.timezone);
+  }
+
+  const channels = enabledChannels
+    .filter(channel => !USER_CHANNELS.includes(channel) || userChannels.includes(channel))
+    .map(channel => ({
+      channel,
+      scheduledFor: USER_CHANNELS.includes(channel) && scheduledFor && scheduledFor > now
+        ? scheduledFor
+        : undefined
+    }));
+
+  return { deliver: true, inApp, channels };
+};
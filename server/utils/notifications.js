@@ -2,10 +2,52 @@
  * Notification utilities for the waste management system
  */
 
-// In a real implementation, this would integrate with email services, SMS, push notifications, etc.
-// For now, we'll create a simple notification logging system
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { dispatchNotification } from './notificationDispatcher.js';
+import { planNotification } from './notificationPreferences.js';
+import { publishNotificationEvent } from './eventBus.js';
+import { getChannel } from './channels/index.js';
 
-const notifications = [];
+// Notifications are persisted (in-app) and then delivered through the enabled
+// channels (email, SMS, push, webhook); see utils/channels. Each recipient's
+// preferences decide which of them are used and when.
+
+/**
+ * Persist a notification and deliver it according to the recipient's preferences
+ * @param {Object} data - Notification fields
+ * @param {Object} recipient - Recipient user object
+ * @returns {Promise<Object|null>} Saved notification document, or null if the recipient opted out
+ */
+const createNotification = async (data, recipient) => {
+  const plan = planNotification(recipient, data.type, { newStatus: data.metadata?.newStatus });
+
+  if (!plan.deliver) {
+    console.log(`Notification (${data.type}) to ${data.recipientEmail} suppressed by preferences`);
+    return null;
+  }
+
+  const notification = await Notification.create({
+    ...data,
+    organization: recipient.organization,
+    inApp: plan.inApp
+  });
+  console.log(`Notification (${notification.type}) sent to ${notification.recipientEmail}: ${notification.message}`);
+
+  if (notification.inApp) {
+    publishNotificationEvent(notification);
+  }
+
+  try {
+    await dispatchNotification(notification, recipient, plan.channels);
+  } catch (error) {
+    // Delivery problems are recorded per channel and must not lose the notification
+    console.error('Error dispatching notification:', error);
+  }
+
+  return notification;
+};
 
 /**
  * Send completion notification to resident
@@ -14,27 +56,13 @@ const notifications = [];
  */
 export const sendCompletionNotification = async (collection, resident) => {
   try {
-    const notification = {
-      id: Date.now().toString(),
+    return await createNotification({
       type: 'completion',
       recipientId: resident._id,
       recipientEmail: resident.email,
       collectionId: collection._id,
-      message: `Your waste collection request for ${collection.wasteCategory} waste at ${collection.pickupLocation.address} has been completed.`,
-      timestamp: new Date(),
-      status: 'sent'
-    };
-
-    // In a real implementation, you would:
-    // - Send email via service like SendGrid, AWS SES, etc.
-    // - Send SMS via service like Twilio
-    // - Send push notification via Firebase, etc.
-    
-    // For now, we'll just log it
-    notifications.push(notification);
-    console.log(`Notification sent to ${resident.email}: ${notification.message}`);
-
-    return notification;
+      message: `Your waste collection request for ${collection.wasteCategory} waste at ${collection.pickupLocation.address} has been completed.`
+    }, resident);
   } catch (error) {
     console.error('Error sending completion notification:', error);
     throw error;
@@ -48,21 +76,13 @@ export const sendCompletionNotification = async (collection, resident) => {
  */
 export const sendAssignmentNotification = async (collection, collector) => {
   try {
-    const notification = {
-      id: Date.now().toString(),
+    return await createNotification({
       type: 'assignment',
       recipientId: collector._id,
       recipientEmail: collector.email,
       collectionId: collection._id,
-      message: `You have been assigned a new collection: ${collection.wasteCategory} waste at ${collection.pickupLocation.address}.`,
-      timestamp: new Date(),
-      status: 'sent'
-    };
-
-    notifications.push(notification);
-    console.log(`Assignment notification sent to ${collector.email}: ${notification.message}`);
-
-    return notification;
+      message: `You have been assigned a new collection: ${collection.wasteCategory} waste at ${collection.pickupLocation.address}.`
+    }, collector);
   } catch (error) {
     console.error('Error sending assignment notification:', error);
     throw error;
@@ -78,21 +98,14 @@ export const sendAssignmentNotification = async (collection, collector) => {
  */
 export const sendStatusUpdateNotification = async (collection, recipient, oldStatus, newStatus) => {
   try {
-    const notification = {
-      id: Date.now().toString(),
+    return await createNotification({
       type: 'status_update',
       recipientId: recipient._id,
       recipientEmail: recipient.email,
       collectionId: collection._id,
       message: `Your collection request status has been updated from "${oldStatus}" to "${newStatus}".`,
-      timestamp: new Date(),
-      status: 'sent'
-    };
-
-    notifications.push(notification);
-    console.log(`Status update notification sent to ${recipient.email}: ${notification.message}`);
-
-    return notification;
+      metadata: { oldStatus, newStatus }
+    }, recipient);
   } catch (error) {
     console.error('Error sending status update notification:', error);
     throw error;
@@ -100,38 +113,370 @@ export const sendStatusUpdateNotification = async (collection, recipient, oldSta
 };
 
 /**
- * Get notifications for a user
+ * Notify the requester of a collection about a status change
+ * Failures are logged and never propagate, so the status change itself always succeeds.
+ * @param {Object} collection - Collection request object
+ * @param {string} oldStatus - Previous status
+ * @param {string} newStatus - New status
+ * @returns {Promise<Object|null>} Notification, or null if none was sent
+ */
+export const notifyStatusChange = async (collection, oldStatus, newStatus) => {
+  if (oldStatus === newStatus) {
+    return null;
+  }
+
+  try {
+    const requesterId = collection.requesterId?._id || collection.requesterId;
+    const requester = await User.findById(requesterId);
+    if (!requester) {
+      return null;
+    }
+
+    return newStatus === 'completed'
+      ? await sendCompletionNotification(collection, requester)
+      : await sendStatusUpdateNotification(collection, requester, oldStatus, newStatus);
+  } catch (error) {
+    console.error('Error sending notification:', error);
+    return null;
+  }
+};
+
+/**
+ * Notify a collector about a new assignment
+ * Failures are logged and never propagate, so the assignment itself always succeeds.
+ * @param {Object} collection - Collection request object
+ * @param {Object} collector - Collector user object
+ * @returns {Promise<Object|null>} Notification, or null if none was sent
+ */
+export const notifyAssignment = async (collection, collector) => {
+  try {
+    return await sendAssignmentNotification(collection, collector);
+  } catch (error) {
+    console.error('Error sending notification:', error);
+    return null;
+  }
+};
+
+/**
+ * Tell a resident their recurring schedule was paused because its pickup location is
+ * outside every service zone of their organization
+ * Failures are logged and never propagate, so the scheduler carries on with other schedules.
+ * @param {Object} schedule - RecurringSchedule document
+ * @returns {Promise<Object|null>} Notification, or null if none was sent
+ */
+export const notifySchedulePaused = async (schedule) => {
+  try {
+    const resident = await User.findById(schedule.requesterId);
+    if (!resident) {
+      return null;
+    }
+
+    return await createNotification({
+      type: 'status_update',
+      recipientId: resident._id,
+      recipientEmail: resident.email,
+      message: `Your recurring ${schedule.wasteCategory} waste collection at ${schedule.pickupLocation.address} has been paused because the address is outside our service area.`,
+      metadata: { scheduleId: schedule._id, reason: 'outside-service-area' }
+    }, resident);
+  } catch (error) {
+    console.error('Error sending notification:', error);
+    return null;
+  }
+};
+
+/**
+ * Email an account message (verification, password reset, invitation)
+ * These go out by email whatever the user's preferences or NOTIFICATION_CHANNELS say,
+ * and are not stored, since the message carries a single-use link.
+ * @param {Object} recipient - Recipient user object, or { email } for an invitee
+ * @param {string} type - email_verification, password_reset or invitation
+ * @param {string} message - Message text
+ * @returns {Promise<Object>} Delivery result with provider message id
+ */
+const sendAccountEmail = async (recipient, type, message) => {
+  return getChannel('email').send({ type, message }, recipient);
+};
+
+// Link into the client app
+const clientLink = (path, token) => {
+  const base = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${base}${path}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Send the link that verifies a user's email address
+ * @param {Object} user - User object
+ * @param {string} token - Email verification token
+ * @returns {Promise<Object>} Delivery result
+ */
+export const sendVerificationEmail = (user, token) => {
+  return sendAccountEmail(user, 'email_verification',
+    `Hi ${user.username}, please confirm your email address by opening this link: ${clientLink('/verify-email', token)}`);
+};
+
+/**
+ * Send the link that lets a user choose a new password
+ * @param {Object} user - User object
+ * @param {string} token - Password reset token
+ * @returns {Promise<Object>} Delivery result
+ */
+export const sendPasswordResetEmail = (user, token) => {
+  return sendAccountEmail(user, 'password_reset',
+    `Hi ${user.username}, a password reset was requested for your account. Choose a new password here: ${clientLink('/reset-password', token)}\n\nIf you didn't ask for this, you can ignore this email.`);
+};
+
+/**
+ * Send the link that lets someone accept an invitation and create their account
+ * @param {Object} invitation - Invitation document
+ * @param {string} token - Invitation token
+ * @param {Object} inviter - Admin who sent the invitation
+ * @returns {Promise<Object>} Delivery result
+ */
+export const sendInvitationEmail = (invitation, token, inviter) => {
+  const note = invitation.message ? `\n\n"${invitation.message}"` : '';
+  return sendAccountEmail({ email: invitation.email }, 'invitation',
+    `${inviter?.username || 'An administrator'} has invited you to join the Waste Management System as a ${invitation.role}.${note}\n\nCreate your account here before ${invitation.expiresAt.toUTCString()}: ${clientLink('/accept-invitation', token)}`);
+};
+
+/**
+ * Query for the notifications a user sees in the app
+ * @param {string} userId - User ID
+ * @param {Object} filters - Normalized filters
+ * @returns {Object} MongoDB query
+ */
+const inAppQuery = (userId, filters = {}) => {
+  return { ...Notification.buildQuery(userId, filters), inApp: { $ne: false } };
+};
+
+/**
+ * Normalize list filters, dropping ids that are not valid ObjectIds
+ * @param {Object} filters - Raw filters (type, collectionId, read)
+ * @returns {Object|null} Sanitized filters, or null if a filter can never match
+ */
+const normalizeFilters = (filters = {}) => {
+  const { type, collectionId, read } = filters;
+
+  if (collectionId && !mongoose.Types.ObjectId.isValid(collectionId)) {
+    return null;
+  }
+
+  return { type, collectionId, read };
+};
+
+/**
+ * Get paginated notifications for a user
  * @param {string} userId - User ID
- * @returns {Array} Array of notifications
+ * @param {Object} options - Filters (type, collectionId, read) and pagination (page, limit)
+ * @returns {Promise<Object>} Notifications, pagination info and unread count
  */
-export const getUserNotifications = (userId) => {
-  return notifications.filter(notification => 
-    notification.recipientId.toString() === userId.toString()
-  ).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+export const getUserNotifications = async (userId, options = {}) => {
+  const page = Math.max(parseInt(options.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(options.limit) || 20, 1), 100);
+
+  const filters = normalizeFilters(options);
+  const unreadCount = await getUnreadCount(userId);
+
+  if (!filters) {
+    return {
+      notifications: [],
+      pagination: { current: page, pages: 0, total: 0, limit },
+      unreadCount
+    };
+  }
+
+  const query = inAppQuery(userId, filters);
+
+  const [notifications, total] = await Promise.all([
+    Notification.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Notification.countDocuments(query)
+  ]);
+
+  return {
+    notifications,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+      limit
+    },
+    unreadCount
+  };
 };
 
 /**
  * Get all notifications (admin only)
- * @returns {Array} Array of all notifications
+ * @param {Object} options - Filters (recipientId, type, collectionId, read, channel,
+ *                           deliveryStatus) and pagination
+ * @param {Object} scope - Tenant filter limiting which organizations' notifications are seen
+ * @returns {Promise<Object>} Notifications and pagination info
+ */
+export const getAllNotifications = async (options = {}, scope = {}) => {
+  const { recipientId, channel, deliveryStatus, ...rest } = options;
+
+  const page = Math.max(parseInt(rest.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(rest.limit) || 20, 1), 100);
+  const filters = normalizeFilters(rest);
+  const validRecipient = !recipientId || mongoose.Types.ObjectId.isValid(recipientId);
+
+  // Invalid ids can never match, so use a query that returns nothing
+  const query = filters && validRecipient
+    ? { ...Notification.buildQuery(recipientId, filters), ...scope }
+    : { _id: null };
+
+  // Filter on delivery state, e.g. every notification whose email delivery failed
+  if (channel || deliveryStatus) {
+    query.deliveries = {
+      $elemMatch: {
+        ...(channel && { channel }),
+        ...(deliveryStatus && { status: deliveryStatus })
+      }
+    };
+  }
+
+  const [notifications, total] = await Promise.all([
+    Notification.find(query)
+      .populate('recipientId', 'username email role')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Notification.countDocuments(query)
+  ]);
+
+  return {
+    notifications,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+      limit
+    }
+  };
+};
+
+/**
+ * Summarize delivery outcomes per channel (admin only)
+ * @param {Object} options - Optional date range (startDate, endDate)
+ * @param {Object} scope - Tenant filter limiting which organizations' notifications count
+ * @returns {Promise<Object>} Counts keyed by channel, then by delivery status
  */
-export const getAllNotifications = () => {
-  return notifications.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+export const getDeliverySummary = async ({ startDate, endDate } = {}, scope = {}) => {
+  const match = { ...scope };
+  if (startDate || endDate) {
+    match.createdAt = {
+      ...(startDate && { $gte: new Date(startDate) }),
+      ...(endDate && { $lte: new Date(endDate) })
+    };
+  }
+
+  const results = await Notification.aggregate([
+    { $match: match },
+    { $unwind: '$deliveries' },
+    {
+      $group: {
+        _id: { channel: '$deliveries.channel', status: '$deliveries.status' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return results.reduce((acc, item) => {
+    acc[item._id.channel] = acc[item._id.channel] || {};
+    acc[item._id.channel][item._id.status] = item.count;
+    return acc;
+  }, {});
+};
+
+/**
+ * Get the number of unread notifications for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Unread count
+ */
+export const getUnreadCount = (userId) => {
+  return Notification.countDocuments(inAppQuery(userId, { read: false }));
 };
 
 /**
  * Mark notification as read
  * @param {string} notificationId - Notification ID
  * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Updated notification or null if not found
  */
-export const markNotificationAsRead = (notificationId, userId) => {
-  const notification = notifications.find(n => 
-    n.id === notificationId && n.recipientId.toString() === userId.toString()
-  );
-  
-  if (notification) {
-    notification.status = 'read';
-    notification.readAt = new Date();
+export const markNotificationAsRead = async (notificationId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+    return null;
   }
-  
+
+  const notification = await Notification.findOne({ _id: notificationId, recipientId: userId });
+
+  if (notification && !notification.read) {
+    notification.markAsRead();
+    await notification.save();
+  }
+
   return notification;
-};
\ No newline at end of file
+};
+
+/**
+ * Mark all (optionally filtered) notifications of a user as read
+ * @param {string} userId - User ID
+ * @param {Object} filters - Optional filters (type, collectionId)
+ * @returns {Promise<number>} Number of notifications updated
+ */
+export const markAllNotificationsAsRead = async (userId, filters = {}) => {
+  const normalized = normalizeFilters({ type: filters.type, collectionId: filters.collectionId });
+  if (!normalized) {
+    return 0;
+  }
+
+  const query = { ...inAppQuery(userId, normalized), read: false };
+  const result = await Notification.updateMany(query, {
+    $set: { read: true, readAt: new Date() }
+  });
+
+  return result.modifiedCount;
+};
+
+/**
+ * Delete a single notification belonging to a user
+ * @param {string} notificationId - Notification ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if a notification was deleted
+ */
+export const deleteNotification = async (notificationId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+    return false;
+  }
+
+  const result = await Notification.deleteOne({ _id: notificationId, recipientId: userId });
+  return result.deletedCount > 0;
+};
+
+/**
+ * Bulk delete notifications belonging to a user
+ * @param {string} userId - User ID
+ * @param {Object} filters - Optional filters (ids, type, collectionId, read); ids other than
+ *                           an array match nothing rather than every notification
+ * @returns {Promise<number>} Number of notifications deleted
+ */
+export const deleteNotifications = async (userId, filters = {}) => {
+  const normalized = normalizeFilters(filters);
+  if (!normalized || (filters.ids !== undefined && !Array.isArray(filters.ids))) {
+    return 0;
+  }
+
+  const query = inAppQuery(userId, normalized);
+
+  if (Array.isArray(filters.ids)) {
+    const validIds = filters.ids.filter(id => mongoose.Types.ObjectId.isValid(id));
+    if (validIds.length === 0) {
+      return 0;
+    }
+    query._id = { $in: validIds };
+  }
+
+  const result = await Notification.deleteMany(query);
+  return result.deletedCount;
+};
@@ -0,0 +1,163 @@
+/**
+ * Permission policy
+ *
+ * Every authorization decision is made by checking a permission, never a role name.
+ * The built-in roles (resident, collector, admin, super-admin) map to fixed permission
+ * sets below; admins can add custom roles such as "dispatcher" or "supervisor" with
+ * their own permission sets, which are stored in the Role collection. Custom roles
+ * belong to an organization and are only known inside it.
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Every permission, with what it lets a user do
+ */
+export const PERMISSIONS = {
+  'collections:create': 'Request collections for their own address',
+  'collections:view-own': 'See the collection requests they made',
+  'collections:view-assigned': 'See the collection requests assigned to them',
+  'collections:view-all': 'See every collection request',
+  'collections:cancel-own': 'Cancel their own pending collection requests',
+  'collections:collect': 'Be assigned collections and routes, and start and complete them',
+  'collections:assign': 'Assign collections to collectors and schedule them',
+  'collections:manage': 'Change, cancel and reopen any collection request',
+  'routes:view-all': 'See every collector route',
+  'routes:manage': 'Create routes and assign them to collectors and vehicles',
+  'routes:optimize': 'Re-optimize the stop order of routes',
+  'dispatch:plan': 'Preview, commit and discard auto-dispatch plans',
+  'schedules:manage-own': 'Manage their own recurring collection schedules',
+  'schedules:manage-all': "Manage everyone's recurring collection schedules",
+  'vehicles:manage': 'Manage the vehicle fleet',
+  'zones:manage': 'Draw service zones and choose their collection days and collectors',
+  'addresses:manage': 'Import the address register and place requests whose address could not be geocoded',
+  'users:view': 'List user accounts',
+  'users:manage': 'Change roles, unlock accounts and reset two-factor authentication',
+  'users:delete': 'Delete user accounts',
+  'users:invite': 'Invite staff by email',
+  'roles:manage': 'Create, change and delete custom roles',
+  'reports:view': 'See statistics and the admin dashboard',
+  'notifications:manage': 'See and retry notification deliveries',
+  'organizations:manage': 'Manage organizations and work across all of them'
+};
+
+export const PERMISSION_NAMES = Object.keys(PERMISSIONS);
+
+/**
+ * Permission sets of the built-in roles
+ */
+export const BUILT_IN_ROLES = {
+  resident: [
+    'collections:create',
+    'collections:view-own',
+    'collections:cancel-own',
+    'schedules:manage-own'
+  ],
+  collector: [
+    'collections:view-assigned',
+    'collections:collect'
+  ],
+  admin: PERMISSION_NAMES.filter(permission => permission !== 'organizations:manage'),
+  'super-admin': PERMISSION_NAMES
+};
+
+/**
+ * Whether a role name is one of the built-in roles
+ * @param {string} name - Role name
+ * @returns {boolean} True for resident, collector, admin and super-admin
+ */
+export const isBuiltInRole = (name) => Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, name);
+
+/**
+ * Permissions granted to a role
+ * @param {string} name - Role name
+ * @param {string|null} organization - Organization whose custom roles apply
+ * @returns {Promise<Array<string>>} Permissions, empty for an unknown role
+ */
+export const getRolePermissions = async (name, organization = null) => {
+  if (isBuiltInRole(name)) {
+    return BUILT_IN_ROLES[name];
+  }
+  if (!name) {
+    return [];
+  }
+
+  const role = await mongoose.model('Role').findOne({ name, organization: organization || null }).lean();
+  return role ? role.permissions : [];
+};
+
+/**
+ * Permissions granted to a user through their role
+ * @param {Object} user - User document
+ * @returns {Promise<Array<string>>} Permissions
+ */
+export const getUserPermissions = (user) => getRolePermissions(user?.role, user?.organization);
+
+/**
+ * Whether a set of permissions includes any of the given ones
+ * @param {Array<string>} permissions - Permissions a user holds
+ * @param {...string} required - Permissions that would allow the action
+ * @returns {boolean} True if at least one is held
+ */
+export const hasPermission = (permissions, ...required) => {
+  return required.some(permission => permissions?.includes(permission));
+};
+
+/**
+ * Whether a user's role grants a permission
+ * @param {Object} user - User document
+ * @param {string} permission - Permission to check
+ * @returns {Promise<boolean>} True if granted
+ */
+export const userHasPermission = async (user, permission) => {
+  return hasPermission(await getUserPermissions(user), permission);
+};
+
+/**
+ * Names of the roles, built-in and custom, that grant a permission
+ * Useful for finding users, e.g. everyone who can be assigned collections.
+ * @param {string} permission - Permission to look for
+ * @param {Object} scope - Role filter limiting which custom roles count, e.g. one organization's
+ * @returns {Promise<Array<string>>} Role names
+ */
+export const getRolesWithPermission = async (permission, scope = {}) => {
+  const builtIn = Object.keys(BUILT_IN_ROLES).filter(name => BUILT_IN_ROLES[name].includes(permission));
+  const custom = await mongoose.model('Role').find({ ...scope, permissions: permission }).distinct('name');
+  return [...builtIn, ...custom];
+};
+
+/**
+ * Whether a role name is built in or a stored custom role
+ * @param {string} name - Role name
+ * @param {string|null} organization - Organization whose custom roles apply
+ * @returns {Promise<boolean>} True if users can be given this role
+ */
+export const isKnownRole = async (name, organization = null) => {
+  if (typeof name !== 'string' || !name) {
+    return false;
+  }
+  return isBuiltInRole(name) ||
+    Boolean(await mongoose.model('Role').exists({ name, organization: organization || null }));
+};
+
+/**
+ * Whether a user holding some permissions may hand out others, e.g. by giving someone
+ * a role; nobody can grant more than they have themselves
+ * @param {Array<string>} grantorPermissions - Permissions of the user granting
+ * @param {Array<string>} permissions - Permissions being granted
+ * @returns {boolean} True if every granted permission is held by the grantor
+ */
+export const canGrantPermissions = (grantorPermissions, permissions) => {
+  return permissions.every(permission => hasPermission(grantorPermissions, permission));
+};
+
+/**
+ * Whether a user holding some permissions may give someone a role
+ * @param {Array<string>} grantorPermissions - Permissions of the user granting
+ * @param {string} name - Role name
+ * @param {string|null} organization - Organization whose custom roles apply
+ * @returns {Promise<boolean>} True if the role grants nothing beyond the grantor's permissions
+ */
+export const canGrantRole = async (grantorPermissions, name, organization = null) => {
+  return canGrantPermissions(grantorPermissions, await getRolePermissions(name, organization));
+};
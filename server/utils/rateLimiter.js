@@ -0,0 +1,138 @@
+/**
+ * Request rate limiting
+ *
+ * Counts requests per key in fixed windows. Counters live in a store with
+ * async `increment(key, windowMs)`, `reset(key)` and `resetAll()` methods; the
+ * default keeps them in process memory, and a shared store (e.g. Redis) can be
+ * plugged in with setRateLimitStore when running more than one server.
+ * Set RATE_LIMIT_ENABLED=false to switch every limiter off.
+ */
+
+/**
+ * Create a store that keeps counters in process memory
+ * @returns {Object} Rate limit store
+ */
+export const createMemoryStore = () => {
+  const counters = new Map();
+  let nextSweep = 0;
+
+  // Drop finished windows now and then so the map does not grow without bound
+  const sweep = (now) => {
+    if (now < nextSweep) return;
+    nextSweep = now + 60 * 1000;
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  };
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      sweep(now);
+
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+
+      return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    },
+
+    async resetAll() {
+      counters.clear();
+    }
+  };
+};
+
+let store = createMemoryStore();
+
+/**
+ * Replace the store that holds the counters
+ * @param {Object|null} nextStore - Store implementing increment, reset and resetAll, or null for the in-memory default
+ */
+export const setRateLimitStore = (nextStore) => {
+  store = nextStore || createMemoryStore();
+};
+
+/**
+ * Clear one limiter's counter for a key, e.g. after a successful login
+ * @param {string} name - Limiter name
+ * @param {string} key - Key within that limiter
+ */
+export const resetRateLimit = async (name, key) => {
+  await store.reset(`${name}:${key}`);
+};
+
+/**
+ * Clear every counter
+ */
+export const resetRateLimits = async () => {
+  await store.resetAll?.();
+};
+
+const isEnabled = () => process.env.RATE_LIMIT_ENABLED !== 'false';
+
+// Options may be given as functions so they can follow configuration at request time
+const resolve = (value) => (typeof value === 'function' ? value() : value);
+
+/**
+ * Build middleware that answers 429 once a key has made more than `max` requests in a window
+ * @param {Object} options - Limiter options
+ * @param {string} options.name - Name that keeps this limiter's counters apart from others
+ * @param {number|Function} options.windowMs - Window length in milliseconds
+ * @param {number|Function} options.max - Requests allowed per key in each window
+ * @param {Function} [options.keyGenerator] - Returns the key for a request (defaults to the client address); a falsy key skips limiting
+ * @param {string} [options.message] - Message sent with the 429 response
+ * @returns {Function} Express middleware
+ */
+export const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = (req) => req.ip,
+  message = "Too many requests, please try again later"
+}) => {
+  if (!name) {
+    throw new Error('A rate limiter needs a name');
+  }
+
+  return async (req, res, next) => {
+    if (!isEnabled()) return next();
+
+    const key = keyGenerator(req);
+    if (!key) return next();
+
+    const limit = resolve(max);
+
+    let counter;
+    try {
+      counter = await store.increment(`${name}:${key}`, resolve(windowMs));
+    } catch (error) {
+      // Never lock everyone out because the store is unavailable
+      console.error("Rate limit store error:", error);
+      return next();
+    }
+
+    const retryAfter = Math.max(1, Math.ceil((counter.resetAt.getTime() - Date.now()) / 1000));
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(Math.max(0, limit - counter.count)));
+    res.set('RateLimit-Reset', String(retryAfter));
+
+    if (counter.count > limit) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message,
+        retryAfter
+      });
+    }
+
+    next();
+  };
+};
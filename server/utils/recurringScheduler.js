@@ -0,0 +1,209 @@
+/**
+ * Recurring collection scheduler
+ *
+ * Turns active recurring schedules into pending CollectionRequest documents a fixed
+ * number of days ahead (RECURRING_SCHEDULE_HORIZON_DAYS), so upcoming collections can
+ * be assigned and routed like one-off requests. Occurrences that already have a live
+ * request are never generated twice, so the scheduler can safely run again, and an
+ * occurrence whose request is cancelled is marked skipped so it isn't generated again.
+ * A schedule whose address is outside its organization's service zones is paused and
+ * its resident told, instead of failing on every run.
+ */
+
+import { RecurringSchedule, CollectionRequest } from '../models/index.js';
+import { publishCollectionEvent } from './eventBus.js';
+import { notifySchedulePaused } from './notifications.js';
+import { isOutsideServiceArea } from './zones.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_HORIZON_DAYS = 14;
+
+let scheduleWorker = null;
+
+/**
+ * Number of days ahead collection requests are generated for
+ * @returns {number}
+ */
+export const getHorizonDays = () => {
+  return parseInt(process.env.RECURRING_SCHEDULE_HORIZON_DAYS) || DEFAULT_HORIZON_DAYS;
+};
+
+/**
+ * Days (from tomorrow up to the horizon) the scheduler generates requests for
+ * @param {Date} now - Current time
+ * @param {number} horizonDays - Days ahead
+ * @returns {Object} { from, until }
+ */
+export const getGenerationWindow = (now = new Date(), horizonDays = getHorizonDays()) => {
+  const today = RecurringSchedule.startOfDay(now);
+  return {
+    from: new Date(today.getTime() + DAY_MS),
+    until: new Date(today.getTime() + horizonDays * DAY_MS)
+  };
+};
+
+/**
+ * Pause a schedule from today until the resident resumes it, and tell them why
+ * @param {Object} schedule - RecurringSchedule document
+ * @param {Date} now - Current time
+ * @param {Date} until - Last day of the generation window
+ * @returns {Promise<void>}
+ */
+const pauseOutsideServiceArea = async (schedule, now, until) => {
+  schedule.pauses.push({ from: RecurringSchedule.startOfDay(now), reason: 'outside-service-area' });
+  schedule.generatedUntil = until;
+  await schedule.save();
+
+  await notifySchedulePaused(schedule);
+};
+
+/**
+ * Generate the collection requests a schedule needs up to the horizon
+ * @param {Object} schedule - RecurringSchedule document
+ * @param {Object} options - { now, horizonDays }
+ * @returns {Promise<Array>} Newly created collection requests
+ */
+export const materializeSchedule = async (schedule, { now = new Date(), horizonDays = getHorizonDays() } = {}) => {
+  const { from, until } = getGenerationWindow(now, horizonDays);
+  const created = [];
+
+  const occurrences = schedule.getOccurrences(from, until);
+  if (occurrences.length > 0) {
+    const existing = await CollectionRequest.find({
+      recurringSchedule: schedule._id,
+      scheduledDate: { $gte: from, $lte: until },
+      status: { $ne: 'cancelled' }
+    }).select('scheduledDate');
+    const generated = new Set(existing.map(request => request.scheduledDate.getTime()));
+    const { pickupLocation } = schedule.toObject();
+
+    for (const day of occurrences.filter(day => !generated.has(day.getTime()))) {
+      let request;
+      try {
+        request = await CollectionRequest.create({
+          requesterId: schedule.requesterId,
+          organization: schedule.organization,
+          wasteCategory: schedule.wasteCategory,
+          pickupLocation,
+          notes: schedule.notes,
+          scheduledDate: day,
+          recurringSchedule: schedule._id,
+          status: 'pending',
+          statusHistory: [{ from: null, to: 'pending', actor: schedule.requesterId, source: 'recurring-schedule' }]
+        });
+      } catch (error) {
+        // Zones drawn after the schedule was set up don't cover its address
+        if (!isOutsideServiceArea(error)) throw error;
+        await pauseOutsideServiceArea(schedule, now, until);
+        return created;
+      }
+
+      created.push(request);
+      publishCollectionEvent('collection.created', request);
+    }
+  }
+
+  schedule.generatedUntil = until;
+  await schedule.save();
+
+  return created;
+};
+
+/**
+ * Cancel a schedule's generated requests that nobody has acted on yet
+ * @param {Object} schedule - RecurringSchedule document
+ * @param {Object} range - { from, until } days (until optional)
+ * @param {Object} context - Audit context for the status change
+ * @returns {Promise<Array>} Cancelled collection requests
+ */
+export const cancelGeneratedRequests = async (schedule, { from, until }, context = {}) => {
+  const scheduledDate = { $gte: from };
+  if (until) {
+    scheduledDate.$lte = until;
+  }
+
+  const requests = await CollectionRequest.find({
+    recurringSchedule: schedule._id,
+    status: 'pending',
+    scheduledDate
+  });
+
+  for (const request of requests) {
+    request.transitionTo('cancelled', context);
+    await request.save();
+    publishCollectionEvent('collection.cancelled', request, { oldStatus: 'pending' });
+  }
+
+  return requests;
+};
+
+/**
+ * Mark the day of a cancelled request generated by a schedule as skipped. Pausing or
+ * cancelling the schedule itself doesn't call this, so resuming brings those days back
+ * @param {Object} request - CollectionRequest document that was just cancelled
+ * @returns {Promise<void>}
+ */
+export const skipCancelledOccurrence = async (request) => {
+  if (!request.recurringSchedule || !request.scheduledDate) return;
+
+  await RecurringSchedule.updateOne(
+    { _id: request.recurringSchedule },
+    { $addToSet: { skippedDates: RecurringSchedule.startOfDay(request.scheduledDate) } }
+  );
+};
+
+/**
+ * Generate upcoming collection requests for every active schedule that needs them
+ * @param {Object} options - { now, horizonDays }
+ * @returns {Promise<number>} Number of collection requests created
+ */
+export const runRecurringSchedules = async ({ now = new Date(), horizonDays = getHorizonDays() } = {}) => {
+  const { until } = getGenerationWindow(now, horizonDays);
+
+  const schedules = await RecurringSchedule.find({
+    status: 'active',
+    $or: [
+      { generatedUntil: null },
+      { generatedUntil: { $lt: until } }
+    ]
+  });
+
+  let created = 0;
+  for (const schedule of schedules) {
+    try {
+      created += (await materializeSchedule(schedule, { now, horizonDays })).length;
+    } catch (error) {
+      // One broken schedule shouldn't hold up the others
+      console.error(`Recurring schedule ${schedule._id} error:`, error);
+    }
+  }
+
+  return created;
+};
+
+/**
+ * Start the background worker that keeps recurring schedules generated ahead
+ * @param {number} intervalMs - Polling interval in milliseconds
+ */
+export const startScheduleWorker = (intervalMs = parseInt(process.env.RECURRING_SCHEDULE_INTERVAL_MS) || 60 * 60 * 1000) => {
+  if (scheduleWorker) return;
+
+  scheduleWorker = setInterval(() => {
+    runRecurringSchedules().catch(error => {
+      console.error('Recurring schedule worker error:', error);
+    });
+  }, intervalMs);
+
+  // Don't keep the process alive just for the scheduler
+  scheduleWorker.unref?.();
+};
+
+/**
+ * Stop the background schedule worker
+ */
+export const stopScheduleWorker = () => {
+  if (scheduleWorker) {
+    clearInterval(scheduleWorker);
+    scheduleWorker = null;
+  }
+};
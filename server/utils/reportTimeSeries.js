@@ -0,0 +1,251 @@
+/**
+ * Report time series
+ *
+ * Buckets collection activity by day, week (starting Monday) or month in a given time
+ * zone: how many requests were created, completed and cancelled in each bucket, how long
+ * the completed ones took, and how many of them were on time. A request is on time when it
+ * was completed no later than the day it was due, which is its scheduled date or else the
+ * day of the latest route it was on; requests with neither aren't counted towards the rate.
+ */
+
+import { CollectionRequest, CollectionRoute, Zone, User } from '../models/index.js';
+
+export const TIME_SERIES_INTERVALS = ['day', 'week', 'month'];
+export const TIME_SERIES_GROUPS = ['wasteCategory', 'zone', 'collector'];
+
+// Keeps a day-by-day series over a long range from growing without bound
+export const MAX_TIME_SERIES_BUCKETS = 400;
+
+const DEFAULT_RANGE_DAYS = 30;
+const INTERVAL_DAYS = { day: 1, week: 7, month: 28 };
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+const GROUP_FIELDS = {
+  wasteCategory: '$wasteCategory',
+  zone: '$zone',
+  collector: '$assignedCollector'
+};
+
+/**
+ * Whether a time zone is an IANA name we can bucket in, e.g. "Europe/London"
+ * @param {string} timezone - Time zone
+ * @returns {boolean} True if it is recognized
+ */
+export const isValidTimeZone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Range a time series covers: startDate to endDate, by default the 30 days up to now
+ * @param {Object} query - { startDate, endDate }
+ * @returns {Object} { start, end }
+ */
+export const getTimeSeriesRange = ({ startDate, endDate }) => {
+  const end = endDate ? new Date(endDate) : new Date();
+  const start = startDate ? new Date(startDate) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY);
+  return { start, end };
+};
+
+/**
+ * Most buckets a range can be cut into at an interval
+ * @param {Date} start - Start of the range
+ * @param {Date} end - End of the range
+ * @param {string} interval - day, week or month
+ * @returns {number} Bucket count, rounded up
+ */
+export const countBuckets = (start, end, interval) =>
+  Math.ceil((end - start) / (INTERVAL_DAYS[interval] * DAY)) + 1;
+
+const truncate = (date, unit, timezone) => ({
+  $dateTrunc: { date, unit, timezone, ...(unit === 'week' && { startOfWeek: 'monday' }) }
+});
+
+// When a request was cancelled: its last move to cancelled, or its last update for older requests
+const CANCELLED_AT = {
+  $ifNull: [
+    {
+      $max: {
+        $map: {
+          input: { $filter: { input: '$statusHistory', cond: { $eq: ['$$this.to', 'cancelled'] } } },
+          in: '$$this.timestamp'
+        }
+      }
+    },
+    '$updatedAt'
+  ]
+};
+
+const buildPipeline = ({ match, start, end, interval, timezone, groupBy }) => {
+  const inRange = (field) => ({ [field]: { $gte: start, $lte: end } });
+  const bucketOf = (field) => ({
+    bucket: truncate(field, interval, timezone),
+    key: groupBy ? GROUP_FIELDS[groupBy] : null
+  });
+  const hasDueDate = { $ne: [{ $ifNull: ['$dueDate', null] }, null] };
+
+  return [
+    {
+      $match: {
+        ...match,
+        $or: [
+          inRange('createdAt'),
+          inRange('completedDate'),
+          // Cancellation is never later than the last update
+          { status: 'cancelled', updatedAt: { $gte: start } }
+        ]
+      }
+    },
+    {
+      $facet: {
+        created: [
+          { $match: inRange('createdAt') },
+          { $group: { _id: bucketOf('$createdAt'), count: { $sum: 1 } } }
+        ],
+        completed: [
+          { $match: { status: 'completed', ...inRange('completedDate') } },
+          {
+            $lookup: {
+              from: CollectionRoute.collection.name,
+              localField: '_id',
+              foreignField: 'collections',
+              pipeline: [{ $project: { date: 1 } }],
+              as: 'routes'
+            }
+          },
+          { $set: { dueDate: { $ifNull: ['$scheduledDate', { $max: '$routes.date' }] } } },
+          {
+            $group: {
+              _id: bucketOf('$completedDate'),
+              count: { $sum: 1 },
+              completionTime: { $sum: { $subtract: ['$completedDate', '$createdAt'] } },
+              due: { $sum: { $cond: [hasDueDate, 1, 0] } },
+              onTime: {
+                $sum: {
+                  $cond: [
+                    {
+                      $and: [
+                        hasDueDate,
+                        { $lte: [truncate('$completedDate', 'day', timezone), truncate('$dueDate', 'day', timezone)] }
+                      ]
+                    },
+                    1,
+                    0
+                  ]
+                }
+              }
+            }
+          }
+        ],
+        cancelled: [
+          { $match: { status: 'cancelled' } },
+          { $set: { cancelledAt: CANCELLED_AT } },
+          { $match: inRange('cancelledAt') },
+          { $group: { _id: bucketOf('$cancelledAt'), count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ];
+};
+
+const emptyBucket = (start) => ({
+  start,
+  created: 0,
+  completed: 0,
+  cancelled: 0,
+  completionTime: 0,
+  due: 0,
+  onTime: 0
+});
+
+const addTo = (bucket, counts) => {
+  Object.keys(counts).forEach(field => {
+    bucket[field] += counts[field];
+  });
+};
+
+const finish = (buckets) => [...buckets.values()]
+  .sort((a, b) => a.start - b.start)
+  .map(({ completionTime, due, onTime, ...bucket }) => ({
+    ...bucket,
+    averageCompletionTimeHours: bucket.completed > 0
+      ? Math.round((completionTime / bucket.completed / HOUR) * 100) / 100
+      : null,
+    onTime: {
+      due,
+      met: onTime,
+      rate: due > 0 ? Math.round((onTime / due) * 1000) / 1000 : null
+    }
+  }));
+
+// Names for the keys of a split: zone names, collector usernames; categories name themselves
+const nameKeys = async (groupBy, keys) => {
+  const ids = keys.filter(Boolean);
+  if (groupBy === 'zone') {
+    const zones = await Zone.find({ _id: { $in: ids } }).select('name');
+    return new Map(zones.map(zone => [String(zone._id), zone.name]));
+  }
+  if (groupBy === 'collector') {
+    const users = await User.find({ _id: { $in: ids } }).select('username');
+    return new Map(users.map(user => [String(user._id), user.username]));
+  }
+  return new Map(ids.map(key => [String(key), key]));
+};
+
+/**
+ * Collection activity over a range, bucketed by interval in a time zone
+ * @param {Object} options - { match, start, end, interval, timezone, groupBy } where match
+ *                           scopes the requests (organization, zone) and groupBy optionally
+ *                           splits them by wasteCategory, zone or collector
+ * @returns {Promise<Object>} { buckets, series } where each bucket has its start, created,
+ *          completed and cancelled counts, averageCompletionTimeHours and onTime
+ *          { due, met, rate }; series (only when split) lists { key, name, buckets } per group.
+ *          Buckets without activity are left out
+ */
+export const buildTimeSeries = async ({ match, start, end, interval, timezone, groupBy }) => {
+  const [facets] = await CollectionRequest.aggregate(buildPipeline({ match, start, end, interval, timezone, groupBy }));
+
+  const totals = new Map();
+  const groups = new Map();
+  const collect = (rows, toCounts) => {
+    rows.forEach(({ _id, ...row }) => {
+      const bucketKey = _id.bucket.toISOString();
+      const counts = toCounts(row);
+
+      if (!totals.has(bucketKey)) totals.set(bucketKey, emptyBucket(_id.bucket));
+      addTo(totals.get(bucketKey), counts);
+
+      if (groupBy) {
+        const groupKey = _id.key === null || _id.key === undefined ? null : String(_id.key);
+        if (!groups.has(groupKey)) groups.set(groupKey, new Map());
+        const buckets = groups.get(groupKey);
+        if (!buckets.has(bucketKey)) buckets.set(bucketKey, emptyBucket(_id.bucket));
+        addTo(buckets.get(bucketKey), counts);
+      }
+    });
+  };
+
+  collect(facets.created, row => ({ created: row.count }));
+  collect(facets.completed, row => ({
+    completed: row.count,
+    completionTime: row.completionTime,
+    due: row.due,
+    onTime: row.onTime
+  }));
+  collect(facets.cancelled, row => ({ cancelled: row.count }));
+
+  const result = { buckets: finish(totals) };
+  if (groupBy) {
+    const names = await nameKeys(groupBy, [...groups.keys()]);
+    result.series = [...groups.entries()]
+      .map(([key, buckets]) => ({ key, name: key === null ? null : names.get(key) ?? null, buckets: finish(buckets) }))
+      // Requests outside any zone, or not assigned to anyone, come last
+      .sort((a, b) => (a.name === null) - (b.name === null) || String(a.name).localeCompare(String(b.name)));
+  }
+  return result;
+};
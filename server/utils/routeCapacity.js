@@ -0,0 +1,125 @@
+/**
+ * Route load checks
+ *
+ * Adds up the estimated load of a route's collection requests and checks it against
+ * the route's vehicle: the vehicle must carry every waste category on the route, the
+ * categories must be safe to carry together, and the load must fit its capacity.
+ */
+
+// Typical load of one pickup when the resident gave no estimate (litres, kilograms)
+export const DEFAULT_LOADS = {
+  organic: { volume: 120, weight: 40 },
+  recyclable: { volume: 240, weight: 30 },
+  hazardous: { volume: 20, weight: 15 },
+  general: { volume: 240, weight: 50 }
+};
+
+// Categories that must not share a vehicle on the same route
+const INCOMPATIBLE_CATEGORIES = {
+  hazardous: ['organic', 'recyclable', 'general']
+};
+
+// Share of capacity above which a warning is given
+const NEAR_CAPACITY_RATIO = 0.9;
+
+const isIncompatible = (a, b) => {
+  return Boolean(INCOMPATIBLE_CATEGORIES[a]?.includes(b) || INCOMPATIBLE_CATEGORIES[b]?.includes(a));
+};
+
+/**
+ * Estimated load of one collection request
+ * @param {Object} collection - Collection request
+ * @returns {Object} { volume, weight }
+ */
+export const getCollectionLoad = (collection) => {
+  const fallback = DEFAULT_LOADS[collection.wasteCategory] || DEFAULT_LOADS.general;
+  const estimate = collection.estimatedLoad || {};
+
+  return {
+    volume: typeof estimate.volume === 'number' ? estimate.volume : fallback.volume,
+    weight: typeof estimate.weight === 'number' ? estimate.weight : fallback.weight
+  };
+};
+
+/**
+ * Check the collections of a route against its vehicle
+ * @param {Array<Object>} collections - Collection requests on the route
+ * @param {Object|null} vehicle - Vehicle document, if the route has one
+ * @param {Object} options - { allowOverload } to turn capacity errors into warnings
+ * @returns {Object} { ok, errors, warnings, load, capacity, categories }
+ */
+export const checkRouteLoad = (collections, vehicle = null, { allowOverload = false } = {}) => {
+  const errors = [];
+  const warnings = [];
+
+  const load = collections.reduce((total, collection) => {
+    const { volume, weight } = getCollectionLoad(collection);
+    return { volume: total.volume + volume, weight: total.weight + weight };
+  }, { volume: 0, weight: 0 });
+
+  const categories = [...new Set(collections.map(collection => collection.wasteCategory))];
+
+  categories.forEach((category, index) => {
+    categories.slice(index + 1)
+      .filter(other => isIncompatible(category, other))
+      .forEach(other => {
+        errors.push({
+          type: 'incompatible-categories',
+          message: `${category} and ${other} waste cannot be collected on the same route`
+        });
+      });
+  });
+
+  if (vehicle) {
+    categories
+      .filter(category => !vehicle.canCarry(category))
+      .forEach(category => {
+        errors.push({
+          type: 'category-not-allowed',
+          message: `Vehicle ${vehicle.registration} cannot carry ${category} waste`
+        });
+      });
+
+    ['volume', 'weight'].forEach(dimension => {
+      const used = load[dimension];
+      const available = vehicle.capacity[dimension];
+
+      if (used > available) {
+        (allowOverload ? warnings : errors).push({
+          type: 'over-capacity',
+          message: `Route ${dimension} of ${used} exceeds vehicle capacity of ${available}`
+        });
+      } else if (used > available * NEAR_CAPACITY_RATIO) {
+        warnings.push({
+          type: 'near-capacity',
+          message: `Route ${dimension} of ${used} is close to vehicle capacity of ${available}`
+        });
+      }
+    });
+  }
+
+  return {
+    ok: errors.length === 0,
+    errors,
+    warnings,
+    load,
+    capacity: vehicle ? { volume: vehicle.capacity.volume, weight: vehicle.capacity.weight } : null,
+    categories
+  };
+};
+
+/**
+ * Send the response for a route that fails its load check
+ * @param {Object} res - Express response
+ * @param {Object} check - Result of checkRouteLoad
+ */
+export const sendLoadError = (res, check) => {
+  return res.status(409).json({
+    success: false,
+    message: check.errors[0].message,
+    errors: check.errors,
+    warnings: check.warnings,
+    load: check.load,
+    capacity: check.capacity
+  });
+};
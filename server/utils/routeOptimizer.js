@@ -0,0 +1,286 @@
+/**
+ * Collection route optimizer
+ *
+ * Orders a route's stops by their pickup coordinates: a nearest-neighbour tour is
+ * improved with 2-opt and Or-opt moves until no move shortens it. Routes can start
+ * (and optionally end) at a depot. Stops without coordinates cannot be placed on the
+ * map, so they keep their relative order after the located stops.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+const DEFAULT_SPEED_KMH = 30;
+const DEFAULT_STOP_MINUTES = 5;
+const MAX_IMPROVEMENT_PASSES = 50;
+const OR_OPT_MAX_SEGMENT = 3;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Coordinates of a collection request's pickup location, if it has usable ones
+ * @param {Object} collection - Collection request (or plain object)
+ * @returns {Object|null} { lat, lng }
+ */
+export const getCoordinates = (collection) => {
+  const coordinates = collection?.pickupLocation?.coordinates;
+  const lat = coordinates?.lat;
+  const lng = coordinates?.lng;
+
+  if (typeof lat !== 'number' || typeof lng !== 'number' || Number.isNaN(lat) || Number.isNaN(lng)) {
+    return null;
+  }
+  return { lat, lng };
+};
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} a - { lat, lng }
+ * @param {Object} b - { lat, lng }
+ * @returns {number} Distance in kilometres
+ */
+export const haversineDistance = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Pairwise distances between points
+ * @param {Array<Object>} points - [{ lat, lng }]
+ * @returns {Array<Array<number>>} Distance matrix in kilometres
+ */
+export const buildDistanceMatrix = (points) => {
+  const matrix = points.map(() => new Array(points.length).fill(0));
+
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      matrix[i][j] = matrix[j][i] = haversineDistance(points[i], points[j]);
+    }
+  }
+  return matrix;
+};
+
+/**
+ * Depot configured with ROUTE_DEPOT_LAT / ROUTE_DEPOT_LNG, if any
+ * @returns {Object|null} { lat, lng }
+ */
+export const getDefaultDepot = () => {
+  const lat = parseFloat(process.env.ROUTE_DEPOT_LAT);
+  const lng = parseFloat(process.env.ROUTE_DEPOT_LNG);
+  return Number.isNaN(lat) || Number.isNaN(lng) ? null : { lat, lng };
+};
+
+/**
+ * Check that a depot is a valid { lat, lng } point
+ * @param {Object} depot - Candidate depot
+ * @returns {boolean}
+ */
+export const isValidDepot = (depot) => {
+  return Boolean(depot) &&
+    typeof depot.lat === 'number' && depot.lat >= -90 && depot.lat <= 90 &&
+    typeof depot.lng === 'number' && depot.lng >= -180 && depot.lng <= 180;
+};
+
+// Cost function over a path [start, ...stops, end] where start and end are virtual
+// nodes that cost nothing unless they stand for the depot
+const createCost = (matrix, stopCount, { hasDepot, returnToDepot }) => {
+  const START = -1;
+  const END = stopCount;
+
+  const cost = (i, j) => {
+    if (i === START || j === START) {
+      if (!hasDepot) return 0;
+      return matrix[0][(i === START ? j : i) + 1];
+    }
+    if (i === END || j === END) {
+      if (!hasDepot || !returnToDepot) return 0;
+      return matrix[0][(i === END ? j : i) + 1];
+    }
+    return matrix[i + 1][j + 1];
+  };
+
+  return { START, END, cost };
+};
+
+const pathLength = (path, cost) => {
+  let total = 0;
+  for (let i = 0; i < path.length - 1; i++) {
+    total += cost(path[i], path[i + 1]);
+  }
+  return total;
+};
+
+// Greedy tour: always go to the closest stop not yet visited
+const nearestNeighbour = (stopCount, cost, startNode) => {
+  const visited = new Array(stopCount).fill(false);
+  const order = [];
+  let current = startNode;
+
+  if (startNode >= 0) {
+    visited[startNode] = true;
+    order.push(startNode);
+  }
+
+  while (order.length < stopCount) {
+    let best = -1;
+    for (let candidate = 0; candidate < stopCount; candidate++) {
+      if (!visited[candidate] && (best === -1 || cost(current, candidate) < cost(current, best))) {
+        best = candidate;
+      }
+    }
+    visited[best] = true;
+    order.push(best);
+    current = best;
+  }
+  return order;
+};
+
+// Reverse path segments while doing so shortens the path
+const twoOpt = (path, cost) => {
+  let improved = false;
+
+  for (let i = 1; i < path.length - 2; i++) {
+    for (let j = i + 1; j < path.length - 1; j++) {
+      const delta = cost(path[i - 1], path[j]) + cost(path[i], path[j + 1]) -
+        cost(path[i - 1], path[i]) - cost(path[j], path[j + 1]);
+
+      if (delta < -1e-9) {
+        const reversed = path.slice(i, j + 1).reverse();
+        path.splice(i, reversed.length, ...reversed);
+        improved = true;
+      }
+    }
+  }
+  return improved;
+};
+
+// Move runs of one to three consecutive stops elsewhere while doing so shortens the path
+const orOpt = (path, cost) => {
+  let improved = false;
+
+  for (let length = 1; length <= OR_OPT_MAX_SEGMENT; length++) {
+    for (let i = 1; i + length < path.length; i++) {
+      const segmentEnd = i + length - 1;
+      const before = path[i - 1];
+      const after = path[segmentEnd + 1];
+      const first = path[i];
+      const last = path[segmentEnd];
+      const removalGain = cost(before, first) + cost(last, after) - cost(before, after);
+
+      for (let k = 0; k < path.length - 1; k++) {
+        // Insert between path[k] and path[k + 1], outside the segment itself
+        if (k >= i - 1 && k <= segmentEnd) continue;
+
+        const insertionCost = cost(path[k], first) + cost(last, path[k + 1]) - cost(path[k], path[k + 1]);
+        if (insertionCost - removalGain < -1e-9) {
+          const segment = path.splice(i, length);
+          const insertAt = k < i ? k + 1 : k + 1 - length;
+          path.splice(insertAt, 0, ...segment);
+          improved = true;
+          break;
+        }
+      }
+    }
+  }
+  return improved;
+};
+
+/**
+ * Total travelled distance of stops visited in a given order
+ * @param {Array<Object>} collections - Collection requests
+ * @param {Array<number>} order - Indices into collections
+ * @param {Object} options - { depot, returnToDepot }
+ * @returns {number} Distance in kilometres (stops without coordinates are not counted)
+ */
+export const getRouteDistance = (collections, order, { depot = null, returnToDepot = true } = {}) => {
+  const points = order.map(index => getCoordinates(collections[index])).filter(Boolean);
+  if (depot) {
+    points.unshift(depot);
+    if (returnToDepot && points.length > 1) {
+      points.push(depot);
+    }
+  }
+
+  let total = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    total += haversineDistance(points[i], points[i + 1]);
+  }
+  return total;
+};
+
+/**
+ * Estimated time to drive a route and service its stops
+ * @param {number} distanceKm - Route distance
+ * @param {number} stopCount - Number of stops
+ * @returns {number} Duration in minutes
+ */
+export const estimateDuration = (distanceKm, stopCount) => {
+  const speed = parseFloat(process.env.ROUTE_AVERAGE_SPEED_KMH) || DEFAULT_SPEED_KMH;
+  const stopMinutes = parseFloat(process.env.ROUTE_STOP_MINUTES);
+  const serviceMinutes = Number.isNaN(stopMinutes) ? DEFAULT_STOP_MINUTES : stopMinutes;
+
+  return (distanceKm / speed) * 60 + stopCount * serviceMinutes;
+};
+
+/**
+ * Distance and duration summary of a route order, rounded for display
+ * @param {Array<Object>} collections - Collection requests
+ * @param {Array<number>} order - Indices into collections
+ * @param {Object} options - { depot, returnToDepot }
+ * @returns {Object} { distanceKm, durationMinutes }
+ */
+export const summarizeRoute = (collections, order, options = {}) => {
+  const distance = getRouteDistance(collections, order, options);
+  return {
+    distanceKm: Math.round(distance * 100) / 100,
+    durationMinutes: Math.round(estimateDuration(distance, order.length))
+  };
+};
+
+/**
+ * Find a short visiting order for a route's collections
+ * @param {Array<Object>} collections - Collection requests with pickupLocation
+ * @param {Object} options - { depot, returnToDepot }
+ * @returns {Array<number>} Indices into collections in visiting order
+ */
+export const optimizeOrder = (collections, { depot = null, returnToDepot = true } = {}) => {
+  const located = [];
+  const unlocated = [];
+  collections.forEach((collection, index) => {
+    (getCoordinates(collection) ? located : unlocated).push(index);
+  });
+
+  if (located.length <= 1) {
+    return [...located, ...unlocated];
+  }
+
+  const points = located.map(index => getCoordinates(collections[index]));
+  const matrix = buildDistanceMatrix([depot || points[0], ...points]);
+  const { START, END, cost } = createCost(matrix, located.length, { hasDepot: Boolean(depot), returnToDepot });
+
+  // Without a depot the route may start anywhere, so seed from the stop giving the shortest tour
+  const seeds = depot
+    ? [nearestNeighbour(located.length, cost, START)]
+    : located.map((_, start) => nearestNeighbour(located.length, cost, start));
+
+  let best = null;
+  let bestLength = Infinity;
+  for (const seed of seeds) {
+    const path = [START, ...seed, END];
+    const length = pathLength(path, cost);
+    if (length < bestLength) {
+      best = path;
+      bestLength = length;
+    }
+  }
+
+  for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass++) {
+    const improvedByTwoOpt = twoOpt(best, cost);
+    const improvedByOrOpt = orOpt(best, cost);
+    if (!improvedByTwoOpt && !improvedByOrOpt) break;
+  }
+
+  return [...best.slice(1, -1).map(stop => located[stop]), ...unlocated];
+};
@@ -0,0 +1,52 @@
+/**
+ * Helpers for the collection request status audit trail
+ */
+
+/**
+ * Build the audit context for a status change made through an API request
+ * @param {Object} req - Express request (authenticated)
+ * @param {Object} extra - Additional fields, e.g. { collector }
+ * @returns {Object} { actor, role, source, reason, ...extra }
+ */
+export const getChangeContext = (req, extra = {}) => {
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+
+  return {
+    actor: req.user?._id,
+    role: req.user?.role,
+    source: `${req.method} ${req.baseUrl}${req.route?.path || ''}`,
+    reason: reason || undefined,
+    ...extra
+  };
+};
+
+/**
+ * Human-readable description of a status history entry
+ * @param {Object} entry - Status history entry (collector may be populated)
+ * @returns {string} Description
+ */
+export const describeStatusChange = (entry) => {
+  if (!entry.from) {
+    return 'Collection request created';
+  }
+
+  switch (entry.to) {
+    case 'assigned': {
+      const collector = entry.collector?.username;
+      if (!collector) return 'Collection assigned';
+      return entry.from === 'assigned'
+        ? `Reassigned to collector: ${collector}`
+        : `Assigned to collector: ${collector}`;
+    }
+    case 'in-progress':
+      return 'Collection in progress';
+    case 'completed':
+      return 'Collection completed successfully';
+    case 'cancelled':
+      return 'Collection request cancelled';
+    case 'pending':
+      return 'Collection request returned to pending';
+    default:
+      return `Status changed to ${entry.to}`;
+  }
+};
@@ -0,0 +1,120 @@
+/**
+ * Collection request status state machine
+ *
+ * Every route that changes a collection request's status checks the move against
+ * this table, so the lifecycle rules live in one place.
+ */
+
+import { hasPermission } from './permissions.js';
+
+export const COLLECTION_STATUSES = ['pending', 'assigned', 'in-progress', 'completed', 'cancelled'];
+
+// from -> to -> permissions that allow the move (any one is enough)
+const TRANSITIONS = {
+  pending: {
+    assigned: ['collections:assign'],
+    cancelled: ['collections:cancel-own', 'collections:manage']
+  },
+  assigned: {
+    // Reassignment to another collector
+    assigned: ['collections:assign'],
+    'in-progress': ['collections:collect', 'collections:manage'],
+    cancelled: ['collections:manage']
+  },
+  'in-progress': {
+    completed: ['collections:collect', 'collections:manage'],
+    cancelled: ['collections:manage']
+  },
+  // Reopening a closed request
+  completed: {
+    pending: ['collections:manage']
+  },
+  cancelled: {
+    pending: ['collections:manage']
+  }
+};
+
+// Moves that must be justified with a reason
+const REASON_REQUIRED = {
+  completed: ['pending'],
+  cancelled: ['pending']
+};
+
+/**
+ * Check whether a user's permissions allow moving a request from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {Array<string>} permissions - Permissions of the user making the change
+ * @returns {boolean} True if the move is allowed
+ */
+export const canTransition = (from, to, permissions) => {
+  return hasPermission(permissions, ...(TRANSITIONS[from]?.[to] || []));
+};
+
+/**
+ * Statuses a user may move a request to next (excluding reassignment)
+ * @param {string} from - Current status
+ * @param {Array<string>} permissions - Permissions of the user
+ * @returns {Array<string>} Allowed next statuses
+ */
+export const getAllowedTransitions = (from, permissions) => {
+  return Object.keys(TRANSITIONS[from] || {})
+    .filter(to => to !== from && canTransition(from, to, permissions));
+};
+
+/**
+ * Check whether a move has to be given a reason
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if a reason is required
+ */
+export const requiresReason = (from, to) => {
+  return Boolean(REASON_REQUIRED[from]?.includes(to));
+};
+
+/**
+ * Check a requested status change against the transition table
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {Array<string>} permissions - Permissions of the user making the change
+ * @param {string} reason - Reason given for the change, if any
+ * @returns {Object} { allowed, httpStatus, message, allowedTransitions }
+ */
+export const checkTransition = (from, to, permissions, reason) => {
+  const allowedTransitions = getAllowedTransitions(from, permissions);
+
+  if (!canTransition(from, to, permissions)) {
+    return {
+      allowed: false,
+      httpStatus: 409,
+      message: `Cannot change status from ${from} to ${to}`,
+      allowedTransitions
+    };
+  }
+
+  if (requiresReason(from, to) && !(typeof reason === 'string' && reason.trim())) {
+    return {
+      allowed: false,
+      httpStatus: 400,
+      message: `A reason is required to reopen a ${from} collection request`,
+      allowedTransitions
+    };
+  }
+
+  return { allowed: true, allowedTransitions };
+};
+
+/**
+ * Send the response for a rejected status change
+ * @param {Object} res - Express response
+ * @param {string} currentStatus - Status the request is in
+ * @param {Object} transition - Result of checkTransition
+ */
+export const sendTransitionError = (res, currentStatus, transition) => {
+  return res.status(transition.httpStatus).json({
+    success: false,
+    message: transition.message,
+    currentStatus,
+    allowedTransitions: transition.allowedTransitions
+  });
+};
@@ -0,0 +1,94 @@
+/**
+ * Tenancy
+ *
+ * Users, collection requests and routes (and the vehicles, roles, invitations,
+ * schedules, dispatch plans and notifications around them) belong to an organization.
+ * Every query a user makes is limited to their own organization; super-admins, whose
+ * role grants organizations:manage, work across all of them. Records without an
+ * organization form the default tenant, so a deployment serving one town needs no setup.
+ */
+
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+import { hasPermission } from './permissions.js';
+
+/**
+ * Whether a set of permissions reaches across organizations
+ * @param {Array<string>} permissions - Permissions a user holds
+ * @returns {boolean} True for super-admins
+ */
+export const isCrossTenant = (permissions) => hasPermission(permissions, 'organizations:manage');
+
+/**
+ * Organization a record belongs to
+ * @param {Object} record - User, request, route or other document, populated or not
+ * @returns {Object|null} Organization ID, or null for the default tenant
+ */
+export const tenantOf = (record) => record?.organization?._id ?? record?.organization ?? null;
+
+/**
+ * Whether two records belong to the same organization
+ * @param {Object} a - First document
+ * @param {Object} b - Second document
+ * @returns {boolean} True if both are in the same organization or both in the default tenant
+ */
+export const sameTenant = (a, b) => String(tenantOf(a) ?? '') === String(tenantOf(b) ?? '');
+
+/**
+ * Query filter limiting a request to the organizations the user may see
+ * Users see their own organization; super-admins see all of them, or just one when
+ * they pass ?organization=<id>.
+ * @param {Object} req - Authenticated request
+ * @returns {Object} Filter to merge into queries and aggregate $match stages
+ */
+export const tenantScope = (req) => {
+  if (!isCrossTenant(req.permissions)) {
+    return { organization: tenantOf(req.user) };
+  }
+
+  const requested = req.query?.organization;
+  if (!requested) {
+    return {};
+  }
+  // Aggregate pipelines don't cast, so hand them a real ObjectId; anything else matches nothing
+  return { organization: mongoose.Types.ObjectId.isValid(requested) ? new mongoose.Types.ObjectId(requested) : { $in: [] } };
+};
+
+/**
+ * Adds the tenant scope to a query filter
+ * @param {Object} req - Authenticated request
+ * @param {Object} filter - Query filter
+ * @returns {Object} Filter limited to the user's organization
+ */
+export const scoped = (req, filter = {}) => ({ ...filter, ...tenantScope(req) });
+
+/**
+ * Whether the requesting user may see a record from another query, e.g. a user
+ * referenced by ID in a request body
+ * @param {Object} req - Authenticated request
+ * @param {Object} record - Document to check
+ * @returns {boolean} True if the record is in the user's organization, or the user is a super-admin
+ */
+export const canAccessTenant = (req, record) => isCrossTenant(req.permissions) || sameTenant(req.user, record);
+
+/**
+ * Organization new records created by the requesting user belong to
+ * Users create records in their own organization; super-admins name an active one
+ * with `organization` in the body, or leave it out for the default tenant.
+ * @param {Object} req - Authenticated request
+ * @returns {Promise<Object|null>} { organization } (null for the default tenant), or null
+ *                                 if a super-admin named an unknown or inactive organization
+ */
+export const resolveTenantForNew = async (req) => {
+  if (!isCrossTenant(req.permissions)) {
+    return { organization: tenantOf(req.user) };
+  }
+
+  const requested = req.body?.organization;
+  if (!requested) {
+    return { organization: null };
+  }
+  const found = mongoose.Types.ObjectId.isValid(requested) &&
+    await Organization.exists({ _id: requested, active: true });
+  return found ? { organization: found._id } : null;
+};
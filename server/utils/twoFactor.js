@@ -0,0 +1,235 @@
+/**
+ * Two-factor authentication
+ *
+ * Users can protect their account with a TOTP authenticator app. Once it is on, the
+ * password step of a login only returns a short-lived challenge, which is exchanged for
+ * a session together with a current code or one of ten single-use recovery codes.
+ * Roles listed in TWO_FACTOR_REQUIRED_ROLES (e.g. "admin,collector") must enrol before
+ * they can use anything but their profile, sessions and the enrolment endpoints.
+ */
+
+import crypto from 'crypto';
+import { User, AccountToken } from '../models/index.js';
+import { hashToken } from './auth.js';
+import { issueAccountToken, findUsableAccountToken, consumeAccountToken } from './accountTokens.js';
+import { generateTotpSecret, verifyTotpCode, buildOtpauthUri } from './totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = 'two-factor-login';
+
+/**
+ * Roles that must use two-factor authentication
+ * @returns {Array<string>} Role names
+ */
+export const getTwoFactorRequiredRoles = () => {
+  return (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Whether a user's role must use two-factor authentication
+ * @param {Object} user - User document
+ * @returns {boolean} True if required
+ */
+export const isTwoFactorRequired = (user) => getTwoFactorRequiredRoles().includes(user.role);
+
+/**
+ * Whether a user must enrol before doing anything else
+ * @param {Object} user - User document
+ * @returns {boolean} True if their role requires it and it isn't on yet
+ */
+export const needsTwoFactorSetup = (user) => isTwoFactorRequired(user) && !user.twoFactor?.enabled;
+
+// Recovery codes look like "3f9a1-07bc2"; case, spaces and dashes don't matter when entered
+const normalizeRecoveryCode = (code) => String(code ?? '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const hashRecoveryCode = (code) => hashToken(normalizeRecoveryCode(code));
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Array<string>} Plain codes, shown to the user once
+ */
+export const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+};
+
+/**
+ * Offer a new secret for the user to add to their authenticator app
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { secret, otpauthUri }
+ */
+export const beginTwoFactorSetup = async (user) => {
+  const secret = generateTotpSecret();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({
+      secret,
+      accountName: user.email,
+      issuer: process.env.TWO_FACTOR_ISSUER || 'Waste Management System'
+    })
+  };
+};
+
+/**
+ * Turn two-factor authentication on once the user proves their app has the offered secret
+ * @param {Object} user - User document
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<Array<string>|null>} Recovery codes, or null if the code is wrong or no setup is in progress
+ */
+export const confirmTwoFactorSetup = async (user, code) => {
+  const stored = await User.findById(user._id).select('+twoFactor.pendingSecret');
+  const secret = stored?.twoFactor?.pendingSecret;
+  if (!secret) {
+    return null;
+  }
+
+  const step = verifyTotpCode(secret, code);
+  if (step === null) {
+    return null;
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.pendingSecret': secret },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.secret': secret,
+        'twoFactor.recoveryCodeHashes': recoveryCodes.map(hashRecoveryCode),
+        'twoFactor.lastUsedStep': step
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 }
+    }
+  );
+
+  return result.modifiedCount === 1 ? recoveryCodes : null;
+};
+
+/**
+ * Check a second factor: a current authenticator code, or an unused recovery code
+ * Each code is accepted once; a recovery code is used up.
+ * @param {Object} user - User document
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<Object|null>} { method: 'totp' } or { method: 'recovery', recoveryCodesRemaining }, or null if wrong
+ */
+export const verifySecondFactor = async (user, code) => {
+  const stored = await User.findById(user._id).select('+twoFactor.secret');
+  if (!stored?.twoFactor?.enabled || !stored.twoFactor.secret) {
+    return null;
+  }
+
+  const step = verifyTotpCode(stored.twoFactor.secret, code);
+  if (step !== null) {
+    // Only a later step than the last accepted one, so an overheard code can't be replayed
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1 ? { method: 'totp' } : null;
+  }
+
+  if (normalizeRecoveryCode(code).length !== 10) {
+    return null;
+  }
+
+  const hash = hashRecoveryCode(code);
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, 'twoFactor.recoveryCodeHashes': hash },
+    { $pull: { 'twoFactor.recoveryCodeHashes': hash } },
+    { new: true }
+  ).select('+twoFactor.recoveryCodeHashes');
+
+  return updated
+    ? { method: 'recovery', recoveryCodesRemaining: updated.twoFactor.recoveryCodeHashes.length }
+    : null;
+};
+
+/**
+ * Replace the user's recovery codes
+ * @param {Object} user - User document
+ * @returns {Promise<Array<string>>} New plain codes
+ */
+export const regenerateRecoveryCodes = async (user) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'twoFactor.recoveryCodeHashes': recoveryCodes.map(hashRecoveryCode) } }
+  );
+  return recoveryCodes;
+};
+
+/**
+ * Count the recovery codes the user has left
+ * @param {Object} user - User document
+ * @returns {Promise<number>} Unused codes
+ */
+export const countRecoveryCodes = async (user) => {
+  const stored = await User.findById(user._id).select('+twoFactor.recoveryCodeHashes');
+  return stored?.twoFactor?.recoveryCodeHashes?.length || 0;
+};
+
+/**
+ * Turn two-factor authentication off and forget the secret and recovery codes
+ * @param {Object} user - User document
+ */
+export const disableTwoFactor = async (user) => {
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.enabledAt': 1,
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.recoveryCodeHashes': 1,
+        'twoFactor.lastUsedStep': 1
+      }
+    }
+  );
+  await AccountToken.deleteMany({ user: user._id, purpose: CHALLENGE_PURPOSE });
+};
+
+/**
+ * Start the second step of a login after the password was right
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { challengeToken, challengeExpiresAt }
+ */
+export const startTwoFactorChallenge = async (user) => {
+  const { token, expiresAt } = await issueAccountToken(user, CHALLENGE_PURPOSE);
+  return { challengeToken: token, challengeExpiresAt: expiresAt };
+};
+
+/**
+ * Look up a login challenge that is still open
+ * @param {string} token - Challenge token from the password step
+ * @returns {Promise<Object|null>} The challenge, or null if it is unknown, used or expired
+ */
+export const findTwoFactorChallenge = (token) => findUsableAccountToken(token, CHALLENGE_PURPOSE);
+
+/**
+ * Close a login challenge so it can't complete a second login
+ * @param {string} token - Challenge token
+ * @returns {Promise<boolean>} True if this call closed it
+ */
+export const completeTwoFactorChallenge = async (token) => {
+  return Boolean(await consumeAccountToken(token, CHALLENGE_PURPOSE));
+};
+
+/**
+ * Drop a user's open login challenges, e.g. once the account locks
+ * @param {Object} user - User document
+ */
+export const cancelTwoFactorChallenges = async (user) => {
+  await AccountToken.deleteMany({ user: user._id, purpose: CHALLENGE_PURPOSE, usedAt: null });
+};
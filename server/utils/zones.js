@@ -0,0 +1,86 @@
+/**
+ * Service zones
+ *
+ * A zone is a GeoJSON polygon marking part of an organization's service area. Once an
+ * organization has zones, each new collection request is placed in the zone containing
+ * its pickup coordinates, and requests (and recurring schedules) outside every zone are
+ * turned away. Organizations without zones accept any address.
+ */
+
+import mongoose from 'mongoose';
+
+export const OUTSIDE_SERVICE_AREA = 'This address is outside our service area';
+
+/**
+ * Whether a position is a [longitude, latitude] pair
+ * @param {Array<number>} position - GeoJSON position
+ * @returns {boolean} True if both numbers are in range
+ */
+const isValidPosition = (position) => {
+  if (!Array.isArray(position) || position.length !== 2) {
+    return false;
+  }
+  const [lng, lat] = position;
+  return typeof lng === 'number' && typeof lat === 'number' &&
+    lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90;
+};
+
+/**
+ * Whether a linear ring is closed and has at least three distinct corners
+ * @param {Array<Array<number>>} ring - GeoJSON linear ring
+ * @returns {boolean} True for a valid ring
+ */
+const isValidRing = (ring) => {
+  if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isValidPosition)) {
+    return false;
+  }
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1];
+};
+
+/**
+ * Whether a value is a GeoJSON polygon: an outer ring, then any holes
+ * @param {Object} boundary - { type: 'Polygon', coordinates: [ring, ...] }
+ * @returns {boolean} True for a valid polygon
+ */
+export const isValidPolygon = (boundary) => {
+  return boundary?.type === 'Polygon' &&
+    Array.isArray(boundary.coordinates) &&
+    boundary.coordinates.length > 0 &&
+    boundary.coordinates.every(isValidRing);
+};
+
+/**
+ * GeoJSON point for a pickup location's coordinates
+ * @param {Object} coordinates - { lat, lng }
+ * @returns {Object|null} { type: 'Point', coordinates: [lng, lat] }, or null without usable coordinates
+ */
+export const toPoint = (coordinates) => {
+  const { lat, lng } = coordinates || {};
+  if (typeof lat !== 'number' || typeof lng !== 'number' || Number.isNaN(lat) || Number.isNaN(lng)) {
+    return null;
+  }
+  return { type: 'Point', coordinates: [lng, lat] };
+};
+
+/**
+ * Whether saving a collection request or schedule failed because its pickup location
+ * is outside every zone
+ * @param {Error} error - Error thrown by save or create
+ * @returns {boolean} True for an out-of-area rejection
+ */
+export const isOutsideServiceArea = (error) => {
+  return error?.name === 'ValidationError' &&
+    error.errors?.['pickupLocation.coordinates']?.message === OUTSIDE_SERVICE_AREA;
+};
+
+/**
+ * Query filter for the records of one zone, from a ?zone=<id> parameter
+ * @param {string} zoneId - Zone ID
+ * @returns {Object} { zone } for queries and aggregate $match stages; an invalid ID matches nothing
+ */
+export const zoneFilter = (zoneId) => {
+  // Aggregate pipelines don't cast, so hand them a real ObjectId
+  return { zone: mongoose.Types.ObjectId.isValid(zoneId) ? new mongoose.Types.ObjectId(zoneId) : { $in: [] } };
+};